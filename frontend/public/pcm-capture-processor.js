@@ -0,0 +1,35 @@
+// PCM Capture Processor: turns microphone input into L16 PCM frames for the voice socket
+class PCMCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    // ~100ms frames at the context sample rate keep socket traffic reasonable
+    this.frameSize = Math.round(sampleRate / 10);
+    this.frame = new Int16Array(this.frameSize);
+    this.frameIndex = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || !input[0]) {
+      return true;
+    }
+
+    // Mono: only the first channel is captured
+    const inputChannel = input[0];
+    for (let i = 0; i < inputChannel.length; i++) {
+      // Convert float [-1, 1] to 16-bit signed integer
+      const sample = Math.max(-1, Math.min(1, inputChannel[i]));
+      this.frame[this.frameIndex++] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+
+      if (this.frameIndex === this.frameSize) {
+        this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+        this.frame = new Int16Array(this.frameSize);
+        this.frameIndex = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture-processor', PCMCaptureProcessor);
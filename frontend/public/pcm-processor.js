@@ -1,95 +1,245 @@
 // PCM Audio Processor for L16 PCM audio playback
+// Audio is kept as a list of chunks so a response can start playing from its first
+// chunk while the rest is still being synthesized. A small jitter buffer absorbs
+// uneven chunk arrival; if playback catches up with the data it pauses and rebuffers.
+const POSITION_INTERVAL_SECONDS = 0.1;
+
 class PCMProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
-    this.pcmBuffer = null;
-    this.bufferIndex = 0;
-    this.isPlaying = false;
+    const { jitterBufferMs = 200, maxJitterBufferMs = 1000 } = options?.processorOptions || {};
+
     this.sampleRate = 24000; // GenAI returns 24kHz
-    
+    this.minPrebufferSamples = Math.round(this.sampleRate * jitterBufferMs / 1000);
+    this.maxPrebufferSamples = Math.round(this.sampleRate * maxJitterBufferMs / 1000);
+    this.positionInterval = Math.round(this.sampleRate * POSITION_INTERVAL_SECONDS);
+
+    this.reset();
+
     // Listen for messages from the main thread
     this.port.onmessage = (event) => {
       const { type, data } = event.data;
-      
+
       if (type === 'SET_PCM_DATA') {
         this.setPCMData(data);
       } else if (type === 'PLAY') {
-        this.play();
+        this.play(data || 0);
+      } else if (type === 'SEEK') {
+        this.seek(data);
       } else if (type === 'STOP') {
         this.stop();
+      } else if (type === 'APPEND_PCM_CHUNK') {
+        this.appendChunk(data);
+      } else if (type === 'END_OF_STREAM') {
+        this.endStream();
+      } else if (type === 'CLEAR') {
+        this.reset();
+        this.port.postMessage({ type: 'STOPPED' });
       }
     };
   }
-  
-  setPCMData(base64Data) {
+
+  reset() {
+    this.chunks = [];
+    this.chunkIndex = 0; // Chunk currently being played
+    this.sampleIndex = 0; // Sample within that chunk
+    this.totalSamples = 0;
+    this.playedSamples = 0;
+    this.samplesSinceReport = 0;
+    this.streamEnded = false;
+    this.isPlaying = false;
+    this.isBuffering = false;
+    this.prebufferSamples = this.minPrebufferSamples;
+  }
+
+  toInt16(data) {
+    if (typeof data !== 'string') {
+      return new Int16Array(data);
+    }
+
+    // Decode base64 to binary
+    const binaryString = atob(data);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+      bytes[i] = binaryString.charCodeAt(i);
+    }
+    return new Int16Array(bytes.buffer);
+  }
+
+  setPCMData(data) {
     try {
-      // Decode base64 to binary
-      const binaryString = atob(base64Data);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-      
       // Convert to 16-bit signed integers (L16 format)
-      this.pcmBuffer = new Int16Array(bytes.buffer);
-      this.bufferIndex = 0;
-      
-      console.log('🎵 PCM data loaded:', this.pcmBuffer.length, 'samples');
-      this.port.postMessage({ type: 'READY', duration: this.pcmBuffer.length / this.sampleRate });
+      this.reset();
+      const pcm = this.toInt16(data);
+      this.chunks.push(pcm);
+      this.totalSamples = pcm.length;
+      this.streamEnded = true;
+
+      console.log('🎵 PCM data loaded:', this.totalSamples, 'samples');
+      this.port.postMessage({ type: 'READY', duration: this.totalSamples / this.sampleRate });
     } catch (error) {
       console.error('Error setting PCM data:', error);
       this.port.postMessage({ type: 'ERROR', error: error.message });
     }
   }
-  
-  play() {
+
+  appendChunk(data) {
+    try {
+      // Appending to a finished or stopped player starts a new stream
+      if (this.streamEnded || (!this.isPlaying && this.totalSamples > 0)) {
+        this.reset();
+      }
+
+      const pcm = this.toInt16(data);
+      if (pcm.length === 0) return;
+      this.chunks.push(pcm);
+      this.totalSamples += pcm.length;
+
+      if (!this.isPlaying) {
+        this.isPlaying = true;
+        this.isBuffering = true;
+        console.log('🎵 Starting streamed PCM playback');
+        this.port.postMessage({ type: 'PLAYING', streaming: true });
+      }
+    } catch (error) {
+      console.error('Error appending PCM chunk:', error);
+      this.port.postMessage({ type: 'ERROR', error: error.message });
+    }
+  }
+
+  endStream() {
+    this.streamEnded = true;
+    // Nothing was queued, or everything queued has already been played. Also when playback
+    // never started, so the player doesn't wait for audio that isn't coming.
+    if (this.playedSamples >= this.totalSamples) {
+      this.finish();
+    }
+  }
+
+  play(startSeconds = 0) {
+    this.seek(startSeconds);
+    this.samplesSinceReport = 0;
     this.isPlaying = true;
-    this.bufferIndex = 0;
+    this.isBuffering = false;
     console.log('🎵 Starting PCM playback');
-    this.port.postMessage({ type: 'PLAYING' });
+    this.port.postMessage({ type: 'PLAYING', streaming: false });
+  }
+
+  // Move the play position (e.g. to an episode chapter) within the queued audio
+  seek(seconds) {
+    let target = Math.max(0, Math.min(Math.round(seconds * this.sampleRate), this.totalSamples));
+    this.playedSamples = target;
+    this.chunkIndex = 0;
+    while (this.chunkIndex < this.chunks.length && target >= this.chunks[this.chunkIndex].length) {
+      target -= this.chunks[this.chunkIndex].length;
+      this.chunkIndex++;
+    }
+    this.sampleIndex = target;
+    this.postPosition();
   }
-  
+
   stop() {
     this.isPlaying = false;
-    this.bufferIndex = 0;
+    this.isBuffering = false;
+    this.chunkIndex = 0;
+    this.sampleIndex = 0;
+    this.playedSamples = 0;
     console.log('🎵 Stopping PCM playback');
     this.port.postMessage({ type: 'STOPPED' });
   }
-  
-  process(inputs, outputs, parameters) {
+
+  finish() {
+    this.isPlaying = false;
+    this.isBuffering = false;
+    this.postPosition();
+    this.port.postMessage({ type: 'ENDED' });
+  }
+
+  postPosition() {
+    this.samplesSinceReport = 0;
+    this.port.postMessage({
+      type: 'POSITION',
+      position: this.playedSamples / this.sampleRate,
+      buffered: this.totalSamples / this.sampleRate,
+      // Only known once the whole response has arrived
+      duration: this.streamEnded ? this.totalSamples / this.sampleRate : null,
+      buffering: this.isBuffering,
+    });
+  }
+
+  // Next sample, or null when every queued sample has been played
+  nextSample() {
+    while (this.chunkIndex < this.chunks.length) {
+      const chunk = this.chunks[this.chunkIndex];
+      if (this.sampleIndex < chunk.length) {
+        return chunk[this.sampleIndex++];
+      }
+      this.chunkIndex++;
+      this.sampleIndex = 0;
+    }
+    return null;
+  }
+
+  process(inputs, outputs) {
     const output = outputs[0];
-    
-    if (!this.isPlaying || !this.pcmBuffer || !output || !output[0]) {
+
+    if (!output || !output[0]) {
       return true;
     }
-    
+
     const outputChannel = output[0];
-    const bufferLength = outputChannel.length;
-    
+    outputChannel.fill(0);
+
+    if (!this.isPlaying) {
+      return true;
+    }
+
+    // Jitter buffer: hold playback until enough audio is queued (or the stream is complete)
+    if (this.isBuffering) {
+      const available = this.totalSamples - this.playedSamples;
+      if (!this.streamEnded && available < this.prebufferSamples) {
+        return true;
+      }
+      this.isBuffering = false;
+      this.postPosition();
+    }
+
     // Fill the output buffer with PCM data
-    for (let i = 0; i < bufferLength; i++) {
-      if (this.bufferIndex < this.pcmBuffer.length) {
-        // Convert 16-bit signed integer to float [-1, 1]
-        const sample = this.pcmBuffer[this.bufferIndex] / 32768.0;
-        outputChannel[i] = sample;
-        this.bufferIndex++;
-      } else {
-        // End of audio data
-        outputChannel[i] = 0;
-        if (this.isPlaying) {
-          this.isPlaying = false;
-          this.port.postMessage({ type: 'ENDED' });
+    for (let i = 0; i < outputChannel.length; i++) {
+      const sample = this.nextSample();
+
+      if (sample === null) {
+        if (this.streamEnded) {
+          // End of audio data
+          this.finish();
+        } else {
+          // Underrun: the stream is still coming but we ran out. Rebuffer with a
+          // larger cushion so a slow connection doesn't stutter on every chunk.
+          this.isBuffering = true;
+          this.prebufferSamples = Math.min(this.prebufferSamples * 2, this.maxPrebufferSamples);
+          this.port.postMessage({ type: 'UNDERRUN', position: this.playedSamples / this.sampleRate });
+          this.postPosition();
         }
+        break;
       }
+
+      // Convert 16-bit signed integer to float [-1, 1]
+      outputChannel[i] = sample / 32768.0;
+      this.playedSamples++;
+      this.samplesSinceReport++;
     }
-    
+
+    if (this.isPlaying && this.samplesSinceReport >= this.positionInterval) {
+      this.postPosition();
+    }
+
     // Copy to all output channels (mono to stereo)
     for (let channel = 1; channel < output.length; channel++) {
       output[channel].set(outputChannel);
     }
-    
+
     return true;
   }
 }
 
-registerProcessor('pcm-processor', PCMProcessor); 
\ No newline at end of file
+registerProcessor('pcm-processor', PCMProcessor);
@@ -27,6 +27,7 @@ import { Toaster } from './components/ui/toaster';
 import { useToast } from './hooks/use-toast';
 import { useAudioPlayer } from './hooks/useAudioPlayer';
 import { useRealtimeChats } from './hooks/useRealtimeChats';
+import { useVoiceSession } from './hooks/useVoiceSession';
 import ChatHeader from './components/ChatHeader';
 import MessageCarousel from './components/MessageCarousel';
 import ChatFooter from './components/ChatFooter';
@@ -57,9 +58,13 @@ function App() {
   const [textInput, setTextInput] = useState('');
   const [selectedLocations, setSelectedLocations] = useState([]);
   const [videoEnabled, setVideoEnabled] = useState(false);
+  const [episodeMode, setEpisodeMode] = useState(false);
   
   // Use the modern AudioWorklet-based audio player
-  const { playPCMAudio, downloadPCMAudio, stopAudio, isS3Key } = useAudioPlayer();
+  const { playPCMAudio, downloadPCMAudio, downloadS3Audio, stopAudio, isS3Key } = useAudioPlayer();
+  
+  // Full-duplex live voice conversation over WebSocket
+  const { isActive: isLiveVoice, status: liveVoiceStatus, start: startLiveVoice, stop: stopLiveVoice } = useVoiceSession();
   
   // Set up real-time chat subscriptions
   const { isSubscribed: isRealtimeConnected } = useRealtimeChats();
@@ -99,6 +104,10 @@ function App() {
     setVideoEnabled(prev => !prev);
   }, []);
 
+  const handleEpisodeToggle = useCallback(() => {
+    setEpisodeMode(prev => !prev);
+  }, []);
+
   // Load personas and initialize user profile on component mount
   useEffect(() => {
     // Load personas
@@ -118,7 +127,7 @@ function App() {
 
 
   // Define playAudio function with useCallback to prevent recreation on every render
-  const playAudio = useCallback(async (message) => {
+  const playAudio = useCallback(async (message, startAt = 0) => {
     console.log('🎵 Playing audio for message:', message.id);
     
     // Stop any currently playing audio
@@ -131,7 +140,7 @@ function App() {
         // Check if we already have cached audio data
         if (message.audioData) {
           console.log('🎵 Using cached audio data');
-          await playPCMAudio(message.audioData);
+          await playPCMAudio(message.audioData, message.id, startAt);
           console.log('✅ Cached audio playback completed');
         } else {
           // Determine if it's an S3 key or legacy URL
@@ -146,7 +155,7 @@ function App() {
             
             // Play the audio data directly from the dispatch result
             if (result.audioData) {
-              await playPCMAudio(result.audioData);
+              await playPCMAudio(result.audioData, message.id, startAt);
               console.log('✅ S3 audio playback completed');
             } else {
               console.warn('⚠️ No audio data returned from S3 fetch operation');
@@ -162,7 +171,7 @@ function App() {
             
             // Play the audio data directly from the dispatch result
             if (result.audioData) {
-              await playPCMAudio(result.audioData);
+              await playPCMAudio(result.audioData, message.id, startAt);
               console.log('✅ Legacy audio playback completed');
             } else {
               console.warn('⚠️ No audio data returned from legacy fetch operation');
@@ -246,6 +255,25 @@ function App() {
     }
   }, [isRecording, dispatch, stopAudio, selectedPersona, currentChatId, selectedLocations, videoEnabled]);
 
+  const handleLiveVoiceToggle = useCallback(async () => {
+    if (isLiveVoice) {
+      stopLiveVoice();
+      return;
+    }
+
+    try {
+      stopAudio();
+      await startLiveVoice({
+        persona: selectedPersona,
+        chatId: currentChatId,
+        locations: selectedLocations
+      });
+    } catch (error) {
+      console.error('Error starting live conversation:', error);
+      alert('Could not start live conversation. Please check microphone permissions.');
+    }
+  }, [isLiveVoice, stopLiveVoice, stopAudio, startLiveVoice, selectedPersona, currentChatId, selectedLocations]);
+
   const handleSendText = useCallback(async () => {
     if (!textInput.trim() || !selectedPersona || isProcessing) return;
     
@@ -266,9 +294,10 @@ function App() {
       personaId: selectedPersona.id,
       chatId: currentChatId,
       locations: selectedLocations,
-      videoEnabled: videoEnabled
+      videoEnabled: videoEnabled,
+      mode: episodeMode ? 'episode' : 'chat'
     }));
-      }, [textInput, selectedPersona, isProcessing, dispatch, currentChatId, selectedLocations, videoEnabled]);
+      }, [textInput, selectedPersona, isProcessing, dispatch, currentChatId, selectedLocations, videoEnabled, episodeMode]);
 
   const handleKeyPress = useCallback((e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -284,40 +313,24 @@ function App() {
       if (message.audioUrl) {
         console.log('💾 Processing audio for download:', message.id, 'URL:', message.audioUrl);
         
-        // Check if we already have cached audio data
-        if (message.audioData) {
-          console.log('💾 Using cached audio data for download');
-          
-          // Generate filename with timestamp and persona
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          const persona = message.persona || 'unknown';
-          const filename = `audio-${persona}-${timestamp}.wav`;
-          
-          await downloadPCMAudio(message.audioData, filename);
-          console.log('✅ Cached audio download completed');
+        // Generate filename with timestamp and persona
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const persona = message.persona || 'unknown';
+        
+        // Stored audio is transcoded by the server, so the file plays anywhere
+        if (isS3Key(message.audioUrl)) {
+          console.log('🔗 S3 key detected, downloading transcoded audio...');
+          await downloadS3Audio(message.audioUrl, `audio-${persona}-${timestamp}`);
+          console.log('✅ S3 audio download completed');
         } else {
-          // Determine if it's an S3 key or legacy URL
-          if (isS3Key(message.audioUrl)) {
-            console.log('🔗 S3 key detected, fetching via signed URL...');
+          // Check if we already have cached audio data
+          if (message.audioData) {
+            console.log('💾 Using cached audio data for download');
             
-            // Fetch audio data from S3 key
-            const result = await dispatch(fetchAudioFromS3Key({ 
-              messageId: message.id, 
-              s3Key: message.audioUrl 
-            })).unwrap();
+            const filename = `audio-${persona}-${timestamp}.wav`;
             
-            // Download the audio data directly from the dispatch result
-            if (result.audioData) {
-              // Generate filename with timestamp and persona
-              const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-              const persona = message.persona || 'unknown';
-              const filename = `audio-${persona}-${timestamp}.wav`;
-              
-              await downloadPCMAudio(result.audioData, filename);
-              console.log('✅ S3 audio download completed');
-            } else {
-              console.warn('⚠️ No audio data returned from S3 fetch operation');
-            }
+            await downloadPCMAudio(message.audioData, filename);
+            console.log('✅ Cached audio download completed');
           } else {
             console.log('🌐 Legacy URL detected, fetching directly...');
             
@@ -329,9 +342,6 @@ function App() {
             
             // Download the audio data directly from the dispatch result
             if (result.audioData) {
-              // Generate filename with timestamp and persona
-              const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-              const persona = message.persona || 'unknown';
               const filename = `audio-${persona}-${timestamp}.wav`;
               
               await downloadPCMAudio(result.audioData, filename);
@@ -347,7 +357,7 @@ function App() {
     } catch (error) {
       console.error('❌ Audio download failed:', error);
     }
-  }, [dispatch, fetchAudioFromS3Key, fetchAudioFromUrl, isS3Key, downloadPCMAudio]);
+  }, [dispatch, fetchAudioFromUrl, isS3Key, downloadPCMAudio, downloadS3Audio]);
 
   return (
     <div className="flex h-screen h-screen-mobile bg-background overflow-hidden">
@@ -396,6 +406,11 @@ function App() {
           hasMessages={hasMessages}
           videoEnabled={videoEnabled}
           onVideoToggle={handleVideoToggle}
+          episodeMode={episodeMode}
+          onEpisodeToggle={handleEpisodeToggle}
+          isLiveVoice={isLiveVoice}
+          liveVoiceStatus={liveVoiceStatus}
+          onLiveVoiceToggle={handleLiveVoiceToggle}
         />
       </div>
       
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { useAppSelector, useAppDispatch } from '../store/hooks';
+import { loadBriefing, saveBriefing, loadPodcastFeed, rotatePodcastFeed } from '../store/slices/profileSlice';
+import { selectBriefing, selectIsSavingBriefing, selectPodcastFeedUrl, selectSelectedPersona } from '../store/selectors';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import LocationSelector from './LocationSelector';
+import { IconNews, IconDeviceFloppy, IconClock, IconRss, IconCopy, IconRefresh } from "@tabler/icons-react";
+import { useToast } from "@/hooks/use-toast";
+
+// The browser's timezone, so the briefing arrives at the user's local time
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const BriefingSettings = () => {
+  const dispatch = useAppDispatch();
+  const { toast } = useToast();
+  const briefing = useAppSelector(selectBriefing);
+  const isSaving = useAppSelector(selectIsSavingBriefing);
+  const selectedPersona = useAppSelector(selectSelectedPersona);
+  const podcastFeedUrl = useAppSelector(selectPodcastFeedUrl);
+
+  const [enabled, setEnabled] = useState(false);
+  const [time, setTime] = useState('07:00');
+  const [locations, setLocations] = useState([]);
+
+  // Load the saved schedule and podcast feed once
+  useEffect(() => {
+    dispatch(loadBriefing());
+    dispatch(loadPodcastFeed());
+  }, [dispatch]);
+
+  // Update local state when the saved schedule changes
+  useEffect(() => {
+    if (briefing) {
+      setEnabled(briefing.enabled);
+      setTime(briefing.time);
+      setLocations(briefing.locations);
+    }
+  }, [briefing]);
+
+  const handleSave = async () => {
+    try {
+      await dispatch(saveBriefing({
+        enabled,
+        time,
+        timezone: browserTimezone,
+        locations,
+        personaId: selectedPersona?.id || null
+      })).unwrap();
+
+      toast({
+        title: enabled ? "Briefing scheduled" : "Briefing turned off",
+        description: enabled
+          ? `${selectedPersona?.name || 'Your anchor'} will have your news ready at ${time} every day`
+          : "No more daily briefings will be generated",
+      });
+    } catch (error) {
+      console.error('Failed to save briefing:', error);
+      toast({
+        title: "Save failed",
+        description: error.message || error || "Failed to save briefing",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleCopyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(podcastFeedUrl);
+      toast({
+        title: "Feed link copied",
+        description: "Add it to your podcast app as a feed by URL",
+      });
+    } catch (error) {
+      console.error('Failed to copy feed link:', error);
+    }
+  };
+
+  const handleResetFeed = async () => {
+    if (!window.confirm('Reset your podcast feed link? Podcast apps using the current link will stop updating.')) return;
+
+    try {
+      await dispatch(rotatePodcastFeed()).unwrap();
+      toast({
+        title: "Feed link reset",
+        description: "The old link no longer works",
+      });
+    } catch (error) {
+      console.error('Failed to reset feed link:', error);
+      toast({
+        title: "Reset failed",
+        description: error.message || error || "Failed to reset feed link",
+        variant: "destructive"
+      });
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <IconNews className="w-5 h-5" />
+          Daily Briefing
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Get a news episode for your locations, read by your selected anchor, waiting at the top of your chats every day.
+        </p>
+
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => setEnabled(e.target.checked)}
+          />
+          Generate a daily briefing
+        </label>
+
+        <div>
+          <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            Time
+          </label>
+          <Input
+            type="time"
+            value={time}
+            onChange={(e) => setTime(e.target.value)}
+            disabled={!enabled}
+            className="mt-1 w-32"
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            In your timezone ({browserTimezone})
+          </p>
+        </div>
+
+        <div>
+          <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            Locations
+          </label>
+          <LocationSelector
+            selectedLocations={locations}
+            onLocationChange={setLocations}
+            disabled={!enabled}
+            className="mt-1"
+          />
+        </div>
+
+        {enabled && briefing?.nextRunAt && (
+          <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+            <IconClock className="w-4 h-4" />
+            Next briefing: {new Date(briefing.nextRunAt).toLocaleString()}
+          </div>
+        )}
+
+        <Button
+          onClick={handleSave}
+          disabled={isSaving || (enabled && locations.length === 0)}
+          className="flex items-center gap-2"
+        >
+          <IconDeviceFloppy className="w-4 h-4" />
+          {isSaving ? 'Saving...' : 'Save Briefing'}
+        </Button>
+
+        {podcastFeedUrl && (
+          <div className="pt-4 border-t">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+              <IconRss className="w-4 h-4" />
+              Podcast feed
+            </label>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Follow your briefings in any podcast app. This link is private; anyone who has it can listen.
+            </p>
+            <div className="mt-2 flex items-center gap-2">
+              <Input value={podcastFeedUrl} readOnly className="flex-1 text-xs" onFocus={(e) => e.target.select()} />
+              <Button size="sm" variant="outline" onClick={handleCopyFeed} title="Copy feed link">
+                <IconCopy className="w-4 h-4" />
+              </Button>
+              <Button size="sm" variant="outline" onClick={handleResetFeed} title="Reset feed link">
+                <IconRefresh className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BriefingSettings;
@@ -10,7 +10,10 @@ import {
   IconNews,
   IconMapPin,
   IconVideo,
-  IconVideoOff
+  IconVideoOff,
+  IconHeadset,
+  IconHeadsetOff,
+  IconPlaylist
 } from "@tabler/icons-react";
 import { API_BASE_URL } from '../config/api';
 
@@ -29,7 +32,12 @@ const ChatFooter = React.memo(({
   onLocationChange,
   hasMessages = false,
   videoEnabled = false,
-  onVideoToggle
+  onVideoToggle,
+  episodeMode = false,
+  onEpisodeToggle,
+  isLiveVoice = false,
+  liveVoiceStatus = 'idle',
+  onLiveVoiceToggle
 }) => {
   const [availableLocations, setAvailableLocations] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -69,6 +77,13 @@ const ChatFooter = React.memo(({
     fetchLocations();
   }, []);
 
+  const liveVoiceLabels = {
+    connecting: 'Connecting...',
+    listening: 'Listening...',
+    thinking: 'Thinking...',
+    speaking: 'Speaking - talk to interrupt',
+  };
+
   // Format location name for display
   const formatLocationName = (location) => {
     return location
@@ -201,6 +216,24 @@ const ChatFooter = React.memo(({
                     {videoEnabled ? "Videos will be generated" : "Audio only"}
                   </span>
                 </div>
+
+                {/* Episode toggle */}
+                <div className="flex items-center justify-center gap-2">
+                  <Button
+                    onClick={onEpisodeToggle}
+                    disabled={inputDisabled}
+                    size="sm"
+                    variant={episodeMode ? "default" : "outline"}
+                    className="h-8 px-3"
+                    title={episodeMode ? "Switch to a quick reply" : "Switch to a full episode"}
+                  >
+                    <IconPlaylist className="w-4 h-4 mr-2" />
+                    {episodeMode ? "Episode ON" : "Episode OFF"}
+                  </Button>
+                  <span className="text-xs text-muted-foreground">
+                    {episodeMode ? "Intro, top stories and outro with chapters" : "Quick reply"}
+                  </span>
+                </div>
                 
                 {/* Alternative input row (disabled state) */}
                 <div className="flex items-center gap-2 opacity-60">
@@ -249,7 +282,7 @@ const ChatFooter = React.memo(({
           <div className="flex items-center gap-2">
             <Button
               onClick={onRecord}
-              disabled={recordingDisabled}
+              disabled={recordingDisabled || isLiveVoice}
               size="lg"
               variant={isRecording ? "destructive" : "outline"}
               className="h-10 w-10 p-0"
@@ -261,6 +294,21 @@ const ChatFooter = React.memo(({
               )}
             </Button>
             
+            <Button
+              onClick={onLiveVoiceToggle}
+              disabled={!selectedPersona || (isProcessing && !isLiveVoice)}
+              size="lg"
+              variant={isLiveVoice ? "destructive" : "outline"}
+              className="h-10 w-10 p-0"
+              title={isLiveVoice ? "End live conversation" : "Start live conversation"}
+            >
+              {isLiveVoice ? (
+                <IconHeadsetOff className="w-4 h-4" />
+              ) : (
+                <IconHeadset className="w-4 h-4" />
+              )}
+            </Button>
+            
             <Button
               onClick={onVideoToggle}
               disabled={inputDisabled}
@@ -282,18 +330,32 @@ const ChatFooter = React.memo(({
               )}
             </Button>
             
+            <Button
+              onClick={onEpisodeToggle}
+              disabled={inputDisabled}
+              size="lg"
+              variant={episodeMode ? "default" : "outline"}
+              className="h-8 px-3"
+              title={episodeMode ? "Switch to a quick reply" : "Switch to a full episode"}
+            >
+              <IconPlaylist className="w-4 h-4 mr-1" />
+              Episode
+            </Button>
+            
             <Input
-              value={textInput}
+              value={isLiveVoice ? '' : textInput}
               onChange={onTextInputChange}
               onKeyPress={onKeyPress}
-              placeholder={selectedPersona ? `Message ${selectedPersona.name}...` : "Select a news anchor to start chatting..."}
-              disabled={inputDisabled}
+              placeholder={isLiveVoice
+                ? liveVoiceLabels[liveVoiceStatus] || 'Live conversation'
+                : selectedPersona ? `Message ${selectedPersona.name}...` : "Select a news anchor to start chatting..."}
+              disabled={inputDisabled || isLiveVoice}
               className="flex-1"
             />
             
             <Button
               onClick={onSendText}
-              disabled={inputDisabled || !textInput.trim()}
+              disabled={inputDisabled || isLiveVoice || !textInput.trim()}
               size="lg"
               className="h-10 w-10 p-0"
             >
@@ -22,7 +22,8 @@ import {
   IconTrash, 
   IconPlus, 
   IconClock,
-  IconLoader
+  IconLoader,
+  IconNews
 } from "@tabler/icons-react";
 
 const ChatHistory = React.memo(({ onChatAction }) => {
@@ -101,8 +102,14 @@ const ChatHistory = React.memo(({ onChatAction }) => {
   }, [dispatch, stopAudio, onChatAction]);
 
   // Memoized chat list to prevent unnecessary re-renders
+  // The latest scheduled briefing is pinned to the top; older ones sort like any chat
   const sortedChatHistory = React.useMemo(() => {
-    return [...chatHistory].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    const sorted = [...chatHistory].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    const latestBriefing = chatHistory
+      .filter(chat => chat.type === 'briefing')
+      .reduce((latest, chat) => (!latest || new Date(chat.created_at) > new Date(latest.created_at) ? chat : latest), null);
+
+    return latestBriefing ? [latestBriefing, ...sorted.filter(chat => chat !== latestBriefing)] : sorted;
   }, [chatHistory]);
 
   const formatDate = useCallback((dateString) => {
@@ -190,7 +197,10 @@ const ChatHistory = React.memo(({ onChatAction }) => {
                     <CardContent className="p-3" onClick={() => handleLoadChat(chat.id)}>
                       <div className="flex items-start justify-between gap-2">
                         <div className="flex-1 min-w-0">
-                          <h3 className="font-medium text-xs truncate">{chat.title}</h3>
+                          <h3 className="font-medium text-xs truncate flex items-center gap-1">
+                            {chat.type === 'briefing' && <IconNews className="w-3 h-3 flex-shrink-0 text-blue-500" />}
+                            <span className="truncate">{chat.title}</span>
+                          </h3>
                           <div className="flex items-center gap-2 mt-1">
                             <IconClock className="w-3 h-3 text-muted-foreground" />
                             <span className="text-xs text-muted-foreground">
@@ -12,6 +12,15 @@ import {
   IconPlayerPlay,
   IconPlayerPause
 } from "@tabler/icons-react";
+import VideoJobProgress from './VideoJobProgress';
+import { resolveMediaUrl } from '../config/api';
+
+// Why a message has no video
+const VIDEO_STATUS_LABELS = {
+  failed: 'Video could not be generated',
+  cancelled: 'Video cancelled',
+  expired: 'Video deleted after its retention period'
+};
 
 const ChatMessages = React.memo(forwardRef(({ messages, selectedPersona, currentChatId, playAudio, downloadAudio }, ref) => {
   
@@ -21,7 +30,7 @@ const ChatMessages = React.memo(forwardRef(({ messages, selectedPersona, current
     
     try {
       console.log('📹 Downloading video for message:', message.id);
-      const response = await fetch(message.videoUrl);
+      const response = await fetch(resolveMediaUrl(message.videoUrl));
       const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
@@ -87,7 +96,7 @@ const ChatMessages = React.memo(forwardRef(({ messages, selectedPersona, current
                         onEnded={handleVideoEnded}
                         controls
                       >
-                        <source src={message.videoUrl} type="video/mp4" />
+                        <source src={resolveMediaUrl(message.videoUrl)} type="video/mp4" />
                         Your browser does not support the video tag.
                       </video>
                       <div className="flex items-center gap-2 mt-2">
@@ -188,6 +197,15 @@ const ChatMessages = React.memo(forwardRef(({ messages, selectedPersona, current
                             </>
                           )}
                         </div>
+
+                        {/* Video still being generated */}
+                        {message.type === 'bot' && <VideoJobProgress message={message} className="mt-2" />}
+                        {VIDEO_STATUS_LABELS[message.videoStatus] && (
+                          <div className="flex items-center gap-1 mt-2 text-xs opacity-75">
+                            <IconVideo className="w-3 h-3" />
+                            <span>{VIDEO_STATUS_LABELS[message.videoStatus]}</span>
+                          </div>
+                        )}
                       </div>
                       <div className="text-2xs text-muted-foreground mt-1 px-2">
                         {message.timestamp}
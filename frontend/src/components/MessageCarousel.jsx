@@ -8,8 +8,19 @@ import {
   IconVideo,
   IconPlayerPlay,
   IconPlayerPause,
+  IconPlayerSkipBack,
+  IconPlayerSkipForward,
   IconMicrophone
 } from "@tabler/icons-react";
+import { useAudioPlayer, usePlaybackState } from '../hooks/useAudioPlayer';
+import VideoJobProgress from './VideoJobProgress';
+import { resolveMediaUrl } from '../config/api';
+
+// Format seconds as m:ss for the audio progress bar
+const formatTime = (seconds) => {
+  const whole = Math.floor(seconds || 0);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
 
 const MessageCarousel = React.memo(({ 
   messages, 
@@ -22,6 +33,8 @@ const MessageCarousel = React.memo(({
   const [currentIndex, setCurrentIndex] = useState(0);
   const videoRef = useRef(null);
   const [isVideoPlaying, setIsVideoPlaying] = useState(false);
+  const playback = usePlaybackState();
+  const { seekAudio } = useAudioPlayer();
 
   // Get current message
   const currentMessage = useMemo(() => {
@@ -29,6 +42,40 @@ const MessageCarousel = React.memo(({
     return messages[currentIndex] || null;
   }, [messages, currentIndex]);
 
+  // Audio progress for the message on screen (position comes from the PCM worklet)
+  const audioProgress = useMemo(() => {
+    if (!currentMessage || playback.id !== currentMessage.id) return null;
+    if (!playback.isPlaying && playback.position === 0) return null;
+
+    // While a response is still streaming in, the total length isn't known yet
+    const total = playback.duration ?? playback.buffered;
+    return {
+      position: playback.position,
+      total,
+      percent: total > 0 ? Math.min(100, (playback.position / total) * 100) : 0,
+      isBuffering: playback.isBuffering,
+    };
+  }, [currentMessage, playback]);
+
+  // Episode chapter being heard (-1 when the episode on screen isn't playing)
+  const activeChapter = useMemo(() => {
+    const chapters = currentMessage?.chapters;
+    if (!chapters || playback.id !== currentMessage.id || !playback.isPlaying) return -1;
+    return chapters.findLastIndex(chapter => chapter.startMs / 1000 <= playback.position);
+  }, [currentMessage, playback]);
+
+  // Jump to an episode chapter, starting playback from there if it isn't playing yet
+  const goToChapter = useCallback((index) => {
+    const chapter = currentMessage?.chapters?.[index];
+    if (!chapter) return;
+
+    if (activeChapter === -1) {
+      playAudio(currentMessage, chapter.startMs / 1000);
+    } else {
+      seekAudio(chapter.startMs / 1000);
+    }
+  }, [currentMessage, activeChapter, playAudio, seekAudio]);
+
   // Navigation handlers
   const goToPrevious = useCallback(() => {
     setCurrentIndex(prev => Math.max(0, prev - 1));
@@ -78,7 +125,7 @@ const MessageCarousel = React.memo(({
     
     try {
       console.log('📹 Downloading video for message:', message.id);
-      const response = await fetch(message.videoUrl);
+      const response = await fetch(resolveMediaUrl(message.videoUrl));
       const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
@@ -227,7 +274,7 @@ const MessageCarousel = React.memo(({
                   height: '100%'
                 }}
               >
-                <source src={currentMessage.videoUrl} type="video/mp4" />
+                <source src={resolveMediaUrl(currentMessage.videoUrl)} type="video/mp4" />
                 Your browser does not support the video tag.
               </video>
               
@@ -287,7 +334,37 @@ const MessageCarousel = React.memo(({
                   </div>
                   <div className="flex-1 text-left">
                     <p className="text-sm leading-relaxed mb-2">{currentMessage.content}</p>
-                    
+
+                    {currentMessage.isStreaming && (
+                      <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                        <div className="w-2 h-2 bg-current animate-pulse rounded-full" />
+                        {currentMessage.content ? 'Preparing audio...' : 'Thinking...'}
+                      </div>
+                    )}
+
+                    <VideoJobProgress message={currentMessage} />
+
+                    {currentMessage.videoStatus === 'failed' && (
+                      <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                        <IconVideo className="w-3 h-3" />
+                        Video could not be generated
+                      </div>
+                    )}
+
+                    {currentMessage.videoStatus === 'cancelled' && (
+                      <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                        <IconVideo className="w-3 h-3" />
+                        Video cancelled
+                      </div>
+                    )}
+
+                    {currentMessage.videoStatus === 'expired' && (
+                      <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                        <IconVideo className="w-3 h-3" />
+                        Video deleted after its retention period
+                      </div>
+                    )}
+
                     {/* Audio Controls */}
                     {currentMessage.audioUrl && (
                       <div className="flex items-center gap-2 pt-2 border-t">
@@ -311,6 +388,68 @@ const MessageCarousel = React.memo(({
                         </Button>
                       </div>
                     )}
+
+                    {/* Episode chapters */}
+                    {currentMessage.chapters?.length > 0 && (
+                      <div className="pt-2 space-y-1">
+                        <div className="flex items-center gap-1">
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => goToChapter(Math.max(0, activeChapter - 1))}
+                            disabled={activeChapter <= 0}
+                            className="h-7 w-7 p-0"
+                            title="Previous segment"
+                          >
+                            <IconPlayerSkipBack className="w-3 h-3" />
+                          </Button>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => goToChapter(activeChapter + 1)}
+                            disabled={activeChapter >= currentMessage.chapters.length - 1}
+                            className="h-7 w-7 p-0"
+                            title="Next segment"
+                          >
+                            <IconPlayerSkipForward className="w-3 h-3" />
+                          </Button>
+                          <span className="text-xs text-muted-foreground">
+                            {currentMessage.chapters.length} segments
+                          </span>
+                        </div>
+                        <ol className="space-y-0.5">
+                          {currentMessage.chapters.map((chapter, index) => (
+                            <li key={`${chapter.kind}-${chapter.startMs}`}>
+                              <button
+                                type="button"
+                                onClick={() => goToChapter(index)}
+                                className={`flex w-full items-center gap-2 rounded px-2 py-0.5 text-left text-xs hover:bg-white/10 ${
+                                  index === activeChapter ? 'bg-white/10 font-medium' : 'text-muted-foreground'
+                                }`}
+                              >
+                                <span className="tabular-nums">{formatTime(chapter.startMs / 1000)}</span>
+                                <span className="truncate">{chapter.title}</span>
+                              </button>
+                            </li>
+                          ))}
+                        </ol>
+                      </div>
+                    )}
+
+                    {audioProgress && (
+                      <div className="flex items-center gap-2 pt-2 text-xs text-muted-foreground">
+                        <span>{formatTime(audioProgress.position)}</span>
+                        <div className="flex-1 h-1 bg-white/20 rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-gradient-to-r from-purple-500 to-blue-500 transition-[width] duration-100"
+                            style={{ width: `${audioProgress.percent}%` }}
+                          />
+                        </div>
+                        <span>
+                          {audioProgress.isBuffering ? 'Buffering...' : formatTime(audioProgress.total)}
+                        </span>
+                      </div>
+                    )}
                     
                     <div className="text-xs text-muted-foreground mt-2">
                       {currentMessage.timestamp}
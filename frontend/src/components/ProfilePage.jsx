@@ -36,6 +36,7 @@ import {
   IconMail
 } from "@tabler/icons-react";
 import { useToast } from "@/hooks/use-toast";
+import BriefingSettings from './BriefingSettings';
 
 const ProfilePage = ({ onClose }) => {
   const dispatch = useAppDispatch();
@@ -163,8 +164,9 @@ const ProfilePage = ({ onClose }) => {
           )}
           
           <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-            <TabsList className="grid w-full grid-cols-2">
+            <TabsList className="grid w-full grid-cols-3">
               <TabsTrigger value="profile">Profile</TabsTrigger>
+              <TabsTrigger value="briefing">Briefing</TabsTrigger>
               <TabsTrigger value="account">Account</TabsTrigger>
             </TabsList>
             
@@ -253,6 +255,10 @@ const ProfilePage = ({ onClose }) => {
               </Card>
             </TabsContent>
             
+            <TabsContent value="briefing" className="space-y-4">
+              <BriefingSettings />
+            </TabsContent>
+            
             <TabsContent value="account" className="space-y-4">
               <Card>
                 <CardHeader>
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Button } from "@/components/ui/button";
+import { IconVideo, IconX } from "@tabler/icons-react";
+import { useVideoJobProgress } from '../hooks/useVideoJobProgress';
+
+// Label for a video job's progress stage (see GET /api/jobs/:jobId)
+const describeProgress = (progress) => {
+  const ahead = progress?.queuePosition > 0 ? ` (${progress.queuePosition} ahead)` : '';
+
+  switch (progress?.stage) {
+    case 'waiting':
+      return `Waiting for a render slot${ahead}`;
+    case 'uploading':
+      return 'Preparing video...';
+    case 'queued':
+      return `Waiting for the GPU${ahead}`;
+    case 'rendering':
+      return 'Rendering video';
+    case 'saving':
+      return 'Saving video...';
+    default:
+      return 'Generating video...';
+  }
+};
+
+const formatEta = (seconds) => (
+  seconds >= 60 ? `about ${Math.round(seconds / 60)} min left` : `about ${Math.max(1, seconds)}s left`
+);
+
+// Progress and a cancel button for a message whose video is still being generated
+const VideoJobProgress = React.memo(({ message, className = '' }) => {
+  const { isPending, progress, cancel, isCancelling } = useVideoJobProgress(message);
+
+  if (!isPending) return null;
+
+  const percent = progress?.stage === 'rendering' && progress.max > 0
+    ? Math.round((progress.value / progress.max) * 100)
+    : null;
+
+  return (
+    <div className={`flex items-center gap-2 text-xs text-muted-foreground ${className}`}>
+      <IconVideo className="w-3 h-3 animate-pulse shrink-0" />
+      <span className="shrink-0">
+        {describeProgress(progress)}
+        {percent !== null && ` ${percent}%`}
+      </span>
+
+      {percent !== null && (
+        <div className="flex-1 min-w-12 h-1 bg-white/20 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-gradient-to-r from-purple-500 to-blue-500 transition-[width] duration-300"
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+
+      {progress?.etaSeconds != null && (
+        <span className="shrink-0">{formatEta(progress.etaSeconds)}</span>
+      )}
+
+      <Button
+        size="sm"
+        variant="ghost"
+        className="h-6 w-6 p-0 hover:bg-white/20 shrink-0 ml-auto"
+        onClick={cancel}
+        disabled={isCancelling}
+        type="button"
+        title="Cancel video"
+      >
+        <IconX className="w-3 h-3" />
+      </Button>
+    </div>
+  );
+});
+
+VideoJobProgress.displayName = 'VideoJobProgress';
+
+export default VideoJobProgress;
@@ -12,6 +12,7 @@ import {
   IconPlayerPlay,
   IconPlayerPause,
 } from "@tabler/icons-react";
+import { resolveMediaUrl } from '../config/api';
 
 // Individual message component that's memoized for performance
 const MessageItem = React.memo(({ index, style, data }) => {
@@ -41,7 +42,7 @@ const MessageItem = React.memo(({ index, style, data }) => {
     
     try {
       console.log('📹 Downloading video for message:', message.id);
-      const response = await fetch(message.videoUrl);
+      const response = await fetch(resolveMediaUrl(message.videoUrl));
       const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
@@ -99,7 +100,7 @@ const MessageItem = React.memo(({ index, style, data }) => {
                   onEnded={handleVideoEnded}
                   controls
                 >
-                  <source src={message.videoUrl} type="video/mp4" />
+                  <source src={resolveMediaUrl(message.videoUrl)} type="video/mp4" />
                   Your browser does not support the video tag.
                 </video>
                 <div className="flex items-center gap-2 mt-2">
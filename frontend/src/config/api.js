@@ -12,6 +12,19 @@ const getApiBaseUrl = () => {
 
 export const API_BASE_URL = getApiBaseUrl();
 
+// Media URL for an element's src: app-served paths (e.g. /api/video/...) go to the API server,
+// absolute URLs (signed S3 URLs) are used as they are
+export const resolveMediaUrl = (url) => (url && url.startsWith('/') ? `${API_BASE_URL}${url}` : url);
+
+// WebSocket URL for a server path (same host as the API)
+export const getWebSocketUrl = (path) => {
+  if (API_BASE_URL) {
+    return `${API_BASE_URL.replace(/^http/, 'ws')}${path}`;
+  }
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}${path}`;
+};
+
 // Supabase configuration
 export const SUPABASE_CONFIG = {
   url: import.meta.env.VITE_SUPABASE_URL,
@@ -1,8 +1,14 @@
-import { useRef, useCallback } from 'react';
+import { useCallback, useSyncExternalStore } from 'react';
 import { API_BASE_URL } from '../config/api';
+import { pcmPlayer } from '../lib/pcmPlayer';
+import { authFetch } from '../lib/supabase';
+
+// Playback position/buffering of the shared PCM player, for progress bars.
+// Kept out of useAudioPlayer so components that only control playback don't
+// re-render on every position update.
+export const usePlaybackState = () => useSyncExternalStore(pcmPlayer.subscribe, pcmPlayer.getState);
 
 export const useAudioPlayer = () => {
-  const currentAudioRef = useRef(null);
 
   // Convert Base64 to ArrayBuffer
   const base64ToArrayBuffer = useCallback((base64) => {
@@ -62,6 +68,20 @@ export const useAudioPlayer = () => {
     return new Blob([wavBuffer], { type: 'audio/wav' });
   }, [createWAVHeader]);
 
+  // Save a blob through a temporary download link
+  const saveBlob = useCallback((blob, filename) => {
+    const downloadURL = URL.createObjectURL(blob);
+    const downloadLink = document.createElement('a');
+    downloadLink.href = downloadURL;
+    downloadLink.download = filename;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+    
+    // Clean up the object URL
+    URL.revokeObjectURL(downloadURL);
+  }, []);
+
   // Download PCM audio data as WAV file
   const downloadPCMAudio = useCallback(async (base64PCMData, filename = 'audio.wav') => {
     try {
@@ -70,93 +90,69 @@ export const useAudioPlayer = () => {
       
       // Create WAV blob (24kHz, mono, 16-bit as per GenAI specs)
       const wavBlob = createWAVBlob(pcmData, 24000, 1, 16);
-      
-      // Create download link and trigger download
-      const downloadURL = URL.createObjectURL(wavBlob);
-      const downloadLink = document.createElement('a');
-      downloadLink.href = downloadURL;
-      downloadLink.download = filename;
-      document.body.appendChild(downloadLink);
-      downloadLink.click();
-      document.body.removeChild(downloadLink);
-      
-      // Clean up the object URL
-      URL.revokeObjectURL(downloadURL);
+      saveBlob(wavBlob, filename);
       
       console.log('💾 Audio download completed:', filename);
     } catch (error) {
       console.error('Error downloading PCM audio:', error);
       throw error;
     }
-  }, [base64ToArrayBuffer, createWAVBlob]);
+  }, [base64ToArrayBuffer, createWAVBlob, saveBlob]);
 
-  // Play PCM audio data
-  const playPCMAudio = useCallback(async (base64PCMData) => {
+  // Play PCM audio data through the AudioWorklet player, optionally from startAt seconds
+  const playPCMAudio = useCallback(async (base64PCMData, id = null, startAt = 0) => {
     try {
-      // Stop any currently playing audio
-      if (currentAudioRef.current) {
-        currentAudioRef.current.pause();
-        currentAudioRef.current = null;
-      }
-
-      // Convert base64 PCM to ArrayBuffer
+      // Convert base64 PCM to ArrayBuffer (24kHz, mono, 16-bit as per GenAI specs)
       const pcmData = base64ToArrayBuffer(base64PCMData);
-      
-      // Create WAV blob (24kHz, mono, 16-bit as per GenAI specs)
-      const wavBlob = createWAVBlob(pcmData, 24000, 1, 16);
-      
-      // Create audio URL and play
-      const audioURL = URL.createObjectURL(wavBlob);
-      const audio = new Audio(audioURL);
-      
-      currentAudioRef.current = audio;
-      
-      return new Promise((resolve, reject) => {
-        audio.onended = () => {
-          URL.revokeObjectURL(audioURL);
-          currentAudioRef.current = null;
-          console.log('🎵 PCM audio playback completed');
-          resolve();
-        };
-        
-        audio.onerror = (error) => {
-          URL.revokeObjectURL(audioURL);
-          currentAudioRef.current = null;
-          console.error('🎵 PCM audio error:', error);
-          reject(new Error('Audio playback failed'));
-        };
-        
-        audio.onloadstart = () => {
-          console.log('🎵 PCM audio ready, starting playback');
-        };
-        
-        audio.onplay = () => {
-          console.log('🎵 PCM audio started playing');
-        };
-        
-        audio.play().catch(reject);
-      });
+      console.log('🎵 PCM audio ready, starting playback');
+      await pcmPlayer.play(pcmData, id, startAt);
     } catch (error) {
       console.error('Error playing PCM audio:', error);
       throw error;
     }
-  }, [base64ToArrayBuffer, createWAVBlob]);
+  }, [base64ToArrayBuffer]);
+
+  // Start playing a response while it is still being synthesized.
+  // Feed it with appendPCMChunk(ArrayBuffer) and finish with endPCMStream().
+  const startPCMStream = useCallback((id = null) => pcmPlayer.startStream(id), []);
+
+  const appendPCMChunk = useCallback((chunk) => {
+    pcmPlayer.appendChunk(chunk);
+  }, []);
+
+  const endPCMStream = useCallback(() => {
+    pcmPlayer.endStream();
+  }, []);
+
+  // Drop a streamed response, e.g. when the user barges in
+  const stopPCMStream = useCallback(() => {
+    if (pcmPlayer.getState().isStreaming) {
+      pcmPlayer.stop();
+    }
+  }, []);
 
-  // Stop current audio playback
+  // Stop current message playback. Live streams are left alone: they are owned by
+  // whoever started them and shouldn't stop just because the message list changed.
   const stopAudio = useCallback(() => {
-    if (currentAudioRef.current) {
-      currentAudioRef.current.pause();
-      currentAudioRef.current = null;
+    const { isPlaying, isStreaming } = pcmPlayer.getState();
+    if (isStreaming) return;
+    if (isPlaying) {
       console.log('🎵 Audio playback stopped');
     }
+    pcmPlayer.stop();
+  }, []);
+
+  // Jump within the message that is playing (e.g. to an episode chapter)
+  const seekAudio = useCallback((seconds) => {
+    pcmPlayer.seek(seconds);
   }, []);
 
-  // Get signed URL from S3 key
-  const getSignedUrlFromS3Key = useCallback(async (s3Key) => {
+  // Get signed URL from S3 key, optionally for a copy transcoded by the server (wav, mp3, opus)
+  const getSignedUrlFromS3Key = useCallback(async (s3Key, format = 'pcm') => {
     try {
-      console.log('🔗 Requesting signed URL for S3 key:', s3Key);
+      console.log('🔗 Requesting signed URL for S3 key:', s3Key, 'format:', format);
       
-      const response = await fetch(`${API_BASE_URL}/api/audio/sign/${encodeURIComponent(s3Key)}`);
+      const response = await authFetch(`${API_BASE_URL}/api/audio/sign/${encodeURIComponent(s3Key)}?format=${format}`);
       
       if (!response.ok) {
         throw new Error(`Failed to get signed URL: ${response.status}`);
@@ -172,6 +168,28 @@ export const useAudioPlayer = () => {
     }
   }, []);
 
+  // Download stored audio as MP3 transcoded by the server, or WAV if the server can't encode MP3
+  const downloadS3Audio = useCallback(async (s3Key, basename = 'audio') => {
+    let format = 'mp3';
+    let signedUrl;
+    try {
+      signedUrl = await getSignedUrlFromS3Key(s3Key, format);
+    } catch (error) {
+      console.warn('⚠️ MP3 not available, downloading WAV instead:', error);
+      format = 'wav';
+      signedUrl = await getSignedUrlFromS3Key(s3Key, format);
+    }
+
+    const response = await fetch(signedUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to download audio: ${response.status}`);
+    }
+
+    const filename = `${basename}.${format}`;
+    saveBlob(await response.blob(), filename);
+    console.log('💾 Audio download completed:', filename);
+  }, [getSignedUrlFromS3Key, saveBlob]);
+
   // Check if a URL is an S3 key (format: uid/chatid/filename.pcm)
   const isS3Key = useCallback((url) => {
     if (!url || typeof url !== 'string') return false;
@@ -185,10 +203,16 @@ export const useAudioPlayer = () => {
 
   return {
     playPCMAudio,
+    startPCMStream,
+    appendPCMChunk,
+    endPCMStream,
+    stopPCMStream,
     downloadPCMAudio,
+    downloadS3Audio,
     stopAudio,
+    seekAudio,
     getSignedUrlFromS3Key,
     isS3Key,
-    isInitialized: true // Always ready with this approach
+    isInitialized: true // The worklet loads lazily on first playback
   };
 };
\ No newline at end of file
@@ -1,17 +1,13 @@
 import { useEffect, useRef, useCallback } from 'react';
-import { createClient } from '@supabase/supabase-js';
 import { useAppDispatch, useAppSelector } from '../store/hooks';
-import { fetchChatHistory, loadChat } from '../store/slices/chatSlice';
-import { selectUserId, selectCurrentChatId } from '../store/selectors';
+import { fetchChatHistory, loadChatMessage } from '../store/slices/chatSlice';
+import { selectUserId } from '../store/selectors';
 import { SUPABASE_CONFIG } from '../config/api';
-
-// Create Supabase client for real-time subscriptions
-const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey);
+import { supabase } from '../lib/supabase';
 
 export const useRealtimeChats = () => {
   const dispatch = useAppDispatch();
   const userId = useAppSelector(selectUserId);
-  const currentChatId = useAppSelector(selectCurrentChatId);
   const channelRef = useRef(null);
   const isSubscribedRef = useRef(false);
 
@@ -30,20 +26,7 @@ export const useRealtimeChats = () => {
         
       case 'UPDATE':
         console.log('✏️ Chat updated:', newRecord.id);
-        console.log('📊 Updated chat data:', {
-          id: newRecord.id,
-          title: newRecord.title,
-          messageCount: newRecord.messages?.length || 0,
-          updatedAt: newRecord.updated_at
-        });
-        
-        // If this is the currently loaded chat, reload it to get new messages
-        if (currentChatId === newRecord.id) {
-          console.log('🔄 Reloading current chat with new messages');
-          dispatch(loadChat(newRecord.id));
-        }
-        
-        // Always refresh chat history to update timestamps and message counts
+        // New messages arrive through the messages subscription; refresh timestamps and message counts
         dispatch(fetchChatHistory());
         break;
         
@@ -56,7 +39,17 @@ export const useRealtimeChats = () => {
       default:
         console.log('📡 Unknown event type:', eventType);
     }
-  }, [dispatch, currentChatId]);
+  }, [dispatch]);
+
+  // Handle real-time message inserts and updates (e.g. a finished video attached to a message)
+  const handleMessageChange = useCallback((payload) => {
+    const { eventType, new: newRecord } = payload;
+    if (eventType !== 'INSERT' && eventType !== 'UPDATE') return;
+
+    // Fetch just the message that changed (loadChatMessage skips chats other than the open one)
+    console.log(`📨 Message ${eventType === 'INSERT' ? 'added' : 'updated'}:`, newRecord.id);
+    dispatch(loadChatMessage({ chatId: newRecord.chat_id, messageId: newRecord.id, eventType }));
+  }, [dispatch]);
 
   // Subscribe to real-time updates
   const subscribe = useCallback(() => {
@@ -81,6 +74,16 @@ export const useRealtimeChats = () => {
         },
         handleChatUpdate
       )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'messages',
+          filter: `user_id=eq.${userId}`
+        },
+        handleMessageChange
+      )
       .subscribe((status) => {
         console.log('📡 Real-time subscription status:', status);
         
@@ -100,7 +103,7 @@ export const useRealtimeChats = () => {
       });
 
     channelRef.current = channel;
-  }, [userId, handleChatUpdate]);
+  }, [userId, handleChatUpdate, handleMessageChange]);
 
   // Unsubscribe from real-time updates
   const unsubscribe = useCallback(() => {
@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useAppDispatch, useAppSelector } from '../store/hooks';
+import { fetchVideoJob, cancelVideoJob, loadChat } from '../store/slices/chatSlice';
+import { selectCurrentChatId, selectVideoJob } from '../store/selectors';
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_FAILED_POLLS = 5; // retried 4s, 8s, 16s and 32s later, then given up
+
+// Poll a message's background video job while it is pending, for progress and cancelling.
+// The finished video arrives through the realtime chat subscription; if that is not
+// connected, a completed job reloads the chat instead. Failed polls (the job is gone, or
+// the server is unreachable) back off and stop after a few tries.
+export const useVideoJobProgress = (message) => {
+  const dispatch = useAppDispatch();
+  const jobId = message?.videoJobId || null;
+  const isPending = Boolean(jobId) && message.videoStatus === 'pending' && !message.videoUrl;
+  const job = useAppSelector(state => selectVideoJob(state, jobId));
+  const currentChatId = useAppSelector(selectCurrentChatId);
+  const currentChatIdRef = useRef(currentChatId);
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  useEffect(() => {
+    currentChatIdRef.current = currentChatId;
+  }, [currentChatId]);
+
+  useEffect(() => {
+    if (!isPending) return undefined;
+
+    let timer = null;
+    let stopped = false;
+    let failedPolls = 0;
+
+    const poll = async () => {
+      const result = await dispatch(fetchVideoJob(jobId));
+      if (stopped) return;
+
+      if (fetchVideoJob.rejected.match(result)) {
+        failedPolls += 1;
+        if (failedPolls >= MAX_FAILED_POLLS) {
+          console.warn(`⚠️ Stopped polling video job ${jobId}:`, result.error.message);
+          return;
+        }
+        timer = setTimeout(poll, POLL_INTERVAL_MS * 2 ** failedPolls);
+        return;
+      }
+      failedPolls = 0;
+
+      const status = result.payload?.status;
+      if (status === 'completed') {
+        if (result.payload.chatId === currentChatIdRef.current) {
+          dispatch(loadChat(result.payload.chatId));
+        }
+        return;
+      }
+      if (status === 'failed' || status === 'cancelled') return;
+
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    poll();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [dispatch, jobId, isPending]);
+
+  const cancel = useCallback(async () => {
+    if (!jobId) return;
+    setIsCancelling(true);
+    try {
+      await dispatch(cancelVideoJob(jobId));
+    } finally {
+      setIsCancelling(false);
+    }
+  }, [dispatch, jobId]);
+
+  return {
+    isPending,
+    status: job?.status || null,
+    progress: job?.progress || null, // { stage, value, max, etaSeconds, queuePosition }
+    cancel,
+    isCancelling,
+  };
+};
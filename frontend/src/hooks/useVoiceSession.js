@@ -0,0 +1,206 @@
+import { useRef, useState, useCallback, useEffect } from 'react';
+import { useAppDispatch, useAppSelector } from '../store/hooks';
+import {
+  addUserMessage,
+  addBotMessage,
+  setCurrentChatId,
+  fetchChatHistory,
+  loadChat
+} from '../store/slices/chatSlice';
+import { selectUserId } from '../store/selectors';
+import { getWebSocketUrl } from '../config/api';
+import { useAudioPlayer } from './useAudioPlayer';
+import { pcmPlayer } from '../lib/pcmPlayer';
+import { getAccessToken } from '../lib/supabase';
+
+// Playback id for the live session's audio (messages use their own ids)
+const LIVE_PLAYBACK_ID = 'live-voice';
+
+// Full-duplex voice session over /ws/voice.
+// Microphone PCM is streamed up continuously; the server decides when a turn ends
+// and streams TTS PCM back, which plays through the shared PCM player as it arrives.
+export const useVoiceSession = () => {
+  const dispatch = useAppDispatch();
+  const userId = useAppSelector(selectUserId);
+  const { startPCMStream, appendPCMChunk, endPCMStream, stopPCMStream } = useAudioPlayer();
+
+  const socketRef = useRef(null);
+  const micStreamRef = useRef(null);
+  const captureContextRef = useRef(null);
+
+  const [isActive, setIsActive] = useState(false);
+  // idle | connecting | listening | thinking | speaking
+  const [status, setStatus] = useState('idle');
+
+  const teardown = useCallback(() => {
+    micStreamRef.current?.getTracks().forEach(track => track.stop());
+    micStreamRef.current = null;
+
+    captureContextRef.current?.close();
+    captureContextRef.current = null;
+
+    if (pcmPlayer.getState().id === LIVE_PLAYBACK_ID) {
+      stopPCMStream();
+    }
+
+    socketRef.current = null;
+    setIsActive(false);
+    setStatus('idle');
+  }, [stopPCMStream]);
+
+  // The server is ready for the next turn before the last reply has finished playing,
+  // so keep showing 'speaking' until the player has drained its queue.
+  useEffect(() => pcmPlayer.subscribe((playback) => {
+    if (playback.id !== LIVE_PLAYBACK_ID) return;
+    if (!playback.isPlaying && !playback.isStreaming) {
+      setStatus(current => (current === 'speaking' ? 'listening' : current));
+    }
+  }), []);
+
+  const handleServerEvent = useCallback((event) => {
+    switch (event.type) {
+      case 'ready':
+        console.log('🎙️ Voice session ready:', event);
+        break;
+      case 'listening':
+        setStatus(current => (current === 'speaking' && pcmPlayer.getState().isPlaying ? current : 'listening'));
+        break;
+      case 'thinking':
+        setStatus('thinking');
+        break;
+      case 'transcription':
+        dispatch(addUserMessage({
+          content: event.text,
+          timestamp: new Date().toLocaleTimeString(),
+          isProcessing: false
+        }));
+        break;
+      case 'response':
+        dispatch(addBotMessage({
+          content: event.text,
+          timestamp: new Date().toLocaleTimeString()
+        }));
+        break;
+      case 'audio_start':
+        startPCMStream(LIVE_PLAYBACK_ID);
+        setStatus('speaking');
+        break;
+      case 'audio_end':
+        endPCMStream();
+        break;
+      case 'interrupted':
+        console.log('✋ Voice turn interrupted:', event.reason);
+        stopPCMStream();
+        break;
+      case 'saved':
+        // Reload so the messages pick up their stored audio keys
+        dispatch(setCurrentChatId(event.chat.chatId));
+        dispatch(loadChat(event.chat.chatId));
+        dispatch(fetchChatHistory());
+        break;
+      case 'error':
+        console.error('❌ Voice session error:', event.error, event.stage || '');
+        break;
+      default:
+        console.log('🎙️ Unknown voice event:', event.type);
+    }
+  }, [dispatch, startPCMStream, endPCMStream, stopPCMStream]);
+
+  const stop = useCallback(() => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'stop' }));
+      socket.close();
+    }
+    teardown();
+  }, [teardown]);
+
+  const start = useCallback(async ({ persona, chatId, locations }) => {
+    if (socketRef.current || !userId) return;
+
+    setStatus('connecting');
+    try {
+      // Load the playback worklet now, while we still have the user gesture
+      await pcmPlayer.init();
+
+      // Echo cancellation keeps the anchor's own voice from triggering barge-in
+      const micStream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 }
+      });
+      micStreamRef.current = micStream;
+
+      const captureContext = new AudioContext();
+      await captureContext.audioWorklet.addModule('/pcm-capture-processor.js');
+      const captureNode = new AudioWorkletNode(captureContext, 'pcm-capture-processor');
+      captureContext.createMediaStreamSource(micStream).connect(captureNode);
+      captureContextRef.current = captureContext;
+
+      // Browsers can't set headers on WebSocket requests, so the token goes in the start message
+      const token = await getAccessToken();
+
+      const socket = new WebSocket(getWebSocketUrl('/ws/voice'));
+      socket.binaryType = 'arraybuffer';
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({
+          type: 'start',
+          token,
+          chatId: chatId || null,
+          personaId: persona?.id,
+          personaName: persona?.name,
+          locations: locations || [],
+          sampleRate: captureContext.sampleRate
+        }));
+
+        captureNode.port.onmessage = ({ data }) => {
+          if (socket.readyState === WebSocket.OPEN) {
+            socket.send(data);
+          }
+        };
+        setIsActive(true);
+      };
+
+      socket.onmessage = ({ data }) => {
+        if (data instanceof ArrayBuffer) {
+          appendPCMChunk(data);
+        } else {
+          handleServerEvent(JSON.parse(data));
+        }
+      };
+
+      socket.onerror = (error) => {
+        console.error('❌ Voice socket error:', error);
+      };
+
+      socket.onclose = () => {
+        console.log('🔌 Voice session closed');
+        if (socketRef.current === socket) teardown();
+      };
+    } catch (error) {
+      console.error('❌ Could not start voice session:', error);
+      teardown();
+      throw error;
+    }
+  }, [userId, appendPCMChunk, handleServerEvent, teardown]);
+
+  // Stop the anchor mid-sentence
+  const interrupt = useCallback(() => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'interrupt' }));
+    }
+    stopPCMStream();
+  }, [stopPCMStream]);
+
+  // Close the session when the component using it unmounts
+  useEffect(() => stop, [stop]);
+
+  return {
+    isActive,
+    status,
+    start,
+    stop,
+    interrupt
+  };
+};
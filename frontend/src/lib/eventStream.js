@@ -0,0 +1,53 @@
+// Minimal Server-Sent Events reader for POST requests (EventSource only supports GET)
+
+// Parse one "event: ...\ndata: ..." block into { event, data }
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue; // Comments are keep-alives
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    if (field === 'data') dataLines.push(value);
+  }
+
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join('\n');
+  try {
+    return { event, data: JSON.parse(raw) };
+  } catch {
+    return { event, data: raw };
+  }
+};
+
+// Read a text/event-stream response body and call onEvent(event, data) for each event
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const parsed = parseEventBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) onEvent(parsed.event, parsed.data);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  // Flush a final event that wasn't followed by a blank line
+  const parsed = parseEventBlock(buffer.trim());
+  if (parsed) onEvent(parsed.event, parsed.data);
+};
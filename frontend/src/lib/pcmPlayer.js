@@ -0,0 +1,202 @@
+// Shared AudioWorklet player for L16 PCM (24kHz mono, as returned by Gemini TTS).
+// One instance for the whole app, so any component can stop what is playing and
+// the progress bar can follow whichever message is currently audible.
+
+const SAMPLE_RATE = 24000;
+
+const IDLE_STATE = {
+  id: null,
+  isPlaying: false,
+  isStreaming: false,
+  isBuffering: false,
+  position: 0,
+  buffered: 0,
+  duration: null,
+  underruns: 0,
+};
+
+class PCMPlayer {
+  constructor() {
+    this.context = null;
+    this.node = null;
+    this.loading = null;
+    this.listeners = new Set();
+    this.state = IDLE_STATE;
+    this.pending = null; // { resolve, reject } for the current play() call
+    this.oddByte = null; // Dangling byte from a chunk with an odd length
+  }
+
+  // Lazily create the AudioContext (browsers require a user gesture first)
+  async init() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const context = new AudioContext({ sampleRate: SAMPLE_RATE });
+        await context.audioWorklet.addModule('/pcm-processor.js');
+
+        const node = new AudioWorkletNode(context, 'pcm-processor', {
+          processorOptions: { jitterBufferMs: 200, maxJitterBufferMs: 1000 }
+        });
+        node.connect(context.destination);
+        node.port.onmessage = (event) => this.handleMessage(event.data);
+
+        this.context = context;
+        this.node = node;
+        console.log('🎵 PCM player initialized');
+      })().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    await this.loading;
+    if (this.context.state === 'suspended') {
+      await this.context.resume();
+    }
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getState = () => this.state;
+
+  setState(updates) {
+    this.state = { ...this.state, ...updates };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  settle(error = null) {
+    const pending = this.pending;
+    this.pending = null;
+    if (!pending) return;
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve();
+    }
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'PLAYING':
+        this.setState({ isPlaying: true, isBuffering: message.streaming });
+        break;
+      case 'POSITION':
+        this.setState({
+          position: message.position,
+          buffered: message.buffered,
+          duration: message.duration,
+          isBuffering: message.buffering,
+        });
+        break;
+      case 'UNDERRUN':
+        console.warn('🎵 Playback underrun at', message.position.toFixed(2), 's, rebuffering');
+        this.setState({ isBuffering: true, underruns: this.state.underruns + 1 });
+        break;
+      case 'ENDED':
+        console.log('🎵 PCM audio playback completed');
+        this.setState({ isPlaying: false, isStreaming: false, isBuffering: false });
+        this.settle();
+        break;
+      case 'STOPPED':
+        // stop() already reset state and settled; a new play() may have started since
+        this.setState({ isPlaying: false, isBuffering: false });
+        break;
+      case 'ERROR':
+        console.error('🎵 PCM audio error:', message.error);
+        this.setState({ ...IDLE_STATE });
+        this.settle(new Error(message.error || 'Audio playback failed'));
+        break;
+      default:
+        break;
+    }
+  }
+
+  post(type, data, transfer = []) {
+    this.node.port.postMessage({ type, data }, transfer);
+  }
+
+  /**
+   * Play a complete PCM buffer
+   * @param {ArrayBuffer} pcmData - L16 PCM audio
+   * @param {string|number|null} id - What is playing (e.g. a message id), for progress UI
+   * @param {number} startAt - Where to start, in seconds
+   * @returns {Promise<void>} Resolves when playback ends or is stopped
+   */
+  async play(pcmData, id = null, startAt = 0) {
+    await this.init();
+    this.stop();
+
+    this.setState({ ...IDLE_STATE, id, duration: pcmData.byteLength / 2 / SAMPLE_RATE });
+    const finished = new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+    });
+
+    this.post('SET_PCM_DATA', pcmData, [pcmData]);
+    this.post('PLAY', startAt);
+    return finished;
+  }
+
+  /**
+   * Jump to a position in what is playing
+   * @param {number} seconds - Position from the start
+   */
+  seek(seconds) {
+    if (!this.node || !this.state.isPlaying) return;
+    this.post('SEEK', seconds);
+  }
+
+  /**
+   * Start a streamed response; feed it with appendChunk() and finish with endStream()
+   * @param {string|number|null} id - What is playing, for progress UI
+   */
+  async startStream(id = null) {
+    if (!this.node) await this.init();
+    this.stop();
+    this.oddByte = null;
+    this.setState({ ...IDLE_STATE, id, isStreaming: true });
+  }
+
+  /**
+   * Queue one chunk of a streamed response. Playback starts once the jitter buffer fills.
+   * @param {ArrayBuffer} chunk - L16 PCM audio of any byte length
+   */
+  appendChunk(chunk) {
+    if (!this.node) return;
+
+    let bytes = new Uint8Array(chunk);
+    if (this.oddByte !== null) {
+      const joined = new Uint8Array(bytes.length + 1);
+      joined[0] = this.oddByte;
+      joined.set(bytes, 1);
+      bytes = joined;
+      this.oddByte = null;
+    }
+    if (bytes.length % 2 === 1) {
+      this.oddByte = bytes[bytes.length - 1];
+      bytes = bytes.subarray(0, bytes.length - 1);
+    }
+    if (bytes.length === 0) return;
+
+    const aligned = bytes.slice().buffer;
+    this.post('APPEND_PCM_CHUNK', aligned, [aligned]);
+  }
+
+  // No more chunks are coming: play out what is queued, then end
+  endStream() {
+    if (!this.node) return;
+    this.post('END_OF_STREAM');
+  }
+
+  // Stop playback and drop any queued audio
+  stop() {
+    this.oddByte = null;
+    if (!this.node) return;
+    this.post('CLEAR');
+    this.setState({ ...IDLE_STATE });
+    this.settle();
+  }
+}
+
+export const pcmPlayer = new PCMPlayer();
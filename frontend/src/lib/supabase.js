@@ -0,0 +1,53 @@
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_CONFIG, API_BASE_URL } from '../config/api';
+
+// Single Supabase client for auth and real-time subscriptions
+export const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey);
+
+let sessionPromise = null;
+
+// Get the current session, signing in anonymously the first time.
+// The API derives the user id from this session's access token.
+export const ensureSession = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (session) return session;
+
+  // Concurrent callers share one sign-in
+  if (!sessionPromise) {
+    sessionPromise = (async () => {
+      console.log('🔐 No session found, signing in anonymously...');
+      const { data, error } = await supabase.auth.signInAnonymously();
+      if (error) throw error;
+      console.log('✅ Signed in as:', data.session.user.id);
+      return data.session;
+    })().finally(() => {
+      sessionPromise = null;
+    });
+  }
+
+  return sessionPromise;
+};
+
+// Access token for the API (refreshed by supabase-js when it expires)
+export const getAccessToken = async () => {
+  const session = await ensureSession();
+  return session.access_token;
+};
+
+// fetch() for our own API with the Authorization header filled in
+export const authFetch = async (url, options = {}) => {
+  const token = await getAccessToken();
+  return fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+};
+
+// Whether a URL points at our API (only those requests should carry the token)
+export const isApiUrl = (url) => {
+  const base = API_BASE_URL || window.location.origin;
+  return (url.startsWith('/') && !url.startsWith('//')) || url.startsWith(base);
+};
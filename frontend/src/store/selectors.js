@@ -8,6 +8,7 @@ export const selectCurrentChatId = (state) => state.chat.currentChatId;
 export const selectChatHistory = (state) => state.chat.chatHistory;
 export const selectIsLoadingHistory = (state) => state.chat.isLoadingHistory;
 export const selectNeedsHistoryRefresh = (state) => state.chat.needsHistoryRefresh;
+export const selectVideoJob = (state, jobId) => state.chat.videoJobs[jobId] || null;
 
 // Persona selectors
 export const selectSelectedPersona = (state) => state.persona.selectedPersona;
@@ -27,6 +28,9 @@ export const selectIsSavedToSupabase = (state) => state.profile.isSavedToSupabas
 export const selectProfileIsLoading = (state) => state.profile.isLoading;
 export const selectProfileError = (state) => state.profile.error;
 export const selectProfileSavedAt = (state) => state.profile.savedAt;
+export const selectBriefing = (state) => state.profile.briefing;
+export const selectIsSavingBriefing = (state) => state.profile.isSavingBriefing;
+export const selectPodcastFeedUrl = (state) => state.profile.podcastFeedUrl;
 
 // Memoized derived selectors
 export const selectVisibleMessages = createSelector(
@@ -1,10 +1,75 @@
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk, createAction } from '@reduxjs/toolkit';
 import { API_BASE_URL } from '../../config/api';
+import { readEventStream } from '../../lib/eventStream';
+import { authFetch, isApiUrl } from '../../lib/supabase';
+
+// Actions dispatched while a chat response streams in (payloads carry the thunk's requestId as streamId)
+export const streamTranscriptionReceived = createAction('chat/streamTranscriptionReceived');
+export const streamTokenReceived = createAction('chat/streamTokenReceived');
+export const streamAudioReady = createAction('chat/streamAudioReady');
+export const streamVideoQueued = createAction('chat/streamVideoQueued');
+
+// Remove expression tags like [laughing] from streamed text, including a tag that is still being written
+const cleanStreamingText = (text) => text
+  .replace(/\s*\[[^\]]*\]\s*/g, ' ')
+  .replace(/\s*\[[^\]]*$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// POST a chat message to a streaming endpoint and dispatch progress actions as SSE events arrive.
+// Resolves with the final "saved" event payload.
+const streamChatRequest = async (path, body, dispatch, streamId) => {
+  const response = await authFetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error('Failed to get response from server');
+  }
+
+  let result = null;
+  let streamError = null;
+
+  await readEventStream(response, (event, data) => {
+    switch (event) {
+      case 'transcription':
+        dispatch(streamTranscriptionReceived({ streamId, text: data.text }));
+        break;
+      case 'token':
+        dispatch(streamTokenReceived({ streamId, text: data.text }));
+        break;
+      case 'audio-ready':
+        dispatch(streamAudioReady({ streamId, audioUrl: data.audioUrl, userAudioUrl: data.userAudioUrl, chapters: data.chapters }));
+        break;
+      case 'video-queued':
+        dispatch(streamVideoQueued({ streamId, videoJobId: data.videoJobId }));
+        break;
+      case 'saved':
+        result = data;
+        break;
+      case 'error':
+        streamError = new Error(data.details || data.error || 'Failed to get response from server');
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (streamError) throw streamError;
+  if (!result) throw new Error('Response stream ended unexpectedly');
+
+  return result;
+};
 
 // Async thunk for sending audio message with UID and chat context
 export const sendAudioMessage = createAsyncThunk(
   'chat/sendAudioMessage',
-  async ({ base64Audio, personaName, personaId, chatId, locations, videoEnabled = false }, { getState, dispatch }) => {
+  async ({ base64Audio, personaName, personaId, chatId, locations, videoEnabled = false }, { getState, dispatch, requestId }) => {
     try {
       const { profile } = getState();
       let uid = profile.userId;
@@ -15,47 +80,37 @@ export const sendAudioMessage = createAsyncThunk(
         const { loadProfile } = await import('./profileSlice');
         const result = await dispatch(loadProfile());
         if (result.meta.requestStatus === 'fulfilled') {
-          uid = result.payload.id;
+          uid = result.payload.uid;
         } else {
           throw new Error('Failed to create user');
         }
       }
       
-      const response = await fetch(`${API_BASE_URL}/api/chat/audio`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ 
-          message: base64Audio,
-          personaName: personaName,
-          personaId: personaId,
-          uid: uid,
-          chatId: chatId || null,
-          locations: locations || [],
-          videoEnabled: videoEnabled
-        }),
-      });
-
-      if (response.ok) {
-        const responseData = await response.json();
-        console.log('📦 Response data:', responseData);
-        
-        const { transcribedText, responseText, audioUrl, userAudioUrl, videoUrl, chatId: returnedChatId, isMultiUserMode } = responseData;
-        
-        return {
-          transcribedText,
-          responseText,
-          audioUrl, // URL to fetch assistant audio file
-          userAudioUrl, // URL to fetch user audio file (null for single-speaker mode)
-          videoUrl, // URL to fetch video file (null if video not enabled)
-          timestamp: new Date().toLocaleTimeString(),
-          chatId: returnedChatId,
-          isMultiUserMode // Flag to indicate multi-user mode
-        };
-      } else {
-        throw new Error('Failed to get response from server');
-      }
+      const responseData = await streamChatRequest('/api/chat/audio/stream', {
+        message: base64Audio,
+        personaName: personaName,
+        personaId: personaId,
+        uid: uid,
+        chatId: chatId || null,
+        locations: locations || [],
+        videoEnabled: videoEnabled
+      }, dispatch, requestId);
+      console.log('📦 Response data:', responseData);
+      
+      const { transcribedText, responseText, audioUrl, userAudioUrl, videoUrl, videoJobId, chatId: returnedChatId, messageIds, isMultiUserMode } = responseData;
+      
+      return {
+        transcribedText,
+        responseText,
+        audioUrl, // URL to fetch assistant audio file
+        userAudioUrl, // URL to fetch user audio file (null for single-speaker mode)
+        videoUrl, // URL to fetch video file (null if video not enabled)
+        videoJobId, // Background video job; the video arrives through the realtime message update
+        timestamp: new Date().toLocaleTimeString(),
+        chatId: returnedChatId,
+        messageIds, // Stored { user, assistant } message ids (null if the chat wasn't saved)
+        isMultiUserMode // Flag to indicate multi-user mode
+      };
     } catch (error) {
       console.error('Error:', error);
       throw error;
@@ -66,7 +121,7 @@ export const sendAudioMessage = createAsyncThunk(
 // Async thunk for sending text message with UID and chat context
 export const sendTextMessage = createAsyncThunk(
   'chat/sendTextMessage',
-  async ({ textMessage, personaName, personaId, chatId, locations, videoEnabled = false }, { getState, dispatch }) => {
+  async ({ textMessage, personaName, personaId, chatId, locations, videoEnabled = false, mode = 'chat' }, { getState, dispatch, requestId }) => {
     try {
       const { profile } = getState();
       let uid = profile.userId;
@@ -77,47 +132,39 @@ export const sendTextMessage = createAsyncThunk(
         const { loadProfile } = await import('./profileSlice');
         const result = await dispatch(loadProfile());
         if (result.meta.requestStatus === 'fulfilled') {
-          uid = result.payload.id;
+          uid = result.payload.uid;
         } else {
           throw new Error('Failed to create user');
         }
       }
       
-      const response = await fetch(`${API_BASE_URL}/api/chat/text`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ 
-          message: textMessage,
-          personaName: personaName,
-          personaId: personaId,
-          uid: uid,
-          chatId: chatId || null,
-          locations: locations || [],
-          videoEnabled: videoEnabled
-        }),
-      });
-
-      if (response.ok) {
-        const responseData = await response.json();
-        console.log('📦 Text response data:', responseData);
-        
-        const { responseText, audioUrl, userAudioUrl, videoUrl, chatId: returnedChatId, isMultiUserMode } = responseData;
-        
-        return {
-          userMessage: textMessage, // The original text message
-          responseText,
-          audioUrl, // URL to fetch assistant audio file
-          userAudioUrl, // URL to fetch user audio file (null for single-speaker mode)
-          videoUrl, // URL to fetch video file (null if video not enabled)
-          timestamp: new Date().toLocaleTimeString(),
-          chatId: returnedChatId,
-          isMultiUserMode // Flag to indicate multi-user mode
-        };
-      } else {
-        throw new Error('Failed to get response from server');
-      }
+      const responseData = await streamChatRequest('/api/chat/text/stream', {
+        message: textMessage,
+        personaName: personaName,
+        personaId: personaId,
+        uid: uid,
+        chatId: chatId || null,
+        locations: locations || [],
+        videoEnabled: videoEnabled,
+        mode: mode // 'episode' for a full newscast with chapters
+      }, dispatch, requestId);
+      console.log('📦 Text response data:', responseData);
+      
+      const { responseText, audioUrl, userAudioUrl, videoUrl, videoJobId, chapters, chatId: returnedChatId, messageIds, isMultiUserMode } = responseData;
+      
+      return {
+        userMessage: textMessage, // The original text message
+        responseText,
+        audioUrl, // URL to fetch assistant audio file
+        userAudioUrl, // URL to fetch user audio file (null for single-speaker mode)
+        videoUrl, // URL to fetch video file (null if video not enabled)
+        videoJobId, // Background video job; the video arrives through the realtime message update
+        chapters, // Episode chapters (null for regular replies)
+        timestamp: new Date().toLocaleTimeString(),
+        chatId: returnedChatId,
+        messageIds, // Stored { user, assistant } message ids (null if the chat wasn't saved)
+        isMultiUserMode // Flag to indicate multi-user mode
+      };
     } catch (error) {
       console.error('Error:', error);
       throw error;
@@ -139,13 +186,13 @@ export const fetchChatHistory = createAsyncThunk(
         const { loadProfile } = await import('./profileSlice');
         const result = await dispatch(loadProfile());
         if (result.meta.requestStatus === 'fulfilled') {
-          uid = result.payload.id;
+          uid = result.payload.uid;
         } else {
           throw new Error('Failed to create user');
         }
       }
       
-      const response = await fetch(`${API_BASE_URL}/api/chats/${uid}`);
+      const response = await authFetch(`${API_BASE_URL}/api/chats/${uid}`);
       
       if (response.ok) {
         const data = await response.json();
@@ -176,13 +223,13 @@ export const loadChat = createAsyncThunk(
         const { loadProfile } = await import('./profileSlice');
         const result = await dispatch(loadProfile());
         if (result.meta.requestStatus === 'fulfilled') {
-          uid = result.payload.id;
+          uid = result.payload.uid;
         } else {
           throw new Error('Failed to create user');
         }
       }
       
-      const response = await fetch(`${API_BASE_URL}/api/chats/${uid}/${chatId}`);
+      const response = await authFetch(`${API_BASE_URL}/api/chats/${uid}/${chatId}`);
       
       if (response.ok) {
         const data = await response.json();
@@ -197,6 +244,31 @@ export const loadChat = createAsyncThunk(
   }
 );
 
+// Async thunk for loading one message of the current chat (a realtime insert or update)
+export const loadChatMessage = createAsyncThunk(
+  'chat/loadChatMessage',
+  async ({ chatId, messageId }, { getState }) => {
+    const uid = getState().profile.userId;
+
+    const response = await authFetch(`${API_BASE_URL}/api/chats/${uid}/${chatId}/messages/${messageId}`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to load message: ${response.status}`);
+    }
+
+    const { message } = await response.json();
+    return { chatId, message };
+  },
+  {
+    // New messages this client already shows (e.g. its own replies) need no request
+    condition: ({ chatId, messageId, eventType }, { getState }) => {
+      const { profile, chat } = getState();
+      if (!profile.userId || chat.currentChatId !== chatId) return false;
+      return !(eventType === 'INSERT' && chat.messages.some(msg => msg.messageId === messageId));
+    },
+  }
+);
+
 
 
 // Async thunk for deleting a chat
@@ -211,7 +283,7 @@ export const deleteChat = createAsyncThunk(
         throw new Error('User not found');
       }
       
-      const response = await fetch(`${API_BASE_URL}/api/chats/${uid}/${chatId}`, {
+      const response = await authFetch(`${API_BASE_URL}/api/chats/${uid}/${chatId}`, {
         method: 'DELETE'
       });
       
@@ -231,6 +303,39 @@ export const deleteChat = createAsyncThunk(
 
 
 
+// Async thunk for polling a background video job (status plus { stage, ... } progress)
+export const fetchVideoJob = createAsyncThunk(
+  'chat/fetchVideoJob',
+  async (jobId) => {
+    const response = await authFetch(`${API_BASE_URL}/api/jobs/${jobId}`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch video job: ${response.status}`);
+    }
+
+    const { job } = await response.json();
+    return job;
+  }
+);
+
+// Async thunk for cancelling a background video job (stops the ComfyUI render)
+export const cancelVideoJob = createAsyncThunk(
+  'chat/cancelVideoJob',
+  async (jobId) => {
+    const response = await authFetch(`${API_BASE_URL}/api/jobs/${jobId}/cancel`, {
+      method: 'POST'
+    });
+
+    // 409: the job finished before the cancel arrived; its status says how
+    if (!response.ok && response.status !== 409) {
+      throw new Error(`Failed to cancel video job: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return { jobId, status: data.job?.status || data.status };
+  }
+);
+
 // Async thunk for fetching audio data from S3 key via signed URLs
 export const fetchAudioFromS3Key = createAsyncThunk(
   'chat/fetchAudioFromS3Key',
@@ -239,7 +344,7 @@ export const fetchAudioFromS3Key = createAsyncThunk(
       console.log('🔗 Fetching audio via S3 signed URL for key:', s3Key);
       
       // First, get the signed URL from our API
-      const signedUrlResponse = await fetch(`${API_BASE_URL}/api/audio/sign/${encodeURIComponent(s3Key)}`);
+      const signedUrlResponse = await authFetch(`${API_BASE_URL}/api/audio/sign/${encodeURIComponent(s3Key)}`);
       
       if (!signedUrlResponse.ok) {
         throw new Error(`Failed to get signed URL: ${signedUrlResponse.status}`);
@@ -283,7 +388,8 @@ export const fetchAudioFromUrl = createAsyncThunk(
   'chat/fetchAudioFromUrl',
   async ({ messageId, audioUrl }) => {
     try {
-      const response = await fetch(audioUrl);
+      // Legacy local audio is served by our API, which needs the access token
+      const response = isApiUrl(audioUrl) ? await authFetch(audioUrl) : await fetch(audioUrl);
       
       if (response.ok) {
         const arrayBuffer = await response.arrayBuffer();
@@ -310,6 +416,79 @@ export const fetchAudioFromUrl = createAsyncThunk(
   }
 );
 
+// Reducer helpers for streamed responses
+const createStreamingBotMessage = (streamId) => ({
+  id: Date.now() + 1,
+  streamId,
+  type: 'bot',
+  content: '',
+  rawContent: '',
+  timestamp: new Date().toLocaleTimeString(),
+  audioUrl: null,
+  videoUrl: null,
+  videoJobId: null,
+  videoStatus: null,
+  isStreaming: true,
+});
+
+const findStreamingBotMessage = (state, streamId) =>
+  state.messages.find(msg => msg.type === 'bot' && msg.streamId === streamId);
+
+// Job statuses that end a message's pending video, mapped to its videoStatus
+const FINISHED_VIDEO_STATUS = { failed: 'failed', cancelled: 'cancelled' };
+
+const setVideoStatusForJob = (state, jobId, videoStatus) => {
+  state.messages
+    .filter(msg => msg.videoJobId === jobId && !msg.videoUrl)
+    .forEach(msg => { msg.videoStatus = videoStatus; });
+};
+
+const findLastUserMessage = (state) =>
+  [...state.messages].reverse().find(msg => msg.type === 'user');
+
+// Convert a stored message to UI format (messageId links it to its row for realtime updates)
+const toUiMessage = (msg, index = 0) => ({
+  id: msg.id ?? Date.now() + index,
+  messageId: msg.id ?? null,
+  type: msg.role === 'user' ? 'user' : 'bot',
+  content: msg.content,
+  timestamp: new Date(msg.timestamp).toLocaleTimeString(),
+  persona: msg.persona,
+  audioUrl: msg.audioUrl || null, // Include audioUrl from database
+  videoUrl: msg.videoUrl || null, // Include videoUrl from database
+  videoJobId: msg.videoJobId || null,
+  videoStatus: msg.videoStatus || null, // 'pending' until the background video job finishes
+  chapters: msg.chapters || null, // Episode segments with start/end times
+});
+
+// Link a reply's local messages to their stored rows, dropping copies a realtime insert already added
+const linkSavedMessages = (state, streamId, messageIds) => {
+  if (!messageIds) return;
+
+  const savedIds = [messageIds.user, messageIds.assistant];
+  state.messages = state.messages.filter(msg => !savedIds.includes(msg.messageId));
+
+  const lastUserMessage = findLastUserMessage(state);
+  if (lastUserMessage) lastUserMessage.messageId = messageIds.user;
+  const botMessage = findStreamingBotMessage(state, streamId);
+  if (botMessage) botMessage.messageId = messageIds.assistant;
+};
+
+const finalizeStreamingBotMessage = (state, streamId, payload) => {
+  const message = findStreamingBotMessage(state, streamId);
+  if (!message) return;
+
+  message.content = payload.responseText;
+  message.timestamp = payload.timestamp;
+  message.audioUrl = payload.audioUrl; // URL to fetch assistant audio file
+  message.videoUrl = payload.videoUrl; // URL to fetch video file
+  message.videoJobId = payload.videoJobId || null;
+  message.videoStatus = payload.videoJobId ? 'pending' : null;
+  message.chapters = payload.chapters || null; // Episode segments to skip between
+  message.isStreaming = false;
+  delete message.rawContent;
+};
+
 const chatSlice = createSlice({
   name: 'chat',
   initialState: {
@@ -323,6 +502,7 @@ const chatSlice = createSlice({
     currentAudio: null,
     error: null,
     needsHistoryRefresh: false,
+    videoJobs: {}, // jobId -> { status, progress } for pending message videos
   },
   reducers: {
     setIsRecording: (state, action) => {
@@ -374,12 +554,16 @@ const chatSlice = createSlice({
   extraReducers: (builder) => {
     builder
       // Send audio message
-      .addCase(sendAudioMessage.pending, (state) => {
+      .addCase(sendAudioMessage.pending, (state, action) => {
         state.isProcessing = true;
         state.error = null;
+        
+        // Placeholder bot message that fills in as the response streams
+        state.messages.push(createStreamingBotMessage(action.meta.requestId));
       })
       .addCase(sendAudioMessage.fulfilled, (state, action) => {
         state.isProcessing = false;
+        linkSavedMessages(state, action.meta.requestId, action.payload.messageIds);
         
         // Update current chat ID if we got one back
         if (action.payload.chatId && !state.currentChatId) {
@@ -387,28 +571,17 @@ const chatSlice = createSlice({
         }
         
         // Update the last user message with transcribed text and audio URL
-        const lastUserMessage = [...state.messages].reverse().find(msg => msg.type === 'user');
+        const lastUserMessage = findLastUserMessage(state);
         if (lastUserMessage) {
-          const messageIndex = state.messages.findIndex(msg => msg.id === lastUserMessage.id);
-          if (messageIndex !== -1) {
-            state.messages[messageIndex].content = `"${action.payload.transcribedText}"`;
-            state.messages[messageIndex].isProcessing = false;
-            if (action.payload.userAudioUrl) {
-              state.messages[messageIndex].audioUrl = action.payload.userAudioUrl;
-            }
+          lastUserMessage.content = `"${action.payload.transcribedText}"`;
+          lastUserMessage.isProcessing = false;
+          if (action.payload.userAudioUrl) {
+            lastUserMessage.audioUrl = action.payload.userAudioUrl;
           }
         }
         
-        // Add bot response with audio URL
-        const botMessage = {
-          id: Date.now() + 1,
-          type: 'bot',
-          content: action.payload.responseText,
-          timestamp: action.payload.timestamp,
-          audioUrl: action.payload.audioUrl, // URL to fetch audio file
-          videoUrl: action.payload.videoUrl, // URL to fetch video file
-        };
-        state.messages.push(botMessage);
+        // Finalize the streamed bot response with the saved text and media URLs
+        finalizeStreamingBotMessage(state, action.meta.requestId, action.payload);
         
         // Mark that chat history needs refresh
         state.needsHistoryRefresh = true;
@@ -417,24 +590,28 @@ const chatSlice = createSlice({
         state.isProcessing = false;
         state.error = action.error.message;
         
+        // Drop the streaming placeholder
+        state.messages = state.messages.filter(msg => msg.streamId !== action.meta.requestId);
+        
         // Update the last user message to show error
-        const lastUserMessage = [...state.messages].reverse().find(msg => msg.type === 'user');
+        const lastUserMessage = findLastUserMessage(state);
         if (lastUserMessage) {
-          const messageIndex = state.messages.findIndex(msg => msg.id === lastUserMessage.id);
-          if (messageIndex !== -1) {
-            state.messages[messageIndex].content = 'Error processing request';
-            state.messages[messageIndex].isProcessing = false;
-          }
+          lastUserMessage.content = 'Error processing request';
+          lastUserMessage.isProcessing = false;
         }
       })
       
       // Send text message
-      .addCase(sendTextMessage.pending, (state) => {
+      .addCase(sendTextMessage.pending, (state, action) => {
         state.isProcessing = true;
         state.error = null;
+        
+        // Placeholder bot message that fills in as the response streams
+        state.messages.push(createStreamingBotMessage(action.meta.requestId));
       })
       .addCase(sendTextMessage.fulfilled, (state, action) => {
         state.isProcessing = false;
+        linkSavedMessages(state, action.meta.requestId, action.payload.messageIds);
         
         // Update current chat ID if we got one back
         if (action.payload.chatId && !state.currentChatId) {
@@ -444,25 +621,14 @@ const chatSlice = createSlice({
         // The user message is already added before the API call
         // Update user message with audio URL if available (multi-user mode)
         if (action.payload.userAudioUrl) {
-          const lastUserMessage = [...state.messages].reverse().find(msg => msg.type === 'user');
+          const lastUserMessage = findLastUserMessage(state);
           if (lastUserMessage) {
-            const messageIndex = state.messages.findIndex(msg => msg.id === lastUserMessage.id);
-            if (messageIndex !== -1) {
-              state.messages[messageIndex].audioUrl = action.payload.userAudioUrl;
-            }
+            lastUserMessage.audioUrl = action.payload.userAudioUrl;
           }
         }
         
-        // Add the bot response with audio URL
-        const botMessage = {
-          id: Date.now() + 1,
-          type: 'bot',
-          content: action.payload.responseText,
-          timestamp: action.payload.timestamp,
-          audioUrl: action.payload.audioUrl, // URL to fetch assistant audio file
-          videoUrl: action.payload.videoUrl, // URL to fetch video file
-        };
-        state.messages.push(botMessage);
+        // Finalize the streamed bot response with the saved text and media URLs
+        finalizeStreamingBotMessage(state, action.meta.requestId, action.payload);
         
         // Mark that chat history needs refresh
         state.needsHistoryRefresh = true;
@@ -471,14 +637,55 @@ const chatSlice = createSlice({
         state.isProcessing = false;
         state.error = action.error.message;
         
-        // Add error message as bot response
-        const errorMessage = {
-          id: Date.now() + 1,
-          type: 'bot',
-          content: 'Sorry, there was an error processing your message.',
-          timestamp: new Date().toLocaleTimeString(),
-        };
-        state.messages.push(errorMessage);
+        // Turn the streaming placeholder into an error message
+        const streamingMessage = findStreamingBotMessage(state, action.meta.requestId);
+        if (streamingMessage) {
+          streamingMessage.content = 'Sorry, there was an error processing your message.';
+          streamingMessage.isStreaming = false;
+        } else {
+          state.messages.push({
+            id: Date.now() + 1,
+            type: 'bot',
+            content: 'Sorry, there was an error processing your message.',
+            timestamp: new Date().toLocaleTimeString(),
+          });
+        }
+      })
+      
+      // Streaming progress
+      .addCase(streamTranscriptionReceived, (state, action) => {
+        const lastUserMessage = findLastUserMessage(state);
+        if (lastUserMessage && lastUserMessage.isProcessing) {
+          lastUserMessage.content = `"${action.payload.text}"`;
+          lastUserMessage.isProcessing = false;
+        }
+      })
+      .addCase(streamTokenReceived, (state, action) => {
+        const message = findStreamingBotMessage(state, action.payload.streamId);
+        if (message) {
+          message.rawContent = (message.rawContent || '') + action.payload.text;
+          message.content = cleanStreamingText(message.rawContent);
+        }
+      })
+      .addCase(streamAudioReady, (state, action) => {
+        const message = findStreamingBotMessage(state, action.payload.streamId);
+        if (message) {
+          message.audioUrl = action.payload.audioUrl;
+          message.chapters = action.payload.chapters || null;
+        }
+        if (action.payload.userAudioUrl) {
+          const lastUserMessage = findLastUserMessage(state);
+          if (lastUserMessage) {
+            lastUserMessage.audioUrl = action.payload.userAudioUrl;
+          }
+        }
+      })
+      .addCase(streamVideoQueued, (state, action) => {
+        const message = findStreamingBotMessage(state, action.payload.streamId);
+        if (message) {
+          message.videoJobId = action.payload.videoJobId;
+          message.videoStatus = 'pending';
+        }
       })
       
       // Fetch chat history
@@ -510,21 +717,30 @@ const chatSlice = createSlice({
         
         // Convert database messages to UI format
         const messages = action.payload.messages || [];
-        state.messages = messages.map((msg, index) => ({
-          id: Date.now() + index,
-          type: msg.role === 'user' ? 'user' : 'bot',
-          content: msg.content,
-          timestamp: new Date(msg.timestamp).toLocaleTimeString(),
-          persona: msg.persona,
-          audioUrl: msg.audioUrl || null, // Include audioUrl from database
-          videoUrl: msg.videoUrl || null, // Include videoUrl from database
-        }));
+        state.messages = messages.map(toUiMessage);
       })
       .addCase(loadChat.rejected, (state, action) => {
         state.isProcessing = false;
         state.error = action.error.message;
       })
       
+      // Load one message of the current chat
+      .addCase(loadChatMessage.fulfilled, (state, action) => {
+        const { chatId, message } = action.payload;
+        if (state.currentChatId !== chatId) return;
+        
+        // Update the message in place (keeping its local id and fetched audio), or append a new one
+        const existing = state.messages.find(msg => msg.messageId === message.id);
+        if (existing) {
+          Object.assign(existing, toUiMessage(message), { id: existing.id });
+        } else {
+          state.messages.push(toUiMessage(message));
+        }
+      })
+      .addCase(loadChatMessage.rejected, (state, action) => {
+        console.error('Failed to load message:', action.error.message);
+      })
+      
 
       
       // Delete chat
@@ -566,6 +782,25 @@ const chatSlice = createSlice({
       })
       .addCase(fetchAudioFromUrl.rejected, (state, action) => {
         console.error('Failed to fetch audio:', action.error.message);
+      })
+      
+      // Video job progress
+      .addCase(fetchVideoJob.fulfilled, (state, action) => {
+        const { id, status, progress } = action.payload;
+        state.videoJobs[id] = { status, progress };
+        if (FINISHED_VIDEO_STATUS[status]) {
+          setVideoStatusForJob(state, id, FINISHED_VIDEO_STATUS[status]);
+        }
+      })
+      .addCase(cancelVideoJob.fulfilled, (state, action) => {
+        const { jobId, status } = action.payload;
+        state.videoJobs[jobId] = { ...state.videoJobs[jobId], status };
+        if (FINISHED_VIDEO_STATUS[status]) {
+          setVideoStatusForJob(state, jobId, FINISHED_VIDEO_STATUS[status]);
+        }
+      })
+      .addCase(cancelVideoJob.rejected, (state, action) => {
+        console.error('Failed to cancel video job:', action.error.message);
       });
   },
 });
@@ -1,33 +1,24 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { API_BASE_URL } from '../../config/api';
+import { ensureSession, authFetch } from '../../lib/supabase';
 
-// Generate a UUID for new users
-const generateUUID = () => {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-};
-
-// Get or create user ID from localStorage
-const getUserId = () => {
-  let userId = localStorage.getItem('anchor-agent-user-id');
-  if (!userId) {
-    userId = generateUUID();
-    localStorage.setItem('anchor-agent-user-id', userId);
-  }
-  return userId;
+// The user id is the Supabase Auth user (anonymous until they sign in).
+// The API derives it from the access token, so it can't be picked by the client.
+const getUserId = async () => {
+  const session = await ensureSession();
+  return session.user.id;
 };
 
 // Async thunk for loading user profile
 export const loadProfile = createAsyncThunk(
   'profile/loadProfile',
-  async (_, { rejectWithValue }) => {
+  async (_, { dispatch, rejectWithValue }) => {
     try {
-      const userId = getUserId();
+      const userId = await getUserId();
+      // Make the user id available right away, even if the profile request fails
+      dispatch(setUserId(userId));
       
-      const response = await fetch(`${API_BASE_URL}/api/profile/${userId}`, {
+      const response = await authFetch(`${API_BASE_URL}/api/profile/${userId}`, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
@@ -63,9 +54,9 @@ export const saveProfile = createAsyncThunk(
   'profile/saveProfile',
   async ({ displayName, email, personaId }, { rejectWithValue }) => {
     try {
-      const userId = getUserId();
+      const userId = await getUserId();
       
-      const response = await fetch(`${API_BASE_URL}/api/profile/save`, {
+      const response = await authFetch(`${API_BASE_URL}/api/profile/save`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -96,9 +87,9 @@ export const deleteProfile = createAsyncThunk(
   'profile/deleteProfile',
   async (_, { rejectWithValue }) => {
     try {
-      const userId = getUserId();
+      const userId = await getUserId();
       
-      const response = await fetch(`${API_BASE_URL}/api/profile/${userId}`, {
+      const response = await authFetch(`${API_BASE_URL}/api/profile/${userId}`, {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
@@ -118,14 +109,134 @@ export const deleteProfile = createAsyncThunk(
   }
 );
 
+// Async thunk for loading the scheduled briefing settings
+export const loadBriefing = createAsyncThunk(
+  'profile/loadBriefing',
+  async (_, { rejectWithValue }) => {
+    try {
+      const userId = await getUserId();
+
+      const response = await authFetch(`${API_BASE_URL}/api/briefing/${userId}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        return data.briefing;
+      } else {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to load briefing');
+      }
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Async thunk for saving the scheduled briefing settings
+export const saveBriefing = createAsyncThunk(
+  'profile/saveBriefing',
+  async ({ enabled, time, timezone, locations, personaId }, { rejectWithValue }) => {
+    try {
+      const userId = await getUserId();
+
+      const response = await authFetch(`${API_BASE_URL}/api/briefing/save`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          uid: userId,
+          enabled,
+          time,
+          timezone,
+          locations,
+          personaId
+        }),
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        return data.briefing;
+      } else {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save briefing');
+      }
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Async thunk for loading the private podcast feed URL of the user's briefings
+export const loadPodcastFeed = createAsyncThunk(
+  'profile/loadPodcastFeed',
+  async (_, { rejectWithValue }) => {
+    try {
+      const userId = await getUserId();
+
+      const response = await authFetch(`${API_BASE_URL}/api/podcast/${userId}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        return data.feedUrl;
+      } else {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to load podcast feed');
+      }
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Async thunk for replacing the podcast feed URL (the old one stops working)
+export const rotatePodcastFeed = createAsyncThunk(
+  'profile/rotatePodcastFeed',
+  async (_, { rejectWithValue }) => {
+    try {
+      const userId = await getUserId();
+
+      const response = await authFetch(`${API_BASE_URL}/api/podcast/rotate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ uid: userId }),
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        return data.feedUrl;
+      } else {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to reset podcast feed');
+      }
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 const initialState = {
-  userId: getUserId(), // Set userId immediately on initialization
+  userId: null, // Set by loadProfile once the Supabase session is ready
   displayName: '',
   email: '',
   personaId: null,
   persona: null,
   isSavedToSupabase: false,
   savedAt: null,
+  briefing: null, // { enabled, time, timezone, locations, personaId, nextRunAt, lastRunAt }
+  isSavingBriefing: false,
+  podcastFeedUrl: null, // Private RSS feed of the user's briefings
   isLoading: false,
   error: null
 };
@@ -180,8 +291,6 @@ const profileSlice = createSlice({
       .addCase(loadProfile.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload;
-        // Still set userId even if profile load fails
-        state.userId = getUserId();
       })
       
       // Save profile
@@ -219,6 +328,29 @@ const profileSlice = createSlice({
       .addCase(deleteProfile.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload;
+      })
+
+      // Briefing settings
+      .addCase(loadBriefing.fulfilled, (state, action) => {
+        state.briefing = action.payload;
+      })
+      .addCase(saveBriefing.pending, (state) => {
+        state.isSavingBriefing = true;
+      })
+      .addCase(saveBriefing.fulfilled, (state, action) => {
+        state.isSavingBriefing = false;
+        state.briefing = action.payload;
+      })
+      .addCase(saveBriefing.rejected, (state) => {
+        state.isSavingBriefing = false;
+      })
+
+      // Podcast feed
+      .addCase(loadPodcastFeed.fulfilled, (state, action) => {
+        state.podcastFeedUrl = action.payload;
+      })
+      .addCase(rotatePodcastFeed.fulfilled, (state, action) => {
+        state.podcastFeedUrl = action.payload;
       });
   },
 });
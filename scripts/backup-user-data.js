@@ -9,6 +9,28 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// PostgREST returns at most 1000 rows per request
+const MESSAGE_PAGE_SIZE = 1000;
+
+// Chat messages live in their own table; load every row of the chats in order
+async function fetchChatMessages(chatIds) {
+  const messages = [];
+  if (chatIds.length === 0) return messages;
+
+  for (let from = 0; ; from += MESSAGE_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('*')
+      .in('chat_id', chatIds)
+      .order('seq')
+      .range(from, from + MESSAGE_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    messages.push(...(data || []));
+    if (!data || data.length < MESSAGE_PAGE_SIZE) return messages;
+  }
+}
+
 async function backupUserData(userId) {
   console.log(`🔄 Starting backup for user: ${userId}`);
   
@@ -47,6 +69,18 @@ async function backupUserData(userId) {
 
     console.log(`✅ Found ${chats.length} chats`);
 
+    // Step 2b: Get the messages of those chats
+    console.log('📋 Fetching chat messages...');
+    let messages;
+    try {
+      messages = await fetchChatMessages(chats.map(chat => chat.id));
+    } catch (messagesError) {
+      console.error('❌ Error fetching messages:', messagesError);
+      return;
+    }
+
+    console.log(`✅ Found ${messages.length} messages`);
+
     // Step 3: Get user's profile
     console.log('📋 Fetching user profile...');
     const { data: profile, error: profileError } = await supabase
@@ -71,14 +105,12 @@ async function backupUserData(userId) {
       if (chat.persona_id) {
         personaIds.add(chat.persona_id);
       }
-      
-      // From chat messages
-      if (chat.messages && Array.isArray(chat.messages)) {
-        chat.messages.forEach(message => {
-          if (message.persona_id) {
-            personaIds.add(message.persona_id);
-          }
-        });
+    });
+
+    // From chat messages
+    messages.forEach(message => {
+      if (message.persona_id) {
+        personaIds.add(message.persona_id);
       }
     });
 
@@ -110,12 +142,14 @@ async function backupUserData(userId) {
         original_user_id: userId,
         schema_version: 'legacy_uid_system',
         total_chats: chats.length,
+        total_messages: messages.length,
         total_personas: personas.length,
         has_profile: !!profile
       },
       user: user,
       profile: profile,
       chats: chats,
+      messages: messages,
       personas: personas
     };
 
@@ -136,6 +170,7 @@ async function backupUserData(userId) {
     console.log('\n📊 Backup Summary:');
     console.log(`   User ID: ${userId}`);
     console.log(`   Chats: ${chats.length}`);
+    console.log(`   Messages: ${messages.length}`);
     console.log(`   Personas: ${personas.length}`);
     console.log(`   Profile: ${profile ? 'Yes' : 'No'}`);
     
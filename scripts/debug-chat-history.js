@@ -14,7 +14,7 @@ async function debugChatHistory() {
     console.log('\n📊 Checking chats table...');
     const { data: allChats, error: allChatsError } = await supabase
       .from('chats')
-      .select('id, user_id, title, created_at, messages')
+      .select('id, user_id, title, created_at, messages(count)')
       .limit(10);
     
     if (allChatsError) {
@@ -30,7 +30,7 @@ async function debugChatHistory() {
         console.log(`${index + 1}. ID: ${chat.id}`);
         console.log(`   User ID: ${chat.user_id}`);
         console.log(`   Title: ${chat.title}`);
-        console.log(`   Messages: ${chat.messages?.length || 0}`);
+        console.log(`   Messages: ${chat.messages?.[0]?.count || 0}`);
         console.log(`   Created: ${chat.created_at}`);
         console.log('');
       });
@@ -130,7 +130,8 @@ async function testUserChatHistory(userId) {
           id,
           name,
           voice_name
-        )
+        ),
+        messages (count)
       `)
       .eq('user_id', userId)
       .order('created_at', { ascending: false });
@@ -142,7 +143,7 @@ async function testUserChatHistory(userId) {
       
       if (chats && chats.length > 0) {
         chats.forEach((chat, index) => {
-          console.log(`${index + 1}. ${chat.title} (${chat.messages?.length || 0} messages)`);
+          console.log(`${index + 1}. ${chat.title} (${chat.messages?.[0]?.count || 0} messages)`);
         });
       }
     }
@@ -6,12 +6,14 @@ const { randomUUID } = require('node:crypto');
 const sharp = require('sharp');
 
 const ComfyUI = require('../utils/ComfyUI');
-const s3Service = require('../utils/s3');
+const mediaService = require('../utils/media');
+const workflowRegistry = require('../utils/workflows');
 
 // Configuration
 const COMFY_UI_SERVER_URL = process.env.COMFY_UI_SERVER_URL || 'http://localhost:8188';
 const PERSONAS_FILE_PATH = join(__dirname, '../configs/personas.json');
-const WORKFLOW_FILE_PATH = join(__dirname, '../workflows/t2i-flux-api.json');
+const WORKFLOW_NAME = process.env.PERSONA_IMAGE_WORKFLOW || 't2i-flux';
+const GENERATION_TIMEOUT_MS = 300000; // 5 minutes
 const LOCAL_IMAGES_DIR = join(__dirname, '../output/images');
 
 // Validate environment variables
@@ -23,7 +25,7 @@ if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
 
 class PersonaImageGenerator {
   constructor() {
-    this.workflowData = null;
+    this.workflow = null;
     this.personas = null;
     this.processedCount = 0;
     this.totalCount = 0;
@@ -60,12 +62,15 @@ class PersonaImageGenerator {
   }
 
   /**
-   * Load ComfyUI workflow template
+   * Look up the ComfyUI workflow in the registry
    */
   loadWorkflow() {
     try {
-      console.log('📖 Loading ComfyUI workflow...');
-      this.workflowData = JSON.parse(readFileSync(WORKFLOW_FILE_PATH, 'utf8'));
+      console.log(`📖 Loading ComfyUI workflow ${WORKFLOW_NAME}...`);
+      this.workflow = workflowRegistry.get(WORKFLOW_NAME);
+      if (!this.workflow.parameters.prompt || !this.workflow.outputs.image) {
+        throw new Error(`Workflow ${WORKFLOW_NAME} needs a "prompt" parameter and an "image" output`);
+      }
       console.log('✅ Workflow loaded successfully');
       return true;
     } catch (error) {
@@ -75,12 +80,12 @@ class PersonaImageGenerator {
   }
 
   /**
-   * Save image locally and upload to S3
+   * Save image locally and upload it to media storage
    * @param {Buffer} imageBuffer - Image data as buffer
    * @param {string} personaName - Name of the persona for the filename
-   * @returns {Promise<{s3Url: string, localPath: string}>} S3 URL and local file path
+   * @returns {Promise<{imageKey: string, localPath: string}>} Storage key and local file path
    */
-  async saveImageLocallyAndS3(imageBuffer, personaName) {
+  async saveImageLocallyAndUpload(imageBuffer, personaName) {
     try {
       // Convert image to WebP format for better compression
       const webpBuffer = await sharp(imageBuffer)
@@ -101,14 +106,11 @@ class PersonaImageGenerator {
       writeFileSync(localPath, webpBuffer);
       console.log(`💾 Image saved locally: ${localPath}`);
 
-      // Upload to S3
-      const s3Key = await s3Service.uploadImageFile(webpBuffer, filename);
-      
-      // Generate public URL
-      const s3Url = `https://${s3Service.bucket}.s3.${s3Service.region}.amazonaws.com/${s3Key}`;
-      console.log(`☁️  Image uploaded to S3: ${s3Url}`);
+      // Upload to media storage; personas store the key, which is signed when served
+      const imageKey = await mediaService.uploadImageFile(webpBuffer, filename);
+      console.log(`☁️  Image uploaded: ${imageKey}`);
       
-      return { s3Url, localPath };
+      return { imageKey, localPath };
     } catch (error) {
       console.error('❌ Error saving image:', error);
       throw error;
@@ -118,98 +120,53 @@ class PersonaImageGenerator {
   /**
    * Generate image for a single persona
    * @param {Object} persona - Persona object
-   * @returns {Promise<string>} S3 URL of generated image
+   * @returns {Promise<{imageKey: string, localPath: string}>} Storage key and local file path
    */
   async generatePersonaImage(persona) {
-    return new Promise((resolve, reject) => {
-      console.log(`\n🎨 Generating image for: ${persona.name}`);
-      console.log(`📝 Description: ${persona.description.substring(0, 100)}...`);
+    console.log(`\n🎨 Generating image for: ${persona.name}`);
+    console.log(`📝 Description: ${persona.description.substring(0, 100)}...`);
 
-      try {
-        // Clone workflow data to avoid modifying the original
-        const workflowDataAPI = JSON.parse(JSON.stringify(this.workflowData));
-        
-        // Update the prompt with persona description
-        const promptText = `an upper body view of a canadian news anchor in a studio looking at camera reporting top stories, hands on the table infront. The look of the news anchor ${persona.description}`;
-        workflowDataAPI["6"].inputs.text = promptText;
-
-        // Generate random seed for uniqueness
-        const seed = Math.floor(Math.random() * 99999999999999);
-        workflowDataAPI["25"].inputs.noise_seed = seed;
-
-        // Create ComfyUI instance
-        const comfy = new ComfyUI({
-          comfyUIServerURL: COMFY_UI_SERVER_URL,
-          nodes: {
-            api_save: ["55"] // Node ID for SaveImage with title "SAVE"
-          },
-          onSaveCallback: async ({ message, promptId }) => {
-            console.log(`💾 Save callback triggered for ${persona.name}`);
-            
-            try {
-              const files = message.data.output.images || [];
-              
-              if (files.length === 0) {
-                throw new Error('No images generated');
-              }
-
-              // Get the first image
-              const imageFile = files[0];
-              console.log(`📥 Retrieving image: ${imageFile.filename}`);
-
-              // Download image from ComfyUI
-              const imageBuffer = await comfy.getFile({
-                filename: imageFile.filename,
-                subfolder: imageFile.subfolder,
-                type: imageFile.type
-              });
-
-              // Save locally and upload to S3
-              const { s3Url, localPath } = await this.saveImageLocallyAndS3(Buffer.from(imageBuffer), persona.name);
-              
-              // Disconnect ComfyUI
-              comfy.disconnect();
-              
-              resolve({ s3Url, localPath });
-            } catch (error) {
-              console.error(`❌ Error in save callback for ${persona.name}:`, error);
-              comfy.disconnect();
-              reject(error);
-            }
-          },
-          onMessageCallback: async ({ message, promptId }) => {
-            if (message.type === 'execution_error') {
-              console.error(`❌ Execution error for ${persona.name}:`, message.data?.exception_message);
-              reject(new Error(message.data?.exception_message || 'Unknown execution error'));
-            } else if (message.type === 'execution_success') {
-              console.log(`✅ Execution completed for ${persona.name}`);
-            }
-          },
-          onOpenCallback: async (comfyInstance) => {
-            console.log(`🔗 Connected to ComfyUI for ${persona.name}`);
-            
-            try {
-              await comfyInstance.queue({ workflowDataAPI });
-              console.log(`📋 Workflow queued for ${persona.name}`);
-            } catch (error) {
-              console.error(`❌ Error queuing workflow for ${persona.name}:`, error);
-              comfyInstance.disconnect();
-              reject(error);
-            }
-          }
-        });
-
-        // Set timeout to prevent hanging
-        setTimeout(() => {
-          comfy.disconnect();
-          reject(new Error(`Timeout generating image for ${persona.name}`));
-        }, 300000); // 5 minutes timeout
+    const workflowDataAPI = workflowRegistry.build(WORKFLOW_NAME, {
+      prompt: `an upper body view of a canadian news anchor in a studio looking at camera reporting top stories, hands on the table infront. The look of the news anchor ${persona.description}`,
+      // Random seed for uniqueness
+      seed: this.workflow.parameters.seed ? Math.floor(Math.random() * 99999999999999) : undefined
+    });
 
-      } catch (error) {
-        console.error(`❌ Error setting up ComfyUI for ${persona.name}:`, error);
-        reject(error);
+    const comfy = new ComfyUI({
+      comfyUIServerURL: COMFY_UI_SERVER_URL,
+      nodes: {
+        api_save: workflowRegistry.outputNodes(WORKFLOW_NAME)
       }
     });
+
+    try {
+      await comfy.waitForOpen();
+      console.log(`🔗 Connected to ComfyUI for ${persona.name}`);
+
+      const { outputs } = await comfy.run({ workflowDataAPI, timeoutMs: GENERATION_TIMEOUT_MS });
+      console.log(`✅ Execution completed for ${persona.name}`);
+
+      const [imageFile] = workflowRegistry.outputFiles(WORKFLOW_NAME, 'image', outputs);
+      if (!imageFile) {
+        throw new Error('No images generated');
+      }
+
+      // Download image from ComfyUI
+      console.log(`📥 Retrieving image: ${imageFile.filename}`);
+      const imageBuffer = await comfy.getFile({
+        filename: imageFile.filename,
+        subfolder: imageFile.subfolder,
+        type: imageFile.type
+      });
+
+      // Save locally and upload to media storage
+      return await this.saveImageLocallyAndUpload(Buffer.from(imageBuffer), persona.name);
+    } catch (error) {
+      console.error(`❌ Error generating image for ${persona.name}:`, error.details || error.message);
+      throw error;
+    } finally {
+      comfy.disconnect();
+    }
   }
 
   /**
@@ -234,12 +191,12 @@ class PersonaImageGenerator {
         }
 
         // Generate image
-        const { s3Url, localPath } = await this.generatePersonaImage(persona);
+        const { imageKey, localPath } = await this.generatePersonaImage(persona);
         
         // Update persona with image URL
         const updatedPersona = {
           ...persona,
-          imageUrl: s3Url
+          imageUrl: imageKey
         };
         
         updatedPersonas.push(updatedPersona);
@@ -247,7 +204,7 @@ class PersonaImageGenerator {
         
         console.log(`✅ Completed ${persona.name} (${this.processedCount}/${this.totalCount})`);
         console.log(`   📁 Local: ${localPath}`);
-        console.log(`   ☁️  S3: ${s3Url}`);
+        console.log(`   ☁️  Storage: ${imageKey}`);
         
         // Add delay between requests to avoid overwhelming ComfyUI
         if (i < this.personas.length - 1) {
@@ -308,11 +265,11 @@ class PersonaImageGenerator {
         process.exit(1);
       }
 
-      // Test S3 connection
-      console.log('🔍 Testing S3 connection...');
-      const s3Connected = await s3Service.testConnection();
-      if (!s3Connected) {
-        console.error('❌ S3 connection failed');
+      // Test media storage connection
+      console.log('🔍 Testing media storage connection...');
+      const storageConnected = await mediaService.testConnection();
+      if (!storageConnected) {
+        console.error('❌ Media storage connection failed');
         process.exit(1);
       }
 
@@ -334,7 +291,7 @@ class PersonaImageGenerator {
       const personasWithImages = updatedPersonas.filter(p => p.imageUrl).length;
       console.log(`🖼️  Personas with images: ${personasWithImages}`);
       console.log(`📁 Local images saved to: ${LOCAL_IMAGES_DIR}`);
-      console.log(`☁️  Images uploaded to S3: personas/ folder`);
+      console.log(`☁️  Images uploaded to media storage: personas/ folder`);
       
       if (personasWithImages > 0) {
         console.log('\n💡 Next steps:');
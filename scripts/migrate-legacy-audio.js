@@ -0,0 +1,66 @@
+require('dotenv').config({ path: '.env.development' });
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { migrateLegacyAudio } = require('../utils/legacyAudio');
+
+// Moves audio_files/ into media storage and rewrites the messages that point at it.
+//
+//   npm run migrate:legacy-audio -- --dry-run   report what would be moved
+//   npm run migrate:legacy-audio                migrate, resuming after the last finished chat
+//   npm run migrate:legacy-audio -- --restart   start over from the first chat (e.g. to retry failures)
+//
+// Progress is kept in legacy-audio-migration.json so an interrupted run picks up where it stopped.
+
+const STATE_FILE = path.join(__dirname, '..', 'legacy-audio-migration.json');
+
+function readState() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+async function migrate() {
+  const dryRun = process.argv.includes('--dry-run');
+  const restart = process.argv.includes('--restart');
+  const after = restart ? null : readState().lastChatId || null;
+
+  console.log(`🚚 Migrating legacy audio${dryRun ? ' (dry run)' : ''}${after ? `, resuming after chat ${after}` : ''}`);
+
+  try {
+    const report = await migrateLegacyAudio({
+      dryRun,
+      after,
+      onChat: (chatId) => {
+        if (!dryRun) fs.writeFileSync(STATE_FILE, JSON.stringify({ lastChatId: chatId, updatedAt: new Date().toISOString() }, null, 2));
+      }
+    });
+
+    const bytes = report.migrated.reduce((total, file) => total + file.size, 0);
+    console.log(`\n📋 Checked ${report.chats} chats`);
+    console.log(`✅ ${dryRun ? 'Would migrate' : 'Migrated'} ${report.migrated.length} files (${bytes} bytes), ${report.messagesUpdated} messages updated`);
+
+    if (report.missing.length > 0) {
+      console.log(`\n📭 ${report.missing.length} files are missing locally; their messages were left as they are:`);
+      report.missing.forEach(file => console.log(`  • chat ${file.chatId}: ${file.url}`));
+    }
+
+    if (report.failed.length > 0) {
+      console.log(`\n❌ ${report.failed.length} files failed:`);
+      report.failed.forEach(file => console.log(`  • chat ${file.chatId}: ${file.url} - ${file.error}`));
+      console.log('\nRun again with --restart to retry them.');
+      process.exit(1);
+    }
+
+    if (!dryRun) console.log('\n🎉 Legacy audio migration completed');
+  } catch (error) {
+    console.error('❌ Error migrating legacy audio:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate();
@@ -0,0 +1,780 @@
+const http = require('node:http');
+const zlib = require('node:zlib');
+const { randomUUID } = require('node:crypto');
+const WebSocket = require('ws');
+
+/**
+ * Stand-in ComfyUI server for CPU-only machines.
+ *
+ * Implements the parts of the ComfyUI API that utils/ComfyUI.js uses:
+ *   POST /prompt          queue a workflow (API format)
+ *   POST /upload/image    multipart upload (images and audio)
+ *   GET  /view            download an input or output file
+ *   POST /api/interrupt   stop the running prompt (only that prompt when prompt_id is given)
+ *   GET  /queue           running and pending prompts
+ *   POST /queue           { delete: [promptId] } or { clear: true } removes pending prompts
+ *   GET  /history/:id     outputs and status of finished prompts
+ *   GET  /ws?clientId=    status, execution_start, executing, progress, executed,
+ *                         execution_success / execution_error messages
+ *
+ * Output nodes get placeholder files: VHS_VideoCombine produces an MP4 (H.264, one gently
+ * changing frame per half second, as long as the uploaded audio), SaveImage/PreviewImage a PNG.
+ *
+ * Usage:
+ *   npm run mock:comfyui -- --port 8188 --steps 20 --step-delay 150 --fail-rate 0.1
+ *   COMFY_UI_SERVER_URL=http://localhost:8188 npm run dev
+ */
+
+const VIDEO_NODES = ['VHS_VideoCombine'];
+const IMAGE_NODES = ['SaveImage', 'PreviewImage'];
+const OUTPUT_NODES = [...VIDEO_NODES, ...IMAGE_NODES];
+
+// ComfyUI's worker picks prompts up shortly after /prompt returns; clients rely on
+// having read the prompt_id before the first execution message arrives
+const QUEUE_PICKUP_MS = 50;
+
+// ---------------------------------------------------------------------------
+// Placeholder PNG
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Create an RGB gradient PNG
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Buffer} PNG file
+ */
+function createPlaceholderPNG(width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  const rowLength = 1 + width * 3;
+  const pixels = Buffer.alloc(rowLength * height);
+  for (let y = 0; y < height; y++) {
+    pixels[y * rowLength] = 0; // filter: none
+    for (let x = 0; x < width; x++) {
+      const offset = y * rowLength + 1 + x * 3;
+      pixels[offset] = 40 + Math.round((x / width) * 120);
+      pixels[offset + 1] = 60 + Math.round((y / height) * 80);
+      pixels[offset + 2] = 140;
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// Placeholder MP4 (baseline H.264, every frame an IDR of uncompressed I_PCM macroblocks)
+// ---------------------------------------------------------------------------
+
+const VIDEO_WIDTH = 64;
+const VIDEO_HEIGHT = 64;
+const VIDEO_FPS = 2;
+const VIDEO_TIMESCALE = 1000;
+
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.bitCount = 0;
+  }
+
+  bit(value) {
+    this.current = (this.current << 1) | (value & 1);
+    this.bitCount++;
+    if (this.bitCount === 8) {
+      this.bytes.push(this.current);
+      this.current = 0;
+      this.bitCount = 0;
+    }
+  }
+
+  bits(value, count) {
+    for (let i = count - 1; i >= 0; i--) this.bit((value >> i) & 1);
+  }
+
+  // Unsigned Exp-Golomb
+  ue(value) {
+    const coded = value + 1;
+    const length = Math.floor(Math.log2(coded)) + 1;
+    this.bits(0, length - 1);
+    this.bits(coded, length);
+  }
+
+  // Signed Exp-Golomb
+  se(value) {
+    this.ue(value <= 0 ? -2 * value : 2 * value - 1);
+  }
+
+  alignZero() {
+    while (this.bitCount !== 0) this.bit(0);
+  }
+
+  byte(value) {
+    this.bits(value, 8);
+  }
+
+  // rbsp_trailing_bits: a stop bit, then zeros to the byte boundary
+  trailing() {
+    this.bit(1);
+    this.alignZero();
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+// Insert emulation prevention bytes so the payload never contains a start code
+function toNalUnit(header, rbsp) {
+  const out = [header];
+  let zeros = 0;
+  for (const byte of rbsp) {
+    if (zeros >= 2 && byte <= 3) {
+      out.push(3);
+      zeros = 0;
+    }
+    out.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  return Buffer.from(out);
+}
+
+function createSPS(widthInMbs, heightInMbs) {
+  const w = new BitWriter();
+  w.byte(66); // profile_idc: baseline
+  w.byte(0xc0); // constraint_set0 + constraint_set1 (constrained baseline)
+  w.byte(30); // level_idc 3.0
+  w.ue(0); // seq_parameter_set_id
+  w.ue(0); // log2_max_frame_num_minus4
+  w.ue(2); // pic_order_cnt_type: output order = decode order
+  w.ue(1); // max_num_ref_frames
+  w.bit(0); // gaps_in_frame_num_value_allowed_flag
+  w.ue(widthInMbs - 1);
+  w.ue(heightInMbs - 1);
+  w.bit(1); // frame_mbs_only_flag
+  w.bit(1); // direct_8x8_inference_flag
+  w.bit(0); // frame_cropping_flag
+  w.bit(0); // vui_parameters_present_flag
+  w.trailing();
+  return toNalUnit(0x67, w.toBuffer());
+}
+
+function createPPS() {
+  const w = new BitWriter();
+  w.ue(0); // pic_parameter_set_id
+  w.ue(0); // seq_parameter_set_id
+  w.bit(0); // entropy_coding_mode_flag: CAVLC
+  w.bit(0); // bottom_field_pic_order_in_frame_present_flag
+  w.ue(0); // num_slice_groups_minus1
+  w.ue(0); // num_ref_idx_l0_default_active_minus1
+  w.ue(0); // num_ref_idx_l1_default_active_minus1
+  w.bit(0); // weighted_pred_flag
+  w.bits(0, 2); // weighted_bipred_idc
+  w.se(0); // pic_init_qp_minus26
+  w.se(0); // pic_init_qs_minus26
+  w.se(0); // chroma_qp_index_offset
+  w.bit(1); // deblocking_filter_control_present_flag
+  w.bit(0); // constrained_intra_pred_flag
+  w.bit(0); // redundant_pic_cnt_present_flag
+  w.trailing();
+  return toNalUnit(0x68, w.toBuffer());
+}
+
+function createIDRFrame(widthInMbs, heightInMbs, frameIndex) {
+  const w = new BitWriter();
+  w.ue(0); // first_mb_in_slice
+  w.ue(7); // slice_type: I (all slices)
+  w.ue(0); // pic_parameter_set_id
+  w.bits(0, 4); // frame_num
+  w.ue(frameIndex % 2); // idr_pic_id (consecutive IDRs must differ)
+  w.bit(0); // no_output_of_prior_pics_flag
+  w.bit(0); // long_term_reference_flag
+  w.se(0); // slice_qp_delta
+  w.ue(1); // disable_deblocking_filter_idc
+
+  const width = widthInMbs * 16;
+  for (let mbY = 0; mbY < heightInMbs; mbY++) {
+    for (let mbX = 0; mbX < widthInMbs; mbX++) {
+      w.ue(25); // mb_type: I_PCM
+      w.alignZero(); // pcm_alignment_zero_bit
+      for (let y = 0; y < 16; y++) {
+        for (let x = 0; x < 16; x++) {
+          const px = mbX * 16 + x;
+          const py = mbY * 16 + y;
+          w.byte(48 + ((px + py + frameIndex * 6) % width) * 2);
+        }
+      }
+      for (let i = 0; i < 64; i++) w.byte(150); // Cb
+      for (let i = 0; i < 64; i++) w.byte(110); // Cr
+    }
+  }
+  w.trailing();
+  return toNalUnit(0x65, w.toBuffer());
+}
+
+function box(type, ...payloads) {
+  const body = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'ascii');
+  return Buffer.concat([header, body]);
+}
+
+function fullBox(type, version, flags, ...payloads) {
+  const versionAndFlags = Buffer.alloc(4);
+  versionAndFlags.writeUInt32BE(((version & 0xff) << 24) | (flags & 0xffffff));
+  return box(type, versionAndFlags, ...payloads);
+}
+
+function u32(...values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeUInt32BE(value >>> 0, i * 4));
+  return buffer;
+}
+
+function u16(...values) {
+  const buffer = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => buffer.writeUInt16BE(value & 0xffff, i * 2));
+  return buffer;
+}
+
+const IDENTITY_MATRIX = u32(0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000);
+
+/**
+ * Create a silent H.264 MP4 with a slowly shifting gradient
+ * @param {number} durationSeconds - Video length
+ * @returns {Buffer} MP4 file
+ */
+function createPlaceholderMP4(durationSeconds) {
+  const widthInMbs = VIDEO_WIDTH / 16;
+  const heightInMbs = VIDEO_HEIGHT / 16;
+  const frameCount = Math.max(1, Math.round(durationSeconds * VIDEO_FPS));
+  const frameDuration = VIDEO_TIMESCALE / VIDEO_FPS;
+  const duration = frameCount * frameDuration;
+
+  const sps = createSPS(widthInMbs, heightInMbs);
+  const pps = createPPS();
+  const samples = Array.from({ length: frameCount }, (_, i) => {
+    const nal = createIDRFrame(widthInMbs, heightInMbs, i);
+    return Buffer.concat([u32(nal.length), nal]); // length-prefixed NAL unit
+  });
+
+  const avcC = box('avcC',
+    Buffer.from([1, sps[1], sps[2], sps[3], 0xff, 0xe1]),
+    u16(sps.length), sps,
+    Buffer.from([1]), u16(pps.length), pps
+  );
+
+  const avc1 = box('avc1',
+    Buffer.alloc(6), u16(1), // reserved, data_reference_index
+    Buffer.alloc(16), // pre_defined + reserved
+    u16(VIDEO_WIDTH, VIDEO_HEIGHT),
+    u32(0x00480000, 0x00480000, 0), // 72 dpi, reserved
+    u16(1), // frame_count
+    Buffer.alloc(32), // compressorname
+    u16(0x0018, 0xffff), // depth, pre_defined
+    avcC
+  );
+
+  const buildMoov = (chunkOffset) => box('moov',
+    fullBox('mvhd', 0, 0,
+      u32(0, 0, VIDEO_TIMESCALE, duration, 0x00010000), u16(0x0100), Buffer.alloc(10),
+      IDENTITY_MATRIX, Buffer.alloc(24), u32(2)
+    ),
+    box('trak',
+      fullBox('tkhd', 0, 3,
+        u32(0, 0, 1, 0, duration), Buffer.alloc(8), u16(0, 0, 0, 0),
+        IDENTITY_MATRIX, u32(VIDEO_WIDTH << 16, VIDEO_HEIGHT << 16)
+      ),
+      box('mdia',
+        fullBox('mdhd', 0, 0, u32(0, 0, VIDEO_TIMESCALE, duration), u16(0x55c4, 0)),
+        fullBox('hdlr', 0, 0, u32(0), Buffer.from('vide', 'ascii'), Buffer.alloc(12), Buffer.from('VideoHandler\0', 'ascii')),
+        box('minf',
+          fullBox('vmhd', 0, 1, u16(0, 0, 0, 0)),
+          box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+          box('stbl',
+            fullBox('stsd', 0, 0, u32(1), avc1),
+            fullBox('stts', 0, 0, u32(1, frameCount, frameDuration)),
+            fullBox('stsc', 0, 0, u32(1, 1, frameCount, 1)),
+            fullBox('stsz', 0, 0, u32(0, frameCount), ...samples.map(sample => u32(sample.length))),
+            fullBox('stco', 0, 0, u32(1, chunkOffset))
+          )
+        )
+      )
+    )
+  );
+
+  const ftyp = box('ftyp', Buffer.from('isom', 'ascii'), u32(0x200), Buffer.from('isomiso2avc1mp41', 'ascii'));
+  // moov comes first (fast start); its size doesn't depend on the offset it contains
+  const moovSize = buildMoov(0).length;
+  const moov = buildMoov(ftyp.length + moovSize + 8);
+  return Buffer.concat([ftyp, moov, box('mdat', ...samples)]);
+}
+
+// Duration of a PCM WAV file (0 if it isn't one)
+function wavDurationSeconds(buffer) {
+  if (!buffer || buffer.length < 44 || buffer.toString('ascii', 0, 4) !== 'RIFF') return 0;
+  const byteRate = buffer.readUInt32LE(28);
+  return byteRate ? (buffer.length - 44) / byteRate : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class MockComfyUIServer {
+  /**
+   * @param {Object} options
+   * @param {number} options.steps - Progress steps per prompt (default 10)
+   * @param {number} options.stepDelayMs - Delay between progress messages (default 100)
+   * @param {number} options.failRate - Probability (0..1) that a prompt ends in execution_error
+   * @param {number} options.defaultVideoSeconds - Video length when no audio was uploaded
+   */
+  constructor({ steps = 10, stepDelayMs = 100, failRate = 0, defaultVideoSeconds = 3 } = {}) {
+    this.options = { steps, stepDelayMs, failRate, defaultVideoSeconds };
+    this.files = new Map(); // "type/subfolder/filename" -> { body, contentType }
+    this.sockets = new Map(); // clientId -> Set<WebSocket>
+    this.queue = [];
+    this.running = null;
+    this.history = {}; // promptId -> { prompt, outputs, status }
+    this.failNextCount = 0;
+    this.promptCount = 0;
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        console.error('❌ Mock ComfyUI request failed:', error);
+        this.sendJSON(res, 500, { error: error.message });
+      });
+    });
+
+    this.wss = new WebSocket.WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (request, socket, head) => {
+      const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+      if (pathname !== '/ws' && pathname !== '/api/ws') {
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(request, socket, head, (ws) => {
+        this.addSocket(searchParams.get('clientId') || randomUUID(), ws);
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 for a random free port)
+   * @param {string} host - Interface to bind
+   * @returns {Promise<string>} Base URL
+   */
+  listen(port = 8188, host = '127.0.0.1') {
+    return new Promise((resolve) => {
+      this.server.listen(port, host, () => {
+        this.url = `http://${host}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  async close() {
+    for (const ws of this.wss.clients) ws.terminate();
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Drop every websocket, like a network blip or a proxy timeout would
+  dropConnections() {
+    for (const ws of this.wss.clients) ws.terminate();
+  }
+
+  // Make the next `count` prompts fail with execution_error
+  failNext(count = 1) {
+    this.failNextCount += count;
+  }
+
+  addSocket(clientId, ws) {
+    if (!this.sockets.has(clientId)) this.sockets.set(clientId, new Set());
+    this.sockets.get(clientId).add(ws);
+    ws.on('close', () => this.sockets.get(clientId)?.delete(ws));
+
+    ws.send(JSON.stringify({ type: 'status', data: { status: this.status(), sid: clientId } }));
+  }
+
+  status() {
+    return { exec_info: { queue_remaining: this.queue.length + (this.running ? 1 : 0) } };
+  }
+
+  send(clientId, type, data) {
+    const message = JSON.stringify({ type, data });
+    for (const ws of this.sockets.get(clientId) || []) {
+      if (ws.readyState === WebSocket.OPEN) ws.send(message);
+    }
+  }
+
+  broadcastStatus() {
+    const message = JSON.stringify({ type: 'status', data: { status: this.status() } });
+    for (const ws of this.wss.clients) {
+      if (ws.readyState === WebSocket.OPEN) ws.send(message);
+    }
+  }
+
+  sendJSON(res, status, body) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  async readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  async handleRequest(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const route = pathname.replace(/^\/api(?=\/)/, '');
+
+    if (req.method === 'POST' && route === '/prompt') return this.handlePrompt(req, res);
+    if (req.method === 'POST' && route === '/upload/image') return this.handleUpload(req, res);
+    if (req.method === 'GET' && route === '/view') return this.handleView(searchParams, res);
+    if (req.method === 'POST' && route === '/interrupt') return this.handleInterrupt(req, res);
+    if (req.method === 'POST' && route === '/queue') return this.handleQueueChange(req, res);
+    if (req.method === 'GET' && route.startsWith('/history')) {
+      const promptId = route.split('/')[2];
+      if (!promptId) return this.sendJSON(res, 200, this.history);
+      return this.sendJSON(res, 200, this.history[promptId] ? { [promptId]: this.history[promptId] } : {});
+    }
+    if (req.method === 'GET' && route === '/queue') {
+      return this.sendJSON(res, 200, {
+        queue_running: this.running ? [[0, this.running.promptId]] : [],
+        queue_pending: this.queue.map((job, i) => [i + 1, job.promptId]),
+      });
+    }
+    if (req.method === 'GET' && route === '/system_stats') {
+      return this.sendJSON(res, 200, { system: { os: process.platform, comfyui_version: 'mock' }, devices: [] });
+    }
+
+    this.sendJSON(res, 404, { error: `Not found: ${req.method} ${pathname}` });
+  }
+
+  async handlePrompt(req, res) {
+    let payload;
+    try {
+      payload = JSON.parse((await this.readBody(req)).toString('utf8'));
+    } catch {
+      return this.sendJSON(res, 400, { error: { type: 'invalid_prompt', message: 'Invalid JSON' }, node_errors: {} });
+    }
+
+    const workflow = payload.prompt;
+    if (!workflow || typeof workflow !== 'object') {
+      return this.sendJSON(res, 400, { error: { type: 'invalid_prompt', message: 'No prompt provided' }, node_errors: {} });
+    }
+
+    const outputs = Object.keys(workflow).filter(id => OUTPUT_NODES.includes(workflow[id]?.class_type));
+    if (outputs.length === 0) {
+      return this.sendJSON(res, 400, { error: { type: 'prompt_no_outputs', message: 'Prompt has no outputs' }, node_errors: {} });
+    }
+
+    // Like ComfyUI, reject LoadImage/LoadAudio nodes whose file was never uploaded
+    const nodeErrors = {};
+    for (const [id, node] of Object.entries(workflow)) {
+      const field = { LoadImage: 'image', LoadAudio: 'audio' }[node.class_type];
+      const filename = field && node.inputs?.[field];
+      if (filename && !this.files.has(`input//${filename}`)) {
+        nodeErrors[id] = {
+          errors: [{ type: 'custom_validation_failed', message: `Invalid ${field} file: ${filename}` }],
+          dependent_outputs: outputs,
+          class_type: node.class_type,
+        };
+      }
+    }
+    if (Object.keys(nodeErrors).length > 0) {
+      return this.sendJSON(res, 400, {
+        error: { type: 'prompt_outputs_failed_validation', message: 'Prompt outputs failed validation' },
+        node_errors: nodeErrors,
+      });
+    }
+
+    const job = {
+      promptId: randomUUID(),
+      number: this.promptCount++,
+      clientId: payload.client_id,
+      workflow,
+      outputs,
+      interrupted: false,
+    };
+    this.queue.push(job);
+    console.log(`📋 Queued prompt ${job.promptId} (${outputs.length} output node${outputs.length === 1 ? '' : 's'})`);
+
+    this.sendJSON(res, 200, { prompt_id: job.promptId, number: job.number, node_errors: {} });
+    this.broadcastStatus();
+    setTimeout(() => this.processQueue(), QUEUE_PICKUP_MS);
+  }
+
+  async handleUpload(req, res) {
+    const body = await this.readBody(req);
+    const form = await new Response(body, { headers: { 'Content-Type': req.headers['content-type'] || '' } }).formData();
+    const file = form.get('image');
+    if (!file || typeof file === 'string') {
+      return this.sendJSON(res, 400, { error: 'No file uploaded (expected an "image" field)' });
+    }
+
+    const type = form.get('type') || 'input';
+    const subfolder = form.get('subfolder') || '';
+    const overwrite = form.get('overwrite') === 'true';
+
+    // Without overwrite, ComfyUI picks a free name: "name (1).ext"
+    let name = file.name;
+    if (!overwrite) {
+      const dot = name.lastIndexOf('.');
+      const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+      for (let i = 1; this.files.has(`${type}/${subfolder}/${name}`); i++) {
+        name = `${base} (${i})${ext}`;
+      }
+    }
+
+    this.files.set(`${type}/${subfolder}/${name}`, {
+      body: Buffer.from(await file.arrayBuffer()),
+      contentType: file.type || 'application/octet-stream',
+    });
+    console.log(`📤 Stored upload ${type}/${subfolder ? `${subfolder}/` : ''}${name} (${file.size} bytes)`);
+
+    this.sendJSON(res, 200, { name, subfolder, type });
+  }
+
+  handleView(searchParams, res) {
+    const key = `${searchParams.get('type') || 'output'}/${searchParams.get('subfolder') || ''}/${searchParams.get('filename')}`;
+    const file = this.files.get(key);
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('404: Not Found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': file.contentType, 'Content-Length': file.body.length });
+    res.end(file.body);
+  }
+
+  async handleInterrupt(req, res) {
+    const body = (await this.readBody(req)).toString('utf8');
+    const { prompt_id: promptId } = body ? JSON.parse(body) : {};
+
+    // Newer ComfyUI versions only interrupt the given prompt
+    if (this.running && (!promptId || promptId === this.running.promptId)) {
+      this.running.interrupted = true;
+      console.log(`✋ Interrupting prompt ${this.running.promptId}`);
+    }
+    res.writeHead(200);
+    res.end();
+  }
+
+  async handleQueueChange(req, res) {
+    const { delete: promptIds = [], clear = false } = JSON.parse((await this.readBody(req)).toString('utf8') || '{}');
+
+    const before = this.queue.length;
+    this.queue = clear ? [] : this.queue.filter(job => !promptIds.includes(job.promptId));
+    console.log(`🗑️ Removed ${before - this.queue.length} pending prompt(s)`);
+
+    res.writeHead(200);
+    res.end();
+    this.broadcastStatus();
+  }
+
+  async processQueue() {
+    if (this.running) return;
+
+    while (this.queue.length > 0) {
+      this.running = this.queue.shift();
+      try {
+        await this.execute(this.running);
+      } catch (error) {
+        console.error('❌ Mock execution crashed:', error);
+      }
+      this.running = null;
+      this.broadcastStatus();
+    }
+  }
+
+  // Run a prompt and record it in the history, which clients read after a reconnect
+  async execute(job) {
+    const outputs = {};
+    const result = await this.runPrompt(job, outputs);
+
+    this.history[job.promptId] = {
+      prompt: [job.number, job.promptId, job.workflow, {}, job.outputs],
+      outputs,
+      status: { status_str: result === 'success' ? 'success' : 'error', completed: result === 'success', messages: [] },
+    };
+  }
+
+  // Play the messages of one prompt; returns 'success', 'error' or 'interrupted'
+  async runPrompt(job, historyOutputs) {
+    const { promptId, clientId, workflow, outputs } = job;
+    const { steps, stepDelayMs, failRate } = this.options;
+    const nodeIds = Object.keys(workflow);
+    const samplerId = nodeIds.find(id => /Sampler/.test(workflow[id].class_type)) || nodeIds[0];
+
+    this.send(clientId, 'execution_start', { prompt_id: promptId, timestamp: Date.now() });
+    this.send(clientId, 'execution_cached', { nodes: [], prompt_id: promptId, timestamp: Date.now() });
+
+    const shouldFail = this.failNextCount > 0 || Math.random() < failRate;
+    if (this.failNextCount > 0) this.failNextCount--;
+
+    this.send(clientId, 'executing', { node: samplerId, display_node: samplerId, prompt_id: promptId });
+    for (let value = 1; value <= steps; value++) {
+      await wait(stepDelayMs);
+      if (job.interrupted) {
+        this.send(clientId, 'execution_interrupted', {
+          prompt_id: promptId,
+          node_id: samplerId,
+          node_type: workflow[samplerId].class_type,
+          executed: [],
+        });
+        return 'interrupted';
+      }
+      this.send(clientId, 'progress', { value, max: steps, prompt_id: promptId, node: samplerId });
+
+      // Fail halfway through sampling, like an out-of-memory error would
+      if (shouldFail && value >= Math.ceil(steps / 2)) {
+        console.log(`💥 Prompt ${promptId} failing with execution_error`);
+        this.send(clientId, 'execution_error', {
+          prompt_id: promptId,
+          node_id: samplerId,
+          node_type: workflow[samplerId].class_type,
+          executed: [],
+          exception_message: 'Allocation on device 0 would exceed allowed memory. (out of memory)',
+          exception_type: 'torch.OutOfMemoryError',
+          traceback: ['  File "execution.py", line 327, in execute\n'],
+          current_inputs: {},
+          current_outputs: {},
+        });
+        return 'error';
+      }
+    }
+
+    for (const nodeId of outputs) {
+      this.send(clientId, 'executing', { node: nodeId, display_node: nodeId, prompt_id: promptId });
+      const output = this.createOutput(job, nodeId);
+      historyOutputs[nodeId] = output;
+      this.send(clientId, 'executed', { node: nodeId, display_node: nodeId, output, prompt_id: promptId });
+    }
+
+    this.send(clientId, 'execution_success', { prompt_id: promptId, timestamp: Date.now() });
+    this.send(clientId, 'executing', { node: null, prompt_id: promptId });
+    console.log(`✅ Prompt ${promptId} finished`);
+    return 'success';
+  }
+
+  // Store a placeholder file for an output node and describe it the way ComfyUI does
+  createOutput(job, nodeId) {
+    const node = job.workflow[nodeId];
+    const prefix = String(node.inputs?.filename_prefix || 'ComfyUI').replace(/[^\w-]/g, '_');
+    const index = String(job.number + 1).padStart(5, '0');
+
+    if (VIDEO_NODES.includes(node.class_type)) {
+      const type = node.inputs?.save_output === false ? 'temp' : 'output';
+      const filename = `${prefix}_${index}-audio.mp4`;
+      const video = createPlaceholderMP4(this.findAudioDuration(job.workflow) || this.options.defaultVideoSeconds);
+      this.files.set(`${type}//${filename}`, { body: video, contentType: 'video/mp4' });
+      return {
+        gifs: [{
+          filename,
+          subfolder: '',
+          type,
+          format: node.inputs?.format || 'video/h264-mp4',
+          frame_rate: node.inputs?.frame_rate || VIDEO_FPS,
+          workflow: `${prefix}_${index}.png`,
+          fullpath: `/comfyui/${type}/${filename}`,
+        }],
+      };
+    }
+
+    const type = node.class_type === 'PreviewImage' ? 'temp' : 'output';
+    const filename = `${prefix}_${index}_.png`;
+    const latent = Object.values(job.workflow).find(candidate => /EmptyLatentImage/.test(candidate.class_type));
+    const width = Math.min(Number(latent?.inputs?.width) || 512, 1024);
+    const height = Math.min(Number(latent?.inputs?.height) || 512, 1024);
+    this.files.set(`${type}//${filename}`, { body: createPlaceholderPNG(width, height), contentType: 'image/png' });
+    return { images: [{ filename, subfolder: '', type }] };
+  }
+
+  // Video length follows the uploaded audio, like the lip-sync workflow
+  findAudioDuration(workflow) {
+    const loadAudio = Object.values(workflow).find(node => node.class_type === 'LoadAudio');
+    const file = loadAudio && this.files.get(`input//${loadAudio.inputs?.audio}`);
+    return file ? Math.min(wavDurationSeconds(file.body), 60) : 0;
+  }
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!match) continue;
+    args[match[1]] = match[2] ?? argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const mock = new MockComfyUIServer({
+    steps: Number(args.steps ?? 10),
+    stepDelayMs: Number(args['step-delay'] ?? 150),
+    failRate: Number(args['fail-rate'] ?? 0),
+  });
+
+  const url = await mock.listen(Number(args.port ?? 8188), args.host || '127.0.0.1');
+  console.log('🧪 Mock ComfyUI server');
+  console.log('=======================');
+  console.log(`✅ Listening at ${url}`);
+  console.log(`⚙️  ${mock.options.steps} steps, ${mock.options.stepDelayMs}ms per step, fail rate ${mock.options.failRate}`);
+  console.log(`💡 Point the app at it with COMFY_UI_SERVER_URL=${url}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Failed to start mock ComfyUI server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MockComfyUIServer,
+  createPlaceholderMP4,
+  createPlaceholderPNG,
+};
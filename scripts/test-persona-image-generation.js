@@ -28,11 +28,11 @@ async function testPersonaImageGeneration() {
     console.log(`🎯 Testing with persona: ${testPersona.name}`);
     
     // Generate image
-    const { s3Url, localPath } = await generator.generatePersonaImage(testPersona);
+    const { imageKey, localPath } = await generator.generatePersonaImage(testPersona);
     
     console.log(`✅ Test completed successfully!`);
     console.log(`📁 Local file: ${localPath}`);
-    console.log(`☁️  S3 URL: ${s3Url}`);
+    console.log(`☁️  Storage key: ${imageKey}`);
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
@@ -0,0 +1,262 @@
+const { createClient } = require('@supabase/supabase-js');
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * RLS policy checks against the local Supabase stack (supabase start).
+ *
+ * Keys are read from SUPABASE_LOCAL_ANON_KEY / SUPABASE_LOCAL_SERVICE_ROLE_KEY, or from
+ * `supabase status` when those aren't set. The API URL defaults to the [api] port in
+ * supabase/config.toml. Never point this at a hosted project: it creates and deletes
+ * users and rows.
+ */
+
+// Read the API port from supabase/config.toml
+function getLocalApiUrl() {
+  const configPath = path.join(__dirname, '..', 'supabase', 'config.toml');
+  const config = fs.readFileSync(configPath, 'utf8');
+  const apiSection = config.split(/^\[api\]\s*$/m)[1] || '';
+  const portMatch = apiSection.match(/^port\s*=\s*(\d+)/m);
+  return `http://127.0.0.1:${portMatch ? portMatch[1] : 54321}`;
+}
+
+// Read local keys from `supabase status -o env`
+function getLocalStatus() {
+  try {
+    const output = execSync('npx --no-install supabase status -o env', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 60000 });
+    return Object.fromEntries(
+      output
+        .split('\n')
+        .map(line => line.match(/^([A-Z_]+)="?(.*?)"?$/))
+        .filter(Boolean)
+        .map(([, key, value]) => [key, value])
+    );
+  } catch {
+    return {};
+  }
+}
+
+function loadLocalConfig() {
+  let anonKey = process.env.SUPABASE_LOCAL_ANON_KEY;
+  let serviceRoleKey = process.env.SUPABASE_LOCAL_SERVICE_ROLE_KEY;
+  let url = process.env.SUPABASE_LOCAL_URL;
+
+  if (!anonKey || !serviceRoleKey) {
+    const status = getLocalStatus();
+    anonKey = anonKey || status.ANON_KEY;
+    serviceRoleKey = serviceRoleKey || status.SERVICE_ROLE_KEY;
+    url = url || status.API_URL;
+  }
+
+  url = url || getLocalApiUrl();
+
+  if (!anonKey || !serviceRoleKey) {
+    throw new Error('Local Supabase keys not found. Run `npx supabase start` or set SUPABASE_LOCAL_ANON_KEY and SUPABASE_LOCAL_SERVICE_ROLE_KEY.');
+  }
+
+  if (!/^https?:\/\/(127\.0\.0\.1|localhost)(:\d+)?$/.test(url)) {
+    throw new Error(`Refusing to run policy tests against a non-local URL: ${url}`);
+  }
+
+  return { url, anonKey, serviceRoleKey };
+}
+
+class PolicyTester {
+  constructor({ url, anonKey, serviceRoleKey }) {
+    this.url = url;
+    this.anonKey = anonKey;
+    this.admin = createClient(url, serviceRoleKey, { auth: { persistSession: false } });
+    this.results = [];
+    this.createdUserIds = [];
+    this.createdPersonaIds = [];
+  }
+
+  newClient() {
+    return createClient(this.url, this.anonKey, { auth: { persistSession: false, autoRefreshToken: false } });
+  }
+
+  // Anonymous sign-in, the same way the frontend gets its session
+  async signInAnonymously() {
+    const client = this.newClient();
+    const { data, error } = await client.auth.signInAnonymously();
+    if (error) throw new Error(`Anonymous sign-in failed (is it enabled in config.toml?): ${error.message}`);
+    this.createdUserIds.push(data.user.id);
+    return { client, userId: data.user.id };
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.results.push({ name, passed: true });
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.results.push({ name, passed: false, error: error.message });
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  // Writes blocked by RLS either fail outright or silently affect no rows
+  static expectDenied({ data, error }, what) {
+    if (error) return;
+    if (Array.isArray(data) && data.length === 0) return;
+    throw new Error(`${what} was allowed`);
+  }
+
+  static expectAllowed({ data, error }, what, expectedRows = 1) {
+    if (error) throw new Error(`${what} failed: ${error.message}`);
+    if (Array.isArray(data) && data.length !== expectedRows) {
+      throw new Error(`${what} returned ${data.length} rows, expected ${expectedRows}`);
+    }
+  }
+
+  async run() {
+    const anon = this.newClient();
+    const alice = await this.signInAnonymously();
+    const bob = await this.signInAnonymously();
+    const { expectDenied, expectAllowed } = PolicyTester;
+
+    // Personas: readable by everyone, writable only by the service role
+    const { data: persona, error: personaError } = await this.admin
+      .from('personas')
+      .insert({ name: `RLS Test ${Date.now()}`, voice_name: 'Kore', tone: 'neutral' })
+      .select()
+      .single();
+    if (personaError) throw new Error(`Service role could not create a persona: ${personaError.message}`);
+    this.createdPersonaIds.push(persona.id);
+
+    await this.check('anon can read personas', async () => {
+      expectAllowed(await anon.from('personas').select('id').eq('id', persona.id), 'Reading personas');
+    });
+    await this.check('anon cannot create personas', async () => {
+      expectDenied(await anon.from('personas').insert({ name: 'Intruder', voice_name: 'Kore' }).select(), 'Creating a persona');
+    });
+    await this.check('signed-in user cannot update personas', async () => {
+      expectDenied(await alice.client.from('personas').update({ tone: 'hacked' }).eq('id', persona.id).select(), 'Updating a persona');
+    });
+    await this.check('signed-in user cannot delete personas', async () => {
+      expectDenied(await alice.client.from('personas').delete().eq('id', persona.id).select(), 'Deleting a persona');
+    });
+    await this.check('service role can update personas', async () => {
+      expectAllowed(await this.admin.from('personas').update({ tone: 'calm' }).eq('id', persona.id).select(), 'Updating a persona');
+    });
+
+    // Chats: scoped to auth.uid()
+    const { data: chat, error: chatError } = await alice.client
+      .from('chats')
+      .insert({ user_id: alice.userId, title: 'RLS test chat', persona_id: persona.id })
+      .select()
+      .single();
+
+    await this.check('user can create their own chat', async () => {
+      if (chatError) throw new Error(chatError.message);
+    });
+    await this.check('user cannot create a chat for someone else', async () => {
+      expectDenied(await bob.client.from('chats').insert({ user_id: alice.userId, title: 'Forged' }).select(), 'Creating a chat for another user');
+    });
+
+    if (chat) {
+      await this.check('user can read their own chat', async () => {
+        expectAllowed(await alice.client.from('chats').select('id').eq('id', chat.id), 'Reading own chat');
+      });
+      await this.check('other users cannot read the chat', async () => {
+        expectDenied(await bob.client.from('chats').select('id').eq('id', chat.id), 'Reading another user\'s chat');
+      });
+      await this.check('anon cannot read chats', async () => {
+        expectDenied(await anon.from('chats').select('id').eq('id', chat.id), 'Reading chats without a session');
+      });
+      await this.check('other users cannot update the chat', async () => {
+        expectDenied(await bob.client.from('chats').update({ title: 'Hijacked' }).eq('id', chat.id).select(), 'Updating another user\'s chat');
+      });
+      await this.check('user cannot give their chat to someone else', async () => {
+        expectDenied(await alice.client.from('chats').update({ user_id: bob.userId }).eq('id', chat.id).select(), 'Reassigning a chat');
+      });
+      await this.check('other users cannot delete the chat', async () => {
+        expectDenied(await bob.client.from('chats').delete().eq('id', chat.id).select(), 'Deleting another user\'s chat');
+      });
+      await this.check('user can delete their own chat', async () => {
+        expectAllowed(await alice.client.from('chats').delete().eq('id', chat.id).select(), 'Deleting own chat');
+      });
+    }
+
+    // Profiles: scoped to auth.uid()
+    await this.check('user can create their own profile', async () => {
+      expectAllowed(
+        await alice.client.from('profiles').insert({ user_id: alice.userId, display_name: 'Alice', email: 'alice@example.com' }).select(),
+        'Creating own profile'
+      );
+    });
+    await this.check('user cannot create a profile for someone else', async () => {
+      expectDenied(
+        await bob.client.from('profiles').insert({ user_id: alice.userId, display_name: 'Forged' }).select(),
+        'Creating a profile for another user'
+      );
+    });
+    await this.check('other users cannot read the profile', async () => {
+      expectDenied(await bob.client.from('profiles').select('email').eq('user_id', alice.userId), 'Reading another user\'s profile');
+    });
+    await this.check('anon cannot read profiles', async () => {
+      expectDenied(await anon.from('profiles').select('email').eq('user_id', alice.userId), 'Reading profiles without a session');
+    });
+    await this.check('other users cannot update the profile', async () => {
+      expectDenied(await bob.client.from('profiles').update({ email: 'bob@example.com' }).eq('user_id', alice.userId).select(), 'Updating another user\'s profile');
+    });
+    await this.check('other users cannot delete the profile', async () => {
+      expectDenied(await bob.client.from('profiles').delete().eq('user_id', alice.userId).select(), 'Deleting another user\'s profile');
+    });
+
+    // Legacy users table: service role only
+    await this.check('anon cannot read users', async () => {
+      expectDenied(await anon.from('users').select('id').limit(1), 'Reading users');
+    });
+    await this.check('signed-in user cannot create users', async () => {
+      expectDenied(await alice.client.from('users').insert({ name: 'Intruder' }).select(), 'Creating a user');
+    });
+  }
+
+  async cleanup() {
+    try {
+      for (const userId of this.createdUserIds) {
+        await this.admin.from('chats').delete().eq('user_id', userId);
+        await this.admin.from('profiles').delete().eq('user_id', userId);
+        await this.admin.auth.admin.deleteUser(userId);
+      }
+      if (this.createdPersonaIds.length > 0) {
+        await this.admin.from('personas').delete().in('id', this.createdPersonaIds);
+      }
+      console.log('🧹 Cleaned up test users, chats, profiles and personas');
+    } catch (error) {
+      console.error('⚠️ Cleanup failed:', error.message);
+    }
+  }
+}
+
+async function testRlsPolicies() {
+  console.log('🧪 Testing Supabase RLS policies');
+  console.log('================================\n');
+
+  let tester = null;
+  try {
+    const config = loadLocalConfig();
+    console.log('🔗 Local Supabase API:', config.url, '\n');
+
+    tester = new PolicyTester(config);
+    await tester.run();
+  } catch (error) {
+    console.error('❌ Policy test run failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (tester) await tester.cleanup();
+  }
+
+  if (tester) {
+    const failed = tester.results.filter(result => !result.passed);
+    console.log(`\n📊 ${tester.results.length - failed.length}/${tester.results.length} checks passed`);
+    if (failed.length > 0) {
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the tests
+testRlsPolicies();
@@ -7,24 +7,27 @@ const cors = require('cors');
 const helmet = require('helmet');
 const fs = require('node:fs');
 const path = require('node:path');
-const { randomUUID } = require('node:crypto');
 
 const db = require('./utils/db');
-const ai = require('./utils/generate');
-const s3Service = require('./utils/s3');
-const brightdataService = require('./utils/brightdata');
-const videoGenerationService = require('./utils/videoGeneration');
+const mediaService = require('./utils/media');
+const { verifyStorageSignature, VIDEO_PROXY_ROUTE } = require('./utils/storage/signing');
+const { sendStoredObject } = require('./utils/mediaProxy');
+const LocalStorage = require('./utils/storage/local');
+const newsSources = require('./utils/news');
+const newsCache = require('./utils/news/cache');
+const briefingScheduler = require('./utils/briefings');
+const podcastFeeds = require('./utils/podcast');
+const mediaCleanup = require('./utils/mediaCleanup');
+const { AUDIO_FORMATS, parseAudioFormat, transcodePcm, ensureAudioVariant } = require('./utils/transcode');
+const { cleanResponseText } = require('./utils/helpers');
 const {
-  saveAudioFile,
-  saveMultiSpeakerAudio,
-} = require('./utils/helpers');
-
-// Utility function to remove square brackets and their content from text
-function cleanResponseText(text) {
-  if (!text) return text;
-  // Remove square brackets and everything inside them, including any leading/trailing spaces
-  return text.replace(/\s*\[[^\]]*\]\s*/g, ' ').replace(/\s+/g, ' ').trim();
-}
+  createConversationPipeline,
+  createPipelineContext,
+  buildChatResponse,
+} = require('./utils/pipeline');
+const { attachVoiceServer } = require('./utils/voiceSession');
+const jobQueue = require('./utils/jobQueue');
+const { requireUser, requireOwnKey, requireAdmin } = require('./utils/auth');
 
 // Helper function to sign media URLs in messages
 async function signMediaUrlsInMessages(messages) {
@@ -32,20 +35,20 @@ async function signMediaUrlsInMessages(messages) {
     const signedMessage = { ...message };
 
     try {
-      // Sign audio URL if present and it's an S3 key (not already a signed URL)
+      // Sign audio URL if present and it's a storage key (not already a signed URL)
       if (message.audioUrl && typeof message.audioUrl === 'string') {
-        // Check if it's an S3 key (no https:// and no query parameters)
+        // Check if it's a storage key (no https:// and no query parameters)
         if (!message.audioUrl.startsWith('http') && !message.audioUrl.includes('?')) {
-          signedMessage.audioUrl = await s3Service.getSignedUrl(message.audioUrl, 3600);
+          signedMessage.audioUrl = await mediaService.getSignedUrl(message.audioUrl, 3600);
           console.log('✅ Signed audio URL for message');
         }
       }
 
-      // Sign video URL if present and it's an S3 key (not already a signed URL)
+      // Point video at the app's video proxy if it's a storage key (not already a signed URL)
       if (message.videoUrl && typeof message.videoUrl === 'string') {
-        // Check if it's an S3 key (no https:// and no query parameters)
+        // Check if it's a storage key (no https:// and no query parameters)
         if (!message.videoUrl.startsWith('http') && !message.videoUrl.includes('?')) {
-          signedMessage.videoUrl = await s3Service.getSignedUrl(message.videoUrl, 3600);
+          signedMessage.videoUrl = mediaService.getVideoUrl(message.videoUrl, 3600);
           console.log('✅ Signed video URL for message');
         }
       }
@@ -58,6 +61,102 @@ async function signMediaUrlsInMessages(messages) {
   }));
 }
 
+// Helper function to prepare stored messages for the client: clean the text and sign media URLs
+async function formatChatMessages(messages) {
+  return await signMediaUrlsInMessages(messages.map(message => ({
+    ...message,
+    content: cleanResponseText(message.content)
+  })));
+}
+
+// Helper function to run a chat turn and report each step as Server-Sent Events
+// Events, in order: transcription, token (repeated), audio-ready, video-queued, saved
+// There are no video-progress or video-ready events: the video renders on the job queue after the
+// stream has ended, so clients poll GET /api/jobs/:jobId with the video-queued id for progress,
+// and the finished video reaches them as an update of the message (useRealtimeChats).
+function streamConversation(inputType) {
+  return async (req, res) => {
+    console.log(`📡 [POST] ${req.path} - Streaming ${inputType} chat message`);
+    console.log('📋 Request details:', { 
+      messageLength: req.body.message?.length || 0,
+      personaName: req.body.personaName,
+      personaId: req.body.personaId,
+      uid: req.body.uid,
+      chatId: req.body.chatId,
+      locations: req.body.locations,
+      videoEnabled: req.body.videoEnabled,
+      mode: req.body.mode
+    });
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Keep the connection alive while TTS or video generation runs
+    const heartbeat = setInterval(() => {
+      if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, 15000);
+
+    // A client that disconnects mid-turn stops the pipeline: nobody is left to read the reply
+    const controller = new AbortController();
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      if (!res.writableFinished) {
+        console.log(`🔌 Client disconnected, stopping streamed ${inputType} chat`);
+        controller.abort();
+      }
+    });
+
+    const ctx = createPipelineContext(req.body, req);
+    ctx.signal = controller.signal;
+    ctx.onToken = (text) => sendEvent('token', { text });
+    ctx.onStage = async (report) => {
+      sendEvent('stage', report);
+
+      if (report.name === 'input' || report.name === 'transcription') {
+        sendEvent('transcription', { text: ctx.userMessage });
+      }
+
+      if (report.name === 'audio' && ctx.audioUrl) {
+        try {
+          sendEvent('audio-ready', {
+            audioUrl: await mediaService.getSignedUrl(ctx.audioUrl, 3600),
+            userAudioUrl: ctx.userAudioUrl ? await mediaService.getSignedUrl(ctx.userAudioUrl, 3600) : null,
+            chapters: ctx.chapters
+          });
+        } catch (signError) {
+          console.error('❌ Error signing streamed audio URL:', signError);
+        }
+      }
+
+      // The video renders in the background; the chat row is patched when it is ready
+      if (report.name === 'videoJob' && ctx.videoJobId) {
+        sendEvent('video-queued', { videoJobId: ctx.videoJobId });
+      }
+    };
+
+    try {
+      await createConversationPipeline(inputType, { stream: true, episode: ctx.mode === 'episode' }).run(ctx);
+
+      console.log(`🎉 Streamed ${inputType} chat processing completed successfully`);
+      sendEvent('saved', buildChatResponse(ctx));
+    } catch (error) {
+      console.error(`❌ Error in streamed ${inputType} chat endpoint:`, error);
+      sendEvent('error', { error: 'An error occurred processing your request', details: error.message, stage: error.stage });
+    } finally {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+}
+
 console.log('🚀 Initializing Express app...');
 const app = express();
 const port = process.env.PORT || 3001;
@@ -120,22 +219,47 @@ if (!fs.existsSync(audioFilesDir)) {
   fs.mkdirSync(audioFilesDir, { recursive: true });
 }
 
+// Paths go through LocalStorage#pathFor, so ids decoded from the URL can't reach outside audio_files/
+const legacyAudioFiles = new LocalStorage({ root: audioFilesDir });
+
 // Legacy endpoint to serve local audio files (kept for migration period)
-app.get('/api/audio/:uid/:chatId/:filename', (req, res) => {
+// npm run migrate:legacy-audio moves them into media storage; remove this once it reports nothing left
+// ?format=wav|mp3|opus converts the PCM on the fly
+app.get('/api/audio/:uid/:chatId/:filename', requireUser, async (req, res) => {
   console.log('🎵 [GET] /api/audio/:uid/:chatId/:filename - Serving local audio file');
-  console.log('📋 Parameters:', { uid: req.params.uid, chatId: req.params.chatId, filename: req.params.filename });
+  console.log('📋 Parameters:', { uid: req.params.uid, chatId: req.params.chatId, filename: req.params.filename, format: req.query.format });
   
   try {
     const { uid, chatId, filename } = req.params;
-    const filePath = path.join(audioFilesDir, uid, chatId, filename);
+
+    let filePath;
+    try {
+      filePath = legacyAudioFiles.pathFor(`${uid}/${chatId}/${filename}`);
+    } catch {
+      return res.status(400).json({ error: 'Invalid audio file path' });
+    }
+
+    const format = parseAudioFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: `Unsupported audio format. Use one of: ${Object.keys(AUDIO_FORMATS).join(', ')}` });
+    }
     
     // Check if file exists locally
     if (!fs.existsSync(filePath)) {
       console.log('❌ Local audio file not found:', filePath);
       return res.status(404).json({ 
-        error: 'Audio file not found locally. New audio files are served via S3 signed URLs.' 
+        error: 'Audio file not found locally. New audio files are served via signed storage URLs.' 
       });
     }
+
+    if (format !== 'pcm') {
+      const audio = await transcodePcm(await fs.promises.readFile(filePath), format);
+      res.setHeader('Content-Type', AUDIO_FORMATS[format].contentType);
+      res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
+      res.send(audio);
+      console.log(`✅ Successfully served local audio file as ${format}:`, filename);
+      return;
+    }
     
     // All files are PCM from Google
     const contentType = 'audio/L16';
@@ -147,14 +271,16 @@ app.get('/api/audio/:uid/:chatId/:filename', (req, res) => {
     console.log('✅ Successfully served local audio file:', filename);
   } catch (error) {
     console.error('❌ Error serving audio file:', error);
-    res.status(500).json({ error: 'Failed to serve audio file' });
+    res.status(500).json({ error: 'Failed to serve audio file', details: error.message });
   }
 });
 
 // Proxy endpoint to serve S3 audio files (solves CORS issues)
-app.get(/^\/api\/audio\/s3\/(.+)$/, async (req, res) => {
+// ?format=wav|mp3|opus serves the file transcoded (made on first request, then stored)
+// Supports range requests, so players can seek without downloading the whole file
+app.get(/^\/api\/audio\/s3\/(.+)$/, requireUser, requireOwnKey(req => req.params[0]), async (req, res) => {
   console.log('🎵 [GET] /api/audio/s3/* - Proxying S3 audio file');
-  console.log('📋 S3 Key:', req.params[0]);
+  console.log('📋 S3 Key:', req.params[0], 'Format:', req.query.format || 'pcm');
   
   try {
     const s3Key = req.params[0];
@@ -167,44 +293,96 @@ app.get(/^\/api\/audio\/s3\/(.+)$/, async (req, res) => {
       console.log('❌ Invalid S3 key format:', s3Key);
       return res.status(400).json({ error: 'Invalid S3 key format' });
     }
-    
-    // Generate signed URL with 1 hour expiration
-    const signedUrl = await s3Service.getSignedUrl(s3Key, 3600);
-    
-    console.log('🔗 Fetching audio from S3:', s3Key);
-    
-    // Fetch the audio file from S3
-    const response = await fetch(signedUrl);
-    
-    if (!response.ok) {
-      console.error('❌ Failed to fetch from S3:', response.status, response.statusText);
-      return res.status(response.status).json({ 
-        error: `Failed to fetch audio from S3: ${response.status} ${response.statusText}` 
-      });
+
+    const format = parseAudioFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: `Unsupported audio format. Use one of: ${Object.keys(AUDIO_FORMATS).join(', ')}` });
     }
-    
-    // Set appropriate headers for PCM audio
-    res.setHeader('Content-Type', 'audio/L16');
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
+
+    // The transcoded copy is made on first request and stored next to the PCM
+    const audioKey = format === 'pcm' ? s3Key : await ensureAudioVariant(s3Key, format);
+
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    // Stream the audio data to the client
-    response.body.pipe(res);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range');
+    res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length, ETag');
+
+    const sent = audioKey && await sendStoredObject(req, res, audioKey, {
+      contentType: AUDIO_FORMATS[format].contentType,
+      filename: format === 'pcm' ? undefined : path.basename(audioKey)
+    });
+    if (!sent) {
+      console.error('❌ Audio not found in storage:', s3Key);
+      return res.status(404).json({ error: 'Audio file not found' });
+    }
     
-    console.log('✅ Successfully proxied S3 audio file:', s3Key);
+    console.log(`✅ Successfully proxied audio file as ${format}:`, audioKey);
     
   } catch (error) {
     console.error('❌ Error proxying S3 audio file:', error);
-    res.status(500).json({ error: 'Failed to proxy audio file from S3' });
+    res.status(500).json({ error: 'Failed to proxy audio file from S3', details: error.message });
+  }
+});
+
+// Serve objects of the local and memory storage backends through URLs signed by the server
+// (the equivalent of S3 presigned URLs, so no session is needed)
+app.get(/^\/api\/storage\/(.+)$/, async (req, res) => {
+  const key = req.params[0];
+  console.log('🗄️ [GET] /api/storage/* - Serving stored object:', key);
+
+  try {
+    if (!verifyStorageSignature(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+
+    // Like S3 URLs, these are embedded by the frontend from another origin during development
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    if (!await sendStoredObject(req, res, key, { cacheControl: 'private, max-age=3600' })) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+  } catch (error) {
+    console.error('❌ Error serving stored object:', error);
+    res.status(500).json({ error: 'Failed to serve stored object', details: error.message });
+  }
+});
+
+// Proxy endpoint to serve generated videos with range requests, so players can seek
+// Video elements can't send the bearer token, so the URL is signed instead (see mediaService.getVideoUrl)
+app.get(/^\/api\/video\/(.+)$/, async (req, res) => {
+  const key = req.params[0];
+  console.log('📹 [GET] /api/video/* - Proxying video:', key, 'Range:', req.headers.range || 'none');
+
+  try {
+    if (!verifyStorageSignature(key, req.query.expires, req.query.signature, VIDEO_PROXY_ROUTE)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+
+    // Validate key format (should be uid/chatid/filename.mp4)
+    const keyParts = key.split('/');
+    if (keyParts.length !== 3 || !keyParts[2].endsWith('.mp4')) {
+      return res.status(400).json({ error: 'Invalid video key format' });
+    }
+
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    const sent = await sendStoredObject(req, res, key, {
+      contentType: 'video/mp4',
+      cacheControl: 'private, max-age=3600',
+      filename: keyParts[2]
+    });
+    if (!sent) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+  } catch (error) {
+    console.error('❌ Error proxying video:', error);
+    res.status(500).json({ error: 'Failed to proxy video', details: error.message });
   }
 });
 
 // New endpoint to generate signed URLs for S3 keys on demand (kept for compatibility)
-app.get('/api/audio/sign/:s3Key', async (req, res) => {
+// ?format=wav|mp3|opus signs the transcoded file, making it on first request
+app.get('/api/audio/sign/:s3Key', requireUser, requireOwnKey(req => req.params.s3Key), async (req, res) => {
   console.log('🔗 [GET] /api/audio/sign/:s3Key - Generating signed URL');
-  console.log('📋 S3 Key:', req.params.s3Key);
+  console.log('📋 S3 Key:', req.params.s3Key, 'Format:', req.query.format || 'pcm');
   
   try {
     const s3Key = req.params.s3Key;
@@ -217,16 +395,29 @@ app.get('/api/audio/sign/:s3Key', async (req, res) => {
       console.log('❌ Invalid S3 key format:', s3Key);
       return res.status(400).json({ error: 'Invalid S3 key format' });
     }
+
+    const format = parseAudioFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: `Unsupported audio format. Use one of: ${Object.keys(AUDIO_FORMATS).join(', ')}` });
+    }
+
+    let signedKey = s3Key;
+    if (format !== 'pcm') {
+      signedKey = await ensureAudioVariant(s3Key, format);
+      if (!signedKey) {
+        return res.status(404).json({ error: 'Audio file not found' });
+      }
+    }
     
     // Generate signed URL with 1 hour expiration
-    const signedUrl = await s3Service.getSignedUrl(s3Key, 3600);
+    const signedUrl = await mediaService.getSignedUrl(signedKey, 3600);
     
-    console.log('✅ Generated signed URL for:', s3Key);
+    console.log('✅ Generated signed URL for:', signedKey);
     
-    res.json({ signedUrl });
+    res.json({ signedUrl, format, contentType: AUDIO_FORMATS[format].contentType });
   } catch (error) {
     console.error('❌ Error generating signed URL:', error);
-    res.status(500).json({ error: 'Failed to generate signed URL' });
+    res.status(500).json({ error: 'Failed to generate signed URL', details: error.message });
   }
 });
 
@@ -242,13 +433,11 @@ app.get('/api/personas', async (req, res) => {
     const personasWithSignedUrls = await Promise.all(personas.map(async (persona) => {
       if (persona.image_url) {
         try {
-          // Extract S3 key from the full URL
-          // URL format: https://audio-chat-bymarco.s3.us-east-1.amazonaws.com/personas/filename.webp
-          const url = new URL(persona.image_url);
-          const s3Key = url.pathname.substring(1); // Remove leading slash
+          // image_url is a storage key, or a full S3 URL for images saved before keys
+          const imageKey = mediaService.keyFromUrl(persona.image_url);
           
           // Generate signed URL with 24 hour expiration (longer for images)
-          const signedUrl = await s3Service.getSignedUrl(s3Key, 86400);
+          const signedUrl = await mediaService.getSignedUrl(imageKey, 86400);
           
           return {
             ...persona,
@@ -278,7 +467,7 @@ app.get('/api/locations', async (req, res) => {
   console.log('📍 [GET] /api/locations - Fetching supported news locations');
   
   try {
-    const locations = brightdataService.getSupportedLocations();
+    const locations = newsSources.getSupportedLocations();
     console.log(`✅ Successfully fetched ${locations.length} supported locations`);
     res.json({ locations });
   } catch (error) {
@@ -287,9 +476,63 @@ app.get('/api/locations', async (req, res) => {
   }
 });
 
+// Force a refresh of cached news (operators only)
+// Body: { locations?: string[] } - defaults to every location in the cache
+app.post('/api/admin/news/refresh', requireUser, requireAdmin, async (req, res) => {
+  console.log('🔄 [POST] /api/admin/news/refresh - Forcing news refresh');
+
+  const requested = req.body?.locations;
+  if (requested !== undefined && (!Array.isArray(requested) || requested.some(location => typeof location !== 'string'))) {
+    return res.status(400).json({ error: 'locations must be an array of strings' });
+  }
+  const unsupported = (requested || []).filter(location => !newsSources.isLocationSupported(location));
+  if (unsupported.length > 0) {
+    return res.status(400).json({ error: `Unsupported locations: ${unsupported.join(', ')}` });
+  }
+
+  try {
+    const locations = requested || await newsCache.getCachedLocations();
+    const results = await Promise.all(locations.map(async (location) => {
+      try {
+        const entry = await newsCache.refresh(location);
+        return { location: entry.location, articles: entry.articles.length, fetchedAt: entry.fetched_at, expiresAt: entry.expires_at };
+      } catch (error) {
+        return { location, error: error.message };
+      }
+    }));
+
+    console.log(`✅ Refreshed news for ${results.filter(result => !result.error).length}/${results.length} locations`);
+    res.json({ results });
+  } catch (error) {
+    console.error('❌ Error refreshing news:', error);
+    res.status(500).json({ error: 'Failed to refresh news' });
+  }
+});
+
+// Delete unreferenced media and media past users' retention (operators only)
+// Body: { dryRun?: boolean } - with dryRun, report what would be deleted without deleting it
+app.post('/api/admin/media/cleanup', requireUser, requireAdmin, async (req, res) => {
+  console.log('🧹 [POST] /api/admin/media/cleanup - Sweeping stored media');
+
+  const dryRun = req.body?.dryRun ?? false;
+  if (typeof dryRun !== 'boolean') {
+    return res.status(400).json({ error: 'dryRun must be true or false' });
+  }
+
+  try {
+    const report = await mediaCleanup.sweep({ dryRun });
+
+    console.log(`✅ Media sweep ${dryRun ? 'would delete' : 'deleted'} ${report.objects.length} files`);
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error sweeping media:', error);
+    res.status(500).json({ error: 'Failed to clean up media', details: error.message });
+  }
+});
+
 // Profile endpoints
 // Save profile to database
-app.post('/api/profile/save', async (req, res) => {
+app.post('/api/profile/save', requireUser, async (req, res) => {
   console.log('👤 [POST] /api/profile/save - Saving user profile');
   console.log('📋 Request body:', { 
     uid: req.body.uid, 
@@ -361,7 +604,7 @@ app.post('/api/profile/save', async (req, res) => {
 });
 
 // Get profile from database
-app.get('/api/profile/:uid', async (req, res) => {
+app.get('/api/profile/:uid', requireUser, async (req, res) => {
   console.log('👤 [GET] /api/profile/:uid - Loading user profile');
   console.log('📋 UID:', req.params.uid);
   
@@ -414,7 +657,7 @@ app.get('/api/profile/:uid', async (req, res) => {
 });
 
 // Delete profile from database
-app.delete('/api/profile/:uid', async (req, res) => {
+app.delete('/api/profile/:uid', requireUser, async (req, res) => {
   console.log('👤 [DELETE] /api/profile/:uid - Deleting user profile');
   console.log('📋 UID:', req.params.uid);
   
@@ -453,8 +696,198 @@ app.delete('/api/profile/:uid', async (req, res) => {
   }
 });
 
+// Briefing endpoints
+// Transform a briefing_schedules row (or none) into the settings the frontend edits
+const formatBriefingSchedule = (schedule) => ({
+  enabled: schedule ? schedule.enabled : false,
+  time: schedule ? schedule.time_of_day.slice(0, 5) : '07:00',
+  timezone: schedule ? schedule.timezone : 'UTC',
+  locations: schedule ? schedule.locations : [],
+  personaId: schedule ? schedule.persona_id : null,
+  nextRunAt: schedule?.next_run_at ?? null,
+  lastRunAt: schedule?.last_run_at ?? null
+});
+
+// Get the user's briefing schedule
+app.get('/api/briefing/:uid', requireUser, async (req, res) => {
+  console.log('📅 [GET] /api/briefing/:uid - Loading briefing schedule');
+
+  try {
+    const schedule = await briefingScheduler.getSchedule(req.params.uid);
+    res.json({ briefing: formatBriefingSchedule(schedule) });
+  } catch (error) {
+    console.error('❌ Error loading briefing schedule:', error);
+    res.status(500).json({ error: 'Failed to load briefing schedule', details: error.message });
+  }
+});
+
+// Save the user's briefing schedule
+app.post('/api/briefing/save', requireUser, async (req, res) => {
+  console.log('📅 [POST] /api/briefing/save - Saving briefing schedule');
+  console.log('📋 Request body:', req.body);
+
+  try {
+    const { uid, enabled, time, timezone, locations, personaId } = req.body || {};
+
+    if (!uid) {
+      console.log('❌ UID is required');
+      return res.status(400).json({ error: 'UID is required' });
+    }
+
+    const settings = { enabled, time, timezone, locations, personaId };
+    const problems = await briefingScheduler.validateSettings(settings);
+    if (problems.length > 0) {
+      console.log('❌ Invalid briefing settings:', problems);
+      return res.status(400).json({ error: problems.join('; ') });
+    }
+
+    const schedule = await briefingScheduler.saveSchedule(uid, settings);
+
+    console.log('✅ Briefing schedule saved for user:', uid);
+    res.json({ success: true, briefing: formatBriefingSchedule(schedule) });
+  } catch (error) {
+    console.error('❌ Error saving briefing schedule:', error);
+    res.status(500).json({ error: 'Failed to save briefing schedule', details: error.message });
+  }
+});
+
+// Media retention endpoints
+// Transform a media_retention row (or none) into the settings the frontend edits
+const formatMediaRetention = (retention) => ({
+  audioDays: retention?.audio_days ?? null,
+  videoDays: retention?.video_days ?? null,
+  defaults: mediaCleanup.getDefaultRetention()
+});
+
+// Get how long the user's chat media is kept
+app.get('/api/media/retention/:uid', requireUser, async (req, res) => {
+  console.log('🧹 [GET] /api/media/retention/:uid - Loading media retention');
+
+  try {
+    const retention = await mediaCleanup.getRetention(req.params.uid);
+    res.json({ retention: formatMediaRetention(retention) });
+  } catch (error) {
+    console.error('❌ Error loading media retention:', error);
+    res.status(500).json({ error: 'Failed to load media retention', details: error.message });
+  }
+});
+
+// Save how long the user's chat media is kept; null days use the server default
+app.post('/api/media/retention/save', requireUser, async (req, res) => {
+  console.log('🧹 [POST] /api/media/retention/save - Saving media retention');
+  console.log('📋 Request body:', req.body);
+
+  try {
+    const { uid, audioDays = null, videoDays = null } = req.body || {};
+
+    if (!uid) {
+      console.log('❌ UID is required');
+      return res.status(400).json({ error: 'UID is required' });
+    }
+
+    const problems = mediaCleanup.validateRetention({ audioDays, videoDays });
+    if (problems.length > 0) {
+      console.log('❌ Invalid media retention:', problems);
+      return res.status(400).json({ error: problems.join('; ') });
+    }
+
+    const retention = await mediaCleanup.saveRetention(uid, { audioDays, videoDays });
+
+    console.log('✅ Media retention saved for user:', uid);
+    res.json({ success: true, retention: formatMediaRetention(retention) });
+  } catch (error) {
+    console.error('❌ Error saving media retention:', error);
+    res.status(500).json({ error: 'Failed to save media retention', details: error.message });
+  }
+});
+
+// Podcast feed endpoints
+// Public URL of a user's feed; PUBLIC_BASE_URL overrides the request host behind a proxy
+const podcastFeedUrl = (req, token) =>
+  `${process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`}/api/podcast/feed/${token}`;
+
+// Get the user's private podcast feed URL (created on first request)
+app.get('/api/podcast/:uid', requireUser, async (req, res) => {
+  console.log('🎙️ [GET] /api/podcast/:uid - Loading podcast feed URL');
+
+  try {
+    const token = await podcastFeeds.getToken(req.params.uid);
+    res.json({ feedUrl: podcastFeedUrl(req, token) });
+  } catch (error) {
+    console.error('❌ Error loading podcast feed:', error);
+    res.status(500).json({ error: 'Failed to load podcast feed', details: error.message });
+  }
+});
+
+// Replace the user's feed URL, e.g. after sharing it by mistake
+app.post('/api/podcast/rotate', requireUser, async (req, res) => {
+  console.log('🎙️ [POST] /api/podcast/rotate - Rotating podcast feed token');
+
+  try {
+    const { uid } = req.body || {};
+
+    if (!uid) {
+      console.log('❌ UID is required');
+      return res.status(400).json({ error: 'UID is required' });
+    }
+
+    const token = await podcastFeeds.rotateToken(uid);
+    res.json({ success: true, feedUrl: podcastFeedUrl(req, token) });
+  } catch (error) {
+    console.error('❌ Error rotating podcast feed token:', error);
+    res.status(500).json({ error: 'Failed to rotate podcast feed', details: error.message });
+  }
+});
+
+// RSS feed of the user's briefings. Podcast apps can't sign in, so the token is the credential.
+app.get('/api/podcast/feed/:token', async (req, res) => {
+  console.log('🎙️ [GET] /api/podcast/feed/:token - Serving podcast feed');
+
+  try {
+    const uid = await podcastFeeds.findUserId(req.params.token);
+    if (!uid) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const feed = await podcastFeeds.buildFeed(uid, podcastFeedUrl(req, req.params.token));
+
+    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(feed);
+  } catch (error) {
+    console.error('❌ Error serving podcast feed:', error);
+    res.status(500).json({ error: 'Failed to build podcast feed', details: error.message });
+  }
+});
+
+// Episode audio for the feed: the briefing's segments joined into one MP3 file
+// Served from storage with range requests, so podcast apps can resume and seek
+app.get('/api/podcast/feed/:token/episodes/:chatId.mp3', async (req, res) => {
+  console.log('🎙️ [GET] /api/podcast/feed/:token/episodes/:chatId.mp3 - Serving podcast episode');
+
+  try {
+    const uid = await podcastFeeds.findUserId(req.params.token);
+    const chat = uid && await podcastFeeds.getEpisode(uid, req.params.chatId);
+    if (!chat) {
+      return res.status(404).json({ error: 'Episode not found' });
+    }
+
+    const key = await podcastFeeds.ensureEpisodeAudio(chat);
+    const sent = await sendStoredObject(req, res, key, {
+      contentType: AUDIO_FORMATS.mp3.contentType,
+      cacheControl: 'private, max-age=86400'
+    });
+    if (!sent) {
+      return res.status(404).json({ error: 'Episode not found' });
+    }
+  } catch (error) {
+    console.error('❌ Error serving podcast episode:', error);
+    res.status(500).json({ error: 'Failed to load podcast episode', details: error.message });
+  }
+});
+
 // Endpoint to get user's chat history
-app.get('/api/chats/:uid', async (req, res) => {
+app.get('/api/chats/:uid', requireUser, async (req, res) => {
   console.log('💬 [GET] /api/chats/:uid - Fetching user chat history');
   console.log('📋 UID:', req.params.uid);
   
@@ -483,7 +916,7 @@ app.get('/api/chats/:uid', async (req, res) => {
       }
     }
     
-    // Get chat history with persona information
+    // Get chat history with persona information and message counts
     console.log('🔍 Querying chats for user_id:', uid);
     const { data: chats, error } = await db.client
       .from('chats')
@@ -493,7 +926,8 @@ app.get('/api/chats/:uid', async (req, res) => {
           id,
           name,
           voice_name
-        )
+        ),
+        messages (count)
       `)
       .eq('user_id', uid)
       .order('created_at', { ascending: false });
@@ -515,7 +949,8 @@ app.get('/api/chats/:uid', async (req, res) => {
         title: chat.title || 'Untitled Chat',
         created_at: chat.created_at,
         updated_at: chat.updated_at,
-        messageCount: chat.messages ? chat.messages.length : 0,
+        type: chat.type || 'chat',
+        messageCount: chat.messages?.[0]?.count || 0,
         persona: chat.personas ? {
           id: chat.personas.id,
           name: chat.personas.name,
@@ -531,7 +966,7 @@ app.get('/api/chats/:uid', async (req, res) => {
 
 // Endpoint to get specific chat with full messages (user's own chat)
 // NOTE: This must come AFTER the public chat route to avoid routing conflicts
-app.get('/api/chats/:uid/:chatId', async (req, res) => {
+app.get('/api/chats/:uid/:chatId', requireUser, async (req, res) => {
   console.log('💬 [GET] /api/chats/:uid/:chatId - Fetching specific user chat');
   console.log('📋 Parameters:', { uid: req.params.uid, chatId: req.params.chatId });
   
@@ -550,15 +985,9 @@ app.get('/api/chats/:uid/:chatId', async (req, res) => {
 
     console.log('✅ Successfully fetched chat:', { id: chat.id, title: chat.title, messageCount: chat.messages?.length || 0 });
 
-    // Clean the chat.messages content by removing square brackets and their content
-    chat.messages = chat.messages.map(message => ({
-      ...message,
-      content: cleanResponseText(message.content)
-    }));
-
-    // Generate signed URLs for all media files in messages
+    // Clean the message content and generate signed URLs for all media files in messages
     console.log('🔗 Generating signed URLs for media files in chat messages...');
-    chat.messages = await signMediaUrlsInMessages(chat.messages);
+    chat.messages = await formatChatMessages(chat.messages);
     console.log('✅ Signed URLs generated for chat messages');
 
     // Transform the response to include persona in a more accessible format
@@ -582,8 +1011,28 @@ app.get('/api/chats/:uid/:chatId', async (req, res) => {
   }
 });
 
+// Endpoint to get a single message of a chat (user's own chat), e.g. one a realtime insert announced
+app.get('/api/chats/:uid/:chatId/messages/:messageId', requireUser, async (req, res) => {
+  console.log('💬 [GET] /api/chats/:uid/:chatId/messages/:messageId - Fetching chat message');
+
+  try {
+    const { uid, chatId, messageId } = req.params;
+
+    const message = await db.getChatMessage(uid, chatId, messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const [formatted] = await formatChatMessages([message]);
+    res.json({ message: formatted });
+  } catch (error) {
+    console.error('❌ Error getting chat message:', error);
+    res.status(500).json({ error: 'Failed to get message', details: error.message });
+  }
+});
+
 // Endpoint to delete a chat
-app.delete('/api/chats/:uid/:chatId', async (req, res) => {
+app.delete('/api/chats/:uid/:chatId', requireUser, async (req, res) => {
   console.log('💬 [DELETE] /api/chats/:uid/:chatId - Deleting user chat');
   console.log('📋 Parameters:', { uid: req.params.uid, chatId: req.params.chatId });
   
@@ -602,6 +1051,14 @@ app.delete('/api/chats/:uid/:chatId', async (req, res) => {
 
     console.log('✅ Successfully deleted chat:', chatId);
 
+    // The chat is gone either way; media left behind is removed by the next sweep
+    try {
+      const report = await mediaCleanup.deleteChatMedia(uid, chatId);
+      console.log(`🗑️ Deleted ${report.objects.length} media files of chat:`, chatId);
+    } catch (mediaError) {
+      console.error('❌ Error deleting chat media:', mediaError);
+    }
+
     res.json({ success: true, message: 'Chat deleted successfully' });
   } catch (error) {
     console.error('❌ Error deleting chat:', error);
@@ -610,7 +1067,7 @@ app.delete('/api/chats/:uid/:chatId', async (req, res) => {
 });
 
 // Text chat endpoint
-app.post('/api/chat/text', async (req, res) => {
+app.post('/api/chat/text', requireUser, async (req, res) => {
   console.log('💬 [POST] /api/chat/text - Processing text chat message');
   console.log('📋 Request details:', { 
     messageLength: req.body.message?.length || 0,
@@ -623,255 +1080,20 @@ app.post('/api/chat/text', async (req, res) => {
   });
   
   try {
-    const { message, personaName, personaId, uid, chatId, locations, videoEnabled = false } = req.body;
-
-    console.log('📨 Received text message:', message.substring(0, 100) + (message.length > 100 ? '...' : ''));
-    console.log('🎭 Selected persona:', personaName || personaId);
-    console.log('👤 User UID:', uid);
-    console.log('💬 Chat ID:', chatId);
-    console.log('📍 News locations:', locations);
-    console.log('🎬 Video generation enabled:', videoEnabled);
-
-    // User authentication is handled by Supabase auth - no need to ensure user exists
-
-    // Find the selected persona by ID or name, or use default
-    let selectedPersona = null;
-    if (personaId) {
-      selectedPersona = await db.getPersonaById(personaId);
-    } else if (personaName) {
-      selectedPersona = await db.getPersonaByName(personaName);
-    }
-    
-    // If no persona found or if chatId exists, try to get from chat's default persona
-    if (!selectedPersona && chatId) {
-      const { data: chat, error } = await db.client
-        .from('chats')
-        .select('persona_id, personas(id, name, tone, voice_name)')
-        .eq('id', chatId)
-        .eq('user_id', uid)
-        .single();
-      
-      if (!error && chat?.personas) {
-        selectedPersona = chat.personas;
-      }
-    }
-    
-    // Fallback to first available persona if none found
-    if (!selectedPersona) {
-      const personas = await db.getPersonas();
-      selectedPersona = personas[0];
-    }
-    
-    if (!selectedPersona) {
-      throw new Error('No personas available. Please run persona sync first.');
-    }
-    
-    console.log('🎤 Using voice:', selectedPersona.voice_name);
-
-    // Get chat history for context - only if continuing an existing chat
-    const chatHistory = chatId ? await db.getChatHistory(uid, chatId) : [];
-    console.log('📚 Chat history context:', chatHistory.length, 'previous messages');
-
-    // Validate locations if provided
-    const validLocations = [];
-    if (locations && Array.isArray(locations)) {
-      for (const location of locations) {
-        if (brightdataService.isLocationSupported(location)) {
-          validLocations.push(location);
-        } else {
-          console.warn(`⚠️ Unsupported location: ${location}`);
-        }
-      }
-    }
-
-    // Generate AI response with news context
-    console.log('🤖 Generating AI response...');
-    console.log('🧑 About to call generateAIResponse with selectedPersona:', JSON.stringify(selectedPersona, null, 2));
-    const rawResponseText = await ai.generateAIResponse(message, selectedPersona, chatHistory, validLocations);
-    console.log('✅ Generated response length:', rawResponseText.length);
-
-    // Generate chatId if not provided (new chat)
-    const currentChatId = chatId || randomUUID();
+    const ctx = createPipelineContext(req.body, req);
+    await createConversationPipeline('text', { episode: ctx.mode === 'episode' }).run(ctx);
 
-    // Check if user selected their own persona for multi-user mode
-    const isMultiUserMode = selectedPersona.name === 'User';
-    let audioUrl = null;
-    let userAudioUrl = null;
-    let videoUrl = null;
-
-    try {
-      console.log('🔊 Attempting to generate audio...');
-      
-      if (isMultiUserMode) {
-        console.log('🎭 Multi-user mode detected, generating multi-speaker audio');
-        
-        // Find a default assistant persona for the conversation
-        const personas = await db.getPersonas();
-        const assistantPersona = personas.find(p => p.name !== 'User') || personas[0];
-        
-        // Generate multi-speaker audio
-        const { audioData, responseMimeType } = await ai.generateMultiSpeakerAudio(
-          message, 
-          rawResponseText, 
-          selectedPersona, 
-          assistantPersona
-        );
-        
-        // Save multi-speaker audio as separate files
-        const { userAudioUrl: userUrl, assistantAudioUrl: assistantUrl } = await saveMultiSpeakerAudio(
-          audioData, 
-          responseMimeType, 
-          uid, 
-          currentChatId, 
-          req
-        );
-        
-        userAudioUrl = userUrl;
-        audioUrl = assistantUrl;
-        console.log('✅ Multi-speaker audio generation successful');
-      } else {
-        // Standard single-speaker mode (assistant only)
-        const { audioData, responseMimeType } = await ai.generateAudio(rawResponseText, selectedPersona);
-        audioUrl = await saveAudioFile(audioData, responseMimeType, uid, currentChatId, req);
-        console.log('✅ Single-speaker audio generation successful');
-      }
-    } catch (audioError) {
-      console.warn('⚠️ Audio generation failed, continuing with text-only response:', audioError.message);
-      // Continue without audio - this is graceful degradation
-    }
-
-    // Generate video if enabled and audio was successfully generated
-    if (videoEnabled && audioUrl) {
-      try {
-        console.log('🎬 Video generation enabled, starting video creation...');
-        
-        // Get the audio data from S3 for video generation
-        const audioS3Data = await s3Service.getSignedUrl(audioUrl);
-        const audioResponse = await fetch(audioS3Data);
-        const audioBuffer = Buffer.from(await audioResponse.arrayBuffer());
-        
-        // Get persona image for video generation
-        let personaImageBuffer = null;
-        if (selectedPersona.image_url) {
-          try {
-            console.log('🖼️ Generating signed URL for persona image...');
-            
-            // Extract S3 key from the full URL (same logic as /api/personas endpoint)
-            // URL format: https://audio-chat-bymarco.s3.us-east-1.amazonaws.com/personas/filename.webp
-            const url = new URL(selectedPersona.image_url);
-            const s3Key = url.pathname.substring(1); // Remove leading slash
-            console.log('🔑 S3 Key:', s3Key);
-            
-            // Generate signed URL with 1 hour expiration
-            const signedImageUrl = await s3Service.getSignedUrl(s3Key, 3600);
-            console.log('🖼️ Fetching persona image from signed URL');
-            
-            const imageResponse = await fetch(signedImageUrl);
-            console.log('📊 Image response status:', imageResponse.status);
-            console.log('📊 Image response content-type:', imageResponse.headers.get('content-type'));
-            
-            if (!imageResponse.ok) {
-              throw new Error(`Failed to fetch image: ${imageResponse.status} ${imageResponse.statusText}`);
-            }
-            
-            const arrayBuffer = await imageResponse.arrayBuffer();
-            personaImageBuffer = Buffer.from(arrayBuffer);
-            console.log('📏 Image buffer size:', personaImageBuffer.length, 'bytes');
-            
-            // Validate that we have a reasonable image size
-            if (personaImageBuffer.length < 1000) {
-              console.warn('⚠️ Image buffer seems too small:', personaImageBuffer.length, 'bytes');
-              throw new Error('Image buffer too small, likely corrupted');
-            }
-            
-          } catch (imageError) {
-            console.error('❌ Error fetching persona image:', imageError);
-            console.log('⚠️ Continuing without persona image due to fetch error');
-            personaImageBuffer = null;
-          }
-        } else {
-          // Use a default image if no persona image is available
-          console.log('⚠️ No persona image available, using default');
-          // TODO: Add default image handling
-        }
-        
-        if (personaImageBuffer) {
-          // Convert PCM audio to WAV for ComfyUI
-          const wavAudioBuffer = videoGenerationService.convertPCMToWAV(audioBuffer);
-          
-          // Generate video using ComfyUI workflow
-          videoUrl = await videoGenerationService.generateVideo(
-            wavAudioBuffer,
-            personaImageBuffer,
-            uid,
-            currentChatId
-          );
-          
-          console.log('✅ Video generation successful:', videoUrl);
-        }
-      } catch (videoError) {
-        console.warn('⚠️ Video generation failed, continuing without video:', videoError.message);
-        // Continue without video - this is graceful degradation
-      }
-    }
-
-    // Save conversation to database with audio and video URLs (null if generation failed)
-    console.log('💾 Saving conversation to database...');
-    const savedChat = await db.saveConversation(uid, currentChatId, message, rawResponseText, selectedPersona, audioUrl, userAudioUrl, videoUrl);
-    console.log('✅ Chat saved successfully:', savedChat?.id);
-
-    // FOR UI: clean the response text of square brackets and their content
-    const responseText = cleanResponseText(rawResponseText);
-    
     console.log('🎉 Text chat processing completed successfully');
-    
-    // Generate signed URLs for frontend access
-    let signedAudioUrl = null;
-    let signedUserAudioUrl = null;
-    let signedVideoUrl = null;
-
-    try {
-      // Generate signed URL for assistant audio
-      if (audioUrl) {
-        signedAudioUrl = await s3Service.getSignedUrl(audioUrl, 3600); // 1 hour expiry
-      }
-
-      // Generate signed URL for user audio (multi-speaker mode)
-      if (userAudioUrl) {
-        signedUserAudioUrl = await s3Service.getSignedUrl(userAudioUrl, 3600);
-      }
-
-      // Generate signed URL for video
-      if (videoUrl) {
-        signedVideoUrl = await s3Service.getSignedUrl(videoUrl, 3600);
-        console.log('✅ Generated signed video URL for frontend');
-      }
-    } catch (signError) {
-      console.error('❌ Error generating signed URLs:', signError);
-      // Continue with response even if signing fails
-    }
-
-    // Return JSON response with signed URLs for frontend processing
-    res.json({
-      transcribedText: message, // For consistency with audio endpoint
-      responseText,
-      audioUrl: signedAudioUrl, // Signed URL to fetch assistant audio file
-      userAudioUrl: signedUserAudioUrl, // Signed URL to fetch user audio file (null for single-speaker mode)
-      videoUrl: signedVideoUrl, // Signed URL to fetch video file (null if video not enabled or failed)
-      timestamp: new Date().toISOString(),
-      chatId: savedChat?.id || currentChatId,
-      isMultiUserMode // Flag to indicate multi-user mode
-    });
-
+    res.json(buildChatResponse(ctx));
   } catch (error) {
     console.error('❌ Error in text chat endpoint:', error);
     console.error('❌ Error details:', error.message);
-    res.status(500).json({ error: 'An error occurred processing your request', details: error.message });
+    res.status(500).json({ error: 'An error occurred processing your request', details: error.message, stage: error.stage });
   }
 });
 
 // Audio chat endpoint
-app.post('/api/chat/audio', async (req, res) => {
+app.post('/api/chat/audio', requireUser, async (req, res) => {
   console.log('🎤 [POST] /api/chat/audio - Processing audio chat message');
   console.log('📋 Request details:', { 
     audioDataLength: req.body.message?.length || 0,
@@ -884,253 +1106,82 @@ app.post('/api/chat/audio', async (req, res) => {
   });
   
   try {
-    const { message, personaName, personaId, uid, chatId, locations, videoEnabled = false } = req.body;
+    const ctx = createPipelineContext(req.body, req);
+    await createConversationPipeline('audio', { episode: ctx.mode === 'episode' }).run(ctx);
 
-    console.log('🎵 Received audio data, length:', message.length);
-    console.log('🎭 Selected persona:', personaName || personaId);
-    console.log('👤 User UID:', uid);
-    console.log('💬 Chat ID:', chatId);
-    console.log('📍 News locations:', locations);
-    console.log('🎬 Video generation enabled:', videoEnabled);
-
-    // User authentication is handled by Supabase auth - no need to ensure user exists
-
-    // Find the selected persona by ID or name, or use default
-    let selectedPersona = null;
-    if (personaId) {
-      selectedPersona = await db.getPersonaById(personaId);
-    } else if (personaName) {
-      selectedPersona = await db.getPersonaByName(personaName);
-    }
-    
-    // If no persona found or if chatId exists, try to get from chat's default persona
-    if (!selectedPersona && chatId) {
-      const { data: chat, error } = await db.client
-        .from('chats')
-        .select('persona_id, personas(id, name, tone, voice_name)')
-        .eq('id', chatId)
-        .eq('user_id', uid)
-        .single();
-      
-      if (!error && chat?.personas) {
-        selectedPersona = chat.personas;
-      }
-    }
-    
-    // Fallback to first available persona if none found
-    if (!selectedPersona) {
-      const personas = await db.getPersonas();
-      selectedPersona = personas[0];
-    }
-    
-    if (!selectedPersona) {
-      throw new Error('No personas available. Please run persona sync first.');
-    }
-    
-    console.log('🎤 Using voice:', selectedPersona.voice_name);
-
-    // Get chat history for context - only if continuing an existing chat
-    const chatHistory = chatId ? await db.getChatHistory(uid, chatId) : [];
-    console.log('📚 Chat history context:', chatHistory.length, 'previous messages');
-
-    // First convert speech to text using Gemini's audio understanding
-    console.log('🎧 Transcribing audio to text...');
-    const transcribedText = await ai.transcribeAudio(message, "audio/wav");
-    console.log('✅ Transcribed text:', transcribedText.substring(0, 100) + (transcribedText.length > 100 ? '...' : ''));
-
-    // Validate locations if provided
-    const validLocations = [];
-    if (locations && Array.isArray(locations)) {
-      for (const location of locations) {
-        if (brightdataService.isLocationSupported(location)) {
-          validLocations.push(location);
-        } else {
-          console.warn(`⚠️ Unsupported location: ${location}`);
-        }
-      }
-    }
+    console.log('🎉 Audio chat processing completed successfully');
+    res.json(buildChatResponse(ctx));
+  } catch (error) {
+    console.error('❌ Error in audio chat endpoint:', error);
+    console.error('❌ Error details:', error.message);
+    res.status(500).json({ error: 'An error occurred processing your request', details: error.message, stage: error.stage });
+  }
+});
 
-    // Generate AI response with news context
-    console.log('🤖 Generating AI response...');
-    const rawResponseText = await ai.generateAIResponse(transcribedText, selectedPersona, chatHistory, validLocations);
-    console.log('✅ Generated response length:', rawResponseText.length);
+// Streaming chat endpoints (Server-Sent Events)
+app.post('/api/chat/text/stream', requireUser, streamConversation('text'));
+app.post('/api/chat/audio/stream', requireUser, streamConversation('audio'));
+
+// Helper function to shape a job row for clients (payload and locks stay server-side)
+function formatJob(job, progress) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    chatId: job.chat_id,
+    progress: progress || null,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    error: job.error,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    finishedAt: job.finished_at
+  };
+}
 
-    // Generate chatId if not provided (new chat)
-    const currentChatId = chatId || randomUUID();
+// Background job status (e.g. the videoJobId returned by the chat endpoints), with progress:
+// { stage: 'waiting', queuePosition } while queued, then whatever the worker last reported
+app.get('/api/jobs/:jobId', requireUser, async (req, res) => {
+  console.log('⚙️ [GET] /api/jobs/:jobId - Fetching job status');
 
-    // Check if user selected their own persona for multi-user mode
-    const isMultiUserMode = selectedPersona.name === 'User';
-    let audioUrl = null;
-    let userAudioUrl = null;
-    let videoUrl = null;
+  try {
+    const job = await jobQueue.getJob(req.params.jobId, req.uid);
 
-    try {
-      console.log('🔊 Attempting to generate audio...');
-      
-      if (isMultiUserMode) {
-        console.log('🎭 Multi-user mode detected, generating multi-speaker audio');
-        
-        // Find a default assistant persona for the conversation
-        const personas = await db.getPersonas();
-        const assistantPersona = personas.find(p => p.name !== 'User') || personas[0];
-        
-        // Generate multi-speaker audio
-        const { audioData, responseMimeType } = await ai.generateMultiSpeakerAudio(
-          transcribedText, 
-          rawResponseText, 
-          selectedPersona, 
-          assistantPersona
-        );
-        
-        // Save multi-speaker audio as separate files
-        const { userAudioUrl: userUrl, assistantAudioUrl: assistantUrl } = await saveMultiSpeakerAudio(
-          audioData, 
-          responseMimeType, 
-          uid, 
-          currentChatId, 
-          req
-        );
-        
-        userAudioUrl = userUrl;
-        audioUrl = assistantUrl;
-        console.log('✅ Multi-speaker audio generation successful');
-      } else {
-        // Standard single-speaker mode (assistant only)
-        const { audioData, responseMimeType } = await ai.generateAudio(rawResponseText, selectedPersona);
-        audioUrl = await saveAudioFile(audioData, responseMimeType, uid, currentChatId, req);
-        console.log('✅ Single-speaker audio generation successful');
-      }
-    } catch (audioError) {
-      console.warn('⚠️ Audio generation failed, continuing with text-only response:', audioError.message);
-      // Continue without audio - this is graceful degradation
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
-    // Generate video if enabled and audio was successfully generated
-    if (videoEnabled && audioUrl) {
-      try {
-        console.log('🎬 Video generation enabled, starting video creation...');
-        
-        // Get the audio data from S3 for video generation
-        const audioS3Data = await s3Service.getSignedUrl(audioUrl);
-        const audioResponse = await fetch(audioS3Data);
-        const audioBuffer = Buffer.from(await audioResponse.arrayBuffer());
-        
-        // Get persona image for video generation
-        let personaImageBuffer = null;
-        if (selectedPersona.image_url) {
-          try {
-            console.log('🖼️ Generating signed URL for persona image...');
-            
-            // Extract S3 key from the full URL (same logic as /api/personas endpoint)
-            // URL format: https://audio-chat-bymarco.s3.us-east-1.amazonaws.com/personas/filename.webp
-            const url = new URL(selectedPersona.image_url);
-            const s3Key = url.pathname.substring(1); // Remove leading slash
-            console.log('🔑 S3 Key:', s3Key);
-            
-            // Generate signed URL with 1 hour expiration
-            const signedImageUrl = await s3Service.getSignedUrl(s3Key, 3600);
-            console.log('🖼️ Fetching persona image from signed URL');
-            
-            const imageResponse = await fetch(signedImageUrl);
-            console.log('📊 Image response status:', imageResponse.status);
-            console.log('📊 Image response content-type:', imageResponse.headers.get('content-type'));
-            
-            if (!imageResponse.ok) {
-              throw new Error(`Failed to fetch image: ${imageResponse.status} ${imageResponse.statusText}`);
-            }
-            
-            const arrayBuffer = await imageResponse.arrayBuffer();
-            personaImageBuffer = Buffer.from(arrayBuffer);
-            console.log('📏 Image buffer size:', personaImageBuffer.length, 'bytes');
-            
-            // Validate that we have a reasonable image size
-            if (personaImageBuffer.length < 1000) {
-              console.warn('⚠️ Image buffer seems too small:', personaImageBuffer.length, 'bytes');
-              throw new Error('Image buffer too small, likely corrupted');
-            }
-            
-          } catch (imageError) {
-            console.error('❌ Error fetching persona image:', imageError);
-            console.log('⚠️ Continuing without persona image due to fetch error');
-            personaImageBuffer = null;
-          }
-        } else {
-          // Use a default image if no persona image is available
-          console.log('⚠️ No persona image available, using default');
-          // TODO: Add default image handling
-        }
-        
-        if (personaImageBuffer) {
-          // Convert PCM audio to WAV for ComfyUI
-          const wavAudioBuffer = videoGenerationService.convertPCMToWAV(audioBuffer);
-          
-          // Generate video using ComfyUI workflow
-          videoUrl = await videoGenerationService.generateVideo(
-            wavAudioBuffer,
-            personaImageBuffer,
-            uid,
-            currentChatId
-          );
-          
-          console.log('✅ Video generation successful:', videoUrl);
-        }
-      } catch (videoError) {
-        console.warn('⚠️ Video generation failed, continuing without video:', videoError.message);
-        // Continue without video - this is graceful degradation
-      }
-    }
+    // Pending jobs have no worker to report progress yet, so say where they are in the queue
+    const progress = job.status === 'pending'
+      ? { stage: 'waiting', queuePosition: await jobQueue.getQueuePosition(job) }
+      : job.progress;
 
-    // Save conversation to database with audio and video URLs (null if generation failed)
-    console.log('💾 Saving conversation to database...');
-    const savedChat = await db.saveConversation(uid, currentChatId, transcribedText, rawResponseText, selectedPersona, audioUrl, userAudioUrl, videoUrl);
-    console.log('✅ Chat saved successfully:', savedChat?.id);
+    res.json({ job: formatJob(job, progress) });
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job', details: error.message });
+  }
+});
 
-    // FOR UI: clean the response text of square brackets and their content
-    const responseText = cleanResponseText(rawResponseText);
-    
-    console.log('🎉 Audio chat processing completed successfully');
-    
-    // Generate signed URLs for frontend access
-    let signedAudioUrl = null;
-    let signedUserAudioUrl = null;
-    let signedVideoUrl = null;
+app.post('/api/jobs/:jobId/cancel', requireUser, async (req, res) => {
+  console.log('🛑 [POST] /api/jobs/:jobId/cancel - Cancelling job');
 
-    try {
-      // Generate signed URL for assistant audio
-      if (audioUrl) {
-        signedAudioUrl = await s3Service.getSignedUrl(audioUrl, 3600); // 1 hour expiry
-      }
+  try {
+    const job = await jobQueue.getJob(req.params.jobId, req.uid);
 
-      // Generate signed URL for user audio (multi-speaker mode)
-      if (userAudioUrl) {
-        signedUserAudioUrl = await s3Service.getSignedUrl(userAudioUrl, 3600);
-      }
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-      // Generate signed URL for video
-      if (videoUrl) {
-        signedVideoUrl = await s3Service.getSignedUrl(videoUrl, 3600);
-        console.log('✅ Generated signed video URL for frontend');
-      }
-    } catch (signError) {
-      console.error('❌ Error generating signed URLs:', signError);
-      // Continue with response even if signing fails
+    const cancelled = await jobQueue.cancel(job.id, req.uid);
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Job has already finished', status: job.status });
     }
 
-    // Return JSON response with signed URLs for frontend processing
-    res.json({
-      transcribedText,
-      responseText,
-      audioUrl: signedAudioUrl, // Signed URL to fetch assistant audio file
-      userAudioUrl: signedUserAudioUrl, // Signed URL to fetch user audio file (null for single-speaker mode)
-      videoUrl: signedVideoUrl, // Signed URL to fetch video file (null if video not enabled or failed)
-      timestamp: new Date().toISOString(),
-      chatId: savedChat?.id || currentChatId,
-      isMultiUserMode // Flag to indicate multi-user mode
-    });
+    res.json({ job: formatJob(cancelled, null) });
   } catch (error) {
-    console.error('❌ Error in audio chat endpoint:', error);
-    console.error('❌ Error details:', error.message);
-    res.status(500).json({ error: 'An error occurred processing your request', details: error.message });
+    console.error('❌ Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job', details: error.message });
   }
 });
 
@@ -1141,35 +1192,54 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-// Add error handling for uncaught exceptions and unhandled rejections
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
-  console.error('Stack trace:', error.stack);
-  process.exit(1);
-});
+// Start the server when run directly; tests require the app without listening
+if (require.main === module) {
+  // Add error handling for uncaught exceptions and unhandled rejections
+  process.on('uncaughtException', (error) => {
+    console.error('❌ Uncaught Exception:', error);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise);
-  console.error('Reason:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('❌ Unhandled Rejection at:', promise);
+    console.error('Reason:', reason);
+    process.exit(1);
+  });
 
-process.on('exit', (code) => {
-  console.log('🔄 Process exiting with code:', code);
-});
+  process.on('exit', (code) => {
+    console.log('🔄 Process exiting with code:', code);
+  });
 
-process.on('SIGINT', () => {
-  console.log('🛑 Received SIGINT, shutting down gracefully');
-  process.exit(0);
-});
+  process.on('SIGINT', () => {
+    console.log('🛑 Received SIGINT, shutting down gracefully');
+    process.exit(0);
+  });
 
-process.on('SIGTERM', () => {
-  console.log('🛑 Received SIGTERM, shutting down gracefully');
-  process.exit(0);
-});
+  process.on('SIGTERM', () => {
+    console.log('🛑 Received SIGTERM, shutting down gracefully');
+    process.exit(0);
+  });
 
-app.listen(port, () => {
-  console.log(`✅ Server listening at http://localhost:${port}`);
-  console.log('🚀 Server started successfully');
-});
+  const server = app.listen(port, () => {
+    console.log(`✅ Server listening at http://localhost:${port}`);
+    console.log('🚀 Server started successfully');
+  });
+
+  // Realtime voice sessions share the HTTP server
+  attachVoiceServer(server);
+
+  // Background jobs (video generation) run in the same process
+  jobQueue.start();
+
+  // Keep news for recently used locations fresh
+  newsCache.start();
+
+  // Queue scheduled briefings as they come due
+  briefingScheduler.start();
+
+  // Delete unreferenced and expired media
+  mediaCleanup.start();
+}
 
+module.exports = app;
@@ -0,0 +1,46 @@
+-- Migration: Scope chats to the signed-in user
+-- Purpose: Replace the open development policies so clients only see and change their own chats
+-- Date: 2025-01-02
+-- Tables: chats (RLS policies)
+-- Dependencies: Supabase Auth (anonymous sign-ins enabled in config.toml)
+
+-- The API server uses the service role and bypasses RLS; these policies apply to
+-- browsers holding the anon key (e.g. real-time subscriptions).
+
+-- Drop the open policies from fix_chats_user_reference
+drop policy if exists "Users can view their own chats" on public.chats;
+drop policy if exists "Users can create chats" on public.chats;
+drop policy if exists "Users can update their own chats" on public.chats;
+drop policy if exists "Users can delete their own chats" on public.chats;
+
+-- Signed-in users (including anonymous sign-ins) can view their own chats
+create policy "Users can view their own chats" 
+on public.chats 
+for select 
+to authenticated 
+using ((select auth.uid()) = user_id);
+
+-- Signed-in users can only create chats for themselves
+create policy "Users can create their own chats" 
+on public.chats 
+for insert 
+to authenticated 
+with check ((select auth.uid()) = user_id);
+
+-- Signed-in users can update their own chats, and cannot hand them to someone else
+create policy "Users can update their own chats" 
+on public.chats 
+for update 
+to authenticated 
+using ((select auth.uid()) = user_id) 
+with check ((select auth.uid()) = user_id);
+
+-- Signed-in users can delete their own chats
+create policy "Users can delete their own chats" 
+on public.chats 
+for delete 
+to authenticated 
+using ((select auth.uid()) = user_id);
+
+-- Requests without a session get nothing
+revoke all on table public.chats from anon;
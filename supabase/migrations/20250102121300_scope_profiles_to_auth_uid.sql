@@ -0,0 +1,43 @@
+-- Migration: Scope profiles to the signed-in user
+-- Purpose: Stop profiles (including email addresses) from being readable and writable by everyone
+-- Date: 2025-01-02
+-- Tables: profiles (RLS policies)
+-- Dependencies: Supabase Auth (anonymous sign-ins enabled in config.toml)
+
+-- Drop the open policies from create_profiles_table
+drop policy if exists "Profiles are viewable by everyone" on public.profiles;
+drop policy if exists "Profiles can be created by anyone" on public.profiles;
+drop policy if exists "Profiles can be updated by anyone" on public.profiles;
+drop policy if exists "Profiles can be deleted by anyone" on public.profiles;
+
+-- Signed-in users can view their own profile
+create policy "Users can view their own profile" 
+on public.profiles 
+for select 
+to authenticated 
+using ((select auth.uid()) = user_id);
+
+-- Signed-in users can only create their own profile
+create policy "Users can create their own profile" 
+on public.profiles 
+for insert 
+to authenticated 
+with check ((select auth.uid()) = user_id);
+
+-- Signed-in users can update their own profile
+create policy "Users can update their own profile" 
+on public.profiles 
+for update 
+to authenticated 
+using ((select auth.uid()) = user_id) 
+with check ((select auth.uid()) = user_id);
+
+-- Signed-in users can delete their own profile
+create policy "Users can delete their own profile" 
+on public.profiles 
+for delete 
+to authenticated 
+using ((select auth.uid()) = user_id);
+
+-- Requests without a session get nothing
+revoke all on table public.profiles from anon;
@@ -0,0 +1,15 @@
+-- Migration: Make personas read-only for clients
+-- Purpose: Only the service role (sync-personas script, API server) may write personas
+-- Date: 2025-01-02
+-- Tables: personas (RLS policies)
+
+-- Drop the open write policies from create_personas_table
+drop policy if exists "Personas can be created by anyone" on public.personas;
+drop policy if exists "Personas can be updated by anyone" on public.personas;
+drop policy if exists "Personas can be deleted by anyone" on public.personas;
+
+-- "Personas are viewable by everyone" stays: the persona picker works before sign-in
+
+-- Without write policies RLS already rejects client writes; revoke the privileges as well
+-- so a future permissive policy doesn't silently reopen them
+revoke insert, update, delete, truncate on table public.personas from anon, authenticated;
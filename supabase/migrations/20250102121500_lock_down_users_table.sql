@@ -0,0 +1,13 @@
+-- Migration: Lock down the legacy users table
+-- Purpose: Remove the open policies that let anyone read, rewrite or delete users
+-- Date: 2025-01-02
+-- Tables: users (RLS policies)
+
+-- The app identifies users through Supabase Auth and profiles; nothing on the client
+-- reads this table any more. Leave it to the service role only.
+drop policy if exists "Users are viewable by everyone" on public.users;
+drop policy if exists "Users can be created by anyone" on public.users;
+drop policy if exists "Users can be updated by anyone" on public.users;
+drop policy if exists "Users can be deleted by anyone" on public.users;
+
+revoke all on table public.users from anon, authenticated;
@@ -0,0 +1,52 @@
+-- Migration: Create jobs table
+-- Purpose: Persistent queue for background work (video generation) that survives server restarts
+-- Date: 2025-01-02
+-- Tables: jobs
+
+-- Workers poll for pending jobs, claim them by flipping status to 'running' with a
+-- conditional update, and put them back to 'pending' with a later run_at to retry.
+create table public.jobs (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  chat_id uuid references public.chats(id) on delete cascade,
+  type text not null,
+  status text not null default 'pending',
+  payload jsonb not null default '{}'::jsonb,
+  result jsonb,
+  error text,
+  attempts integer not null default 0,
+  max_attempts integer not null default 3,
+  run_at timestamp with time zone default now() not null,
+  locked_by text,
+  locked_at timestamp with time zone,
+  finished_at timestamp with time zone,
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null,
+  constraint jobs_status_check check (status in ('pending', 'running', 'completed', 'failed'))
+);
+
+comment on table public.jobs is 'Background jobs (e.g. video generation) processed by the API server';
+
+-- Workers look up due jobs by type; stale-lock recovery scans running jobs
+create index idx_jobs_pending on public.jobs(type, run_at) where status = 'pending';
+create index idx_jobs_running on public.jobs(locked_at) where status = 'running';
+create index idx_jobs_user_id on public.jobs(user_id);
+
+alter table public.jobs enable row level security;
+
+-- The API server uses the service role and bypasses RLS. Tables it writes on a user's
+-- behalf get a select policy for the owner and no write policies, so users may only
+-- read their own rows; here, the progress of their own jobs
+create policy "Users can view their own jobs"
+on public.jobs
+for select
+to authenticated
+using ((select auth.uid()) = user_id);
+
+revoke all on table public.jobs from anon;
+
+-- Create trigger to automatically update updated_at column
+create trigger handle_updated_at_trigger
+  before update on public.jobs
+  for each row
+  execute function public.handle_updated_at();
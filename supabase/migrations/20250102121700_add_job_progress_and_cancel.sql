@@ -0,0 +1,15 @@
+-- Migration: Add progress and cancellation to jobs
+-- Purpose: Let workers report how far a job has got, and let users cancel jobs
+-- Date: 2025-01-02
+-- Tables: jobs
+
+-- Latest progress reported by the worker, e.g. { "stage": "rendering", "value": 3, "max": 8, "etaSeconds": 40 }
+alter table public.jobs
+add column progress jsonb;
+
+comment on column public.jobs.progress is 'Latest progress reported by the worker running the job';
+
+-- Cancelled jobs are finished; a worker still running one aborts it on its next poll
+alter table public.jobs drop constraint jobs_status_check;
+alter table public.jobs add constraint jobs_status_check
+  check (status in ('pending', 'running', 'completed', 'failed', 'cancelled'));
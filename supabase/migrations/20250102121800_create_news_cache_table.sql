@@ -0,0 +1,29 @@
+-- Migration: Create news cache table
+-- Purpose: Keep normalized news articles per location so chat turns read news instead of crawling
+-- Date: 2025-01-02
+-- Tables: news_cache
+
+-- One row per location. The API server refreshes rows in the background once expires_at
+-- passes; a failed refresh keeps the previous articles and records the error.
+create table public.news_cache (
+  location text primary key,
+  articles jsonb not null default '[]'::jsonb,
+  fetched_at timestamp with time zone default now() not null,
+  expires_at timestamp with time zone not null,
+  error text,
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null
+);
+
+comment on table public.news_cache is 'Normalized news articles per location, refreshed by the API server';
+
+alter table public.news_cache enable row level security;
+
+-- Only the API server (service role, bypasses RLS) reads and writes the cache
+revoke all on table public.news_cache from anon, authenticated;
+
+-- Create trigger to automatically update updated_at column
+create trigger handle_updated_at_trigger
+  before update on public.news_cache
+  for each row
+  execute function public.handle_updated_at();
@@ -0,0 +1,53 @@
+-- Migration: Scheduled morning briefings
+-- Purpose: Let users schedule a daily news briefing, stored as a chat of type 'briefing'
+-- Date: 2025-01-02
+-- Tables: briefing_schedules, chats (type column)
+
+-- Chats are conversations unless the briefing scheduler created them
+alter table public.chats
+add column type text not null default 'chat';
+
+alter table public.chats
+add constraint chats_type_check check (type in ('chat', 'briefing'));
+
+-- The chat list looks up a user's latest briefing
+create index idx_chats_user_type on public.chats(user_id, type, created_at desc);
+
+-- One schedule per user. time_of_day is wall-clock time in the user's IANA timezone;
+-- next_run_at is that time as an instant, claimed by the scheduler with a conditional
+-- update so only one server generates each briefing.
+create table public.briefing_schedules (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  enabled boolean not null default true,
+  time_of_day time not null,
+  timezone text not null default 'UTC',
+  locations text[] not null default '{}',
+  persona_id uuid references public.personas(id) on delete set null,
+  next_run_at timestamp with time zone,
+  last_run_at timestamp with time zone,
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null
+);
+
+comment on table public.briefing_schedules is 'Daily news briefing settings per user, run by the API server';
+
+-- The scheduler scans enabled schedules that are due
+create index idx_briefing_schedules_due on public.briefing_schedules(next_run_at) where enabled;
+
+alter table public.briefing_schedules enable row level security;
+
+-- Settings are saved through the API, which validates them and works out next_run_at;
+-- the scheduler claims due rows by moving next_run_at, so clients can't write it
+create policy "Users can view their own briefing schedule"
+on public.briefing_schedules
+for select
+to authenticated
+using ((select auth.uid()) = user_id);
+
+revoke all on table public.briefing_schedules from anon;
+
+-- Create trigger to automatically update updated_at column
+create trigger handle_updated_at_trigger
+  before update on public.briefing_schedules
+  for each row
+  execute function public.handle_updated_at();
@@ -0,0 +1,32 @@
+-- Migration: Private podcast feeds
+-- Purpose: Give each user an unguessable token for an RSS feed of their briefings
+-- Date: 2025-01-02
+-- Tables: podcast_feeds
+
+-- One feed per user. Podcast apps can't sign in, so the token in the feed URL is the only
+-- credential; rotating it revokes the old URL.
+create table public.podcast_feeds (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  token text not null unique,
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null
+);
+
+comment on table public.podcast_feeds is 'Private podcast feed tokens per user, checked by the API server';
+
+alter table public.podcast_feeds enable row level security;
+
+-- The token is the only secret in a feed URL: readable by its owner, rotated only by the API
+create policy "Users can view their own podcast feed"
+on public.podcast_feeds
+for select
+to authenticated
+using ((select auth.uid()) = user_id);
+
+revoke all on table public.podcast_feeds from anon;
+
+-- Create trigger to automatically update updated_at column
+create trigger handle_updated_at_trigger
+  before update on public.podcast_feeds
+  for each row
+  execute function public.handle_updated_at();
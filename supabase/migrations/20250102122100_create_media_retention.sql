@@ -0,0 +1,33 @@
+-- Migration: Media retention settings
+-- Purpose: Let each user choose how long their chat audio and video are kept
+-- Date: 2025-01-02
+-- Tables: media_retention
+
+-- Null columns fall back to the server defaults (MEDIA_RETENTION_AUDIO_DAYS and
+-- MEDIA_RETENTION_VIDEO_DAYS). The media sweep deletes older files and clears them from messages.
+create table public.media_retention (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  audio_days integer check (audio_days > 0),
+  video_days integer check (video_days > 0),
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null
+);
+
+comment on table public.media_retention is 'Per-user retention of stored chat media, enforced by the API server';
+
+alter table public.media_retention enable row level security;
+
+-- A shorter retention deletes media on the next sweep, so it is only changed through the API
+create policy "Users can view their own media retention"
+on public.media_retention
+for select
+to authenticated
+using ((select auth.uid()) = user_id);
+
+revoke all on table public.media_retention from anon;
+
+-- Create trigger to automatically update updated_at column
+create trigger handle_updated_at_trigger
+  before update on public.media_retention
+  for each row
+  execute function public.handle_updated_at();
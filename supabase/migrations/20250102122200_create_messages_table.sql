@@ -0,0 +1,83 @@
+-- Migration: Normalize chat messages
+-- Purpose: Store each chat message as its own row instead of in the chats.messages jsonb array
+-- Date: 2025-01-02
+-- Tables: messages (new), chats (messages column moved out)
+
+-- Saving a turn used to read the whole array, append to it and write it back, so concurrent
+-- requests could overwrite each other's messages, and every realtime UPDATE carried the whole
+-- conversation. Messages are now inserted one row at a time; seq orders them.
+create table public.messages (
+  id uuid default gen_random_uuid() primary key,
+  chat_id uuid not null references public.chats(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  seq bigint generated by default as identity not null,
+  role text not null check (role in ('user', 'assistant')),
+  content text not null default '',
+  persona_id uuid references public.personas(id) on delete set null,
+  persona_name text,
+  audio_key text,
+  video_key text,
+  video_job_id uuid,
+  video_status text,
+  video_error text,
+  details jsonb default '{}'::jsonb not null,
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null
+);
+
+comment on table public.messages is 'Chat messages, one row per message, ordered by seq within a chat';
+comment on column public.messages.audio_key is 'Storage key of the message audio (a legacy /api/audio URL until migrate:legacy-audio has run)';
+comment on column public.messages.video_key is 'Storage key of the generated video';
+comment on column public.messages.details is 'Other message fields, e.g. episode chapters or a briefing segment''s location, durationMs and sources';
+
+create index idx_messages_chat_id_seq on public.messages(chat_id, seq);
+create index idx_messages_user_id on public.messages(user_id);
+create index idx_messages_video_job_id on public.messages(video_job_id) where video_job_id is not null;
+
+-- Copy the existing messages in array order
+insert into public.messages (
+  chat_id, user_id, role, content, persona_id, persona_name,
+  audio_key, video_key, video_job_id, video_status, video_error, details, created_at
+)
+select
+  c.id,
+  c.user_id,
+  m.message->>'role',
+  coalesce(m.message->>'content', ''),
+  (select p.id from public.personas p where p.id::text = m.message->>'personaId'),
+  m.message->>'persona',
+  m.message->>'audioUrl',
+  m.message->>'videoUrl',
+  case when m.message->>'videoJobId' ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+    then (m.message->>'videoJobId')::uuid end,
+  m.message->>'videoStatus',
+  m.message->>'videoError',
+  m.message - array['role', 'content', 'timestamp', 'persona', 'personaId', 'audioUrl', 'videoUrl', 'videoJobId', 'videoStatus', 'videoError'],
+  coalesce((m.message->>'timestamp')::timestamp with time zone, c.created_at)
+from public.chats c
+cross join lateral jsonb_array_elements(c.messages) with ordinality as m(message, position)
+where jsonb_typeof(c.messages) = 'array'
+order by c.created_at, c.id, m.position;
+
+alter table public.chats drop column messages;
+
+alter table public.messages enable row level security;
+
+-- Realtime subscriptions deliver only rows the subscriber can select; messages are
+-- written by the API server as a turn streams
+create policy "Users can view their own messages"
+on public.messages
+for select
+to authenticated
+using ((select auth.uid()) = user_id);
+
+revoke all on table public.messages from anon;
+
+-- Create trigger to automatically update updated_at column
+create trigger handle_updated_at_trigger
+  before update on public.messages
+  for each row
+  execute function public.handle_updated_at();
+
+-- Clients receive new and updated messages instead of reloading the chat
+alter publication supabase_realtime add table public.messages;
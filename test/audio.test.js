@@ -0,0 +1,264 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const harness = require('./harness');
+
+const AUDIO_FILES_DIR = path.join(__dirname, '..', 'audio_files');
+
+describe('audio file routes', () => {
+  let alice;
+  let bob;
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => {
+    harness.reset();
+    alice = harness.signIn();
+    bob = harness.signIn();
+  });
+
+  describe('GET /api/audio/:uid/:chatId/:filename (legacy local files)', () => {
+    it('serves a locally stored PCM file', async (t) => {
+      const dir = path.join(AUDIO_FILES_DIR, alice.uid, 'chat-1');
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'answer.pcm'), Buffer.from([1, 2, 3, 4]));
+      t.after(() => fs.rmSync(path.join(AUDIO_FILES_DIR, alice.uid), { recursive: true, force: true }));
+
+      const { status, headers, raw } = await harness.request(`/api/audio/${alice.uid}/chat-1/answer.pcm`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'audio/L16');
+      assert.deepEqual([...raw], [1, 2, 3, 4]);
+    });
+
+    it('converts a local file to the requested format', async (t) => {
+      const dir = path.join(AUDIO_FILES_DIR, alice.uid, 'chat-1');
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'answer.pcm'), Buffer.from([1, 2, 3, 4]));
+      t.after(() => fs.rmSync(path.join(AUDIO_FILES_DIR, alice.uid), { recursive: true, force: true }));
+
+      const { status, headers, raw } = await harness.request(`/api/audio/${alice.uid}/chat-1/answer.pcm?format=wav`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'audio/wav');
+      assert.equal(raw.subarray(0, 4).toString(), 'RIFF');
+      assert.deepEqual([...raw.subarray(44)], [1, 2, 3, 4]);
+    });
+
+    it('returns 404 for missing files', async () => {
+      const { status } = await harness.request(`/api/audio/${alice.uid}/chat-1/missing.pcm`, { token: alice.token });
+
+      assert.equal(status, 404);
+    });
+
+    it("refuses another user's files", async () => {
+      const { status } = await harness.request(`/api/audio/${alice.uid}/chat-1/answer.pcm`, { token: bob.token });
+
+      assert.equal(status, 403);
+    });
+
+    it('refuses encoded paths that leave the user\'s directory', async (t) => {
+      const dir = path.join(AUDIO_FILES_DIR, bob.uid, 'chat-1');
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'answer.pcm'), Buffer.from([1, 2, 3, 4]));
+      t.after(() => fs.rmSync(path.join(AUDIO_FILES_DIR, bob.uid), { recursive: true, force: true }));
+
+      for (const suffix of [`..%2F${bob.uid}%2Fchat-1/answer.pcm`, `chat-1/..%2F..%2F${bob.uid}%2Fchat-1%2Fanswer.pcm`, 'chat-1/..%2F..%2F..%2Fpackage.json']) {
+        const { status } = await harness.request(`/api/audio/${alice.uid}/${suffix}`, { token: alice.token });
+        assert.equal(status, 400, suffix);
+      }
+    });
+  });
+
+  describe('GET /api/audio/s3/*', () => {
+    it('proxies the stored audio', async () => {
+      const key = `${alice.uid}/chat-1/answer.pcm`;
+      harness.s3.objects.set(key, { body: Buffer.from([5, 6, 7, 8]), contentType: 'audio/L16' });
+
+      const { status, headers, raw } = await harness.request(`/api/audio/s3/${key}`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'audio/L16');
+      assert.deepEqual([...raw], [5, 6, 7, 8]);
+      assert.equal(headers.get('accept-ranges'), 'bytes');
+      assert.equal(headers.get('content-length'), '4');
+      assert.match(headers.get('etag'), /^"[0-9a-f]+"$/);
+    });
+
+    it('answers range requests with the requested bytes', async () => {
+      const key = `${alice.uid}/chat-1/answer.pcm`;
+      harness.s3.objects.set(key, { body: Buffer.from([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]), contentType: 'audio/L16' });
+      const range = (value, headers = {}) => harness.request(`/api/audio/s3/${key}`, { token: alice.token, headers: { Range: value, ...headers } });
+
+      const middle = await range('bytes=2-5');
+      assert.equal(middle.status, 206);
+      assert.equal(middle.headers.get('content-range'), 'bytes 2-5/10');
+      assert.equal(middle.headers.get('content-length'), '4');
+      assert.deepEqual([...middle.raw], [2, 3, 4, 5]);
+
+      const tail = await range('bytes=-3');
+      assert.equal(tail.headers.get('content-range'), 'bytes 7-9/10');
+      assert.deepEqual([...tail.raw], [7, 8, 9]);
+
+      const open = await range('bytes=8-');
+      assert.deepEqual([...open.raw], [8, 9]);
+
+      const beyond = await range('bytes=20-30');
+      assert.equal(beyond.status, 416);
+      assert.equal(beyond.headers.get('content-range'), 'bytes */10');
+
+      const multiple = await range('bytes=0-1,4-5');
+      assert.equal(multiple.status, 200, 'multiple ranges get the whole file');
+      assert.equal(multiple.raw.length, 10);
+    });
+
+    it('honours If-Range and If-None-Match with the stored ETag', async () => {
+      const key = `${alice.uid}/chat-1/answer.pcm`;
+      harness.s3.objects.set(key, { body: Buffer.from([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]), contentType: 'audio/L16' });
+      const { headers } = await harness.request(`/api/audio/s3/${key}`, { token: alice.token });
+      const etag = headers.get('etag');
+
+      const current = await harness.request(`/api/audio/s3/${key}`, { token: alice.token, headers: { Range: 'bytes=0-1', 'If-Range': etag } });
+      assert.equal(current.status, 206);
+
+      const stale = await harness.request(`/api/audio/s3/${key}`, { token: alice.token, headers: { Range: 'bytes=0-1', 'If-Range': '"old"' } });
+      assert.equal(stale.status, 200, 'a changed file is sent whole');
+      assert.equal(stale.raw.length, 10);
+
+      const cached = await harness.request(`/api/audio/s3/${key}`, { token: alice.token, headers: { 'If-None-Match': etag } });
+      assert.equal(cached.status, 304);
+    });
+
+    it('serves ranges of transcoded audio', async () => {
+      const key = `${alice.uid}/chat-1/answer.pcm`;
+      harness.s3.objects.set(key, { body: Buffer.from([5, 6, 7, 8]), contentType: 'audio/L16' });
+
+      const { status, headers, raw } = await harness.request(`/api/audio/s3/${key}?format=wav`, { token: alice.token, headers: { Range: 'bytes=44-' } });
+
+      assert.equal(status, 206);
+      assert.equal(headers.get('content-type'), 'audio/wav');
+      assert.equal(headers.get('content-range'), 'bytes 44-47/48');
+      assert.deepEqual([...raw], [5, 6, 7, 8]);
+    });
+
+    it('serves the audio as WAV with a header in front of the PCM', async () => {
+      const key = `${alice.uid}/chat-1/answer.pcm`;
+      harness.s3.objects.set(key, { body: Buffer.from([5, 6, 7, 8]), contentType: 'audio/L16' });
+
+      const { status, headers, raw } = await harness.request(`/api/audio/s3/${key}?format=wav`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'audio/wav');
+      assert.equal(raw.subarray(0, 4).toString(), 'RIFF');
+      assert.equal(raw.readUInt32LE(24), 24000, 'sample rate');
+      assert.deepEqual([...raw.subarray(44)], [5, 6, 7, 8]);
+    });
+
+    it('encodes MP3 and Opus once and stores them next to the PCM', async () => {
+      const key = `${alice.uid}/chat-1/answer.pcm`;
+      harness.s3.objects.set(key, { body: Buffer.alloc(480), contentType: 'audio/L16' });
+
+      const mp3 = await harness.request(`/api/audio/s3/${key}?format=mp3`, { token: alice.token });
+      assert.equal(mp3.status, 200);
+      assert.equal(mp3.headers.get('content-type'), 'audio/mpeg');
+      assert.match(mp3.body, /^FAKE libmp3lame 480 /);
+      assert.equal(harness.s3.objects.get(`${alice.uid}/chat-1/answer.mp3`).contentType, 'audio/mpeg');
+
+      const again = await harness.request(`/api/audio/s3/${key}?format=MP3`, { token: alice.token });
+      assert.equal(again.body, mp3.body, 'served from the stored file, not encoded again');
+
+      const opus = await harness.request(`/api/audio/s3/${key}?format=opus`, { token: alice.token });
+      assert.equal(opus.headers.get('content-type'), 'audio/ogg; codecs=opus');
+      assert.match(opus.body, /^FAKE libopus 480 /);
+    });
+
+    it('rejects unknown formats', async () => {
+      const { status, body } = await harness.request(`/api/audio/s3/${alice.uid}/chat-1/answer.pcm?format=flac`, { token: alice.token });
+
+      assert.equal(status, 400);
+      assert.match(body.error, /pcm, wav, mp3, opus/);
+    });
+
+    it('returns 404 when there is no audio to transcode', async () => {
+      const { status } = await harness.request(`/api/audio/s3/${alice.uid}/chat-1/missing.pcm?format=mp3`, { token: alice.token });
+
+      assert.equal(status, 404);
+      assert.equal(harness.s3.objects.size, 1, 'nothing stored besides the persona image');
+    });
+
+    it('explains a missing ffmpeg', async (t) => {
+      const ffmpegPath = process.env.FFMPEG_PATH;
+      process.env.FFMPEG_PATH = path.join(__dirname, 'no-such-ffmpeg');
+      t.after(() => { process.env.FFMPEG_PATH = ffmpegPath; });
+      const key = `${alice.uid}/chat-1/answer.pcm`;
+      harness.s3.objects.set(key, { body: Buffer.alloc(48), contentType: 'audio/L16' });
+
+      const { status, body } = await harness.request(`/api/audio/s3/${key}?format=mp3`, { token: alice.token });
+
+      assert.equal(status, 500);
+      assert.match(body.details, /ffmpeg is not installed/);
+    });
+
+    it('rejects keys that are not uid/chatId/file.pcm', async () => {
+      const { status } = await harness.request(`/api/audio/s3/${alice.uid}/chat-1/extra/answer.pcm`, { token: alice.token });
+
+      assert.equal(status, 400);
+    });
+
+    it('passes through S3 errors', async () => {
+      const { status } = await harness.request(`/api/audio/s3/${alice.uid}/chat-1/missing.pcm`, { token: alice.token });
+
+      assert.equal(status, 404);
+    });
+
+    it("refuses another user's keys", async () => {
+      const { status } = await harness.request(`/api/audio/s3/${alice.uid}/chat-1/answer.pcm`, { token: bob.token });
+
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('GET /api/audio/sign/:s3Key', () => {
+    it('returns a signed URL for the key', async () => {
+      const key = `${alice.uid}/chat-1/answer.pcm`;
+
+      const { status, body } = await harness.request(`/api/audio/sign/${encodeURIComponent(key)}`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.ok(body.signedUrl.startsWith(`https://fake-s3.test/${key}?`));
+    });
+
+    it('signs the transcoded file when a format is requested', async () => {
+      const key = `${alice.uid}/chat-1/answer.pcm`;
+      harness.s3.objects.set(key, { body: Buffer.alloc(96), contentType: 'audio/L16' });
+
+      const { status, body } = await harness.request(`/api/audio/sign/${encodeURIComponent(key)}?format=mp3`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.ok(body.signedUrl.startsWith(`https://fake-s3.test/${alice.uid}/chat-1/answer.mp3?`));
+      assert.equal(body.contentType, 'audio/mpeg');
+      assert.ok(harness.s3.objects.has(`${alice.uid}/chat-1/answer.mp3`));
+    });
+
+    it('rejects malformed keys', async () => {
+      const { status } = await harness.request(`/api/audio/sign/${encodeURIComponent(`${alice.uid}/answer.pcm`)}`, { token: alice.token });
+
+      assert.equal(status, 400);
+    });
+
+    it("refuses another user's keys", async () => {
+      const { status } = await harness.request(`/api/audio/sign/${encodeURIComponent(`${alice.uid}/chat-1/answer.pcm`)}`, { token: bob.token });
+
+      assert.equal(status, 403);
+    });
+
+    it('reports signing failures', async () => {
+      harness.s3.failSigning = true;
+
+      const { status } = await harness.request(`/api/audio/sign/${encodeURIComponent(`${alice.uid}/chat-1/answer.pcm`)}`, { token: alice.token });
+
+      assert.equal(status, 500);
+    });
+  });
+});
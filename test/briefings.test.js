@@ -0,0 +1,134 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const briefingScheduler = require('../utils/briefings');
+
+const [, BEN] = harness.DEFAULT_PERSONAS;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('scheduled briefings', () => {
+  let alice;
+  let bob;
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => {
+    harness.reset();
+    alice = harness.signIn();
+    bob = harness.signIn();
+    // 10:00 in Toronto
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-13T15:00:00Z') });
+  });
+  afterEach(() => mock.timers.reset());
+
+  const saveBriefing = (user, body) => harness.request('/api/briefing/save', { method: 'POST', token: user.token, body: { uid: user.uid, ...body } });
+  const schedule = (uid) => harness.supabase.rows('briefing_schedules').find(row => row.user_id === uid);
+
+  describe('settings', () => {
+    it('schedules the next occurrence of the time in the user\'s timezone', async () => {
+      const saved = await saveBriefing(alice, { time: '07:00', timezone: 'America/Toronto', locations: ['Ottawa', 'toronto'], personaId: BEN.id });
+
+      assert.equal(saved.status, 200);
+      assert.deepEqual(saved.body.briefing, {
+        enabled: true,
+        time: '07:00',
+        timezone: 'America/Toronto',
+        locations: ['ottawa', 'toronto'],
+        personaId: BEN.id,
+        nextRunAt: '2025-01-14T12:00:00.000Z',
+        lastRunAt: null
+      });
+
+      const loaded = await harness.request(`/api/briefing/${alice.uid}`, { token: alice.token });
+      assert.deepEqual(loaded.body.briefing, saved.body.briefing);
+    });
+
+    it('follows daylight saving time', async () => {
+      // Clocks in Toronto go forward on 2025-03-09
+      mock.timers.setTime(Date.parse('2025-03-08T15:00:00Z'));
+
+      await saveBriefing(alice, { time: '07:00', timezone: 'America/Toronto', locations: ['ottawa'] });
+
+      assert.equal(schedule(alice.uid).next_run_at, '2025-03-09T11:00:00.000Z');
+    });
+
+    it('returns defaults before the user has a schedule', async () => {
+      const { status, body } = await harness.request(`/api/briefing/${alice.uid}`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(body.briefing.enabled, false);
+      assert.deepEqual(body.briefing.locations, []);
+    });
+
+    it('rejects invalid settings and other users', async () => {
+      const invalid = await saveBriefing(alice, { time: '7am', timezone: 'Mars/Olympus', locations: ['atlantis'], personaId: 'missing' });
+
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.error, 'time must be HH:MM; Unknown timezone: Mars/Olympus; Unsupported locations: atlantis; Invalid persona ID');
+
+      const noLocations = await saveBriefing(alice, { time: '07:00', timezone: 'UTC', locations: [] });
+      assert.match(noLocations.body.error, /at least one location/);
+
+      const forbidden = await harness.request(`/api/briefing/${bob.uid}`, { token: alice.token });
+      assert.equal(forbidden.status, 403);
+      assert.equal(harness.supabase.rows('briefing_schedules').length, 0);
+    });
+
+    it('stops scheduling a turned off briefing', async () => {
+      await saveBriefing(alice, { time: '07:00', timezone: 'UTC', locations: ['ottawa'] });
+      await saveBriefing(alice, { enabled: false, time: '07:00', timezone: 'UTC', locations: ['ottawa'] });
+
+      assert.equal(schedule(alice.uid).next_run_at, null);
+      mock.timers.tick(48 * HOUR_MS);
+      assert.deepEqual(await briefingScheduler.runDue(), []);
+    });
+  });
+
+  describe('generation', () => {
+    it('queues a due briefing once and saves it as a briefing chat', async () => {
+      await saveBriefing(alice, { time: '07:00', timezone: 'America/Toronto', locations: ['ottawa', 'toronto'], personaId: BEN.id });
+
+      assert.deepEqual(await briefingScheduler.runDue(), []);
+
+      mock.timers.tick(21 * HOUR_MS + 1000);
+      const [job] = await briefingScheduler.runDue();
+      assert.equal(job.type, 'briefing');
+      assert.deepEqual(await briefingScheduler.runDue(), [], 'the claim moves next_run_at on');
+      assert.equal(schedule(alice.uid).next_run_at, '2025-01-15T12:00:00.000Z');
+
+      await harness.jobQueue.drain();
+
+      const [chat] = harness.supabase.rows('chats');
+      assert.equal(chat.id, job.payload.chatId);
+      assert.equal(chat.type, 'briefing');
+      assert.equal(chat.title, 'Briefing for Tuesday, January 14');
+      assert.equal(chat.persona_id, BEN.id);
+      const messages = harness.messagesOf(chat.id);
+      assert.deepEqual(messages.map(message => [message.role, message.persona, message.location]), [
+        ['assistant', 'Ben', 'ottawa'],
+        ['assistant', 'Ben', 'toronto'],
+      ]);
+      assert.match(messages[0].content, /Ottawa/);
+      for (const message of messages) {
+        assert.ok(harness.s3.objects.has(message.audioUrl), `audio stored at ${message.audioUrl}`);
+        assert.equal(message.durationMs, Math.round(harness.s3.objects.get(message.audioUrl).body.length / 48), 'duration for the podcast feed');
+        assert.deepEqual(message.sources, [], 'no cited stories while offline');
+      }
+      assert.match(harness.s3.objects.get(`${alice.uid}/${chat.id}/episode.mp3`).body.toString(), /^FAKE libmp3lame /, 'podcast episode stored with the briefing');
+
+      const { body } = await harness.request(`/api/chats/${alice.uid}`, { token: alice.token });
+      assert.deepEqual(body.chats.map(listed => [listed.id, listed.type]), [[chat.id, 'briefing']]);
+    });
+
+    it('skips a briefing missed by hours of downtime', async () => {
+      await saveBriefing(alice, { time: '07:00', timezone: 'America/Toronto', locations: ['ottawa'] });
+
+      mock.timers.tick(26 * HOUR_MS);
+      assert.deepEqual(await briefingScheduler.runDue(), []);
+
+      assert.equal(schedule(alice.uid).next_run_at, '2025-01-15T12:00:00.000Z');
+      assert.equal(harness.supabase.rows('jobs').length, 0);
+    });
+  });
+});
@@ -0,0 +1,441 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const { trackRenderProgress } = require('../utils/videoJobs');
+const { ConversationPipeline } = require('../utils/pipeline');
+
+const [ANNA, BEN, USER] = harness.DEFAULT_PERSONAS;
+
+const stage = (body, name) => body.stages.find(report => report.name === name);
+
+// Wait for something the job queue does in the background
+const until = async (condition) => {
+  while (!condition()) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+describe('conversation routes', () => {
+  let alice;
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => {
+    harness.reset();
+    mock.restoreAll();
+    alice = harness.signIn();
+  });
+
+  const sendText = (body, user = alice) => harness.request('/api/chat/text', { method: 'POST', token: user.token, body });
+
+  describe('POST /api/chat/text', () => {
+    it('requires a session', async () => {
+      const { status } = await harness.request('/api/chat/text', { method: 'POST', body: { message: 'Hello' } });
+
+      assert.equal(status, 401);
+    });
+
+    it('answers, stores audio and saves a new chat', async () => {
+      const { status, body } = await sendText({ message: 'What is happening downtown?', personaId: BEN.id });
+
+      assert.equal(status, 200);
+      assert.equal(body.transcribedText, 'What is happening downtown?');
+      assert.match(body.responseText, /offline news desk/);
+      assert.doesNotMatch(body.responseText, /\[chuckles\]/);
+      assert.match(body.audioUrl, /^https:\/\/fake-s3\.test\//);
+      assert.equal(body.videoUrl, null);
+      assert.equal(body.isMultiUserMode, false);
+
+      const [chat] = harness.supabase.rows('chats');
+      assert.equal(chat.id, body.chatId);
+      assert.equal(chat.user_id, alice.uid);
+      assert.equal(chat.persona_id, BEN.id);
+      const messages = harness.messagesOf(chat.id);
+      assert.deepEqual(messages.map(message => message.role), ['user', 'assistant']);
+      assert.ok(harness.s3.objects.has(messages[1].audioUrl));
+      assert.deepEqual(body.messageIds, { user: messages[0].id, assistant: messages[1].id });
+    });
+
+    it('rejects an empty message', async () => {
+      const { status, body } = await sendText({ message: '   ' });
+
+      assert.equal(status, 500);
+      assert.equal(body.stage, 'input');
+      assert.equal(harness.supabase.rows('chats').length, 0);
+    });
+
+    it('continues an existing chat', async () => {
+      const first = await sendText({ message: 'First question', personaId: ANNA.id });
+      const second = await sendText({ message: 'Second question', personaId: ANNA.id, chatId: first.body.chatId });
+
+      assert.equal(second.status, 200);
+      assert.equal(second.body.chatId, first.body.chatId);
+
+      const chats = harness.supabase.rows('chats');
+      assert.equal(chats.length, 1);
+      assert.equal(harness.messagesOf(chats[0].id).length, 4);
+    });
+
+    it('keeps every message when replies to the same chat are saved at once', async () => {
+      const chatId = '3f1c2a4e-8d6b-4c3a-9e2f-5a7b8c9d0e1f';
+
+      const replies = await Promise.all(['One', 'Two', 'Three'].map(message => sendText({ message, personaId: ANNA.id, chatId })));
+
+      assert.deepEqual(replies.map(reply => reply.status), [200, 200, 200]);
+      assert.equal(harness.supabase.rows('chats').length, 1);
+      const messages = harness.messagesOf(chatId);
+      assert.equal(messages.length, 6);
+      assert.deepEqual(messages.filter(message => message.role === 'user').map(message => message.content).sort(), ['One', 'Three', 'Two']);
+    });
+
+    describe('persona fallback', () => {
+      it('finds the persona by name', async () => {
+        await sendText({ message: 'Hello', personaName: 'Ben' });
+
+        assert.equal(harness.supabase.rows('chats')[0].persona_id, BEN.id);
+      });
+
+      it("uses the chat's persona when none is given", async () => {
+        const first = await sendText({ message: 'Hello', personaId: BEN.id });
+        await sendText({ message: 'And then?', chatId: first.body.chatId });
+
+        const [, , , answer] = harness.messagesOf(first.body.chatId);
+        assert.equal(answer.persona, 'Ben');
+      });
+
+      it('falls back to the first persona for unknown ids', async () => {
+        await sendText({ message: 'Hello', personaId: 'no-such-persona' });
+
+        assert.equal(harness.supabase.rows('chats')[0].persona_id, ANNA.id);
+      });
+
+      it('fails when there are no personas at all', async () => {
+        harness.supabase.tables.set('personas', []);
+        harness.db.personasCache = null;
+
+        const { status, body } = await sendText({ message: 'Hello' });
+
+        assert.equal(status, 500);
+        assert.equal(body.stage, 'persona');
+      });
+    });
+
+    describe("multi-user mode (the 'User' persona)", () => {
+      it('generates two-voice audio and stores a clip for each side', async () => {
+        const conversation = mock.method(harness.ai.provider, 'synthesizeConversation');
+
+        const { status, body } = await sendText({ message: 'Tell me about the game', personaId: USER.id });
+
+        assert.equal(status, 200);
+        assert.equal(body.isMultiUserMode, true);
+        assert.match(body.userAudioUrl, /user_.+\.pcm/);
+        assert.match(body.audioUrl, /assistant_.+\.pcm/);
+
+        // The listener speaks with the User voice, the answer with the first real anchor
+        const [{ arguments: [{ turns }] }] = conversation.mock.calls;
+        assert.deepEqual(turns.map(turn => [turn.speaker, turn.voiceName]), [['User', 'Charon'], ['Anna', 'Kore']]);
+
+        const [userMessage, answer] = harness.messagesOf(body.chatId);
+        assert.ok(harness.s3.objects.has(userMessage.audioUrl));
+        assert.ok(harness.s3.objects.has(answer.audioUrl));
+      });
+    });
+
+    describe('audio degradation', () => {
+      it('still answers and saves the chat when TTS fails', async () => {
+        mock.method(harness.ai.provider, 'synthesizeSpeech', async () => {
+          throw new Error('TTS quota exceeded');
+        });
+
+        const { status, body } = await sendText({ message: 'Hello', videoEnabled: true });
+
+        assert.equal(status, 200);
+        assert.match(body.responseText, /offline news desk/);
+        assert.equal(body.audioUrl, null);
+        assert.deepEqual(
+          { degraded: stage(body, 'audio').degraded, reason: stage(body, 'audio').reason },
+          { degraded: true, reason: 'TTS quota exceeded' }
+        );
+        // No audio means no video
+        assert.equal(stage(body, 'video').skipped, true);
+
+        const [, answer] = harness.messagesOf(body.chatId);
+        assert.equal(answer.audioUrl, null);
+      });
+    });
+
+    describe('video', () => {
+      const videoJobs = () => harness.supabase.rows('jobs');
+      const answerOf = (chatId) => harness.messagesOf(chatId).at(-1);
+
+      it('answers right away with a pending video job', async () => {
+        const { status, body } = await sendText({ message: 'Hello', personaId: ANNA.id, videoEnabled: true });
+
+        assert.equal(status, 200);
+        assert.ok(body.audioUrl);
+        assert.equal(body.videoUrl, null);
+        assert.ok(body.videoJobId);
+
+        const [job] = videoJobs();
+        assert.deepEqual(
+          { id: job.id, type: job.type, status: job.status, user_id: job.user_id, chat_id: job.chat_id },
+          { id: body.videoJobId, type: 'video', status: 'pending', user_id: alice.uid, chat_id: body.chatId }
+        );
+        assert.deepEqual(job.payload, { audioKey: answerOf(body.chatId).audioUrl, personaId: ANNA.id });
+
+        const answer = answerOf(body.chatId);
+        assert.equal(answer.videoJobId, body.videoJobId);
+        assert.equal(answer.videoStatus, 'pending');
+        // Nothing has been rendered yet
+        assert.equal(harness.FakeComfyUI.instances.length, 0);
+      });
+
+      it('attaches the rendered video to the message when the job runs', async () => {
+        const { body } = await sendText({ message: 'Hello', personaId: ANNA.id, videoEnabled: true });
+
+        await harness.jobQueue.drain();
+
+        const [comfy] = harness.FakeComfyUI.instances;
+        assert.deepEqual(comfy.uploads.map(upload => upload.type), ['audio', 'image']);
+
+        const answer = answerOf(body.chatId);
+        assert.equal(answer.videoStatus, 'ready');
+        assert.match(answer.videoUrl, /\.mp4$/);
+        assert.ok(harness.s3.objects.has(answer.videoUrl));
+
+        const [job] = videoJobs();
+        assert.equal(job.status, 'completed');
+        assert.deepEqual(job.result, { videoKey: answer.videoUrl });
+
+        // The chat endpoint points the attached video at the signed video proxy
+        const chat = await harness.request(`/api/chats/${alice.uid}/${body.chatId}`, { token: alice.token });
+        assert.match(chat.body.chat.messages.at(-1).videoUrl, /^\/api\/video\/.+\.mp4\?expires=\d+&signature=/);
+      });
+
+      it('retries when ComfyUI reports an execution error, then marks the video failed', async () => {
+        harness.FakeComfyUI.behavior.outcome = 'error';
+
+        const { status, body } = await sendText({ message: 'Hello', personaId: ANNA.id, videoEnabled: true });
+        assert.equal(status, 200);
+        assert.equal(harness.supabase.rows('chats').length, 1);
+
+        await harness.jobQueue.drain();
+
+        let [job] = videoJobs();
+        assert.equal(job.status, 'pending');
+        assert.equal(job.attempts, 1);
+        assert.equal(job.error, 'ComfyUI execution failed');
+        assert.ok(new Date(job.run_at) > new Date());
+        assert.equal(answerOf(body.chatId).videoStatus, 'pending');
+
+        // Make the retry due now, and the last one
+        Object.assign(harness.supabase.table('jobs')[0], { run_at: new Date().toISOString(), max_attempts: 2 });
+        await harness.jobQueue.drain();
+
+        [job] = videoJobs();
+        assert.equal(job.status, 'failed');
+        assert.equal(job.attempts, 2);
+        assert.equal(harness.FakeComfyUI.instances.length, 2);
+
+        const answer = answerOf(body.chatId);
+        assert.equal(answer.videoStatus, 'failed');
+        assert.equal(answer.videoUrl, null);
+        assert.ok(answer.audioUrl);
+      });
+
+      it('reports where the render is and lets the user cancel it', async () => {
+        Object.assign(harness.FakeComfyUI.behavior, { outcome: 'hang', queuePosition: 2 });
+        const { body } = await sendText({ message: 'Hello', personaId: ANNA.id, videoEnabled: true });
+
+        // Still waiting for a worker
+        let job = await harness.request(`/api/jobs/${body.videoJobId}`, { token: alice.token });
+        assert.deepEqual(job.body.job.progress, { stage: 'waiting', queuePosition: 0 });
+
+        harness.jobQueue.poll();
+        await until(() => videoJobs()[0].progress?.stage === 'queued');
+
+        job = await harness.request(`/api/jobs/${body.videoJobId}`, { token: alice.token });
+        assert.equal(job.body.job.status, 'running');
+        assert.deepEqual(job.body.job.progress, { stage: 'queued', queuePosition: 2 });
+
+        const cancelled = await harness.request(`/api/jobs/${body.videoJobId}/cancel`, { method: 'POST', token: alice.token });
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.job.status, 'cancelled');
+
+        // The ComfyUI prompt is cancelled and the job is not retried
+        await harness.jobQueue.drain();
+        const [comfy] = harness.FakeComfyUI.instances;
+        assert.deepEqual(comfy.cancelled, [comfy.promptId]);
+        assert.equal(videoJobs()[0].status, 'cancelled');
+        assert.equal(answerOf(body.chatId).videoStatus, 'cancelled');
+
+        const again = await harness.request(`/api/jobs/${body.videoJobId}/cancel`, { method: 'POST', token: alice.token });
+        assert.equal(again.status, 409);
+      });
+
+      it('estimates the time left from the sampler steps', () => {
+        mock.timers.enable({ apis: ['Date'], now: 0 });
+        const reports = [];
+        const onProgress = trackRenderProgress(progress => reports.push(progress));
+
+        onProgress({ stage: 'queued', queuePosition: 0 });
+        onProgress({ stage: 'rendering', value: 1, max: 5, node: '128' });
+        mock.timers.tick(4000);
+        onProgress({ stage: 'rendering', value: 3, max: 5, node: '128' });
+        mock.timers.reset();
+
+        assert.deepEqual(reports, [
+          { stage: 'queued', queuePosition: 0 },
+          { stage: 'rendering', value: 1, max: 5, etaSeconds: null },
+          { stage: 'rendering', value: 3, max: 5, etaSeconds: 4 }
+        ]);
+      });
+
+      it('degrades when the persona has no image', async () => {
+        const { body } = await sendText({ message: 'Hello', personaId: BEN.id, videoEnabled: true });
+
+        assert.equal(body.videoUrl, null);
+        assert.equal(body.videoJobId, null);
+        assert.equal(stage(body, 'video').reason, 'No persona image available');
+        assert.equal(videoJobs().length, 0);
+      });
+
+      it('marks the message failed when the job cannot be queued', async () => {
+        harness.supabase.failNext('jobs', 'insert');
+
+        const { status, body } = await sendText({ message: 'Hello', personaId: ANNA.id, videoEnabled: true });
+
+        assert.equal(status, 200);
+        assert.equal(body.videoJobId, null);
+        assert.equal(stage(body, 'videoJob').degraded, true);
+        assert.equal(answerOf(body.chatId).videoStatus, 'failed');
+      });
+    });
+  });
+
+  describe('POST /api/chat/audio', () => {
+    it('transcribes the recording and answers it', async () => {
+      const transcribe = mock.method(harness.ai.provider, 'transcribe', async () => 'Any traffic news?');
+
+      const { status, body } = await harness.request('/api/chat/audio', {
+        method: 'POST',
+        token: alice.token,
+        body: { message: Buffer.from('RIFF....WAVE').toString('base64'), personaId: ANNA.id }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.transcribedText, 'Any traffic news?');
+      assert.match(body.responseText, /Any traffic news\?/);
+      assert.equal(transcribe.mock.calls[0].arguments[0].mimeType, 'audio/wav');
+    });
+
+    it('rejects a request without audio', async () => {
+      const { status, body } = await harness.request('/api/chat/audio', { method: 'POST', token: alice.token, body: {} });
+
+      assert.equal(status, 500);
+      assert.equal(body.stage, 'transcription');
+    });
+  });
+
+  describe('streaming endpoints', () => {
+    const stream = (path, body) => harness.request(path, { method: 'POST', token: alice.token, body });
+
+    it('streams transcription, tokens, audio, the queued video and the saved chat in order', async () => {
+      const { status, headers, body } = await stream('/api/chat/text/stream', {
+        message: 'Hello',
+        personaId: ANNA.id,
+        videoEnabled: true
+      });
+
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /^text\/event-stream/);
+
+      const events = harness.parseEvents(body).filter(event => event.event !== 'stage');
+      const names = [...new Set(events.map(event => event.event))];
+      assert.deepEqual(names, ['transcription', 'token', 'audio-ready', 'video-queued', 'saved']);
+
+      const tokens = events.filter(event => event.event === 'token').map(event => event.data.text).join('');
+      assert.match(tokens, /offline news desk/);
+
+      const saved = events.at(-1).data;
+      assert.equal(saved.transcribedText, 'Hello');
+      assert.equal(saved.videoJobId, events.find(event => event.event === 'video-queued').data.videoJobId);
+    });
+
+    it('streams audio turns', async () => {
+      const { body } = await stream('/api/chat/audio/stream', {
+        message: Buffer.from('RIFF....WAVE').toString('base64'),
+        personaId: ANNA.id
+      });
+
+      const events = harness.parseEvents(body);
+      assert.equal(events.find(event => event.event === 'transcription').data.text, "What's the latest news?");
+      assert.equal(events.at(-1).event, 'saved');
+    });
+
+    it('ends with an error event when a required stage fails', async () => {
+      const { status, body } = await stream('/api/chat/text/stream', { message: '' });
+
+      assert.equal(status, 200);
+      const events = harness.parseEvents(body);
+      assert.equal(events.at(-1).event, 'error');
+      assert.equal(events.at(-1).data.stage, 'input');
+    });
+
+    it('returns only the text streamed before an abort, like a real provider', async () => {
+      const controller = new AbortController();
+      const tokens = [];
+
+      const text = await harness.ai.provider.generateTextStream({
+        message: 'Hello',
+        signal: controller.signal,
+        onToken: (token) => {
+          tokens.push(token);
+          if (tokens.length === 2) controller.abort();
+        }
+      });
+
+      assert.deepEqual(tokens, ['[chuckles] ', 'This ']);
+      assert.equal(text, '[chuckles] This ');
+    });
+
+    it('stops the turn when the client disconnects', async () => {
+      // The reply keeps streaming until the request's signal aborts
+      const textStream = mock.method(harness.ai.provider, 'generateTextStream', async ({ onToken, signal }) => {
+        await onToken('Breaking ');
+        if (!signal.aborted) await new Promise(resolve => signal.addEventListener('abort', resolve));
+        return 'Breaking ';
+      });
+      const run = mock.method(ConversationPipeline.prototype, 'run');
+      const speech = mock.method(harness.ai.provider, 'synthesizeSpeechStream');
+      const save = mock.method(harness.db, 'saveConversation');
+
+      const client = new AbortController();
+      const response = await fetch(`${await harness.start()}/api/chat/text/stream`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${alice.token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Hello', personaId: ANNA.id, videoEnabled: true }),
+        signal: client.signal
+      });
+      const reader = response.body.getReader();
+      let received = '';
+      while (!received.includes('event: token')) {
+        received += Buffer.from((await reader.read()).value).toString();
+      }
+      client.abort();
+
+      await until(() => run.mock.callCount() === 1);
+      const ctx = await run.mock.calls[0].result;
+
+      assert.equal(textStream.mock.calls[0].arguments[0].signal.aborted, true);
+      assert.deepEqual(
+        ctx.stages.filter(report => report.reason === 'Aborted').map(report => report.name),
+        ['audio', 'video', 'save', 'videoJob', 'sign']
+      );
+      assert.equal(speech.mock.callCount(), 0);
+      assert.equal(save.mock.callCount(), 0);
+      assert.equal(harness.supabase.rows('messages').length, 0);
+      assert.equal(harness.supabase.rows('jobs').length, 0);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const [ANNA, BEN] = harness.DEFAULT_PERSONAS;
+
+function seedChat(uid, overrides = {}) {
+  return harness.seedChat({
+    user_id: uid,
+    persona_id: ANNA.id,
+    title: 'Chat with Anna',
+    messages: [
+      { role: 'user', content: 'What happened today?', timestamp: '2025-01-02T10:00:00.000Z', audioUrl: null },
+      {
+        role: 'assistant',
+        content: '[chuckles] Quite a lot, actually.',
+        timestamp: '2025-01-02T10:00:01.000Z',
+        persona: 'Anna',
+        personaId: ANNA.id,
+        audioUrl: `${uid}/chat/answer.pcm`,
+        videoUrl: `${uid}/chat/answer.mp4`
+      }
+    ],
+    ...overrides
+  });
+}
+
+describe('chat history routes', () => {
+  let alice;
+  let bob;
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => {
+    harness.reset();
+    alice = harness.signIn();
+    bob = harness.signIn();
+  });
+
+  describe('GET /api/chats/:uid', () => {
+    it('requires a session', async () => {
+      const { status } = await harness.request(`/api/chats/${alice.uid}`);
+
+      assert.equal(status, 401);
+    });
+
+    it('rejects an invalid token', async () => {
+      const { status } = await harness.request(`/api/chats/${alice.uid}`, { token: 'not-a-token' });
+
+      assert.equal(status, 401);
+    });
+
+    it("lists only the user's chats, newest first", async () => {
+      seedChat(alice.uid, { title: 'Older', created_at: '2025-01-01T00:00:00.000Z' });
+      seedChat(alice.uid, { title: 'Newer', persona_id: BEN.id, created_at: '2025-01-02T00:00:00.000Z' });
+      seedChat(bob.uid, { title: "Bob's chat" });
+
+      const { status, body } = await harness.request(`/api/chats/${alice.uid}`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.chats.map(chat => chat.title), ['Newer', 'Older']);
+      assert.equal(body.chats[0].persona.name, 'Ben');
+      assert.equal(body.chats[0].messageCount, 2);
+    });
+
+    it("refuses to list another user's chats", async () => {
+      const { status } = await harness.request(`/api/chats/${alice.uid}`, { token: bob.token });
+
+      assert.equal(status, 403);
+    });
+
+    it('reports database errors', async () => {
+      harness.supabase.failNext('chats', 'select');
+      harness.supabase.failNext('chats', 'select');
+
+      const { status } = await harness.request(`/api/chats/${alice.uid}`, { token: alice.token });
+
+      assert.equal(status, 500);
+    });
+  });
+
+  describe('GET /api/chats/:uid/:chatId', () => {
+    it('returns the chat with cleaned text, signed media URLs and a flattened persona', async () => {
+      const chat = seedChat(alice.uid);
+
+      const { status, body } = await harness.request(`/api/chats/${alice.uid}/${chat.id}`, { token: alice.token });
+
+      assert.equal(status, 200);
+      const [, answer] = body.chat.messages;
+      assert.equal(answer.content, 'Quite a lot, actually.');
+      assert.match(answer.audioUrl, /^https:\/\/fake-s3\.test\/.+answer\.pcm\?/);
+      assert.match(answer.videoUrl, /^\/api\/video\/.+answer\.mp4\?expires=\d+&signature=/, 'videos play through the app proxy');
+      assert.equal(body.chat.persona.name, 'Anna');
+      assert.equal(body.chat.personas, undefined);
+    });
+
+    it('returns 404 for a chat that belongs to someone else', async () => {
+      const chat = seedChat(bob.uid);
+
+      const { status } = await harness.request(`/api/chats/${alice.uid}/${chat.id}`, { token: alice.token });
+
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('GET /api/chats/:uid/:chatId/messages/:messageId', () => {
+    it('returns one message with cleaned text and signed media URLs', async () => {
+      const chat = seedChat(alice.uid);
+      const [, stored] = harness.messagesOf(chat.id);
+
+      const { status, body } = await harness.request(`/api/chats/${alice.uid}/${chat.id}/messages/${stored.id}`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(body.message.id, stored.id);
+      assert.equal(body.message.role, 'assistant');
+      assert.equal(body.message.persona, 'Anna');
+      assert.equal(body.message.content, 'Quite a lot, actually.');
+      assert.equal(body.message.timestamp, '2025-01-02T10:00:01.000Z');
+      assert.match(body.message.audioUrl, /^https:\/\/fake-s3\.test\/.+answer\.pcm\?/);
+    });
+
+    it('returns 404 for a message of another chat', async () => {
+      const chat = seedChat(alice.uid);
+      const other = seedChat(alice.uid);
+      const [message] = harness.messagesOf(other.id);
+
+      const { status } = await harness.request(`/api/chats/${alice.uid}/${chat.id}/messages/${message.id}`, { token: alice.token });
+
+      assert.equal(status, 404);
+    });
+
+    it("refuses another user's messages", async () => {
+      const chat = seedChat(alice.uid);
+      const [message] = harness.messagesOf(chat.id);
+
+      const { status } = await harness.request(`/api/chats/${alice.uid}/${chat.id}/messages/${message.id}`, { token: bob.token });
+
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('DELETE /api/chats/:uid/:chatId', () => {
+    it('deletes the chat', async () => {
+      const chat = seedChat(alice.uid);
+      const other = seedChat(alice.uid);
+
+      const { status, body } = await harness.request(`/api/chats/${alice.uid}/${chat.id}`, { method: 'DELETE', token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.deepEqual(harness.supabase.rows('chats').map(row => row.id), [other.id]);
+      assert.equal(harness.messagesOf(chat.id).length, 0, 'messages are deleted with their chat');
+      assert.equal(harness.messagesOf(other.id).length, 2);
+
+      const reload = await harness.request(`/api/chats/${alice.uid}/${chat.id}`, { token: alice.token });
+      assert.equal(reload.status, 404);
+    });
+
+    it("deletes the chat's stored media", async () => {
+      const chat = seedChat(alice.uid);
+      const other = seedChat(alice.uid);
+      for (const key of [`${alice.uid}/${chat.id}/answer.pcm`, `${alice.uid}/${chat.id}/answer.mp3`, `${alice.uid}/${chat.id}/answer.mp4`, `${alice.uid}/${other.id}/answer.pcm`]) {
+        harness.s3.objects.set(key, { body: Buffer.from([1, 2]), contentType: 'application/octet-stream' });
+      }
+
+      const { status } = await harness.request(`/api/chats/${alice.uid}/${chat.id}`, { method: 'DELETE', token: alice.token });
+
+      assert.equal(status, 200);
+      const keys = [...harness.s3.objects.keys()].filter(key => key.startsWith(`${alice.uid}/`));
+      assert.deepEqual(keys, [`${alice.uid}/${other.id}/answer.pcm`]);
+    });
+
+    it("leaves other users' chats alone", async () => {
+      const chat = seedChat(alice.uid);
+
+      const forged = await harness.request(`/api/chats/${alice.uid}/${chat.id}`, { method: 'DELETE', token: bob.token });
+      assert.equal(forged.status, 403);
+
+      // Bob addressing Alice's chat id under his own uid matches nothing
+      const own = await harness.request(`/api/chats/${bob.uid}/${chat.id}`, { method: 'DELETE', token: bob.token });
+      assert.equal(own.status, 200);
+
+      assert.equal(harness.supabase.rows('chats').length, 1);
+    });
+
+    it('reports database errors', async () => {
+      const chat = seedChat(alice.uid);
+      harness.supabase.failNext('chats', 'delete');
+
+      const { status } = await harness.request(`/api/chats/${alice.uid}/${chat.id}`, { method: 'DELETE', token: alice.token });
+
+      assert.equal(status, 500);
+      assert.equal(harness.supabase.rows('chats').length, 1);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+// The real client, loaded before the harness swaps in the fake one
+const ComfyUI = require('../utils/ComfyUI');
+require('./harness'); // quiet console output
+const { MockComfyUIServer } = require('../scripts/mock-comfyui');
+
+const IMAGE_WORKFLOW = path.join(__dirname, '..', 'workflows', 't2i-flux-api.json');
+const SAVE_NODE = '55';
+
+const workflow = () => JSON.parse(fs.readFileSync(IMAGE_WORKFLOW, 'utf8'));
+
+describe('ComfyUI client', () => {
+  let mock;
+  let url;
+  const clients = [];
+
+  const connect = async (options = {}) => {
+    const comfyUI = new ComfyUI({ comfyUIServerURL: url, nodes: { api_save: [SAVE_NODE] }, ...options });
+    clients.push(comfyUI);
+    await comfyUI.waitForOpen(5000);
+    return comfyUI;
+  };
+
+  // Wait until the mock has nothing running or queued
+  const idle = async () => {
+    while (mock.running || mock.queue.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+
+  before(async () => {
+    mock = new MockComfyUIServer({ steps: 4, stepDelayMs: 20 });
+    url = await mock.listen(0);
+  });
+  afterEach(async () => {
+    clients.splice(0).forEach(comfyUI => comfyUI.disconnect());
+    await idle();
+  });
+  after(() => mock.close());
+
+  it('runs a workflow and resolves with its outputs', async () => {
+    const comfyUI = await connect();
+    const queued = [];
+    comfyUI.on('queued', ({ promptId }) => queued.push(promptId));
+
+    const { promptId, outputs } = await comfyUI.run({ workflowDataAPI: workflow() });
+
+    assert.deepEqual(queued, [promptId]);
+    const [image] = outputs[SAVE_NODE].images;
+    const file = Buffer.from(await comfyUI.getFile(image));
+    assert.equal(file.toString('ascii', 1, 4), 'PNG');
+  });
+
+  it('reports sampler progress', async () => {
+    const comfyUI = await connect();
+    const events = [];
+    comfyUI.on('progress', ({ value, max }) => events.push(`${value}/${max}`));
+    const steps = [];
+
+    const { promptId } = await comfyUI.run({
+      workflowDataAPI: workflow(),
+      onProgress: (progress) => steps.push(progress)
+    });
+
+    assert.deepEqual(events, ['1/4', '2/4', '3/4', '4/4']);
+    assert.equal(steps.length, 4);
+    assert.equal(steps[0].promptId, promptId);
+  });
+
+  it('tracks several prompts over one connection', async () => {
+    const comfyUI = await connect();
+
+    const results = await Promise.all([
+      comfyUI.run({ workflowDataAPI: workflow() }),
+      comfyUI.run({ workflowDataAPI: workflow() })
+    ]);
+
+    assert.notEqual(results[0].promptId, results[1].promptId);
+    results.forEach(({ outputs }) => assert.ok(outputs[SAVE_NODE].images[0].filename));
+  });
+
+  it('rejects with the exception when execution fails', async () => {
+    const comfyUI = await connect();
+    mock.failNext();
+
+    await assert.rejects(comfyUI.run({ workflowDataAPI: workflow() }), (error) => {
+      assert.equal(error.code, 'EXECUTION_ERROR');
+      assert.match(error.details, /out of memory/);
+      return true;
+    });
+  });
+
+  it('interrupts prompts that run past their timeout', async () => {
+    const comfyUI = await connect();
+
+    let promptId;
+    await assert.rejects(comfyUI.run({ workflowDataAPI: workflow(), timeoutMs: 30 }), (error) => {
+      assert.equal(error.code, 'TIMEOUT');
+      promptId = error.promptId;
+      return true;
+    });
+
+    // Deleted from the queue or interrupted, depending on whether it had started
+    await idle();
+    assert.notEqual(mock.history[promptId]?.status.completed, true);
+  });
+
+  it('removes a pending prompt from the queue when it is cancelled', async () => {
+    const comfyUI = await connect();
+    const first = comfyUI.run({ workflowDataAPI: workflow() });
+    const { prompt_id: pendingId } = await comfyUI.queue({ workflowDataAPI: workflow() });
+    const pending = comfyUI.wait(pendingId);
+
+    await comfyUI.cancel(pendingId);
+
+    await assert.rejects(pending, { code: 'CANCELLED' });
+    assert.ok(!mock.queue.some(job => job.promptId === pendingId));
+    await first;
+    assert.equal(mock.history[pendingId], undefined);
+  });
+
+  it('interrupts a running prompt when its signal aborts', async () => {
+    const comfyUI = await connect();
+    const controller = new AbortController();
+    comfyUI.once('progress', () => controller.abort());
+
+    let promptId;
+    await assert.rejects(comfyUI.run({ workflowDataAPI: workflow(), signal: controller.signal }), (error) => {
+      assert.equal(error.code, 'CANCELLED');
+      promptId = error.promptId;
+      return true;
+    });
+
+    await idle();
+    assert.equal(mock.history[promptId].status.completed, false);
+  });
+
+  it('needs a prompt ID to wait for, cancel or interrupt a prompt', async () => {
+    const comfyUI = await connect();
+    const running = comfyUI.run({ workflowDataAPI: workflow() });
+
+    await assert.rejects(comfyUI.wait(), /not being tracked/);
+    await assert.rejects(comfyUI.cancel(), /prompt ID is required/);
+    await assert.rejects(comfyUI.interrupt(), /prompt ID is required/);
+
+    const { promptId } = await running;
+    assert.equal(mock.history[promptId].status.completed, true);
+  });
+
+  it('reconnects and picks up results it missed from the history', async () => {
+    const comfyUI = await connect();
+    const reconnected = new Promise(resolve => comfyUI.once('reconnecting', resolve));
+    comfyUI.once('progress', () => mock.dropConnections());
+
+    const { outputs } = await comfyUI.run({ workflowDataAPI: workflow() });
+
+    assert.deepEqual(await reconnected, { attempt: 1, delayMs: 500 });
+    assert.ok(outputs[SAVE_NODE].images[0].filename);
+  });
+
+  it('keeps messages that arrive before the prompt is tracked', async () => {
+    const comfyUI = await connect();
+    const steps = [];
+
+    comfyUI.handleMessage({ type: 'progress', data: { prompt_id: 'early', value: 1, max: 2, node: '3' } });
+    const prompt = comfyUI.track('early', { onProgress: ({ value }) => steps.push(value) });
+    comfyUI.handleMessage({ type: 'execution_success', data: { prompt_id: 'early' } });
+
+    await prompt.promise;
+    assert.deepEqual(steps, [1]);
+  });
+
+  it('fails tracked prompts when disconnected', async () => {
+    const comfyUI = await connect();
+    const { prompt_id: promptId } = await comfyUI.queue({ workflowDataAPI: workflow() });
+    const waiting = comfyUI.wait(promptId);
+
+    comfyUI.disconnect();
+
+    await assert.rejects(waiting, { code: 'DISCONNECTED' });
+  });
+});
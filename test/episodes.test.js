@@ -0,0 +1,141 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const { stitchAudio, normalizeStoryCount, MAX_STORY_COUNT } = require('../utils/episodes');
+const { stages } = require('../utils/pipeline');
+
+const [, BEN] = harness.DEFAULT_PERSONAS;
+
+const BYTES_PER_MS = 48; // 24kHz 16-bit mono
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+const story = (headline, relevanceScore, extra = {}) => ({ headline, content: `${headline}.`, url: `https://news.test/${relevanceScore}`, source: 'CBC News', score: 0, numComments: 0, relevanceScore, ...extra });
+
+describe('episode audio', () => {
+  it('joins clips with a pause and marks where each one starts and ends', () => {
+    const { audio, chapters } = stitchAudio([
+      { kind: 'intro', title: 'Intro', pcm: Buffer.alloc(1000 * BYTES_PER_MS, 1) },
+      { kind: 'story', title: 'Bridge closed', url: 'https://news.test/bridge', pcm: Buffer.alloc(250 * BYTES_PER_MS + 1, 2) },
+      { kind: 'outro', title: 'Outro', pcm: Buffer.alloc(500 * BYTES_PER_MS, 3) },
+    ], { gapMs: 100 });
+
+    assert.deepEqual(chapters, [
+      { kind: 'intro', title: 'Intro', startMs: 0, endMs: 1000 },
+      { kind: 'story', title: 'Bridge closed', url: 'https://news.test/bridge', startMs: 1100, endMs: 1350 },
+      { kind: 'outro', title: 'Outro', startMs: 1450, endMs: 1950 },
+    ]);
+    assert.equal(audio.length, 1950 * BYTES_PER_MS);
+    assert.equal(audio[1000 * BYTES_PER_MS], 0, 'silence between clips');
+    assert.equal(audio[1450 * BYTES_PER_MS], 3, 'the odd byte was dropped so the outro starts on time');
+  });
+
+  it('keeps story counts within what an episode supports', () => {
+    assert.deepEqual([undefined, 'x', 0, 2, 2.7, 100].map(normalizeStoryCount), [4, 4, 4, 2, 2, MAX_STORY_COUNT]);
+  });
+});
+
+describe('episode mode', () => {
+  let alice;
+
+  before(async () => {
+    await harness.start();
+    harness.ai.provider.offline = false;
+  });
+  after(async () => {
+    harness.ai.provider.offline = true;
+    await harness.stop();
+  });
+  beforeEach(() => {
+    harness.reset();
+    mock.restoreAll();
+    alice = harness.signIn();
+    harness.supabase.seed('news_cache', [{
+      location: 'ottawa',
+      articles: [story('Library reopens', 20), story('Bridge closed for repairs', 90), story('Council passes budget', 60)],
+      fetched_at: new Date().toISOString(),
+      expires_at: inMinutes(30),
+      error: null,
+    }]);
+  });
+
+  const episodeRequest = (extra = {}) => ({ message: 'Give me the full newscast', personaId: BEN.id, locations: ['ottawa'], mode: 'episode', storyCount: 2, ...extra });
+
+  it('writes an intro, the top stories and an outro, stitched into one audio file', async () => {
+    const { status, body } = await harness.request('/api/chat/text', { method: 'POST', token: alice.token, body: episodeRequest() });
+
+    assert.equal(status, 200);
+    assert.equal(body.mode, 'episode');
+    assert.deepEqual(body.chapters.map(chapter => [chapter.kind, chapter.title]), [
+      ['intro', 'Intro'],
+      ['story', 'Bridge closed for repairs'],
+      ['story', 'Council passes budget'],
+      ['outro', 'Outro'],
+    ]);
+    assert.equal(body.chapters[1].url, 'https://news.test/90');
+    assert.equal(body.chapters[0].startMs, 0);
+    for (let index = 1; index < body.chapters.length; index++) {
+      assert.ok(body.chapters[index].startMs > body.chapters[index - 1].endMs, 'segments do not overlap');
+    }
+
+    const assistant = harness.messagesOf(body.chatId)[1];
+    assert.deepEqual(assistant.chapters, body.chapters);
+    assert.match(assistant.content, /story 1 of 2/);
+
+    const audio = harness.s3.objects.get(assistant.audioUrl).body;
+    assert.equal(audio.length, body.chapters.at(-1).endMs * BYTES_PER_MS);
+  });
+
+  it('streams each segment as it is written and sends the chapters with the audio', async () => {
+    const { body } = await harness.request('/api/chat/text/stream', { method: 'POST', token: alice.token, body: episodeRequest({ storyCount: 1 }) });
+    const events = harness.parseEvents(body);
+
+    assert.equal(events.filter(event => event.event === 'token').length, 3);
+    const audioReady = events.find(event => event.event === 'audio-ready');
+    assert.deepEqual(audioReady.data.chapters.map(chapter => chapter.kind), ['intro', 'story', 'outro']);
+    assert.deepEqual(events.find(event => event.event === 'saved').data.chapters, audioReady.data.chapters);
+  });
+
+  it('synthesizes one segment at a time and stops once the turn is cancelled', async () => {
+    const controller = new AbortController();
+    let running = 0;
+    let peak = 0;
+    const synthesize = mock.method(harness.ai.provider, 'synthesizeSpeech', async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+      // The client goes away while the second segment is being read
+      if (synthesize.mock.callCount() === 2) controller.abort();
+      return { audioData: Buffer.alloc(480).toString('base64'), responseMimeType: 'audio/L16' };
+    });
+    const ctx = {
+      uid: alice.uid,
+      currentChatId: 'chat-1',
+      persona: BEN,
+      signal: controller.signal,
+      episodeSegments: ['Intro', 'Story one', 'Story two', 'Outro'].map(text => ({ text, kind: 'story', title: text })),
+    };
+
+    await assert.rejects(stages.episodeAudioStage.run(ctx), { name: 'AbortError' });
+
+    assert.equal(synthesize.mock.callCount(), 2);
+    assert.equal(peak, 1);
+    assert.equal(synthesize.mock.calls[0].arguments[0].signal, controller.signal);
+    assert.equal(ctx.audioUrl, undefined);
+  });
+
+  it('needs a location with news', async () => {
+    const noLocation = await harness.request('/api/chat/text', { method: 'POST', token: alice.token, body: episodeRequest({ locations: [] }) });
+
+    assert.equal(noLocation.status, 500);
+    assert.equal(noLocation.body.stage, 'response');
+    assert.match(noLocation.body.details, /at least one news location/);
+  });
+
+  it('leaves regular replies without chapters', async () => {
+    const { body } = await harness.request('/api/chat/text', { method: 'POST', token: alice.token, body: episodeRequest({ mode: undefined }) });
+
+    assert.equal(body.mode, 'chat');
+    assert.equal(body.chapters, null);
+    assert.equal(harness.messagesOf(body.chatId)[1].chapters, undefined);
+  });
+});
@@ -0,0 +1,191 @@
+// Stand-in for the ComfyUI client class in utils/ComfyUI.js.
+// Plays back the websocket messages a real run produces (execution_start, progress,
+// executed with a gifs output, execution_success) or an execution_error, without a server.
+
+const EventEmitter = require('node:events');
+const { randomUUID } = require('node:crypto');
+
+const DEFAULT_BEHAVIOR = {
+  outcome: 'success', // success | error | refuse (queue rejects) | hang (never starts)
+  steps: 3,
+  queuePosition: 0,
+};
+
+// Bytes that look enough like an MP4 for the size/header checks in VideoGenerationService
+function placeholderVideo() {
+  const video = Buffer.alloc(2048);
+  video.write('ftypisom', 4, 'ascii');
+  return video;
+}
+
+function promptError(message, code, promptId) {
+  const error = new Error(message);
+  error.code = code;
+  error.promptId = promptId;
+  return error;
+}
+
+class FakeComfyUI extends EventEmitter {
+  constructor({ comfyUIServerURL, nodes, onSaveCallback, onMessageCallback, onOpenCallback }) {
+    super();
+    this.comfyUIServerURL = comfyUIServerURL;
+    this.nodes = nodes;
+    this.clientId = randomUUID();
+    this.promptId = -1;
+    this.onSaveCallback = onSaveCallback;
+    this.onMessageCallback = onMessageCallback;
+    this.onOpenCallback = onOpenCallback;
+    this.uploads = [];
+    this.cancelled = [];
+    this.prompts = new Map(); // promptId -> { outputs, resolve, reject }
+    this.connected = true;
+
+    FakeComfyUI.instances.push(this);
+
+    // Like a websocket, the connection opens after the caller has set its callbacks
+    setImmediate(() => {
+      this.emit('open', { reconnected: false });
+      if (this.onOpenCallback) this.onOpenCallback(this);
+    });
+  }
+
+  async waitForOpen() {}
+
+  disconnect() {
+    this.connected = false;
+    for (const promptId of [...this.prompts.keys()]) {
+      this.settle(promptId, promptError('ComfyUI client disconnected', 'DISCONNECTED', promptId));
+    }
+  }
+
+  async uploadAudio({ audioBuffer, filename, subfolder = '' }) {
+    this.uploads.push({ type: 'audio', filename, subfolder, size: audioBuffer.length });
+    return { name: filename, subfolder, type: 'input' };
+  }
+
+  async uploadImage({ imageBuffer, filename, subfolder = '' }) {
+    this.uploads.push({ type: 'image', filename, subfolder, size: imageBuffer.length });
+    return { name: filename, subfolder, type: 'input' };
+  }
+
+  async queue({ workflowDataAPI, onProgress }) {
+    const { outcome, steps } = FakeComfyUI.behavior;
+    if (outcome === 'refuse') {
+      throw new Error('Server responded with status 400: invalid prompt');
+    }
+
+    this.workflow = workflowDataAPI;
+    const promptId = randomUUID();
+    this.promptId = promptId;
+
+    const prompt = { outputs: {}, onProgress };
+    prompt.promise = new Promise((resolve, reject) => {
+      prompt.resolve = resolve;
+      prompt.reject = reject;
+    });
+    prompt.promise.catch(() => {});
+    this.prompts.set(promptId, prompt);
+
+    this.emit('queued', { promptId, number: 0 });
+    if (outcome !== 'hang') {
+      setImmediate(() => this.play(promptId, outcome, steps));
+    }
+    return { prompt_id: promptId, number: 0, node_errors: {} };
+  }
+
+  wait(promptId = this.promptId) {
+    const prompt = this.prompts.get(promptId);
+    return prompt ? prompt.promise : Promise.reject(new Error(`Prompt is not being tracked: ${promptId}`));
+  }
+
+  async run({ workflowDataAPI, onProgress, signal }) {
+    signal?.throwIfAborted();
+    const { prompt_id: promptId } = await this.queue({ workflowDataAPI, onProgress });
+    const onAbort = () => this.cancel(promptId);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await this.wait(promptId);
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async cancel(promptId = this.promptId) {
+    this.cancelled.push(promptId);
+    this.settle(promptId, promptError('ComfyUI prompt was cancelled', 'CANCELLED', promptId));
+  }
+
+  // Queued prompts wait behind FakeComfyUI.behavior.queuePosition others until they start
+  async getQueuePosition(promptId) {
+    const prompt = this.prompts.get(promptId);
+    return prompt && !prompt.started ? FakeComfyUI.behavior.queuePosition : null;
+  }
+
+  settle(promptId, error) {
+    const prompt = this.prompts.get(promptId);
+    if (!prompt) return;
+    this.prompts.delete(promptId);
+    if (error) {
+      prompt.reject(error);
+    } else {
+      prompt.resolve({ promptId, outputs: prompt.outputs });
+    }
+  }
+
+  send(promptId, type, data) {
+    if (!this.connected || !this.prompts.has(promptId)) return null;
+    const message = { type, data: { prompt_id: promptId, ...data } };
+    if (this.onMessageCallback) this.onMessageCallback({ message, promptId });
+    return message;
+  }
+
+  play(promptId, outcome, steps) {
+    const prompt = this.prompts.get(promptId);
+    if (!prompt) return;
+    prompt.started = true;
+    this.send(promptId, 'execution_start', { timestamp: Date.now() });
+
+    for (let value = 1; value <= steps; value++) {
+      const progress = { promptId, value, max: steps, node: '3' };
+      if (!this.send(promptId, 'progress', { value, max: steps, node: '3' })) return;
+      this.emit('progress', progress);
+      if (prompt.onProgress) prompt.onProgress(progress);
+    }
+
+    if (outcome === 'error') {
+      this.send(promptId, 'execution_error', {
+        node_id: '3',
+        node_type: 'KSampler',
+        exception_message: 'CUDA out of memory',
+        exception_type: 'torch.OutOfMemoryError',
+      });
+      this.settle(promptId, promptError('ComfyUI execution failed', 'EXECUTION_ERROR', promptId));
+      return;
+    }
+
+    const node = this.nodes.api_save[0];
+    const output = {
+      gifs: [{ filename: `video_${promptId}.mp4`, subfolder: '', type: 'output', format: 'video/h264-mp4' }]
+    };
+    prompt.outputs[node] = output;
+    const message = this.send(promptId, 'executed', { node, output });
+    if (message && this.onSaveCallback) this.onSaveCallback({ message, promptId });
+    this.send(promptId, 'execution_success', { timestamp: Date.now() });
+    this.settle(promptId, null);
+  }
+
+  async getFile() {
+    const video = placeholderVideo();
+    return video.buffer.slice(video.byteOffset, video.byteOffset + video.length);
+  }
+
+  static reset() {
+    FakeComfyUI.instances = [];
+    FakeComfyUI.behavior = { ...DEFAULT_BEHAVIOR };
+  }
+}
+
+FakeComfyUI.reset();
+
+module.exports = FakeComfyUI;
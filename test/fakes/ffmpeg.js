@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+// Stand-in for the ffmpeg binary (the harness points FFMPEG_PATH here).
+// Reads PCM from stdin and writes "FAKE <codec> <input bytes> <pid>" to stdout,
+// so tests can tell which codec was asked for and whether a file was re-encoded.
+
+const args = process.argv.slice(2);
+const codec = args[args.indexOf('-codec:a') + 1];
+
+// `node --test test/` also loads this file; only read stdin when run as ffmpeg
+if (!args.includes('pipe:0')) process.exit(0);
+
+const input = [];
+process.stdin.on('data', chunk => input.push(chunk));
+process.stdin.on('end', () => {
+  process.stdout.write(`FAKE ${codec} ${Buffer.concat(input).length} ${process.pid}`);
+});
@@ -0,0 +1,42 @@
+// In-memory stand-in for the S3 storage backend (utils/storage/s3.js).
+// Objects are kept like the memory backend's, but signed URLs point at FAKE_S3_ORIGIN the way
+// presigned S3 URLs would. failUploads and failSigning simulate an S3 outage.
+
+const MemoryStorage = require('../../utils/storage/memory');
+
+const FAKE_S3_ORIGIN = 'https://fake-s3.test';
+
+class FakeS3Storage extends MemoryStorage {
+  constructor() {
+    super();
+    this.name = 's3';
+    this.bucket = 'fake-bucket';
+    this.region = 'us-east-1';
+    this.reset();
+  }
+
+  reset() {
+    this.objects = new Map(); // key -> { body: Buffer, contentType }
+    this.failUploads = false;
+    this.failSigning = false;
+  }
+
+  async put(key, body, options) {
+    if (this.failUploads) {
+      throw new Error('Failed to upload to S3: simulated outage');
+    }
+    return super.put(key, body, options);
+  }
+
+  async sign(key, expiresIn = 3600) {
+    if (this.failSigning) {
+      throw new Error('Failed to generate signed URL: simulated outage');
+    }
+    return `${FAKE_S3_ORIGIN}/${key}?X-Amz-Expires=${expiresIn}&X-Amz-Signature=fake`;
+  }
+}
+
+module.exports = {
+  FakeS3Storage,
+  FAKE_S3_ORIGIN,
+};
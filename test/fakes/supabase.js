@@ -0,0 +1,354 @@
+// In-memory stand-in for the Supabase client used by DatabaseService (service role, so no RLS).
+// Supports the query builder calls the server makes: select with embedded relations
+// (e.g. "*, personas(id, name)", "messages(count)"), insert/update/upsert/delete, filters, order,
+// limit, single/maybeSingle, plus auth.getUser for access tokens.
+
+const { randomUUID } = require('node:crypto');
+
+// Embedded relation name -> foreign key column on the parent row
+const RELATIONS = {
+  personas: 'persona_id',
+};
+
+// Embedded one-to-many relation name -> foreign key column on the child rows
+const CHILD_RELATIONS = {
+  messages: 'chat_id',
+};
+
+// Table -> child tables whose rows are deleted with it (on delete cascade), by foreign key column
+const CASCADES = {
+  chats: { messages: 'chat_id' },
+};
+
+// Table -> column filled from an increasing counter (generated by default as identity)
+const IDENTITY_COLUMNS = {
+  messages: 'seq',
+};
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+// Split a select string on top-level commas ("*, personas (id, name)" -> ["*", "personas (id, name)"])
+function splitColumns(columns) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of columns) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.values = null;
+    this.filters = [];
+    this.orders = [];
+    this.rowLimit = null;
+    this.rowRange = null;
+    this.resultMode = 'many';
+    this.upsertOptions = {};
+  }
+
+  select(columns = '*') {
+    this.columns = columns.replace(/\s+/g, ' ').trim();
+    if (this.operation !== 'select') this.returning = true;
+    return this;
+  }
+
+  insert(values) {
+    this.operation = 'insert';
+    this.values = values;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.operation = 'upsert';
+    this.values = values;
+    this.upsertOptions = options;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  filter(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  eq(column, value) { return this.filter(row => row[column] === value); }
+  neq(column, value) { return this.filter(row => row[column] !== value); }
+  gt(column, value) { return this.filter(row => row[column] > value); }
+  gte(column, value) { return this.filter(row => row[column] >= value); }
+  lt(column, value) { return this.filter(row => row[column] < value); }
+  lte(column, value) { return this.filter(row => row[column] <= value); }
+  in(column, values) { return this.filter(row => values.includes(row[column])); }
+  is(column, value) { return this.filter(row => (row[column] ?? null) === value); }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowRange = [from, to];
+    return this;
+  }
+
+  single() {
+    this.resultMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every(test => test(row));
+  }
+
+  execute() {
+    const failure = this.db.takeFailure(this.table, this.operation);
+    if (failure) {
+      return { data: null, error: failure };
+    }
+
+    const rows = this.db.table(this.table);
+    let affected;
+
+    switch (this.operation) {
+      case 'insert':
+      case 'upsert': {
+        const inputs = Array.isArray(this.values) ? this.values : [this.values];
+        const conflictColumn = this.upsertOptions.onConflict || 'id';
+        affected = [];
+        for (const input of inputs) {
+          const existing = this.operation === 'upsert' && input[conflictColumn] !== undefined
+            ? rows.find(row => row[conflictColumn] === input[conflictColumn])
+            : null;
+          if (existing) {
+            Object.assign(existing, clone(input));
+            affected.push(existing);
+            continue;
+          }
+          if (input.id !== undefined && rows.some(row => row.id === input.id)) {
+            return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint "${this.table}_pkey"` } };
+          }
+          const row = this.db.newRow(this.table, input);
+          rows.push(row);
+          affected.push(row);
+        }
+        break;
+      }
+      case 'update':
+        affected = rows.filter(row => this.matches(row));
+        affected.forEach(row => Object.assign(row, clone(this.values)));
+        break;
+      case 'delete':
+        affected = rows.filter(row => this.matches(row));
+        this.db.tables.set(this.table, rows.filter(row => !affected.includes(row)));
+        this.db.cascade(this.table, affected);
+        break;
+      default:
+        affected = this.sortAndSlice(rows.filter(row => this.matches(row)));
+    }
+
+    if (this.operation !== 'select' && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    return this.shapeResult(affected.map(row => this.project(row)));
+  }
+
+  sortAndSlice(rows) {
+    let result = [...rows];
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      result.sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+      });
+    }
+    if (this.rowRange) result = result.slice(this.rowRange[0], this.rowRange[1] + 1);
+    if (this.rowLimit !== null) result = result.slice(0, this.rowLimit);
+    return result;
+  }
+
+  project(row) {
+    const parts = splitColumns(this.columns);
+    const projected = parts.includes('*') ? clone(row) : {};
+
+    for (const part of parts) {
+      const embed = part.match(/^(\w+)\s*\((.*)\)$/);
+      if (embed && CHILD_RELATIONS[embed[1]]) {
+        const relation = embed[1];
+        const children = this.db.table(relation).filter(child => child[CHILD_RELATIONS[relation]] === row.id);
+        projected[relation] = embed[2].trim() === 'count' ? [{ count: children.length }] : clone(children);
+      } else if (embed) {
+        const relation = embed[1];
+        const foreignKey = RELATIONS[relation] || `${relation.replace(/s$/, '')}_id`;
+        const related = this.db.table(relation).find(candidate => candidate.id === row[foreignKey]);
+        projected[relation] = related ? clone(related) : null;
+      } else if (part !== '*') {
+        projected[part] = clone(row[part]);
+      }
+    }
+
+    return projected;
+  }
+
+  shapeResult(rows) {
+    if (this.resultMode === 'many') {
+      return { data: rows, error: null };
+    }
+    if (rows.length === 1) {
+      return { data: rows[0], error: null };
+    }
+    if (rows.length === 0 && this.resultMode === 'maybeSingle') {
+      return { data: null, error: null };
+    }
+    return {
+      data: null,
+      error: { code: 'PGRST116', message: `JSON object requested, ${rows.length} rows returned` }
+    };
+  }
+}
+
+class FakeSupabase {
+  constructor() {
+    this.tables = new Map();
+    this.identities = new Map(); // table -> last identity value
+    this.failures = [];
+    this.users = new Map(); // access token -> user
+
+    this.auth = {
+      getUser: async (token) => {
+        const user = this.users.get(token);
+        return user
+          ? { data: { user: clone(user) }, error: null }
+          : { data: { user: null }, error: { status: 401, message: 'invalid JWT' } };
+      },
+    };
+  }
+
+  from(table) {
+    return new FakeQuery(this, table);
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, []);
+    return this.tables.get(name);
+  }
+
+  /**
+   * Insert rows directly, bypassing the query builder
+   * @param {string} table - Table name
+   * @param {Array<Object>} rows - Rows to add (ids and timestamps are filled in)
+   * @returns {Array<Object>} Stored rows
+   */
+  seed(table, rows) {
+    const stored = rows.map(row => this.newRow(table, row));
+    this.table(table).push(...stored);
+    return clone(stored);
+  }
+
+  // Fill in the columns the database would default (id, timestamps, identity)
+  newRow(table, values) {
+    const now = new Date().toISOString();
+    const row = { id: randomUUID(), created_at: now, updated_at: now, ...clone(values) };
+    const identity = IDENTITY_COLUMNS[table];
+    if (identity && row[identity] === undefined) {
+      row[identity] = (this.identities.get(table) || 0) + 1;
+      this.identities.set(table, row[identity]);
+    }
+    return row;
+  }
+
+  // Delete the child rows of deleted rows
+  cascade(table, deleted) {
+    const ids = new Set(deleted.map(row => row.id));
+    for (const [childTable, foreignKey] of Object.entries(CASCADES[table] || {})) {
+      const children = this.table(childTable);
+      const removed = children.filter(child => ids.has(child[foreignKey]));
+      this.tables.set(childTable, children.filter(child => !ids.has(child[foreignKey])));
+      if (removed.length > 0) this.cascade(childTable, removed);
+    }
+  }
+
+  rows(table) {
+    return clone(this.table(table));
+  }
+
+  /**
+   * Register a signed-in user and return an access token for them
+   * @param {string} [id] - User id (random when omitted)
+   * @returns {{ user: Object, token: string }}
+   */
+  signIn(id = randomUUID()) {
+    const user = { id, aud: 'authenticated', role: 'authenticated', is_anonymous: true };
+    const token = `test-token-${id}`;
+    this.users.set(token, user);
+    return { user, token };
+  }
+
+  /**
+   * Make the next matching query fail with a database error
+   * @param {string} table - Table name
+   * @param {string} [operation] - select | insert | upsert | update | delete (any when omitted)
+   * @param {string} [message] - Error message
+   */
+  failNext(table, operation = null, message = 'Simulated database error') {
+    this.failures.push({ table, operation, error: { code: 'XX000', message } });
+  }
+
+  takeFailure(table, operation) {
+    const index = this.failures.findIndex(failure =>
+      failure.table === table && (!failure.operation || failure.operation === operation)
+    );
+    if (index === -1) return null;
+    return this.failures.splice(index, 1)[0].error;
+  }
+
+  reset() {
+    this.tables.clear();
+    this.identities.clear();
+    this.failures = [];
+    this.users.clear();
+  }
+}
+
+module.exports = {
+  FakeSupabase,
+  FakeQuery,
+};
@@ -0,0 +1,220 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+require('./harness'); // quiet console output
+const feedReader = require('../utils/news/feeds');
+const RssSource = require('../utils/news/rss');
+const { processRedditResults } = require('../utils/brightdata');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'feeds');
+const RSS_FEED = fs.readFileSync(path.join(FIXTURES_DIR, 'cbc-ottawa.rss.xml'), 'utf8');
+const ATOM_FEED = fs.readFileSync(path.join(FIXTURES_DIR, 'ottawa-paper.atom.xml'), 'utf8');
+
+const MINUTE_MS = 60 * 1000;
+const LAST_MODIFIED = 'Mon, 13 Jan 2025 19:30:00 GMT';
+
+// Serves the fixtures with validators, answering conditional requests with 304
+function startFeedServer() {
+  const feeds = {};
+  const requests = [];
+  const restore = () => {
+    feeds['/rss'] = { body: RSS_FEED, headers: { ETag: '"rss-v1"' } };
+    feeds['/atom'] = { body: ATOM_FEED, headers: { 'Last-Modified': LAST_MODIFIED } };
+    requests.length = 0;
+  };
+  restore();
+
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    const feed = feeds[req.url];
+    if (!feed) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const etag = feed.headers.ETag;
+    const lastModified = feed.headers['Last-Modified'];
+    if ((etag && req.headers['if-none-match'] === etag) || (lastModified && req.headers['if-modified-since'] === lastModified)) {
+      res.writeHead(304, feed.headers).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/xml', ...feed.headers }).end(feed.body);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, feeds, requests, restore, url: (feedPath) => `http://127.0.0.1:${server.address().port}${feedPath}` });
+    });
+  });
+}
+
+describe('feed parsing', () => {
+  it('reads RSS 2.0 items, cleaning HTML descriptions to text', () => {
+    const { title, items } = feedReader.parse(RSS_FEED);
+
+    assert.equal(title, 'CBC | Ottawa News');
+    assert.deepEqual(items, [
+      {
+        title: 'City council approves O-Train Line 2 budget',
+        link: 'https://www.cbc.ca/news/canada/ottawa/o-train-line-2-budget-1.7000001?cmp=rss',
+        description: 'Council voted 20–4 to fund the line’s extension.\nThe budget & timeline were debated for six hours.',
+        published: '2025-01-13T19:30:00.000Z',
+      },
+      {
+        title: 'Police investigate overnight fire on Bank St. & Somerset',
+        link: 'https://www.cbc.ca/news/canada/ottawa/bank-street-fire-1.7000002',
+        description: 'No one was hurt.\nCrews were called at 3 a.m.',
+        published: '2025-01-13T08:05:00.000Z',
+      },
+    ]);
+  });
+
+  it('reads Atom entries, preferring the alternate link and full content', () => {
+    const { title, items } = feedReader.parse(ATOM_FEED);
+
+    assert.equal(title, 'Ottawa Paper');
+    assert.deepEqual(items, [
+      {
+        title: 'Mayor’s office announces snow budget review',
+        link: 'https://paper.test/news/snow-budget?utm_source=rss&utm_medium=feed',
+        description: 'Review ordered\nThe review will look at last winter’s overruns.',
+        published: '2025-01-13T15:00:00.000Z',
+      },
+      {
+        title: 'Library branch reopens in Vanier',
+        link: 'https://paper.test/news/vanier-library',
+        description: 'Renovations took 18 months.',
+        published: '2025-01-12T16:00:00.000Z',
+      },
+    ]);
+  });
+
+  it('rejects documents that are not feeds', () => {
+    assert.throws(() => feedReader.parse('<!DOCTYPE html><html><body>Sign in</body></html>'), /Not an RSS or Atom feed/);
+  });
+});
+
+describe('feed polling', () => {
+  let feedServer;
+
+  before(async () => { feedServer = await startFeedServer(); });
+  after(() => new Promise(resolve => feedServer.server.close(resolve)));
+
+  beforeEach(() => {
+    feedReader.reset();
+    feedServer.restore();
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-13T20:00:00Z') });
+  });
+  afterEach(() => mock.timers.reset());
+
+  it('waits for the polling interval, then revalidates with the ETag', async () => {
+    const url = feedServer.url('/rss');
+
+    const first = await feedReader.read({ url, intervalMs: 10 * MINUTE_MS });
+    mock.timers.tick(5 * MINUTE_MS);
+    const cached = await feedReader.read({ url, intervalMs: 10 * MINUTE_MS });
+
+    assert.equal(first.fresh, true);
+    assert.equal(first.items.length, 2);
+    assert.equal(cached.fresh, false);
+    assert.equal(cached.items, first.items);
+    assert.equal(feedServer.requests.length, 1);
+
+    mock.timers.tick(5 * MINUTE_MS);
+    const revalidated = await feedReader.read({ url, intervalMs: 10 * MINUTE_MS });
+
+    assert.equal(revalidated.fresh, false);
+    assert.equal(revalidated.items, first.items);
+    assert.equal(feedServer.requests.length, 2);
+    assert.equal(feedServer.requests[1].headers['if-none-match'], '"rss-v1"');
+
+    // The 304 restarts the interval
+    mock.timers.tick(5 * MINUTE_MS);
+    await feedReader.read({ url, intervalMs: 10 * MINUTE_MS });
+    assert.equal(feedServer.requests.length, 2);
+  });
+
+  it('revalidates with Last-Modified and picks up a changed feed', async () => {
+    const url = feedServer.url('/atom');
+
+    await feedReader.read({ url });
+    mock.timers.tick(15 * MINUTE_MS);
+    await feedReader.read({ url });
+
+    assert.equal(feedServer.requests[1].headers['if-modified-since'], LAST_MODIFIED);
+
+    feedServer.feeds['/atom'] = {
+      body: ATOM_FEED.replace('Library branch reopens in Vanier', 'Library branch closes in Vanier'),
+      headers: { 'Last-Modified': 'Tue, 14 Jan 2025 09:00:00 GMT' },
+    };
+    mock.timers.tick(15 * MINUTE_MS);
+    const changed = await feedReader.read({ url });
+
+    assert.equal(changed.fresh, true);
+    assert.equal(changed.items[1].title, 'Library branch closes in Vanier');
+  });
+
+  it('reuses the last good copy when a feed goes away, retrying on the next read', async () => {
+    const url = feedServer.url('/rss');
+    await feedReader.read({ url, intervalMs: MINUTE_MS });
+
+    const { body } = feedServer.feeds['/rss'];
+    delete feedServer.feeds['/rss'];
+    mock.timers.tick(MINUTE_MS);
+    const stale = await feedReader.read({ url, intervalMs: MINUTE_MS });
+
+    assert.equal(stale.fresh, false);
+    assert.equal(stale.items.length, 2);
+
+    feedServer.feeds['/rss'] = { body, headers: {} };
+    const recovered = await feedReader.read({ url, intervalMs: MINUTE_MS });
+    assert.equal(recovered.fresh, true);
+    assert.equal(feedServer.requests.length, 3);
+  });
+
+  it('fails a feed that was never read successfully', async () => {
+    await assert.rejects(feedReader.read({ url: feedServer.url('/missing') }), /responded with 404/);
+  });
+
+  describe('rss source', () => {
+    it('maps feed items onto the article shape of processRedditResults', async () => {
+      const source = new RssSource({ feeds: [feedServer.url('/rss'), { url: feedServer.url('/atom'), name: 'Ottawa Paper', intervalMinutes: 30 }] });
+
+      const articles = await source.fetchArticles('ottawa', 'budget');
+
+      const [redditShape] = processRedditResults([{ title: 'Council news update', num_upvotes: 10, description: '' }], 'ottawa');
+      for (const article of articles) {
+        assert.deepEqual(Object.keys(article).sort(), Object.keys(redditShape).sort());
+      }
+
+      assert.deepEqual(
+        articles.map(article => [article.source, article.headline]),
+        [
+          ['CBC | Ottawa News', 'City council approves O-Train Line 2 budget'],
+          ['Ottawa Paper', 'Mayor’s office announces snow budget review'],
+          ['CBC | Ottawa News', 'Police investigate overnight fire on Bank St. & Somerset'],
+          ['Ottawa Paper', 'Library branch reopens in Vanier'],
+        ]
+      );
+      assert.equal(articles[0].content, 'Council voted 20–4 to fund the line’s extension. The budget & timeline were debated for six hours.');
+      assert.equal(articles[0].publishDate, '2025-01-13T19:30:00.000Z');
+      assert.deepEqual(articles[0].topComments, []);
+    });
+
+    it('keeps the feeds that work when one fails', async () => {
+      const source = new RssSource({ feeds: [feedServer.url('/missing'), feedServer.url('/atom')] });
+
+      const articles = await source.fetchArticles('ottawa');
+
+      assert.equal(articles.length, 2);
+      await assert.rejects(new RssSource({ feeds: [feedServer.url('/missing')] }).fetchArticles('ottawa'), /responded with 404/);
+    });
+
+    it('rejects feeds with a bad URL or interval', () => {
+      assert.throws(() => new RssSource({ feeds: ['not a url'] }), /invalid feed URL "not a url"/);
+      assert.throws(() => new RssSource({ feeds: [{ url: 'https://paper.test/feed', intervalMinutes: 0 }] }), /needs a positive "intervalMinutes"/);
+    });
+  });
+});
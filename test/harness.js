@@ -0,0 +1,211 @@
+// Route test harness
+// Loads server.js with in-memory fakes in place of the external services:
+//   - Supabase: @supabase/supabase-js returns a FakeSupabase client, so DatabaseService runs unchanged
+//   - S3: the S3 storage backend is replaced by FakeS3Storage (objects in memory, fake signed URLs)
+//   - Gemini: aiService runs on the offline fake provider (AI_PROVIDER=fake)
+//   - ComfyUI: utils/ComfyUI.js is replaced by FakeComfyUI
+//   - ffmpeg: FFMPEG_PATH points at fakes/ffmpeg.js
+// Set TEST_LOGS=1 to see the server's console output.
+
+const path = require('node:path');
+const { FakeSupabase } = require('./fakes/supabase');
+const { FakeS3Storage } = require('./fakes/s3');
+const FakeComfyUI = require('./fakes/comfyui');
+
+const ROOT = path.join(__dirname, '..');
+
+process.env.NODE_ENV = 'test';
+process.env.AI_PROVIDER = 'fake';
+process.env.STORAGE_BACKEND = 's3';
+process.env.FAKE_AI_DELAY_MS = '0';
+process.env.FFMPEG_PATH = path.join(__dirname, 'fakes', 'ffmpeg.js');
+
+if (!process.env.TEST_LOGS) {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
+
+// Put a module into the require cache so the server picks it up instead of the real one
+function installModule(request, exports) {
+  const filename = require.resolve(request, { paths: [ROOT] });
+  require.cache[filename] = { id: filename, filename, loaded: true, exports, children: [], paths: [] };
+}
+
+const supabase = new FakeSupabase();
+
+installModule('@supabase/supabase-js', { createClient: () => supabase });
+installModule('./utils/storage/s3', FakeS3Storage);
+installModule('./utils/ComfyUI', FakeComfyUI);
+
+const app = require('../server');
+const db = require('../utils/db');
+const media = require('../utils/media');
+const ai = require('../utils/generate');
+const jobQueue = require('../utils/jobQueue');
+
+const s3 = media.storage;
+
+const PERSONA_IMAGE_KEY = 'personas/anna.webp';
+
+const DEFAULT_PERSONAS = [
+  {
+    id: '00000000-0000-4000-8000-000000000001',
+    name: 'Anna',
+    description: 'Evening news anchor',
+    tone: 'warm and confident',
+    voice_name: 'Kore',
+    image_url: `https://fake-bucket.s3.us-east-1.amazonaws.com/${PERSONA_IMAGE_KEY}`,
+  },
+  {
+    id: '00000000-0000-4000-8000-000000000002',
+    name: 'Ben',
+    description: 'Sports desk',
+    tone: 'energetic',
+    voice_name: 'Puck',
+    image_url: null,
+  },
+  {
+    id: '00000000-0000-4000-8000-000000000003',
+    name: 'User',
+    description: 'The listener, for two-voice conversations',
+    tone: 'casual',
+    voice_name: 'Charon',
+    image_url: null,
+  },
+];
+
+let server = null;
+let baseUrl = null;
+
+/**
+ * Start the app on a random local port
+ * @returns {Promise<string>} Base URL
+ */
+async function start() {
+  if (server) return baseUrl;
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return baseUrl;
+}
+
+async function stop() {
+  if (!server) return;
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  server = null;
+}
+
+/**
+ * Clear every fake and seed the default personas (and the persona image used for video)
+ */
+function reset() {
+  supabase.reset();
+  s3.reset();
+  FakeComfyUI.reset();
+  db.personasCache = null;
+  db.lastPersonasCacheTime = null;
+
+  supabase.seed('personas', DEFAULT_PERSONAS);
+  s3.objects.set(PERSONA_IMAGE_KEY, { body: Buffer.alloc(4096, 1), contentType: 'image/webp' });
+}
+
+/**
+ * Sign in a user with the fake Supabase Auth
+ * @param {string} [id] - User id
+ * @returns {{ uid: string, token: string }}
+ */
+function signIn(id) {
+  const { user, token } = supabase.signIn(id);
+  return { uid: user.id, token };
+}
+
+/**
+ * Seed a chat and its messages
+ * @param {Object} chat - Chat row, with its messages ({ role, content, audioUrl, ... }) in order
+ * @returns {Object} Stored chat row
+ */
+function seedChat({ messages = [], ...chat }) {
+  const [stored] = supabase.seed('chats', [chat]);
+  supabase.seed('messages', messages.map(message => db.toMessageRow(stored.user_id, stored.id, message)));
+  return stored;
+}
+
+/**
+ * Read a chat's stored messages in order, in the shape the server uses
+ * @param {string} chatId - Chat id
+ * @returns {Array<Object>} Messages
+ */
+function messagesOf(chatId) {
+  return supabase.rows('messages')
+    .filter(row => row.chat_id === chatId)
+    .sort((a, b) => a.seq - b.seq)
+    .map(row => db.fromMessageRow(row));
+}
+
+/**
+ * Call the API
+ * @param {string} urlPath - Path, e.g. /api/personas
+ * @param {Object} [options] - { method, token, body, headers }
+ * @returns {Promise<Object>} { status, headers, body } where body is parsed JSON when possible
+ */
+async function request(urlPath, { method = 'GET', token, body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const raw = Buffer.from(await response.arrayBuffer());
+  let parsed = raw.toString('utf8');
+  if ((response.headers.get('content-type') || '').includes('application/json')) {
+    parsed = JSON.parse(parsed);
+  }
+
+  return { status: response.status, headers: response.headers, body: parsed, raw };
+}
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ * @param {string} text - Response body
+ * @returns {Array<Object>} Events in order (comments are dropped)
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .map(block => block.split('\n').filter(line => line && !line.startsWith(':')))
+    .filter(lines => lines.length > 0)
+    .map(lines => {
+      const event = lines.find(line => line.startsWith('event: '));
+      const data = lines.find(line => line.startsWith('data: '));
+      return {
+        event: event ? event.slice('event: '.length) : 'message',
+        data: data ? JSON.parse(data.slice('data: '.length)) : null,
+      };
+    });
+}
+
+module.exports = {
+  app,
+  db,
+  ai,
+  jobQueue,
+  supabase,
+  s3,
+  FakeComfyUI,
+  DEFAULT_PERSONAS,
+  start,
+  stop,
+  reset,
+  signIn,
+  seedChat,
+  messagesOf,
+  request,
+  parseEvents,
+};
@@ -0,0 +1,302 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const { jobQueue } = harness;
+
+// A job type whose behaviour each test sets through `handler`
+let handler = async () => null;
+const failures = [];
+jobQueue.register('test', (options) => handler(options), {
+  concurrency: 2,
+  timeoutMs: 50,
+  maxAttempts: 2,
+  onFailed: async (job, error) => failures.push({ id: job.id, message: error.message })
+});
+
+const jobRow = (id) => harness.supabase.rows('jobs').find(job => job.id === id);
+
+// A handler that stops as soon as its signal aborts
+const untilAborted = (signal) => new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+
+// Make a job that is waiting for its retry due now
+const makeDue = (id) => {
+  harness.supabase.table('jobs').find(job => job.id === id).run_at = new Date().toISOString();
+};
+
+describe('background job queue', () => {
+  let alice;
+
+  beforeEach(() => {
+    harness.reset();
+    failures.length = 0;
+    handler = async () => null;
+    alice = harness.signIn();
+  });
+
+  const enqueue = (payload = {}) => jobQueue.enqueue('test', { userId: alice.uid, payload });
+
+  it('runs queued jobs and stores their result', async () => {
+    handler = async ({ job }) => ({ doubled: job.payload.value * 2 });
+    const queued = await enqueue({ value: 21 });
+
+    assert.equal(queued.status, 'pending');
+    await jobQueue.drain();
+
+    const job = jobRow(queued.id);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.attempts, 1);
+    assert.deepEqual(job.result, { doubled: 42 });
+    assert.equal(job.locked_by, null);
+    assert.ok(job.finished_at);
+  });
+
+  it('retries failed jobs with a backoff and gives up after max_attempts', async () => {
+    handler = async () => {
+      throw new Error('GPU on fire');
+    };
+    const queued = await enqueue();
+
+    await jobQueue.drain();
+
+    let job = jobRow(queued.id);
+    assert.equal(job.status, 'pending');
+    assert.equal(job.error, 'GPU on fire');
+    const delay = new Date(job.run_at) - new Date(job.updated_at);
+    assert.ok(delay >= 4900 && delay <= 5100, `retry delay was ${delay}ms`);
+    assert.deepEqual(failures, []);
+
+    makeDue(queued.id);
+    await jobQueue.drain();
+
+    job = jobRow(queued.id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 2);
+    assert.deepEqual(failures, [{ id: queued.id, message: 'GPU on fire' }]);
+  });
+
+  it('backs off exponentially up to five minutes', () => {
+    assert.deepEqual([1, 2, 3, 10].map(attempts => jobQueue.retryDelay(attempts)), [5000, 10000, 20000, 300000]);
+  });
+
+  it('times out stuck jobs and aborts their signal', async () => {
+    let signal;
+    handler = (options) => {
+      signal = options.signal;
+      return untilAborted(signal);
+    };
+    const queued = await enqueue();
+
+    await jobQueue.drain();
+
+    assert.equal(signal.aborted, true);
+    assert.equal(jobRow(queued.id).error, 'Job timed out after 50ms');
+  });
+
+  it('keeps the slot of a timed-out job until a handler that ignores the signal returns', async () => {
+    let finish;
+    const runs = [];
+    handler = ({ job }) => {
+      runs.push(job.payload.name);
+      // Ignores the abort, like a handler between two awaits
+      return job.payload.name === 'stuck' ? new Promise(resolve => { finish = resolve; }) : null;
+    };
+    const stuck = await enqueue({ name: 'stuck' });
+    const other = await enqueue({ name: 'other' });
+    await enqueue({ name: 'third' });
+    await enqueue({ name: 'fourth' });
+    await jobQueue.poll();
+    assert.deepEqual(runs, ['stuck', 'other']);
+
+    // Well past the timeout, the stuck job still takes one of the two slots
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await jobQueue.poll();
+    assert.deepEqual(runs, ['stuck', 'other', 'third'], 'only one slot is free');
+    assert.equal(jobRow(stuck.id).status, 'running', 'no retry is queued while the handler runs');
+    assert.equal(jobRow(other.id).status, 'completed');
+
+    finish({ done: true });
+    await jobQueue.drain();
+
+    const job = jobRow(stuck.id);
+    assert.equal(job.status, 'pending');
+    assert.equal(job.error, 'Job timed out after 50ms');
+    assert.equal(job.locked_by, null);
+    assert.deepEqual(runs, ['stuck', 'other', 'third', 'fourth']);
+  });
+
+  it('runs no more jobs of a type at once than its concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+    handler = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    };
+    const queued = await Promise.all([enqueue(), enqueue(), enqueue()]);
+
+    await jobQueue.drain();
+
+    assert.equal(peak, 2);
+    assert.deepEqual(queued.map(job => jobRow(job.id).status), ['completed', 'completed', 'completed']);
+  });
+
+  it('skips jobs another worker claimed first', async () => {
+    let runs = 0;
+    handler = async () => { runs++; };
+    const queued = await enqueue();
+    const [due] = harness.supabase.rows('jobs');
+
+    // Another server flips the row between our select and our claim
+    Object.assign(harness.supabase.table('jobs')[0], { status: 'running', locked_by: 'other-worker', attempts: 1 });
+
+    assert.equal(await jobQueue.claim(due), null);
+    await jobQueue.drain();
+    assert.equal(runs, 0);
+    assert.equal(jobRow(queued.id).locked_by, 'other-worker');
+  });
+
+  it('recovers jobs left running by a worker that went away', async () => {
+    let runs = 0;
+    handler = async () => { runs++; };
+    const [abandoned] = harness.supabase.seed('jobs', [{
+      user_id: alice.uid,
+      chat_id: null,
+      type: 'test',
+      status: 'running',
+      payload: {},
+      attempts: 1,
+      max_attempts: 2,
+      run_at: '2025-01-02T10:00:00.000Z',
+      locked_by: 'crashed-worker',
+      locked_at: '2025-01-02T10:00:00.000Z'
+    }]);
+
+    await jobQueue.drain();
+
+    let job = jobRow(abandoned.id);
+    assert.equal(job.status, 'pending');
+    assert.equal(job.error, 'Worker stopped while the job was running');
+
+    makeDue(abandoned.id);
+    await jobQueue.drain();
+
+    job = jobRow(abandoned.id);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.attempts, 2);
+    assert.equal(runs, 1);
+  });
+
+  it('stores progress, throttled unless the stage changes', async () => {
+    const writes = [];
+    handler = async ({ reportProgress }) => {
+      writes.push(reportProgress({ stage: 'rendering', value: 1 }) !== undefined);
+      writes.push(reportProgress({ stage: 'rendering', value: 2 }) !== undefined);
+      writes.push(reportProgress({ stage: 'saving' }) !== undefined);
+      // Let the last write land before the job completes
+      await new Promise(resolve => setImmediate(resolve));
+    };
+    const queued = await enqueue();
+
+    await jobQueue.drain();
+
+    assert.deepEqual(writes, [true, false, true]);
+    assert.deepEqual(jobRow(queued.id).progress, { stage: 'saving' });
+  });
+
+  it('cancels pending jobs before they run', async () => {
+    let runs = 0;
+    handler = async () => { runs++; };
+    const queued = await enqueue();
+
+    const cancelled = await jobQueue.cancel(queued.id, alice.uid);
+    await jobQueue.drain();
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(runs, 0);
+    assert.ok(jobRow(queued.id).finished_at);
+    assert.equal(await jobQueue.cancel(queued.id, alice.uid), null);
+  });
+
+  it('aborts running jobs that were cancelled through another server', async () => {
+    let signal;
+    handler = (options) => {
+      signal = options.signal;
+      return untilAborted(signal);
+    };
+    const queued = await enqueue();
+    await jobQueue.poll();
+
+    // Another server cancels the job; this one finds out on its next poll
+    Object.assign(harness.supabase.table('jobs')[0], { status: 'cancelled', locked_by: null });
+    await jobQueue.drain();
+
+    assert.equal(signal.aborted, true);
+    assert.equal(signal.reason.message, 'Job was cancelled');
+    assert.equal(jobRow(queued.id).status, 'cancelled');
+    assert.deepEqual(failures, []);
+  });
+
+  it('rejects unknown job types', async () => {
+    await assert.rejects(jobQueue.enqueue('nope', { userId: alice.uid }), /Unknown job type: nope/);
+  });
+
+  describe('GET /api/jobs/:jobId', () => {
+    before(() => harness.start());
+    after(() => harness.stop());
+
+    it("returns the user's job", async () => {
+      const queued = await enqueue();
+
+      const { status, body } = await harness.request(`/api/jobs/${queued.id}`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(body.job.id, queued.id);
+      assert.equal(body.job.status, 'pending');
+      assert.equal(body.job.maxAttempts, 2);
+      assert.equal(body.job.payload, undefined);
+    });
+
+    it("returns 404 for another user's job", async () => {
+      const queued = await enqueue();
+      const bob = harness.signIn();
+
+      const { status } = await harness.request(`/api/jobs/${queued.id}`, { token: bob.token });
+
+      assert.equal(status, 404);
+    });
+
+    it('requires a session', async () => {
+      const queued = await enqueue();
+
+      const { status } = await harness.request(`/api/jobs/${queued.id}`);
+
+      assert.equal(status, 401);
+    });
+
+    it('says how many jobs are ahead of a pending one', async () => {
+      // Queued a moment apart, as they would be from separate chat turns
+      const later = () => new Promise(resolve => setTimeout(resolve, 2));
+      await enqueue();
+      await later();
+      await enqueue();
+      await later();
+      const queued = await enqueue();
+
+      const { body } = await harness.request(`/api/jobs/${queued.id}`, { token: alice.token });
+
+      assert.deepEqual(body.job.progress, { stage: 'waiting', queuePosition: 2 });
+    });
+
+    it("cannot cancel another user's job", async () => {
+      const queued = await enqueue();
+      const bob = harness.signIn();
+
+      const { status } = await harness.request(`/api/jobs/${queued.id}/cancel`, { method: 'POST', token: bob.token });
+
+      assert.equal(status, 404);
+      assert.equal(jobRow(queued.id).status, 'pending');
+    });
+  });
+});
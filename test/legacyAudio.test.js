@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const harness = require('./harness');
+const { migrateLegacyAudio, parseLegacyAudioUrl } = require('../utils/legacyAudio');
+
+const [ANNA] = harness.DEFAULT_PERSONAS;
+
+describe('legacy audio migration', () => {
+  let alice;
+  let audioFilesDir;
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach((t) => {
+    harness.reset();
+    alice = harness.signIn();
+    audioFilesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-audio-'));
+    t.after(() => fs.rmSync(audioFilesDir, { recursive: true, force: true }));
+  });
+
+  const legacyUrl = (chatId, filename) => `https://example.replit.dev/api/audio/${alice.uid}/${chatId}/${filename}`;
+
+  const writeLegacy = (chatId, filename, bytes) => {
+    const dir = path.join(audioFilesDir, alice.uid, chatId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, filename), Buffer.from(bytes));
+  };
+
+  const seedChat = (id, messages) => harness.seedChat({
+    id,
+    user_id: alice.uid,
+    persona_id: ANNA.id,
+    title: 'Chat with Anna',
+    messages
+  });
+
+  const { messagesOf } = harness;
+
+  it('uploads the files and points the messages at their storage keys', async () => {
+    writeLegacy('chat-1', 'question.pcm', [1, 2]);
+    writeLegacy('chat-1', 'answer.pcm', [3, 4, 5]);
+    seedChat('chat-1', [
+      { role: 'user', content: 'Hi', audioUrl: legacyUrl('chat-1', 'question.pcm') },
+      { role: 'assistant', content: 'Hello', audioUrl: legacyUrl('chat-1', 'answer.pcm') },
+      { role: 'assistant', content: 'Again', audioUrl: `${alice.uid}/chat-1/new.pcm` }
+    ]);
+
+    const report = await migrateLegacyAudio({ audioFilesDir });
+
+    assert.equal(report.chats, 1);
+    assert.equal(report.messagesUpdated, 2);
+    assert.deepEqual(report.migrated.map(file => [file.key, file.size, file.uploaded]), [
+      [`${alice.uid}/chat-1/question.pcm`, 2, true],
+      [`${alice.uid}/chat-1/answer.pcm`, 3, true]
+    ]);
+    assert.deepEqual(messagesOf('chat-1').map(message => message.audioUrl), [
+      `${alice.uid}/chat-1/question.pcm`,
+      `${alice.uid}/chat-1/answer.pcm`,
+      `${alice.uid}/chat-1/new.pcm`
+    ]);
+    const stored = harness.s3.objects.get(`${alice.uid}/chat-1/answer.pcm`);
+    assert.deepEqual([...stored.body], [3, 4, 5]);
+    assert.equal(stored.contentType, 'audio/L16');
+  });
+
+  it('changes nothing in a dry run', async () => {
+    writeLegacy('chat-1', 'answer.pcm', [3, 4, 5]);
+    seedChat('chat-1', [{ role: 'assistant', content: 'Hello', audioUrl: legacyUrl('chat-1', 'answer.pcm') }]);
+
+    const report = await migrateLegacyAudio({ audioFilesDir, dryRun: true });
+
+    assert.equal(report.migrated.length, 1);
+    assert.equal(report.messagesUpdated, 0);
+    assert.ok(!harness.s3.objects.has(`${alice.uid}/chat-1/answer.pcm`));
+    assert.equal(messagesOf('chat-1')[0].audioUrl, legacyUrl('chat-1', 'answer.pcm'));
+  });
+
+  it('reports missing files and leaves their messages alone', async () => {
+    seedChat('chat-1', [{ role: 'assistant', content: 'Hello', audioUrl: legacyUrl('chat-1', 'gone.pcm') }]);
+
+    const report = await migrateLegacyAudio({ audioFilesDir });
+
+    assert.deepEqual(report.missing.map(file => file.url), [legacyUrl('chat-1', 'gone.pcm')]);
+    assert.equal(messagesOf('chat-1')[0].audioUrl, legacyUrl('chat-1', 'gone.pcm'));
+  });
+
+  it('keeps the legacy URL when the upload fails', async () => {
+    writeLegacy('chat-1', 'answer.pcm', [3, 4, 5]);
+    seedChat('chat-1', [{ role: 'assistant', content: 'Hello', audioUrl: legacyUrl('chat-1', 'answer.pcm') }]);
+    harness.s3.failUploads = true;
+
+    const report = await migrateLegacyAudio({ audioFilesDir });
+
+    assert.equal(report.failed.length, 1);
+    assert.match(report.failed[0].error, /simulated outage/);
+    assert.equal(messagesOf('chat-1')[0].audioUrl, legacyUrl('chat-1', 'answer.pcm'));
+  });
+
+  it('reports filenames with an encoded slash instead of storing them under a deeper key', async () => {
+    writeLegacy('chat-1', 'answer.pcm', [3, 4, 5]);
+    const url = legacyUrl('chat-1', 'sub%2Fanswer.pcm');
+    seedChat('chat-1', [{ role: 'assistant', content: 'Hello', audioUrl: url }]);
+
+    const report = await migrateLegacyAudio({ audioFilesDir });
+
+    assert.deepEqual(report.failed, [{ chatId: 'chat-1', url, key: null, error: 'Filename contains a slash' }]);
+    assert.deepEqual(report.migrated, []);
+    assert.ok(![...harness.s3.objects.keys()].some(key => key.includes('sub/answer.pcm')));
+    assert.equal(messagesOf('chat-1')[0].audioUrl, url);
+  });
+
+  it('finishes an interrupted run without uploading again', async () => {
+    writeLegacy('chat-1', 'answer.pcm', [3, 4, 5]);
+    seedChat('chat-1', [{ role: 'assistant', content: 'Hello', audioUrl: legacyUrl('chat-1', 'answer.pcm') }]);
+    harness.supabase.failNext('messages', 'update');
+
+    const interrupted = await migrateLegacyAudio({ audioFilesDir });
+    assert.equal(interrupted.failed.length, 1);
+    assert.ok(harness.s3.objects.has(`${alice.uid}/chat-1/answer.pcm`));
+
+    const rerun = await migrateLegacyAudio({ audioFilesDir });
+    assert.deepEqual(rerun.migrated.map(file => file.uploaded), [false]);
+    assert.equal(messagesOf('chat-1')[0].audioUrl, `${alice.uid}/chat-1/answer.pcm`);
+  });
+
+  it('resumes after the last finished chat', async () => {
+    for (const id of ['chat-a', 'chat-b']) {
+      writeLegacy(id, 'answer.pcm', [1]);
+      seedChat(id, [{ role: 'assistant', content: 'Hello', audioUrl: legacyUrl(id, 'answer.pcm') }]);
+    }
+    const finished = [];
+
+    const report = await migrateLegacyAudio({ audioFilesDir, after: 'chat-a', onChat: chatId => finished.push(chatId) });
+
+    assert.deepEqual(finished, ['chat-b']);
+    assert.equal(report.lastChatId, 'chat-b');
+    assert.equal(messagesOf('chat-a')[0].audioUrl, legacyUrl('chat-a', 'answer.pcm'));
+    assert.equal(messagesOf('chat-b')[0].audioUrl, `${alice.uid}/chat-b/answer.pcm`);
+  });
+
+  it('recognises only legacy audio URLs', () => {
+    assert.deepEqual(parseLegacyAudioUrl('http://localhost:3000/api/audio/u1/c1/a%20b.pcm'), { uid: 'u1', chatId: 'c1', filename: 'a b.pcm', path: 'u1/c1/a b.pcm' });
+    assert.equal(parseLegacyAudioUrl('http://localhost:3000/api/audio/s3/u1/c1/a.pcm'), null);
+    assert.equal(parseLegacyAudioUrl('https://fake-s3.test/u1/c1/a.pcm?X-Amz-Signature=x'), null);
+    assert.equal(parseLegacyAudioUrl('u1/c1/a.pcm'), null);
+  });
+});
@@ -0,0 +1,291 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const harness = require('./harness');
+const mediaCleanup = require('../utils/mediaCleanup');
+const LocalStorage = require('../utils/storage/local');
+
+const [ANNA] = harness.DEFAULT_PERSONAS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-03-01T12:00:00.000Z');
+
+const daysAgo = (days) => new Date(NOW - days * DAY_MS);
+
+function store(key, lastModified = daysAgo(2)) {
+  harness.s3.objects.set(key, { body: Buffer.from([1, 2, 3, 4]), contentType: 'application/octet-stream', lastModified });
+}
+
+function seedChat(uid, { id = 'chat-1', timestamp = daysAgo(2).toISOString(), audioUrl, videoUrl } = {}) {
+  return harness.seedChat({
+    id,
+    user_id: uid,
+    persona_id: ANNA.id,
+    title: 'Chat with Anna',
+    messages: [
+      { role: 'user', content: 'Hi', timestamp, audioUrl: null },
+      { role: 'assistant', content: 'Hello', timestamp, persona: 'Anna', personaId: ANNA.id, audioUrl, videoUrl }
+    ]
+  });
+}
+
+describe('media cleanup', () => {
+  let alice;
+  let bob;
+  let legacyRoot;
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach((t) => {
+    harness.reset();
+    alice = harness.signIn();
+    bob = harness.signIn();
+
+    // Keep legacy files away from the real audio_files/ directory other test files use
+    legacyRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-audio-'));
+    const legacy = mediaCleanup.legacy;
+    mediaCleanup.legacy = new LocalStorage({ root: legacyRoot });
+    t.after(() => {
+      mediaCleanup.legacy = legacy;
+      fs.rmSync(legacyRoot, { recursive: true, force: true });
+    });
+  });
+
+  const writeLegacy = (key) => {
+    const filePath = path.join(legacyRoot, ...key.split('/'));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, Buffer.from([1, 2]));
+    fs.utimesSync(filePath, daysAgo(2), daysAgo(2));
+    return filePath;
+  };
+
+  describe('sweep', () => {
+    it('deletes media no message references and keeps the rest', async () => {
+      seedChat(alice.uid, { audioUrl: `${alice.uid}/chat-1/answer.pcm`, videoUrl: `${alice.uid}/chat-1/answer.mp4` });
+      store(`${alice.uid}/chat-1/answer.pcm`);
+      store(`${alice.uid}/chat-1/answer.mp3`);
+      store(`${alice.uid}/chat-1/answer.mp4`);
+      store(`${alice.uid}/chat-1/episode.mp3`);
+      store(`${alice.uid}/chat-1/stray.pcm`);
+      store(`${alice.uid}/gone/answer.mp4`);
+      store(`${alice.uid}/chat-1/uploading.pcm`, new Date(NOW - 60 * 1000));
+
+      const report = await mediaCleanup.sweep({ now: NOW });
+
+      assert.deepEqual(report.objects.map(object => [object.key, object.reason]).sort(), [
+        [`${alice.uid}/chat-1/stray.pcm`, 'orphaned'],
+        [`${alice.uid}/gone/answer.mp4`, 'orphaned']
+      ]);
+      assert.equal(report.bytes, 8);
+      assert.equal(report.dryRun, false);
+      assert.deepEqual([...harness.s3.objects.keys()].filter(key => key.startsWith(alice.uid)).sort(), [
+        `${alice.uid}/chat-1/answer.mp3`,
+        `${alice.uid}/chat-1/answer.mp4`,
+        `${alice.uid}/chat-1/answer.pcm`,
+        `${alice.uid}/chat-1/episode.mp3`,
+        `${alice.uid}/chat-1/uploading.pcm`
+      ]);
+      assert.ok(harness.s3.objects.has(ANNA.image_url.split('.com/')[1]), 'persona images are not chat media');
+    });
+
+    it('only reports in a dry run', async () => {
+      harness.supabase.seed('media_retention', [{ user_id: alice.uid, audio_days: null, video_days: 30 }]);
+      store(`${alice.uid}/gone/answer.pcm`);
+      seedChat(alice.uid, { timestamp: daysAgo(40).toISOString(), videoUrl: `${alice.uid}/chat-1/answer.mp4` });
+      store(`${alice.uid}/chat-1/answer.mp4`);
+
+      const report = await mediaCleanup.sweep({ dryRun: true, now: NOW });
+
+      assert.equal(report.dryRun, true);
+      assert.equal(report.objects.length, 2);
+      assert.equal(report.messagesUpdated, 0);
+      assert.ok(harness.s3.objects.has(`${alice.uid}/gone/answer.pcm`));
+      assert.equal(harness.messagesOf('chat-1')[1].videoUrl, `${alice.uid}/chat-1/answer.mp4`);
+    });
+
+    it('keeps all referenced media by default', async () => {
+      seedChat(alice.uid, {
+        timestamp: daysAgo(3650).toISOString(),
+        audioUrl: `${alice.uid}/chat-1/answer.pcm`,
+        videoUrl: `${alice.uid}/chat-1/answer.mp4`
+      });
+      store(`${alice.uid}/chat-1/answer.pcm`);
+      store(`${alice.uid}/chat-1/answer.mp4`);
+
+      const report = await mediaCleanup.sweep({ now: NOW });
+
+      assert.deepEqual(report.objects, []);
+      assert.equal(harness.messagesOf('chat-1')[1].videoUrl, `${alice.uid}/chat-1/answer.mp4`);
+    });
+
+    it('expires video after MEDIA_RETENTION_VIDEO_DAYS and clears it from the message', async (t) => {
+      process.env.MEDIA_RETENTION_VIDEO_DAYS = '30';
+      t.after(() => { delete process.env.MEDIA_RETENTION_VIDEO_DAYS; });
+      seedChat(alice.uid, {
+        timestamp: daysAgo(31).toISOString(),
+        audioUrl: `${alice.uid}/chat-1/answer.pcm`,
+        videoUrl: `${alice.uid}/chat-1/answer.mp4`
+      });
+      store(`${alice.uid}/chat-1/answer.pcm`);
+      store(`${alice.uid}/chat-1/answer.mp4`);
+
+      const report = await mediaCleanup.sweep({ now: NOW });
+
+      assert.deepEqual(report.objects.map(object => [object.key, object.reason]), [[`${alice.uid}/chat-1/answer.mp4`, 'expired']]);
+      assert.equal(report.messagesUpdated, 1);
+      assert.ok(harness.s3.objects.has(`${alice.uid}/chat-1/answer.pcm`), 'audio has no retention');
+      const message = harness.messagesOf('chat-1')[1];
+      assert.equal(message.videoUrl, null);
+      assert.equal(message.videoStatus, 'expired');
+      assert.equal(message.audioUrl, `${alice.uid}/chat-1/answer.pcm`);
+    });
+
+    it("applies each user's own retention", async () => {
+      harness.supabase.seed('media_retention', [{ user_id: alice.uid, audio_days: 7, video_days: 90 }]);
+      seedChat(alice.uid, { timestamp: daysAgo(40).toISOString(), audioUrl: `${alice.uid}/chat-1/answer.pcm`, videoUrl: `${alice.uid}/chat-1/answer.mp4` });
+      seedChat(bob.uid, { id: 'chat-2', timestamp: daysAgo(40).toISOString(), audioUrl: `${bob.uid}/chat-2/answer.pcm` });
+      store(`${alice.uid}/chat-1/answer.pcm`);
+      store(`${alice.uid}/chat-1/answer.wav`);
+      store(`${alice.uid}/chat-1/answer.mp4`);
+      store(`${bob.uid}/chat-2/answer.pcm`);
+
+      const report = await mediaCleanup.sweep({ now: NOW });
+
+      assert.deepEqual(report.objects.map(object => object.key).sort(), [
+        `${alice.uid}/chat-1/answer.pcm`,
+        `${alice.uid}/chat-1/answer.wav`
+      ]);
+      assert.equal(harness.messagesOf('chat-1')[1].audioUrl, null);
+      assert.equal(harness.messagesOf('chat-2')[1].audioUrl, `${bob.uid}/chat-2/answer.pcm`);
+    });
+
+    it('sweeps legacy audio files the same way', async () => {
+      seedChat(alice.uid, { audioUrl: `http://localhost:3000/api/audio/${alice.uid}/chat-1/kept.pcm` });
+      const kept = writeLegacy(`${alice.uid}/chat-1/kept.pcm`);
+      const stray = writeLegacy(`${alice.uid}/chat-1/stray.pcm`);
+
+      const report = await mediaCleanup.sweep({ now: NOW });
+
+      assert.deepEqual(report.objects.map(object => [object.location, object.key]), [['legacy', `${alice.uid}/chat-1/stray.pcm`]]);
+      assert.ok(fs.existsSync(kept));
+      assert.ok(!fs.existsSync(stray));
+    });
+
+    it('keeps media whose chat could not be updated', async () => {
+      harness.supabase.seed('media_retention', [{ user_id: alice.uid, audio_days: null, video_days: 30 }]);
+      seedChat(alice.uid, { timestamp: daysAgo(31).toISOString(), videoUrl: `${alice.uid}/chat-1/answer.mp4` });
+      store(`${alice.uid}/chat-1/answer.mp4`);
+      harness.supabase.failNext('messages', 'update');
+
+      const report = await mediaCleanup.sweep({ now: NOW });
+
+      assert.equal(report.objects.length, 0);
+      assert.equal(report.failed.length, 1);
+      assert.ok(harness.s3.objects.has(`${alice.uid}/chat-1/answer.mp4`));
+    });
+  });
+
+  describe('start', () => {
+    it('only sweeps periodically when MEDIA_SWEEP_INTERVAL_HOURS is set', (t) => {
+      t.after(() => {
+        mediaCleanup.stop();
+        delete process.env.MEDIA_SWEEP_INTERVAL_HOURS;
+      });
+
+      mediaCleanup.start();
+      assert.equal(mediaCleanup.timer, null);
+
+      process.env.MEDIA_SWEEP_INTERVAL_HOURS = '24';
+      mediaCleanup.start();
+      assert.notEqual(mediaCleanup.timer, null);
+    });
+  });
+
+  describe('deleteChatMedia', () => {
+    it('deletes stored and legacy media of the chat', async () => {
+      store(`${alice.uid}/chat-1/answer.pcm`);
+      store(`${alice.uid}/chat-2/answer.pcm`);
+      writeLegacy(`${alice.uid}/chat-1/old.pcm`);
+
+      const report = await mediaCleanup.deleteChatMedia(alice.uid, 'chat-1');
+
+      assert.deepEqual(report.objects.map(object => [object.location, object.key, object.reason]), [
+        ['storage', `${alice.uid}/chat-1/answer.pcm`, 'chat-deleted'],
+        ['legacy', `${alice.uid}/chat-1/old.pcm`, 'chat-deleted']
+      ]);
+      assert.ok(harness.s3.objects.has(`${alice.uid}/chat-2/answer.pcm`));
+      assert.deepEqual(fs.readdirSync(path.join(legacyRoot, alice.uid, 'chat-1')), []);
+    });
+
+    it('refuses ids that would reach outside the chat', async () => {
+      await assert.rejects(mediaCleanup.deleteChatMedia(alice.uid, '../other'), /Invalid chat/);
+    });
+  });
+
+  describe('POST /api/admin/media/cleanup', () => {
+    let admin;
+
+    beforeEach(() => {
+      admin = harness.signIn();
+      process.env.ADMIN_USER_IDS = admin.uid;
+    });
+    after(() => { delete process.env.ADMIN_USER_IDS; });
+
+    it('returns a dry-run report', async () => {
+      store(`${alice.uid}/gone/answer.pcm`, new Date(Date.now() - 2 * DAY_MS));
+
+      const { status, body } = await harness.request('/api/admin/media/cleanup', { method: 'POST', token: admin.token, body: { dryRun: true } });
+
+      assert.equal(status, 200);
+      assert.equal(body.dryRun, true);
+      assert.deepEqual(body.objects, [{ location: 'storage', key: `${alice.uid}/gone/answer.pcm`, size: 4, reason: 'orphaned' }]);
+      assert.ok(harness.s3.objects.has(`${alice.uid}/gone/answer.pcm`));
+    });
+
+    it('rejects a non-boolean dryRun', async () => {
+      const { status } = await harness.request('/api/admin/media/cleanup', { method: 'POST', token: admin.token, body: { dryRun: 'yes' } });
+
+      assert.equal(status, 400);
+    });
+
+    it('is only open to admins', async () => {
+      const { status } = await harness.request('/api/admin/media/cleanup', { method: 'POST', token: alice.token, body: {} });
+
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('media retention routes', () => {
+    it('uses the server defaults until the user saves their own', async () => {
+      const { status, body } = await harness.request(`/api/media/retention/${alice.uid}`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.retention, { audioDays: null, videoDays: null, defaults: { audioDays: null, videoDays: null } });
+    });
+
+    it("saves the user's retention", async () => {
+      const { status, body } = await harness.request('/api/media/retention/save', { method: 'POST', token: alice.token, body: { uid: alice.uid, audioDays: 90, videoDays: 7 } });
+
+      assert.equal(status, 200);
+      assert.equal(body.retention.audioDays, 90);
+      assert.equal(body.retention.videoDays, 7);
+
+      const reload = await harness.request(`/api/media/retention/${alice.uid}`, { token: alice.token });
+      assert.equal(reload.body.retention.videoDays, 7);
+    });
+
+    it('rejects invalid days', async () => {
+      const { status, body } = await harness.request('/api/media/retention/save', { method: 'POST', token: alice.token, body: { uid: alice.uid, videoDays: 0 } });
+
+      assert.equal(status, 400);
+      assert.match(body.error, /videoDays/);
+    });
+
+    it("refuses another user's settings", async () => {
+      const { status } = await harness.request('/api/media/retention/save', { method: 'POST', token: bob.token, body: { uid: alice.uid, videoDays: 7 } });
+
+      assert.equal(status, 403);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+// The real client, loaded before the harness swaps in the fake one
+const ComfyUI = require('../utils/ComfyUI');
+require('./harness'); // quiet console output
+const { MockComfyUIServer, createPlaceholderPNG } = require('../scripts/mock-comfyui');
+const { createWAVBuffer } = require('../utils/helpers');
+
+const VIDEO_WORKFLOW = path.join(__dirname, '..', 'workflows', 'i2v-wan-api.json');
+const IMAGE_WORKFLOW = path.join(__dirname, '..', 'workflows', 't2i-flux-api.json');
+
+const loadWorkflow = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+/**
+ * Run a workflow through the real ComfyUI client and collect what it sees
+ * @returns {Promise<Object>} { messages, saved, file, error }
+ */
+function runWorkflow(url, workflow, saveNode, { uploads = [] } = {}) {
+  return new Promise((resolve) => {
+    const messages = [];
+    const comfyUI = new ComfyUI({
+      comfyUIServerURL: url,
+      nodes: { api_save: [saveNode] },
+      onMessageCallback: ({ message }) => {
+        messages.push(message);
+        if (message.type === 'execution_error') {
+          comfyUI.disconnect();
+          resolve({ messages });
+        }
+      },
+      onSaveCallback: async ({ message }) => {
+        const [output] = message.data.output.gifs || message.data.output.images;
+        const file = Buffer.from(await comfyUI.getFile(output));
+        comfyUI.disconnect();
+        resolve({ messages, saved: output, file });
+      },
+      onOpenCallback: async () => {
+        try {
+          for (const upload of uploads) {
+            await upload(comfyUI);
+          }
+          await comfyUI.queue({ workflowDataAPI: workflow });
+        } catch (error) {
+          comfyUI.disconnect();
+          resolve({ messages, error });
+        }
+      }
+    });
+  });
+}
+
+describe('mock ComfyUI server', () => {
+  let mock;
+  let url;
+
+  before(async () => {
+    mock = new MockComfyUIServer({ steps: 4, stepDelayMs: 1 });
+    url = await mock.listen(0);
+  });
+  after(() => mock.close());
+
+  it('runs the video workflow and returns an MP4 as long as the audio', async () => {
+    const workflow = loadWorkflow(VIDEO_WORKFLOW);
+    workflow['125'].inputs.audio = 'speech.wav';
+    workflow['133'].inputs.image = 'anchor.png';
+
+    const { messages, saved, file } = await runWorkflow(url, workflow, '131', {
+      uploads: [
+        (comfyUI) => comfyUI.uploadAudio({ audioBuffer: createWAVBuffer(Buffer.alloc(24000 * 2 * 3)), filename: 'speech.wav' }),
+        (comfyUI) => comfyUI.uploadImage({ imageBuffer: createPlaceholderPNG(16, 16), filename: 'anchor.png' }),
+      ]
+    });
+
+    assert.deepEqual(
+      messages.map(message => message.type).slice(0, 7),
+      ['execution_start', 'execution_cached', 'progress', 'progress', 'progress', 'progress', 'executed']
+    );
+    assert.deepEqual(messages[2].data, { value: 1, max: 4, prompt_id: messages[0].data.prompt_id, node: '128' });
+
+    assert.equal(saved.format, 'video/h264-mp4');
+    assert.equal(saved.type, 'temp'); // the workflow sets save_output: false
+    assert.equal(file.toString('ascii', 4, 8), 'ftyp');
+
+    // 3 seconds of audio at 2 frames per second -> mvhd duration of 3000ms
+    const mvhd = file.indexOf('mvhd');
+    assert.equal(file.readUInt32BE(mvhd + 20), 3000);
+  });
+
+  it('returns a PNG sized like the empty latent for image workflows', async () => {
+    const workflow = loadWorkflow(IMAGE_WORKFLOW);
+
+    const { saved, file } = await runWorkflow(url, workflow, '55');
+
+    assert.equal(saved.type, 'output');
+    assert.equal(file.toString('ascii', 1, 4), 'PNG');
+    assert.equal(file.readUInt32BE(16), Math.min(workflow['56'].inputs.width, 1024));
+    assert.equal(file.readUInt32BE(20), Math.min(workflow['56'].inputs.height, 1024));
+  });
+
+  it('reports execution errors', async () => {
+    mock.failNext();
+
+    const { messages, saved } = await runWorkflow(url, loadWorkflow(IMAGE_WORKFLOW), '55');
+
+    const error = messages.at(-1);
+    assert.equal(error.type, 'execution_error');
+    assert.equal(error.data.exception_type, 'torch.OutOfMemoryError');
+    assert.equal(saved, undefined);
+  });
+
+  it('rejects prompts that load files which were never uploaded', async () => {
+    const workflow = loadWorkflow(VIDEO_WORKFLOW);
+    workflow['133'].inputs.image = 'missing.png';
+
+    const { error } = await runWorkflow(url, workflow, '131');
+
+    assert.match(error.message, /status 400/);
+  });
+
+  it('renames uploads instead of overwriting them', async () => {
+    const upload = async () => {
+      const form = new FormData();
+      form.append('image', new Blob([Buffer.from('x')]), 'same.png');
+      return (await fetch(`${url}/upload/image`, { method: 'POST', body: form })).json();
+    };
+
+    assert.equal((await upload()).name, 'same.png');
+    assert.equal((await upload()).name, 'same (1).png');
+  });
+
+  it('returns 404 for unknown files', async () => {
+    const response = await fetch(`${url}/view?filename=nope.mp4&type=output&subfolder=`);
+
+    assert.equal(response.status, 404);
+  });
+});
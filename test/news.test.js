@@ -0,0 +1,314 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const newsSources = require('../utils/news');
+const newsCache = require('../utils/news/cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Source whose articles and failures are set per test
+class FakeSource {
+  constructor({ label, configured = true } = {}) {
+    this.name = label;
+    this.configured = configured;
+  }
+
+  supports(location) {
+    return location !== 'atlantis';
+  }
+
+  isConfigured() {
+    return this.configured;
+  }
+
+  async fetchArticles(location, query) {
+    FakeSource.calls.push({ source: this.name, location, query });
+    const articles = FakeSource.articles[this.name];
+    if (articles instanceof Error) throw articles;
+    return articles || [];
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS).toISOString();
+const inMinutes = (minutes) => new Date(Date.now() + minutes * MINUTE_MS).toISOString();
+const story = (headline, extra = {}) => ({ headline, content: '', url: null, source: 'CBC News', relevanceScore: 10, ...extra });
+
+describe('news sources', () => {
+  before(() => newsSources.register('fake', FakeSource));
+  after(() => newsSources.load());
+
+  beforeEach(() => {
+    FakeSource.calls = [];
+    FakeSource.articles = {};
+    newsSources.load({
+      locations: {
+        ottawa: [{ type: 'fake', label: 'community' }, { type: 'fake', label: 'outlet' }],
+        Toronto: [{ type: 'fake', label: 'outlet' }, { type: 'fake', label: 'unconfigured', configured: false }],
+      },
+    });
+  });
+
+  it('loads every location in the shipped config', () => {
+    newsSources.load();
+
+    assert.ok(newsSources.isLocationSupported('ottawa'));
+    assert.ok(newsSources.isLocationSupported('Halifax'));
+    assert.ok(!newsSources.isLocationSupported('atlantis'));
+    assert.deepEqual(newsSources.locations.get('ottawa').map(source => source.name), ['reddit', 'ctv', 'rss']);
+  });
+
+  it('rejects a config with unknown or unsuitable sources and keeps the loaded one', () => {
+    assert.throws(() => newsSources.load({
+      locations: {
+        atlantis: [{ type: 'fake', label: 'outlet' }],
+        ottawa: ['carrier-pigeon', { type: 'rss' }],
+        toronto: [],
+      },
+    }), (error) => {
+      assert.match(error.message, /atlantis: fake does not cover this location/);
+      assert.match(error.message, /ottawa: unknown source "carrier-pigeon"/);
+      assert.match(error.message, /ottawa: rss needs a "feeds" list/);
+      assert.match(error.message, /toronto: no sources listed/);
+      return true;
+    });
+
+    assert.deepEqual(newsSources.getSupportedLocations(), ['ottawa', 'toronto']);
+  });
+
+  it('merges articles from every source into one ranked list', async () => {
+    FakeSource.articles.community = [{
+      headline: 'Council approves new  transit budget',
+      content: 'Discussion\nabout the vote',
+      url: 'https://www.reddit.com/r/ottawa/comments/1',
+      source: 'r/ottawa',
+      score: 40,
+      numComments: 12,
+      publishDate: hoursAgo(2),
+      relevanceScore: 120,
+      topComments: [{ text: 'Finally!', upvotes: 9 }],
+      community: true,
+    }];
+    FakeSource.articles.outlet = [
+      { headline: 'Bridge closed for repairs', content: 'x'.repeat(800), url: 'https://news.test/bridge', source: 'CBC News', publishDate: 'January 15, 2024' },
+      { headline: 'Untitled', content: 'No date', url: 'https://news.test/untitled', source: 'CBC News', publishDate: 'sometime' },
+      { headline: '', content: 'Headline missing' },
+    ];
+
+    const articles = await newsSources.fetchArticles(['ottawa'], 'transit');
+
+    assert.deepEqual(FakeSource.calls.map(call => [call.source, call.location, call.query]), [
+      ['community', 'ottawa', 'transit'],
+      ['outlet', 'ottawa', 'transit'],
+    ]);
+    assert.deepEqual(articles.map(article => article.headline), ['Council approves new transit budget', 'Bridge closed for repairs', 'Untitled']);
+
+    const [discussion, bridge, untitled] = articles;
+    assert.equal(discussion.content, 'Discussion about the vote');
+    assert.equal(discussion.community, true);
+    assert.equal(discussion.location, 'ottawa');
+    assert.deepEqual(discussion.topComments, [{ text: 'Finally!', upvotes: 9 }]);
+
+    assert.equal(bridge.community, false);
+    assert.equal(bridge.content.length, 500);
+    assert.equal(bridge.publishDate, new Date('January 15, 2024').toISOString());
+    assert.equal(bridge.numComments, 0);
+    assert.ok(Number.isFinite(bridge.relevanceScore));
+    assert.equal(untitled.publishDate, null);
+  });
+
+  it('keeps the best ranked copy of a story several sources carry', async () => {
+    FakeSource.articles.community = [{ headline: 'Bridge closed', url: 'https://news.test/bridge/?utm_source=reddit', source: 'r/ottawa', relevanceScore: 10, community: true }];
+    FakeSource.articles.outlet = [{ headline: 'Bridge closed for repairs', url: 'https://www.news.test/bridge', source: 'CBC News', relevanceScore: 50 }];
+
+    const articles = await newsSources.fetchArticles(['ottawa', 'toronto']);
+
+    assert.equal(articles.length, 1);
+    assert.equal(articles[0].source, 'CBC News');
+  });
+
+  it('skips sources that fail or have no credentials', async () => {
+    FakeSource.articles.community = new Error('BrightData API error: 503');
+    FakeSource.articles.outlet = [{ headline: 'Bridge closed', url: 'https://news.test/bridge', source: 'CBC News' }];
+
+    const ottawa = await newsSources.fetchArticles(['ottawa']);
+    const toronto = await newsSources.fetchArticles(['toronto']);
+
+    assert.deepEqual(ottawa.map(article => article.source), ['CBC News']);
+    assert.deepEqual(toronto.map(article => article.source), ['CBC News']);
+    assert.ok(!FakeSource.calls.some(call => call.source === 'unconfigured'));
+  });
+
+  it('fails a location only when every configured source fails', async () => {
+    FakeSource.articles.community = new Error('BrightData API error: 503');
+    FakeSource.articles.outlet = new Error('Tavily timed out');
+
+    await assert.rejects(newsSources.fetchLocation('ottawa'), /Every news source failed for ottawa \(community: BrightData API error: 503; outlet: Tavily timed out\)/);
+    assert.deepEqual(await newsSources.fetchArticles(['ottawa']), []);
+  });
+
+  describe('news cache', () => {
+    beforeEach(() => {
+      harness.reset();
+      newsCache.requested.clear();
+    });
+
+    it('fetches a location once, then serves it from the cache', async () => {
+      FakeSource.articles.outlet = [story('Bridge closed for repairs')];
+
+      const first = await newsCache.getArticles(['Ottawa']);
+      const second = await newsCache.getArticles(['ottawa']);
+
+      assert.deepEqual(first.map(article => article.headline), ['Bridge closed for repairs']);
+      assert.deepEqual(second, first);
+      assert.deepEqual(FakeSource.calls.map(call => [call.source, call.query]), [['community', ''], ['outlet', '']]);
+
+      const [row] = harness.supabase.rows('news_cache');
+      assert.equal(row.location, 'ottawa');
+      assert.equal(row.articles[0].headline, 'Bridge closed for repairs');
+      assert.equal(row.error, null);
+      assert.equal(Date.parse(row.expires_at) - Date.parse(row.fetched_at), newsCache.ttlMs);
+    });
+
+    it('serves expired news while refreshing it in the background', async () => {
+      harness.supabase.seed('news_cache', [{ location: 'ottawa', articles: [story('Old news')], fetched_at: hoursAgo(2), expires_at: hoursAgo(1), error: null }]);
+      FakeSource.articles.outlet = [story('New news')];
+
+      const stale = await newsCache.getArticles(['ottawa']);
+      assert.deepEqual(stale.map(article => article.headline), ['Old news']);
+
+      await newsCache.refreshing.get('ottawa');
+      const fresh = await newsCache.getArticles(['ottawa']);
+      assert.deepEqual(fresh.map(article => article.headline), ['New news']);
+    });
+
+    it('keeps the cached articles when a refresh fails, and retries sooner', async () => {
+      harness.supabase.seed('news_cache', [{ location: 'ottawa', articles: [story('Old news')], fetched_at: hoursAgo(2), expires_at: hoursAgo(1), error: null }]);
+      FakeSource.articles.community = new Error('BrightData API error: 503');
+      FakeSource.articles.outlet = new Error('Tavily timed out');
+
+      await assert.rejects(newsCache.refresh('ottawa'), /Every news source failed/);
+
+      const [row] = harness.supabase.rows('news_cache');
+      assert.deepEqual(row.articles.map(article => article.headline), ['Old news']);
+      assert.match(row.error, /BrightData API error: 503/);
+      assert.ok(Date.parse(row.expires_at) > Date.now() + 4 * MINUTE_MS);
+      assert.ok(Date.parse(row.expires_at) < Date.now() + 6 * MINUTE_MS);
+    });
+
+    it('ranks cached articles for the message being answered', async () => {
+      harness.supabase.seed('news_cache', [
+        { location: 'ottawa', articles: [story('Bridge closed', { relevanceScore: 30 }), story('Transit fares rise')], fetched_at: hoursAgo(0), expires_at: inMinutes(30) },
+        { location: 'toronto', articles: [story('Transit strike ends', { relevanceScore: 20 })], fetched_at: hoursAgo(0), expires_at: inMinutes(30) },
+      ]);
+
+      const articles = await newsCache.getArticles(['ottawa', 'toronto'], 'any transit news?');
+
+      assert.deepEqual(articles.map(article => article.headline), ['Transit strike ends', 'Transit fares rise', 'Bridge closed']);
+      assert.equal(FakeSource.calls.length, 0);
+    });
+
+    it('refreshes recently read locations before they expire', async () => {
+      harness.supabase.seed('news_cache', [
+        { location: 'ottawa', articles: [], fetched_at: hoursAgo(0), expires_at: inMinutes(1) },
+        { location: 'toronto', articles: [], fetched_at: hoursAgo(0), expires_at: inMinutes(1) },
+      ]);
+      await newsCache.getArticles(['ottawa']);
+
+      await newsCache.refreshActive();
+      await newsCache.refreshing.get('ottawa');
+
+      assert.deepEqual(FakeSource.calls.map(call => call.location), ['ottawa', 'ottawa']);
+      assert.ok(!newsCache.refreshing.has('toronto'));
+    });
+  });
+
+  describe('POST /api/admin/news/refresh', () => {
+    let admin;
+
+    before(() => harness.start());
+    after(() => {
+      delete process.env.ADMIN_USER_IDS;
+      return harness.stop();
+    });
+    beforeEach(() => {
+      harness.reset();
+      admin = harness.signIn();
+      process.env.ADMIN_USER_IDS = `someone-else, ${admin.uid}`;
+    });
+
+    it('refreshes every cached location', async () => {
+      harness.supabase.seed('news_cache', [{ location: 'toronto', articles: [], fetched_at: hoursAgo(1), expires_at: inMinutes(20) }]);
+      FakeSource.articles.outlet = [story('Transit strike ends')];
+
+      const { status, body } = await harness.request('/api/admin/news/refresh', { method: 'POST', token: admin.token, body: {} });
+
+      assert.equal(status, 200);
+      assert.equal(body.results.length, 1);
+      assert.equal(body.results[0].location, 'toronto');
+      assert.equal(body.results[0].articles, 1);
+      assert.deepEqual(harness.supabase.rows('news_cache')[0].articles.map(article => article.headline), ['Transit strike ends']);
+    });
+
+    it('refreshes the requested locations and reports failures', async () => {
+      FakeSource.articles.community = new Error('BrightData API error: 503');
+      FakeSource.articles.outlet = [story('Transit strike ends')];
+
+      const { status, body } = await harness.request('/api/admin/news/refresh', { method: 'POST', token: admin.token, body: { locations: ['Toronto', 'ottawa'] } });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.results.map(result => [result.location, result.articles ?? result.error]), [
+        ['toronto', 1],
+        ['ottawa', 1],
+      ]);
+
+      FakeSource.articles.outlet = new Error('Tavily timed out');
+      const failed = await harness.request('/api/admin/news/refresh', { method: 'POST', token: admin.token, body: { locations: ['ottawa'] } });
+      assert.match(failed.body.results[0].error, /Every news source failed for ottawa/);
+    });
+
+    it('rejects unknown locations', async () => {
+      const { status, body } = await harness.request('/api/admin/news/refresh', { method: 'POST', token: admin.token, body: { locations: ['ottawa', 'atlantis'] } });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Unsupported locations: atlantis');
+      assert.equal(FakeSource.calls.length, 0);
+    });
+
+    it('is only open to admins', async () => {
+      const { token } = harness.signIn();
+
+      const user = await harness.request('/api/admin/news/refresh', { method: 'POST', token, body: {} });
+      const anonymous = await harness.request('/api/admin/news/refresh', { method: 'POST', body: {} });
+
+      assert.equal(user.status, 403);
+      assert.equal(user.body.error, 'Admin access required');
+      assert.equal(anonymous.status, 401);
+    });
+  });
+
+  describe('news prompt', () => {
+    before(() => { harness.ai.provider.offline = false; });
+    after(() => { harness.ai.provider.offline = true; });
+    beforeEach(() => harness.reset()); // empty news cache
+
+    it('briefs the anchor from every source, attributing reported stories', async () => {
+      FakeSource.articles.community = [{ headline: 'Locals debate bike lanes', source: 'r/ottawa', score: 80, numComments: 30, relevanceScore: 90, topComments: [{ text: 'About time', upvotes: 5, timeAgo: '1 hour ago' }], community: true }];
+      FakeSource.articles.outlet = [{ headline: 'Bridge closed for repairs', content: 'The bridge is closed until May.', source: 'CBC News', relevanceScore: 200 }];
+
+      const { systemInstruction } = await harness.ai.buildNewsPrompt('any news?', { name: 'Anna' }, [], ['ottawa']);
+
+      assert.match(systemInstruction, /\*\*TOP STORY:\*\* Bridge closed for repairs\nSummary: The bridge is closed until May\.\nSource: CBC News \| Posted: recently\n/);
+      assert.match(systemInstruction, /2\. Locals debate bike lanes/);
+      assert.match(systemInstruction, /Top reaction: "About time"/);
+      assert.match(systemInstruction, /attribute them to their source/);
+      assert.match(systemInstruction, /community discussions from Reddit/);
+    });
+
+    it('leaves the briefing out when no source has articles', async () => {
+      const { systemInstruction } = await harness.ai.buildNewsPrompt('any news?', { name: 'Anna' }, [], ['ottawa']);
+
+      assert.doesNotMatch(systemInstruction, /CURRENT NEWS BRIEFING/);
+    });
+  });
+});
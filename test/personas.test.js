@@ -0,0 +1,47 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+describe('GET /api/personas', () => {
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  it('lists personas sorted by name without requiring a session', async () => {
+    const { status, body } = await harness.request('/api/personas');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.personas.map(p => p.name), ['Anna', 'Ben', 'User']);
+  });
+
+  it('replaces persona image URLs with signed URLs', async () => {
+    const { body } = await harness.request('/api/personas');
+    const anna = body.personas.find(p => p.name === 'Anna');
+    const ben = body.personas.find(p => p.name === 'Ben');
+
+    assert.match(anna.image_url, /^https:\/\/fake-s3\.test\/personas\/anna\.webp\?.*X-Amz-Expires=86400/);
+    assert.equal(ben.image_url, null);
+  });
+
+  it('drops the image URL when signing fails', async () => {
+    harness.s3.failSigning = true;
+
+    const { status, body } = await harness.request('/api/personas');
+
+    assert.equal(status, 200);
+    assert.equal(body.personas.find(p => p.name === 'Anna').image_url, null);
+  });
+});
+
+describe('GET /api/locations', () => {
+  before(() => harness.start());
+  after(() => harness.stop());
+
+  it('lists the supported news locations', async () => {
+    const { status, body } = await harness.request('/api/locations');
+
+    assert.equal(status, 200);
+    assert.ok(body.locations.includes('ottawa'));
+    assert.ok(body.locations.includes('toronto'));
+  });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const mediaService = require('../utils/media');
+const podcastFeeds = require('../utils/podcast');
+
+const [ANNA, BEN] = harness.DEFAULT_PERSONAS;
+
+const BYTES_PER_MS = 48; // 24kHz 16-bit mono
+const GAP_MS = 600;
+
+describe('podcast feed', () => {
+  let alice;
+  let bob;
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => {
+    harness.reset();
+    mock.restoreAll();
+    alice = harness.signIn();
+    bob = harness.signIn();
+  });
+
+  const feedPath = (feedUrl) => new URL(feedUrl).pathname;
+  const getFeedUrl = async (user) => (await harness.request(`/api/podcast/${user.uid}`, { token: user.token })).body.feedUrl;
+
+  // A saved briefing with one segment per location, each with durationMs of audio in S3
+  const seedBriefing = (user, { id, createdAt, persona = ANNA, segments }) => {
+    const messages = segments.map(({ location, durationMs, fill, sources = [] }) => {
+      const audioUrl = `${user.uid}/${id}/${location}.pcm`;
+      harness.s3.objects.set(audioUrl, { body: Buffer.alloc(durationMs * BYTES_PER_MS, fill), contentType: 'audio/L16' });
+      return { role: 'assistant', content: `[chuckles] Here is the news for ${location}.`, persona: persona.name, personaId: persona.id, audioUrl, location, durationMs, sources };
+    });
+    harness.seedChat({ id, user_id: user.uid, type: 'briefing', persona_id: persona.id, title: `Briefing ${id}`, messages, created_at: createdAt });
+  };
+
+  it('gives each user a stable private feed URL that can be replaced', async () => {
+    const feedUrl = await getFeedUrl(alice);
+    assert.match(feedUrl, /\/api\/podcast\/feed\/[A-Za-z0-9_-]{32}$/);
+    assert.equal(await getFeedUrl(alice), feedUrl);
+    assert.notEqual(await getFeedUrl(bob), feedUrl);
+
+    const rotated = await harness.request('/api/podcast/rotate', { method: 'POST', token: alice.token, body: {} });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.feedUrl, feedUrl);
+
+    assert.equal((await harness.request(feedPath(feedUrl))).status, 404, 'the old URL stops working');
+    assert.equal((await harness.request(feedPath(rotated.body.feedUrl))).status, 200);
+
+    const other = await harness.request(`/api/podcast/${bob.uid}`, { token: alice.token });
+    assert.equal(other.status, 403);
+  });
+
+  it('lists the user\'s briefings with audio, duration, artwork and cited articles', async () => {
+    seedBriefing(alice, {
+      id: 'briefing-1',
+      createdAt: '2025-01-13T12:00:00.000Z',
+      segments: [{ location: 'ottawa', durationMs: 1000, fill: 1, sources: [{ headline: 'Bridge <closed>', source: 'CBC News', url: 'https://news.test/bridge?a=1&b=2' }] }]
+    });
+    seedBriefing(alice, {
+      id: 'briefing-2',
+      createdAt: '2025-01-14T12:00:00.000Z',
+      persona: BEN,
+      segments: [{ location: 'ottawa', durationMs: 2000, fill: 1 }, { location: 'british-columbia', durationMs: 3000, fill: 2 }]
+    });
+    seedBriefing(bob, { id: 'briefing-3', createdAt: '2025-01-14T12:00:00.000Z', segments: [{ location: 'toronto', durationMs: 500, fill: 1 }] });
+    harness.seedChat({ id: 'chat-1', user_id: alice.uid, type: 'chat', persona_id: ANNA.id, title: 'Chat with Anna' });
+
+    const feedUrl = await getFeedUrl(alice);
+
+    // Seeded briefings have no episode file yet; reading the feed makes them in the background,
+    // one at a time
+    const ensureEpisodeAudio = podcastFeeds.ensureEpisodeAudio;
+    let running = 0;
+    let peak = 0;
+    mock.method(podcastFeeds, 'ensureEpisodeAudio', async function (chat) {
+      peak = Math.max(peak, ++running);
+      try {
+        return await ensureEpisodeAudio.call(this, chat);
+      } finally {
+        running--;
+      }
+    });
+    const before = await harness.request(feedPath(feedUrl));
+    assert.ok(!before.body.includes('<item>'));
+    await podcastFeeds.backfill;
+    assert.equal(peak, 1);
+
+    const { status, headers, body } = await harness.request(feedPath(feedUrl));
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /application\/rss\+xml/);
+
+    const items = body.split('<item>').slice(1);
+    assert.deepEqual(items.map(item => item.match(/<guid[^>]*>(.*)<\/guid>/)[1]), ['briefing-2', 'briefing-1'], 'newest first, briefings only');
+
+    const [latest, first] = items;
+    const episode = harness.s3.objects.get(`${alice.uid}/briefing-2/episode.mp3`).body;
+    assert.ok(latest.includes(`<enclosure url="${feedUrl}/episodes/briefing-2.mp3" length="${episode.length}" type="audio/mpeg"/>`), 'the length is the stored file\'s');
+    assert.ok(latest.includes('<itunes:duration>5</itunes:duration>'));
+    assert.ok(latest.includes('Ben on Ottawa, British Columbia'));
+    assert.ok(!latest.includes('<itunes:image'), 'Ben has no image');
+
+    assert.match(first, /<itunes:image href="https:\/\/fake-s3\.test\/personas\/anna\.webp\?X-Amz-Expires=604800&amp;[^"]*"\/>/, 'signed for a week');
+    assert.match(body, /<channel>[\s\S]*<itunes:image href="[^"]*anna\.webp/, 'the channel uses the latest artwork available');
+
+    // Show notes are HTML escaped into the XML, without expression tags
+    assert.ok(first.includes('&lt;h3&gt;Ottawa&lt;/h3&gt;&lt;p&gt;Here is the news for ottawa.&lt;/p&gt;'));
+    assert.ok(first.includes('&lt;a href=&quot;https://news.test/bridge?a=1&amp;amp;b=2&quot;&gt;Bridge &amp;lt;closed&amp;gt;&lt;/a&gt; (CBC News)'));
+  });
+
+  it('serves a briefing as one MP3 file with its segments joined', async () => {
+    seedBriefing(alice, {
+      id: 'briefing-1',
+      createdAt: '2025-01-14T12:00:00.000Z',
+      segments: [{ location: 'ottawa', durationMs: 100, fill: 1 }, { location: 'toronto', durationMs: 200, fill: 2 }]
+    });
+    const feedUrl = await getFeedUrl(alice);
+
+    const { status, headers, raw } = await harness.request(`${feedPath(feedUrl)}/episodes/briefing-1.mp3`);
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'audio/mpeg');
+    // The fake ffmpeg reports the codec and how much PCM it was given: both segments and the pause between them
+    assert.match(raw.toString(), new RegExp(`^FAKE libmp3lame ${(300 + GAP_MS) * BYTES_PER_MS} `));
+  });
+
+  it('stores each episode once and serves it with ranges and ETags', async () => {
+    seedBriefing(alice, { id: 'briefing-1', createdAt: '2025-01-14T12:00:00.000Z', segments: [{ location: 'ottawa', durationMs: 100, fill: 1 }] });
+    const episodePath = `${feedPath(await getFeedUrl(alice))}/episodes/briefing-1.mp3`;
+    const getObject = mock.method(mediaService, 'getObject');
+
+    const [first, second] = await Promise.all([harness.request(episodePath), harness.request(episodePath)]);
+    assert.deepEqual([first.status, second.status], [200, 200]);
+    assert.equal(getObject.mock.callCount(), 1, 'the segments are joined once');
+    const stored = harness.s3.objects.get(`${alice.uid}/briefing-1/episode.mp3`).body;
+    assert.deepEqual(first.raw, stored);
+    assert.deepEqual(second.raw, stored);
+
+    const partial = await harness.request(episodePath, { headers: { Range: 'bytes=5-14' } });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers.get('content-range'), `bytes 5-14/${stored.length}`);
+    assert.equal(partial.raw.toString(), 'libmp3lame');
+
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    assert.equal((await harness.request(episodePath, { headers: { 'If-None-Match': etag } })).status, 304);
+    assert.equal(getObject.mock.callCount(), 1);
+  });
+
+  it('leaves briefings whose audio is missing out of the feed', async () => {
+    seedBriefing(alice, { id: 'briefing-1', createdAt: '2025-01-13T12:00:00.000Z', segments: [{ location: 'ottawa', durationMs: 100, fill: 1 }] });
+    seedBriefing(alice, { id: 'briefing-2', createdAt: '2025-01-14T12:00:00.000Z', segments: [{ location: 'toronto', durationMs: 100, fill: 1 }] });
+    harness.s3.objects.delete(`${alice.uid}/briefing-2/toronto.pcm`);
+    const feedUrl = await getFeedUrl(alice);
+    await harness.request(feedPath(feedUrl));
+    await podcastFeeds.backfill;
+
+    const { status, body } = await harness.request(feedPath(feedUrl));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.split('<item>').slice(1).map(item => item.match(/<guid[^>]*>(.*)<\/guid>/)[1]), ['briefing-1']);
+  });
+
+  it('only serves episodes and feeds to their token', async () => {
+    seedBriefing(bob, { id: 'briefing-bob', createdAt: '2025-01-14T12:00:00.000Z', segments: [{ location: 'toronto', durationMs: 100, fill: 1 }] });
+    const aliceFeed = feedPath(await getFeedUrl(alice));
+
+    assert.equal((await harness.request(`${aliceFeed}/episodes/briefing-bob.mp3`)).status, 404);
+    assert.equal((await harness.request('/api/podcast/feed/not-a-real-token')).status, 404);
+    assert.equal((await harness.request(`/api/podcast/feed/${'a'.repeat(32)}`)).status, 404);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+
+const [ANNA] = harness.DEFAULT_PERSONAS;
+
+describe('profile routes', () => {
+  let alice;
+  let bob;
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => {
+    harness.reset();
+    alice = harness.signIn();
+    bob = harness.signIn();
+  });
+
+  const saveProfile = (user, body) => harness.request('/api/profile/save', { method: 'POST', token: user.token, body });
+
+  describe('POST /api/profile/save', () => {
+    it('requires a session', async () => {
+      const { status } = await harness.request('/api/profile/save', {
+        method: 'POST',
+        body: { displayName: 'Alice', email: 'alice@example.com' }
+      });
+
+      assert.equal(status, 401);
+    });
+
+    it('rejects a uid that is not the signed-in user', async () => {
+      const { status } = await saveProfile(alice, { uid: bob.uid, displayName: 'Alice', email: 'alice@example.com' });
+
+      assert.equal(status, 403);
+      assert.equal(harness.supabase.rows('profiles').length, 0);
+    });
+
+    it('requires a valid email', async () => {
+      assert.equal((await saveProfile(alice, { displayName: 'Alice' })).status, 400);
+      assert.equal((await saveProfile(alice, { displayName: 'Alice', email: 'not-an-email' })).status, 400);
+    });
+
+    it('rejects unknown personas', async () => {
+      const { status, body } = await saveProfile(alice, { displayName: 'Alice', email: 'alice@example.com', personaId: 'missing' });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid persona ID');
+    });
+
+    it('creates the profile for the signed-in user, then updates it', async () => {
+      const created = await saveProfile(alice, { displayName: 'Alice', email: ' alice@example.com ', personaId: ANNA.id });
+
+      assert.equal(created.status, 200);
+      assert.equal(created.body.profile.displayName, 'Alice');
+      assert.equal(created.body.profile.email, 'alice@example.com');
+      assert.equal(created.body.profile.persona.name, 'Anna');
+
+      const updated = await saveProfile(alice, { displayName: 'Alice B', email: 'alice@example.com' });
+
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.profile.displayName, 'Alice B');
+
+      const profiles = harness.supabase.rows('profiles');
+      assert.equal(profiles.length, 1);
+      assert.equal(profiles[0].user_id, alice.uid);
+    });
+  });
+
+  describe('GET /api/profile/:uid', () => {
+    it('returns the saved profile', async () => {
+      await saveProfile(alice, { displayName: 'Alice', email: 'alice@example.com', personaId: ANNA.id });
+
+      const { status, body } = await harness.request(`/api/profile/${alice.uid}`, { token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(body.profile.displayName, 'Alice');
+      assert.equal(body.profile.persona.voiceName, 'Kore');
+    });
+
+    it('returns 404 when there is no profile', async () => {
+      const { status } = await harness.request(`/api/profile/${alice.uid}`, { token: alice.token });
+
+      assert.equal(status, 404);
+    });
+
+    it("does not return another user's profile", async () => {
+      await saveProfile(alice, { displayName: 'Alice', email: 'alice@example.com' });
+
+      const { status } = await harness.request(`/api/profile/${alice.uid}`, { token: bob.token });
+
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('DELETE /api/profile/:uid', () => {
+    it('deletes the profile', async () => {
+      await saveProfile(alice, { displayName: 'Alice', email: 'alice@example.com' });
+
+      const { status, body } = await harness.request(`/api/profile/${alice.uid}`, { method: 'DELETE', token: alice.token });
+
+      assert.equal(status, 200);
+      assert.equal(body.deletedProfile.displayName, 'Alice');
+      assert.equal(harness.supabase.rows('profiles').length, 0);
+    });
+
+    it('returns 404 when there is nothing to delete', async () => {
+      const { status } = await harness.request(`/api/profile/${alice.uid}`, { method: 'DELETE', token: alice.token });
+
+      assert.equal(status, 404);
+    });
+
+    it("cannot delete another user's profile", async () => {
+      await saveProfile(alice, { displayName: 'Alice', email: 'alice@example.com' });
+
+      const { status } = await harness.request(`/api/profile/${alice.uid}`, { method: 'DELETE', token: bob.token });
+
+      assert.equal(status, 403);
+      assert.equal(harness.supabase.rows('profiles').length, 1);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const harness = require('./harness');
+const { createStorage, LocalStorage, MemoryStorage } = require('../utils/storage');
+const { signStorageUrl, signMediaPath, VIDEO_PROXY_ROUTE } = require('../utils/storage/signing');
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe('storage backends', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'anchor-storage-'));
+  });
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const backends = {
+    memory: () => new MemoryStorage(),
+    local: () => new LocalStorage({ root: fs.mkdtempSync(path.join(root, 'local-')) }),
+  };
+
+  for (const [name, create] of Object.entries(backends)) {
+    describe(name, () => {
+      it('stores, reads, lists and deletes objects by key', async () => {
+        const storage = create();
+
+        assert.equal(await storage.put('user-1/chat-1/answer.pcm', Buffer.from('pcm'), { contentType: 'audio/L16' }), 'user-1/chat-1/answer.pcm');
+        await storage.put('user-1/chat-2/clip.mp4', Buffer.from('video'), { contentType: 'video/mp4' });
+        await storage.put('personas/anna.webp', Buffer.from('image'), { contentType: 'image/webp' });
+
+        assert.equal((await storage.get('user-1/chat-1/answer.pcm')).toString(), 'pcm');
+        assert.equal(await storage.get('user-1/chat-1/missing.pcm'), null);
+
+        const video = await storage.stream('user-1/chat-2/clip.mp4');
+        assert.equal(video.contentType, 'video/mp4');
+        assert.equal(video.contentLength, 5);
+        assert.equal((await readStream(video.body)).toString(), 'video');
+        assert.equal(await storage.stream('user-1/chat-2/missing.mp4'), null);
+
+        const listed = await storage.list('user-1/');
+        assert.deepEqual(listed.map(object => [object.key, object.size]).sort(), [['user-1/chat-1/answer.pcm', 3], ['user-1/chat-2/clip.mp4', 5]]);
+        assert.ok(listed.every(object => object.lastModified instanceof Date));
+        assert.deepEqual(await storage.list('nobody/'), []);
+
+        await storage.delete('user-1/chat-1/answer.pcm');
+        await storage.delete('user-1/chat-1/answer.pcm');
+        assert.equal(await storage.get('user-1/chat-1/answer.pcm'), null);
+      });
+
+      it('signs URLs to the app storage route', async () => {
+        const signedUrl = new URL(await create().sign('user-1/chat 1/answer.pcm', 60));
+
+        assert.equal(signedUrl.pathname, '/api/storage/user-1/chat%201/answer.pcm');
+        assert.ok(Number(signedUrl.searchParams.get('expires')) > Date.now() / 1000);
+        assert.match(signedUrl.searchParams.get('signature'), /^[A-Za-z0-9_-]+$/);
+      });
+    });
+  }
+
+  it('keeps local keys inside the storage directory', async () => {
+    const storage = backends.local();
+
+    for (const key of ['../outside.pcm', 'user-1//answer.pcm', '/etc/passwd', 'user-1/..\\answer.pcm']) {
+      await assert.rejects(storage.put(key, Buffer.from('x')), /Invalid storage key/, key);
+    }
+  });
+
+  it('picks the backend from STORAGE_BACKEND', () => {
+    assert.ok(createStorage('memory') instanceof MemoryStorage);
+    assert.ok(createStorage('LOCAL', { root }) instanceof LocalStorage);
+    assert.throws(() => createStorage('ftp'), /Unknown storage backend "ftp". Available backends: s3, local, memory/);
+  });
+});
+
+describe('GET /api/storage/*', () => {
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => harness.reset());
+
+  const storagePath = (signedUrl) => {
+    const url = new URL(signedUrl);
+    return `${url.pathname}${url.search}`;
+  };
+
+  it('serves an object through a signed URL without a session', async () => {
+    harness.s3.objects.set('user-1/chat-1/clip.mp4', { body: Buffer.from('video'), contentType: 'video/mp4' });
+
+    const { status, headers, body } = await harness.request(storagePath(signStorageUrl('user-1/chat-1/clip.mp4', 60)));
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'video/mp4');
+    assert.equal(body, 'video');
+  });
+
+  it('refuses tampered, expired and unsigned URLs', async () => {
+    harness.s3.objects.set('user-1/chat-1/clip.mp4', { body: Buffer.from('video'), contentType: 'video/mp4' });
+    harness.s3.objects.set('user-2/chat-1/clip.mp4', { body: Buffer.from('video'), contentType: 'video/mp4' });
+
+    const other = storagePath(signStorageUrl('user-1/chat-1/clip.mp4', 60)).replace('user-1', 'user-2');
+    const expired = storagePath(signStorageUrl('user-1/chat-1/clip.mp4', -1));
+
+    assert.equal((await harness.request(other)).status, 403);
+    assert.equal((await harness.request(expired)).status, 403);
+    assert.equal((await harness.request('/api/storage/user-1/chat-1/clip.mp4')).status, 403);
+  });
+
+  it('returns 404 for a signed key that is not stored', async () => {
+    const { status } = await harness.request(storagePath(signStorageUrl('user-1/chat-1/missing.mp4', 60)));
+
+    assert.equal(status, 404);
+  });
+
+  it('signs persona images stored by key', async () => {
+    harness.supabase.seed('personas', [{ name: 'Cleo', description: 'Weather', tone: 'calm', voice_name: 'Aoede', image_url: 'personas/cleo.webp' }]);
+
+    const { body } = await harness.request('/api/personas');
+
+    assert.match(body.personas.find(p => p.name === 'Cleo').image_url, /^https:\/\/fake-s3\.test\/personas\/cleo\.webp\?/);
+  });
+});
+
+describe('GET /api/video/*', () => {
+  let alice;
+
+  before(() => harness.start());
+  after(() => harness.stop());
+  beforeEach(() => {
+    harness.reset();
+    alice = harness.signIn();
+  });
+
+  const video = Buffer.from([...Array(100).keys()]);
+  const videoPath = (key, expiresIn = 60) => signMediaPath(key, expiresIn, VIDEO_PROXY_ROUTE);
+
+  it('streams the video with range support through a signed URL', async () => {
+    const key = `${alice.uid}/chat-1/clip.mp4`;
+    harness.s3.objects.set(key, { body: video, contentType: 'video/mp4' });
+
+    const whole = await harness.request(videoPath(key));
+    assert.equal(whole.status, 200);
+    assert.equal(whole.headers.get('content-type'), 'video/mp4');
+    assert.equal(whole.headers.get('accept-ranges'), 'bytes');
+    assert.equal(whole.headers.get('content-length'), '100');
+    assert.ok(whole.headers.get('etag'));
+
+    const seek = await harness.request(videoPath(key), { headers: { Range: 'bytes=90-' } });
+    assert.equal(seek.status, 206);
+    assert.equal(seek.headers.get('content-range'), 'bytes 90-99/100');
+    assert.deepEqual([...seek.raw], [90, 91, 92, 93, 94, 95, 96, 97, 98, 99]);
+  });
+
+  it('only accepts URLs signed for the video proxy', async () => {
+    const key = `${alice.uid}/chat-1/clip.mp4`;
+    harness.s3.objects.set(key, { body: video, contentType: 'video/mp4' });
+    const storageUrl = new URL(signStorageUrl(key, 60));
+
+    assert.equal((await harness.request(`${VIDEO_PROXY_ROUTE}/${key}${storageUrl.search}`)).status, 403);
+    assert.equal((await harness.request(videoPath(key, -1))).status, 403);
+    assert.equal((await harness.request(`${VIDEO_PROXY_ROUTE}/${key}`)).status, 403);
+  });
+
+  it('rejects keys that are not uid/chatId/file.mp4 and missing videos', async () => {
+    assert.equal((await harness.request(videoPath(`${alice.uid}/chat-1/answer.pcm`))).status, 400);
+    assert.equal((await harness.request(videoPath(`${alice.uid}/chat-1/missing.mp4`))).status, 404);
+  });
+});
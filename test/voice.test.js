@@ -0,0 +1,251 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const WebSocket = require('ws');
+const harness = require('./harness');
+const { attachVoiceServer } = require('../utils/voiceSession');
+
+const [ANNA] = harness.DEFAULT_PERSONAS;
+const SAMPLE_RATE = 16000;
+const FRAME_MS = 100;
+const WAIT_MS = 5000;
+
+// A 100ms microphone frame: a loud tone for speech, zeros for silence
+function frame(speech) {
+  const samples = (SAMPLE_RATE * FRAME_MS) / 1000;
+  const pcm = Buffer.alloc(samples * 2);
+  if (speech) {
+    for (let i = 0; i < samples; i++) {
+      pcm.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE) * 0.3 * 32767), i * 2);
+    }
+  }
+  return pcm;
+}
+
+describe('voice sessions (/ws/voice)', () => {
+  let server;
+  let wss;
+  let alice;
+  const clients = [];
+
+  before(async () => {
+    server = harness.app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    wss = attachVoiceServer(server);
+  });
+  after(async () => {
+    wss.close();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+  beforeEach(() => {
+    harness.reset();
+    mock.restoreAll();
+    alice = harness.signIn();
+  });
+  afterEach(() => {
+    clients.splice(0).forEach(ws => ws.terminate());
+  });
+
+  // Open a session socket; binary frames are recorded as { type: 'audio', bytes }
+  async function connect() {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/ws/voice`);
+    clients.push(ws);
+    const events = [];
+    ws.on('message', (data, isBinary) => {
+      events.push(isBinary ? { type: 'audio', bytes: data.length } : JSON.parse(data.toString()));
+    });
+    await once(ws, 'open');
+
+    const client = {
+      ws,
+      events,
+      types: () => events.map(event => event.type),
+      send: (message) => ws.send(JSON.stringify(message)),
+      speak: (ms) => { for (let i = 0; i < ms / FRAME_MS; i++) ws.send(frame(true)); },
+      pause: (ms) => { for (let i = 0; i < ms / FRAME_MS; i++) ws.send(frame(false)); },
+      // Resolve with the first event of the type received after `from`
+      waitFor: async (type, from = 0) => {
+        const deadline = Date.now() + WAIT_MS;
+        for (;;) {
+          const event = events.slice(from).find(candidate => candidate.type === type);
+          if (event) return event;
+          if (Date.now() > deadline) throw new Error(`No ${type} event, got: ${client.types().join(', ')}`);
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+      },
+      // The server answers control messages in order, so once this error arrives every
+      // earlier frame has been handled
+      sync: async () => {
+        const from = events.length;
+        client.send({ type: 'sync' });
+        await client.waitFor('error', from);
+      },
+    };
+    return client;
+  }
+
+  async function startSession(overrides = {}) {
+    const client = await connect();
+    client.send({ type: 'start', token: alice.token, personaId: ANNA.id, sampleRate: SAMPLE_RATE, ...overrides });
+    await client.waitFor('listening');
+    return client;
+  }
+
+  describe('start', () => {
+    it('announces the sample rates and starts listening', async () => {
+      const client = await startSession();
+
+      const ready = await client.waitFor('ready');
+      assert.deepEqual(ready, { type: 'ready', inputSampleRate: SAMPLE_RATE, outputSampleRate: 24000 });
+    });
+
+    it('closes the session for an invalid token', async () => {
+      const client = await connect();
+      const closed = once(client.ws, 'close');
+
+      client.send({ type: 'start', token: 'not-a-token' });
+
+      const [code] = await closed;
+      assert.equal(code, 1008);
+      assert.deepEqual(client.types(), ['error']);
+    });
+
+    it('closes the session when the uid is not the token owner', async () => {
+      const client = await connect();
+      const closed = once(client.ws, 'close');
+
+      client.send({ type: 'start', token: alice.token, uid: harness.signIn().uid });
+
+      const [code] = await closed;
+      assert.equal(code, 1008);
+      assert.match(client.events[0].error, /UID does not match/);
+    });
+
+    for (const sampleRate of ['16000', -16000, 16000.5, 4000, 1e9]) {
+      it(`rejects sampleRate ${JSON.stringify(sampleRate)}`, async () => {
+        const client = await connect();
+        const closed = once(client.ws, 'close');
+
+        client.send({ type: 'start', token: alice.token, sampleRate });
+
+        const [code] = await closed;
+        assert.equal(code, 1008);
+        assert.match(client.events[0].error, /sampleRate must be an integer from 8000 to 48000/);
+      });
+    }
+
+    it('ignores audio before the session has started', async () => {
+      const client = await connect();
+
+      client.speak(500);
+      client.pause(900);
+      await client.sync();
+
+      assert.deepEqual(client.types(), ['error']);
+    });
+  });
+
+  describe('turns', () => {
+    it('ends the turn after a pause, streams the answer and saves the conversation', async () => {
+      const save = mock.method(harness.db, 'saveConversation');
+      const client = await startSession();
+
+      client.speak(500);
+      client.pause(900);
+      const saved = await client.waitFor('saved');
+      await client.waitFor('listening', client.events.indexOf(saved));
+
+      assert.deepEqual(client.types().filter(type => type !== 'token' && type !== 'audio'), [
+        'ready', 'listening', 'thinking', 'transcription', 'response', 'audio_start', 'audio_end', 'saved', 'listening'
+      ]);
+      assert.equal((await client.waitFor('transcription')).text, "What's the latest news?");
+      assert.match((await client.waitFor('response')).text, /offline news desk/);
+      assert.ok(client.events.some(event => event.type === 'token'));
+      assert.ok(client.events.some(event => event.type === 'audio' && event.bytes > 0));
+
+      assert.equal(save.mock.callCount(), 1);
+      assert.equal(save.mock.calls[0].arguments[0], alice.uid);
+      const messages = harness.messagesOf(saved.chat.chatId);
+      assert.deepEqual(messages.map(message => message.role), ['user', 'assistant']);
+      assert.equal(messages[0].content, "What's the latest news?");
+      assert.match(messages[1].content, /offline news desk/);
+      assert.deepEqual(saved.chat.messageIds, { user: messages[0].id, assistant: messages[1].id });
+    });
+
+    it('continues the same chat on the next turn', async () => {
+      const client = await startSession();
+
+      client.speak(500);
+      client.pause(900);
+      const first = await client.waitFor('saved');
+      await client.waitFor('listening', client.events.indexOf(first));
+
+      const from = client.events.length;
+      client.speak(500);
+      client.send({ type: 'end_turn' });
+      const second = await client.waitFor('saved', from);
+
+      assert.equal(second.chat.chatId, first.chat.chatId);
+      assert.equal(harness.messagesOf(first.chat.chatId).length, 4);
+    });
+
+    it('ignores blips too short to be a turn', async () => {
+      const save = mock.method(harness.db, 'saveConversation');
+      const client = await startSession();
+
+      client.speak(100);
+      client.pause(900);
+      await client.sync();
+
+      assert.ok(!client.types().includes('thinking'));
+      assert.equal(save.mock.callCount(), 0);
+    });
+
+    it('stops the answer when the user talks over it and drops the interrupted turn', async () => {
+      // The first answer keeps speaking until it is interrupted
+      mock.method(harness.ai.provider, 'synthesizeSpeechStream', async ({ onChunk, signal }) => {
+        await onChunk(Buffer.alloc(4800));
+        if (!signal.aborted) await once(signal, 'abort');
+        return { audioData: '', responseMimeType: 'audio/L16;codec=pcm;rate=24000', aborted: true };
+      }, { times: 1 });
+      const save = mock.method(harness.db, 'saveConversation');
+      const client = await startSession();
+
+      client.speak(500);
+      client.pause(900);
+      await client.waitFor('audio_start');
+
+      client.speak(300);
+      const interrupted = await client.waitFor('interrupted');
+      assert.equal(interrupted.reason, 'barge-in');
+
+      // The barge-in speech starts the next turn
+      client.pause(900);
+      const saved = await client.waitFor('saved');
+
+      assert.equal(client.types().filter(type => type === 'saved').length, 1);
+      assert.equal(save.mock.callCount(), 1, 'only the finished turn is saved');
+      assert.equal(harness.messagesOf(saved.chat.chatId).length, 2);
+    });
+
+    it('stops the answer on an interrupt message', async () => {
+      mock.method(harness.ai.provider, 'synthesizeSpeechStream', async ({ onChunk, signal }) => {
+        await onChunk(Buffer.alloc(4800));
+        if (!signal.aborted) await once(signal, 'abort');
+        return { audioData: '', responseMimeType: 'audio/L16;codec=pcm;rate=24000', aborted: true };
+      }, { times: 1 });
+      const client = await startSession();
+
+      client.speak(500);
+      client.pause(900);
+      await client.waitFor('audio_start');
+      client.send({ type: 'interrupt' });
+
+      assert.equal((await client.waitFor('interrupted')).reason, 'client');
+      await client.sync();
+      assert.ok(!client.types().includes('saved'));
+      assert.equal(harness.supabase.rows('messages').length, 0);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+require('./harness'); // quiet console output
+const workflowRegistry = require('../utils/workflows');
+
+const WORKFLOWS_DIR = path.join(__dirname, '..', 'workflows');
+
+describe('workflow registry', () => {
+  it('loads the manifests shipped in workflows/', () => {
+    assert.deepEqual(workflowRegistry.list().map(workflow => workflow.name), ['i2v-wan', 't2i-flux']);
+    assert.deepEqual(workflowRegistry.outputNodes('i2v-wan'), ['131']);
+    assert.deepEqual(workflowRegistry.outputNodes('t2i-flux'), ['55']);
+  });
+
+  it('fills every input a parameter maps to', () => {
+    const workflow = workflowRegistry.build('t2i-flux', { prompt: 'a lighthouse', seed: 42, width: 512, height: 768 });
+
+    assert.equal(workflow['6'].inputs.text, 'a lighthouse');
+    assert.equal(workflow['25'].inputs.noise_seed, 42);
+    assert.deepEqual([workflow['56'].inputs.width, workflow['37'].inputs.width], [512, 512]);
+    assert.deepEqual([workflow['56'].inputs.height, workflow['37'].inputs.height], [768, 768]);
+  });
+
+  it('leaves the template and omitted parameters untouched', () => {
+    const template = workflowRegistry.get('i2v-wan').workflow;
+    const frames = template['195'].inputs.num_frames;
+
+    const workflow = workflowRegistry.build('i2v-wan', { audio: 'speech.wav', image: 'anchor.png', seed: undefined });
+
+    assert.equal(workflow['125'].inputs.audio, 'speech.wav');
+    assert.equal(workflow['133'].inputs.image, 'anchor.png');
+    assert.equal(workflow['195'].inputs.num_frames, frames);
+    assert.notEqual(template['125'].inputs.audio, 'speech.wav');
+  });
+
+  it('rejects parameters the workflow does not have or values of the wrong type', () => {
+    assert.throws(() => workflowRegistry.build('t2i-flux', { audio: 'speech.wav' }), /Workflow "t2i-flux" has no "audio" parameter/);
+    assert.throws(() => workflowRegistry.build('t2i-flux', { seed: '42' }), /"seed" must be an integer/);
+    assert.throws(() => workflowRegistry.build('nope'), /Unknown workflow "nope"/);
+  });
+
+  it('picks the files of a declared output', () => {
+    const outputs = { 131: { gifs: [{ filename: 'clip.mp4', subfolder: '', type: 'temp' }] } };
+
+    assert.deepEqual(workflowRegistry.outputFiles('i2v-wan', 'video', outputs), outputs['131'].gifs);
+    assert.deepEqual(workflowRegistry.outputFiles('i2v-wan', 'video', {}), []);
+    assert.throws(() => workflowRegistry.outputFiles('i2v-wan', 'image', outputs), /no "image" output/);
+  });
+
+  describe('validation', () => {
+    let directory;
+
+    const writeManifest = (manifest) => {
+      fs.writeFileSync(path.join(directory, 'broken.manifest.json'), JSON.stringify(manifest));
+    };
+
+    before(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'workflows-'));
+      fs.copyFileSync(path.join(WORKFLOWS_DIR, 't2i-flux-api.json'), path.join(directory, 't2i-flux-api.json'));
+    });
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('reports every mismatch between a manifest and its workflow', () => {
+      writeManifest({
+        name: 'broken',
+        workflow: 't2i-flux-api.json',
+        parameters: {
+          prompt: { node: '999', input: 'text' },
+          seed: { node: '25', input: 'seed' },
+          width: { node: '13', input: 'noise' },
+          colour: { node: '6', input: 'text' }
+        },
+        outputs: { image: { node: '55', type: 'pictures' } }
+      });
+
+      assert.throws(() => workflowRegistry.load(directory), (error) => {
+        assert.match(error.message, /broken\.manifest\.json/);
+        assert.match(error.message, /"prompt" targets missing node 999/);
+        assert.match(error.message, /"seed" targets missing input 25\.seed/);
+        assert.match(error.message, /"width" targets 13\.noise, which is linked to another node/);
+        assert.match(error.message, /unknown parameter "colour"/);
+        assert.match(error.message, /unknown type "pictures"/);
+        return true;
+      });
+    });
+
+    it('requires a workflow file and at least one output', () => {
+      writeManifest({ name: 'broken', workflow: 'missing-api.json', outputs: {} });
+      assert.throws(() => workflowRegistry.load(directory), /ENOENT/);
+
+      writeManifest({ name: 'broken', workflow: 't2i-flux-api.json', outputs: {} });
+      assert.throws(() => workflowRegistry.load(directory), /no outputs declared/);
+    });
+
+    it('keeps the loaded workflows when a reload fails', () => {
+      writeManifest({ name: 'broken' });
+
+      assert.throws(() => workflowRegistry.load(directory), /missing "workflow"/);
+      assert.deepEqual(workflowRegistry.outputNodes('i2v-wan'), ['131']);
+    });
+  });
+});
@@ -1,286 +1,523 @@
 // comfy.js
 // A simple web wrapper around the ComfyUI API.
-
+//
+// One client holds one websocket (identified by clientId) and can track several queued
+// prompts over it. Each prompt gets a promise (wait/run) that settles on execution_success,
+// execution_error, execution_interrupted, cancel() or its timeout. Progress is reported as
+// events. If the socket drops, the client reconnects with backoff under the same clientId
+// (ComfyUI keeps routing messages to it) and asks /history about prompts that may have
+// finished while it was away.
+//
+// Events: open, close, reconnecting, status, queued, executing, progress, executed
+
+const EventEmitter = require('node:events');
 const WebSocket = require('ws');
 const crypto = require('node:crypto');
 const url = require('node:url');
 
-// const Sentry = require('../vendors/sentry');
+const DEFAULT_PROMPT_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 30 * 1000;
+const DEFAULT_MAX_RECONNECT_ATTEMPTS = 10;
+// Messages for prompt IDs we don't know yet (they can beat the /prompt response)
+const MAX_EARLY_MESSAGES = 500;
+
+// Message types passed to onMessageCallback
+const CALLBACK_MESSAGE_TYPES = [
+  'progress',
+  'executed',
+  'execution_start',
+  'execution_cached',
+  'execution_error',
+  'execution_interrupted',
+  'execution_success',
+];
+
+function promptError(message, code, promptId, details) {
+  const error = new Error(message);
+  error.code = code; // EXECUTION_ERROR | INTERRUPTED | CANCELLED | TIMEOUT | DISCONNECTED
+  error.promptId = promptId;
+  if (details) error.details = details;
+  return error;
+}
 
-class ComfyUI {
-  constructor({ 
-    comfyUIServerURL, 
-    nodes, 
-    onSaveCallback, 
+class ComfyUI extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.comfyUIServerURL - ComfyUI base URL
+   * @param {Object} options.nodes - { api_save: [nodeId, ...] } output nodes that trigger onSaveCallback
+   * @param {Function} options.onSaveCallback - ({ message, promptId }) when an api_save node has executed
+   * @param {Function} options.onMessageCallback - ({ message, promptId }) for execution messages of tracked prompts
+   * @param {Function} options.onOpenCallback - (client) once, when the socket first opens
+   * @param {boolean} options.reconnect - Reconnect when the socket drops (default true)
+   * @param {number} options.maxReconnectAttempts - Give up (and fail tracked prompts) after this many
+   * @param {number} options.promptTimeoutMs - Default time a prompt may take from queue to result
+   */
+  constructor({
+    comfyUIServerURL,
+    nodes = { api_save: [] },
+    onSaveCallback,
     onMessageCallback,
     onOpenCallback,
+    reconnect = true,
+    maxReconnectAttempts = DEFAULT_MAX_RECONNECT_ATTEMPTS,
+    promptTimeoutMs = DEFAULT_PROMPT_TIMEOUT_MS,
   }) {
-    console.log(nodes);
+    super();
 
     // Init
     this.comfyUI = null;
     this.clientId = crypto.randomUUID();
     this.nodes = nodes;
     this.queueRemaining = 0;
-    this.imageURL = null;
     this.comfyUIServerURL = comfyUIServerURL;
-    this.promptId = -1;
-
-    if (onSaveCallback) {
-      this.onSaveCallback = onSaveCallback;
-    }
-
-    if (onMessageCallback) {
-      this.onMessageCallback = onMessageCallback;
-    }
-
-    if (onOpenCallback) {
-      this.onOpenCallback = onOpenCallback;
-    }
+    this.prompts = new Map(); // promptId -> tracked prompt state
+    this.earlyMessages = new Map(); // promptId -> [message]
+    this.executingPromptId = null;
+
+    this.reconnect = reconnect;
+    this.maxReconnectAttempts = maxReconnectAttempts;
+    this.promptTimeoutMs = promptTimeoutMs;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.hasOpened = false;
+    this.closed = false;
+
+    this.onSaveCallback = onSaveCallback;
+    this.onMessageCallback = onMessageCallback;
+    this.onOpenCallback = onOpenCallback;
 
     // Connect
     this.connect();
   }
-  
+
   connect() {
     console.log(`Connecting to ComfyUI server ${this.comfyUIServerURL}...`);
-    const socketURL = `${this.comfyUIServerURL.replace('https://', 'wss://')}/ws?clientId=${this.clientId}`;
-  
-    this.comfyUI = new WebSocket(socketURL);
+    const socketURL = `${this.comfyUIServerURL.replace(/^http/, 'ws')}/ws?clientId=${this.clientId}`;
 
-    // Connect
-    this.comfyUI.onopen = (data) => {
-      console.log('ComfyUI server opened.');
+    const socket = new WebSocket(socketURL);
+    this.comfyUI = socket;
 
-      // Let's assume this runs once (what happens if it disconnects and reconnects?)
-      if (this.onOpenCallback) {
+    // Connect
+    socket.onopen = () => {
+      const reconnected = this.hasOpened;
+      console.log(reconnected ? 'ComfyUI server reconnected.' : 'ComfyUI server opened.');
+      this.reconnectAttempts = 0;
+      this.hasOpened = true;
+      this.emit('open', { reconnected });
+
+      if (reconnected) {
+        // Anything that finished while we were away only shows up in the history
+        this.syncPrompts();
+      } else if (this.onOpenCallback) {
         this.onOpenCallback(this);
       }
     };
-  
+
     // Disconnect
-    this.comfyUI.onclose = (data) => {
-      console.log(`ComfyUI server closed: ${data.toString()}`);
+    socket.onclose = (event) => {
+      // A socket we already replaced with a newer one
+      if (socket !== this.comfyUI) return;
+
+      console.log(`ComfyUI server closed (code ${event.code})`);
+      this.emit('close', { code: event.code, reason: event.reason?.toString() });
+
+      if (!this.closed) {
+        this.scheduleReconnect();
+      }
     };
 
     // Message
-    this.comfyUI.onmessage = async (event) => {
-      // Send Image Websocket Method      
-      if (event.data instanceof Buffer) { // Changed from Blob check        
-        // Handle binary data directly using Buffer
-        /*
-        const arrayBuffer = event.data;
-        const dataView = new DataView(arrayBuffer.buffer);
-        const event = dataView.getUint32(0);
-        const format = dataView.getUint32(4);
-
-        if (event === 1) {
-          let imageData = arrayBuffer.slice(8);  // Extract image data
-          let mimeType = format === 1 ? 'image/jpeg' : 'image/png';
-
-          if (this.onSaveCallback) {
-            this.onSaveCallback({ 
-              buffer: imageData, 
-              mimeType, 
-              promptId: this.promptId 
-            });
-          }
-        }
-        */
-      } else {
-        try {
-          const message = JSON.parse(event.data);
-
-          if (!['crystools.monitor', 'progress'].includes(message.type)) {
-            // console.log('Web Socket:', message);
-          }
-  
-          if (message.type === 'status') {
-            this.queueRemaining = message.data.status.exec_info.queue_remaining;
-            // End of queue
-            if (this.queueRemaining === 0) {
-              // Not sure if this is needed
-            }
-          }
-
-          if (message.data?.prompt_id && message.data.prompt_id === this.promptId) {
-            // Queue Callback
-
-            // Execution Started
-            if (message.type === 'execution_start') {
-              console.log('Execution Started', message);
-            }
-    
-            // Execution Error
-            if (message.type === 'execution_error') {
-              console.error('Execution Error', message);
-              // Sentry.captureException('Execution Error', {
-              //   extra: {
-              //     message,
-              //     promptId: this.promptId,
-              //   },
-              // });
-            }
-
-            // Executed
-            if (message.type === 'executed') {
-              console.log('Executed:', message);
-
-              // Save Callback
-              if (this.nodes.api_save.includes(message.data.node)) {
-                console.log(`Saving File: ${message.data.prompt_id}`);
-  
-                // Method: Triggers when node matches "api_save" in the nodes object, 
-                // usually a PreviewImage, or VHS_VideoCombine
-                if (this.onSaveCallback) {
-                  this.onSaveCallback({ message, promptId: this.promptId });
-                }
-              }
-            }
-
-            // Executed Complete
-            if (message.type === 'execution_success') {
-              console.log('Executed Complete:', message);
-            }
-
-            if (message.type === 'status' && message.data?.status?.exec_info?.queue_remaining === 0) {
-              // Empty Queue
-              console.log('Empty Queue');
-            }
-
-            // Message Callback
-            if ([
-              'executed',
-              'execution_start',
-              'execution_cache',
-              'execution_error',
-              'execution_success',
-            ].includes(message.type)) {
-              if (this.onMessageCallback) {
-                this.onMessageCallback({ message, promptId: this.promptId });
-              }
-            }
-          }
-        } catch (err) {
-          console.error('Unknown message:', event.data);
-          console.error(err);
-        }
+    socket.onmessage = (event) => {
+      // Binary messages are preview images; we read outputs through /view instead
+      if (typeof event.data !== 'string') return;
+
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (err) {
+        console.error('Unknown message:', event.data);
+        console.error(err);
       }
     };
-  
-    // Error
-    this.comfyUI.onerror = (err) => {
-      console.error(err);
-      console.error(`Websocket Error with Client ${this.clientId}`);
-  
-      // Close Websocket
-      this.disconnect();
+
+    // Error (a close event always follows)
+    socket.onerror = (err) => {
+      console.error(`Websocket Error with Client ${this.clientId}:`, err.message);
     };
   }
 
+  scheduleReconnect() {
+    if (!this.reconnect || this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.error('Giving up on the ComfyUI connection.');
+      this.closed = true;
+      this.failAll(promptError('Lost connection to ComfyUI', 'DISCONNECTED'));
+      return;
+    }
+
+    const delayMs = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+    this.reconnectAttempts++;
+    console.log(`Reconnecting to ComfyUI in ${delayMs}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delayMs });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delayMs);
+  }
+
+  /**
+   * Wait until the socket is open
+   * @param {number} timeoutMs - Reject after this long
+   * @returns {Promise<void>}
+   */
+  waitForOpen(timeoutMs = 30000) {
+    if (this.comfyUI?.readyState === WebSocket.OPEN) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.off('open', onOpen);
+        reject(new Error('ComfyUI connection timeout'));
+      }, timeoutMs);
+
+      const onOpen = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+      this.once('open', onOpen);
+    });
+  }
+
   disconnect() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.failAll(promptError('ComfyUI client disconnected', 'DISCONNECTED'));
     this.comfyUI.close();
     console.log('Disconnected from ComfyUI server.');
   }
 
-  queue({ workflowDataAPI }) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        const options = {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            prompt: workflowDataAPI,
-            client_id: this.clientId,
-          }),
-        };
+  handleMessage(message) {
+    if (message.type === 'status') {
+      this.queueRemaining = message.data?.status?.exec_info?.queue_remaining ?? this.queueRemaining;
+      this.emit('status', { queueRemaining: this.queueRemaining });
+      return;
+    }
 
-        const response = await fetch(`${this.comfyUIServerURL}/prompt`, options);
-        if (!response.ok) {
-          throw new Error(`Server responded with status ${response.status}`);
-        }
-        const responseData = await response.json();
+    const promptId = message.data?.prompt_id;
+    if (!promptId) return;
 
-        // Set Prompt ID
-        if (responseData.prompt_id) {
-          this.promptId = responseData.prompt_id;
-        }
+    const prompt = this.prompts.get(promptId);
+    if (!prompt) {
+      this.bufferEarlyMessage(promptId, message);
+      return;
+    }
 
-        // Print all the node errors
-        if (responseData.node_errors && Object.keys(responseData.node_errors).length > 0) {
-          for (const [nodeId, nodeError] of Object.entries(responseData.node_errors)) {
-            console.error(`Node ${nodeId} (${nodeError.class_type}):`);
-            if (Array.isArray(nodeError.errors)) {
-              nodeError.errors.forEach((error, index) => {
-                console.error(`  Error ${index + 1}: ${JSON.stringify(error)}`);
-              });
-            }
-            if (nodeError.dependent_outputs?.length > 0) {
-              console.error('  Affected outputs:', nodeError.dependent_outputs);
-            }
-          }
-          // Sentry.captureException('ComfyUI Workflow Errors', {
-          //   extra: {
-          //     promptId: this.promptId,
-          //     requestId: this.requestId,
-          //     clientId: this.clientId,
-          //     workflowDataAPI,
-          //     response: responseData,
-          //   },
-          // });
+    switch (message.type) {
+      // Execution Started
+      case 'execution_start':
+        console.log('Execution Started', promptId);
+        prompt.status = 'running';
+        this.executingPromptId = promptId;
+        break;
+
+      case 'executing':
+        this.emit('executing', { promptId, node: message.data.node });
+        break;
+
+      case 'progress':
+        prompt.progress = { value: message.data.value, max: message.data.max, node: message.data.node };
+        this.emit('progress', { promptId, ...prompt.progress });
+        if (prompt.onProgress) prompt.onProgress({ promptId, ...prompt.progress });
+        break;
+
+      // Executed
+      case 'executed':
+        console.log('Executed:', promptId, message.data.node);
+        prompt.outputs[message.data.node] = message.data.output;
+        this.emit('executed', { promptId, node: message.data.node, output: message.data.output });
+
+        // Save Callback: triggers when node matches "api_save" in the nodes object,
+        // usually a PreviewImage, or VHS_VideoCombine
+        if (this.nodes.api_save.includes(message.data.node) && this.onSaveCallback) {
+          console.log(`Saving File: ${promptId}`);
+          this.onSaveCallback({ message, promptId });
         }
+        break;
 
-        // Check if any dependent_outputs include the nodes.api_save string value
-        const saveNodeAffected = Object.values(responseData.node_errors).some((nodeError) => 
-          nodeError.dependent_outputs?.some((output) => this.nodes.api_save.includes(output))
-        );
+      default:
+        break;
+    }
 
-        if (saveNodeAffected) {
-          // Cancel the request
-          console.error('Save node affected by errors.');
-          this.interupt();
-          reject(new Error('Save node affected by errors.'));
-        } else {
-          console.log(responseData);
-          resolve(responseData);
-        }
-      } catch (err) {
-        // Sentry.captureException(err);
-        console.error(err);
-        reject(err);
-      }
+    // Message Callback
+    if (CALLBACK_MESSAGE_TYPES.includes(message.type) && this.onMessageCallback) {
+      this.onMessageCallback({ message, promptId });
+    }
+
+    // Settle the prompt last, so callbacks see its final message first
+    if (message.type === 'execution_success') {
+      this.settle(prompt, null);
+    } else if (message.type === 'execution_error') {
+      console.error('Execution Error', message);
+      this.settle(prompt, promptError('ComfyUI execution failed', 'EXECUTION_ERROR', promptId, message.data.exception_message));
+    } else if (message.type === 'execution_interrupted') {
+      this.settle(prompt, promptError('ComfyUI execution was interrupted', 'INTERRUPTED', promptId));
+    }
+  }
+
+  bufferEarlyMessage(promptId, message) {
+    if (!this.earlyMessages.has(promptId)) this.earlyMessages.set(promptId, []);
+    this.earlyMessages.get(promptId).push(message);
+
+    // Prompts queued by someone else never get claimed; drop the oldest
+    let buffered = [...this.earlyMessages.values()].reduce((sum, messages) => sum + messages.length, 0);
+    for (const [id, messages] of this.earlyMessages) {
+      if (buffered <= MAX_EARLY_MESSAGES) break;
+      this.earlyMessages.delete(id);
+      buffered -= messages.length;
+    }
+  }
+
+  /**
+   * Start tracking a prompt (done by queue) and replay messages that arrived before it was known
+   */
+  track(promptId, { timeoutMs = this.promptTimeoutMs, onProgress } = {}) {
+    const prompt = { promptId, status: 'queued', outputs: {}, progress: null, onProgress };
+    prompt.promise = new Promise((resolve, reject) => {
+      prompt.resolve = resolve;
+      prompt.reject = reject;
     });
+    // Callers may only use callbacks; a rejection nobody awaits must not crash the process
+    prompt.promise.catch(() => {});
+
+    prompt.timer = setTimeout(() => {
+      console.error(`Prompt ${promptId} timed out after ${timeoutMs}ms`);
+      this.cancel(promptId, promptError(`ComfyUI prompt timed out after ${timeoutMs}ms`, 'TIMEOUT', promptId))
+        .catch(err => console.error('Failed to cancel timed out prompt:', err.message));
+    }, timeoutMs);
+
+    this.prompts.set(promptId, prompt);
+
+    const early = this.earlyMessages.get(promptId) || [];
+    this.earlyMessages.delete(promptId);
+    early.forEach(message => this.handleMessage(message));
+
+    return prompt;
   }
 
-  interupt() {
-    return new Promise(async (resolve, reject) => {
+  settle(prompt, error) {
+    if (!this.prompts.has(prompt.promptId)) return;
+
+    clearTimeout(prompt.timer);
+    this.prompts.delete(prompt.promptId);
+    if (this.executingPromptId === prompt.promptId) this.executingPromptId = null;
+
+    if (error) {
+      prompt.reject(error);
+    } else {
+      prompt.resolve({ promptId: prompt.promptId, outputs: prompt.outputs });
+    }
+  }
+
+  failAll(error) {
+    for (const prompt of [...this.prompts.values()]) {
+      this.settle(prompt, promptError(error.message, error.code, prompt.promptId));
+    }
+  }
+
+  // After a reconnect, settle prompts whose result we missed
+  async syncPrompts() {
+    for (const prompt of [...this.prompts.values()]) {
       try {
-        // TODO: Does this ONLY remove the prompt from the queue?
-        //       What if the prompt is already running?
+        const entry = await this.getHistory(prompt.promptId);
+        if (!entry?.status?.completed && entry?.status?.status_str !== 'error') continue;
 
-        const response = await fetch(`${this.comfyUIServerURL}/api/interrupt`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            client_id: this.clientId,
-            prompt_id: this.promptId,
-          }),
-        });
+        for (const [node, output] of Object.entries(entry.outputs || {})) {
+          if (prompt.outputs[node]) continue;
+          this.handleMessage({ type: 'executed', data: { node, display_node: node, output, prompt_id: prompt.promptId } });
+        }
 
-        if (!response.ok) {
-          throw new Error(`Server responded with status ${response.status}`);
+        if (entry.status.status_str === 'error') {
+          this.handleMessage({ type: 'execution_error', data: { prompt_id: prompt.promptId, exception_message: 'Reported by /history' } });
+        } else {
+          this.handleMessage({ type: 'execution_success', data: { prompt_id: prompt.promptId, timestamp: Date.now() } });
         }
-        resolve();
       } catch (err) {
-        // Sentry.captureException(err);
-        console.error(err);
-        reject(err);
+        console.error(`Failed to check history for prompt ${prompt.promptId}:`, err.message);
       }
+    }
+  }
+
+  /**
+   * Queue a workflow and start tracking it
+   * @param {Object} options
+   * @param {Object} options.workflowDataAPI - Workflow in API format
+   * @param {number} options.timeoutMs - Cancel the prompt if it hasn't finished by then
+   * @param {Function} options.onProgress - ({ promptId, value, max, node }) for each sampler step
+   * @returns {Promise<Object>} ComfyUI's /prompt response ({ prompt_id, number, node_errors })
+   */
+  async queue({ workflowDataAPI, timeoutMs, onProgress }) {
+    const options = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        prompt: workflowDataAPI,
+        client_id: this.clientId,
+      }),
+    };
+
+    const response = await fetch(`${this.comfyUIServerURL}/prompt`, options);
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`❌ ComfyUI rejected the prompt with status ${response.status}:`, errorText);
+      throw new Error(`Server responded with status ${response.status}: ${errorText}`);
+    }
+    const responseData = await response.json();
+
+    this.track(responseData.prompt_id, { timeoutMs, onProgress });
+    this.emit('queued', { promptId: responseData.prompt_id, number: responseData.number });
+
+    // Print all the node errors
+    const nodeErrors = responseData.node_errors || {};
+    for (const [nodeId, nodeError] of Object.entries(nodeErrors)) {
+      console.error(`Node ${nodeId} (${nodeError.class_type}):`);
+      if (Array.isArray(nodeError.errors)) {
+        nodeError.errors.forEach((error, index) => {
+          console.error(`  Error ${index + 1}: ${JSON.stringify(error)}`);
+        });
+      }
+      if (nodeError.dependent_outputs?.length > 0) {
+        console.error('  Affected outputs:', nodeError.dependent_outputs);
+      }
+    }
+
+    // Check if any dependent_outputs include the nodes.api_save string value
+    const saveNodeAffected = Object.values(nodeErrors).some((nodeError) =>
+      nodeError.dependent_outputs?.some((output) => this.nodes.api_save.includes(output))
+    );
+
+    if (saveNodeAffected) {
+      // Cancel the request
+      console.error('Save node affected by errors.');
+      await this.cancel(responseData.prompt_id);
+      throw new Error('Save node affected by errors.');
+    }
+
+    return responseData;
+  }
+
+  /**
+   * Wait for a queued prompt to finish
+   * @param {string} promptId - Prompt ID returned by queue
+   * @returns {Promise<Object>} { promptId, outputs } where outputs maps node IDs to their output
+   */
+  wait(promptId) {
+    const prompt = this.prompts.get(promptId);
+    if (!prompt) {
+      return Promise.reject(new Error(`Prompt is not being tracked: ${promptId}`));
+    }
+    return prompt.promise;
+  }
+
+  /**
+   * Queue a workflow and wait for its outputs
+   * @param {Object} options - Same as queue, plus:
+   * @param {AbortSignal} options.signal - Cancels the prompt when aborted
+   * @returns {Promise<Object>} { promptId, outputs }
+   */
+  async run({ workflowDataAPI, timeoutMs, onProgress, signal }) {
+    signal?.throwIfAborted();
+    const { prompt_id: promptId } = await this.queue({ workflowDataAPI, timeoutMs, onProgress });
+
+    const onAbort = () => {
+      this.cancel(promptId).catch(err => console.error('Failed to cancel prompt:', err.message));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await this.wait(promptId);
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Cancel a prompt: delete it from the queue if it hasn't started, interrupt it if it is running
+   * @param {string} promptId - Prompt ID returned by queue
+   * @param {Error} reason - Rejection for the prompt's promise
+   * @returns {Promise<void>}
+   */
+  async cancel(promptId, reason = promptError('ComfyUI prompt was cancelled', 'CANCELLED', promptId)) {
+    if (!promptId) throw new Error('A prompt ID is required to cancel a prompt');
+    const prompt = this.prompts.get(promptId);
+    // Settle first: the interrupted message that follows must not overwrite the reason
+    if (prompt) this.settle(prompt, reason);
+
+    const { queue_running: running = [], queue_pending: pending = [] } = await this.getQueue();
+
+    if (pending.some(item => item[1] === promptId)) {
+      console.log(`Removing prompt ${promptId} from the queue`);
+      await this.post('/queue', { delete: [promptId] });
+    } else if (running.some(item => item[1] === promptId)) {
+      await this.interrupt(promptId);
+    }
+  }
+
+  /**
+   * Interrupt the running prompt. Only interrupts when it is the given one, since older
+   * ComfyUI versions ignore prompt_id and stop whatever is running.
+   * @param {string} promptId - Prompt ID returned by queue
+   * @returns {Promise<void>}
+   */
+  async interrupt(promptId) {
+    if (!promptId) throw new Error('A prompt ID is required to interrupt a prompt');
+    console.log(`Interrupting prompt ${promptId}`);
+    await this.post('/interrupt', { client_id: this.clientId, prompt_id: promptId });
+  }
+
+  async getQueue() {
+    const response = await fetch(`${this.comfyUIServerURL}/queue`);
+    if (!response.ok) {
+      throw new Error(`Server responded with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Number of prompts ComfyUI will run before a queued one
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<number|null>} Prompts ahead, or null once it is running or finished
+   */
+  async getQueuePosition(promptId) {
+    const { queue_running: running = [], queue_pending: pending = [] } = await this.getQueue();
+
+    // Pending items are [number, promptId, ...]; lower numbers run first
+    const order = [...pending].sort((a, b) => a[0] - b[0]).map(item => item[1]);
+    const index = order.indexOf(promptId);
+    return index === -1 ? null : running.length + index;
+  }
+
+  async getHistory(promptId) {
+    const response = await fetch(`${this.comfyUIServerURL}/history/${promptId}`);
+    if (!response.ok) {
+      throw new Error(`Server responded with status ${response.status}`);
+    }
+    const history = await response.json();
+    return history[promptId] || null;
+  }
+
+  async post(path, body) {
+    const response = await fetch(`${this.comfyUIServerURL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
     });
+
+    if (!response.ok) {
+      throw new Error(`Server responded with status ${response.status}`);
+    }
   }
 
   getFile({ filename, subfolder, type }) {
@@ -297,7 +534,7 @@ class ComfyUI {
         console.log(`Retrieving File ${urlString}.`);
 
         const response = await fetch(urlString);
-        
+
         if (!response.ok) {
           const errorText = await response.text();
           console.error(`❌ Failed to retrieve file from ComfyUI with status ${response.status}:`, errorText);
@@ -310,7 +547,7 @@ class ComfyUI {
 
         const arrayBuffer = await response.arrayBuffer();
         console.log(`✅ File retrieved successfully, size: ${arrayBuffer.byteLength} bytes`);
-        
+
         // Validate that we received some data
         if (arrayBuffer.byteLength === 0) {
           throw new Error('Received empty file from ComfyUI');
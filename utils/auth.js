@@ -0,0 +1,133 @@
+// Request authentication
+// The frontend signs in with Supabase Auth (anonymously by default) and sends the access token
+// as "Authorization: Bearer <jwt>". The user id is taken from the verified token, never from
+// the URL or request body.
+
+const db = require('./db');
+
+// Verified tokens are cached briefly so every request doesn't round-trip to Supabase Auth
+const TOKEN_CACHE_TTL = 1000 * 60; // 1 minute
+const TOKEN_CACHE_MAX_ENTRIES = 1000;
+const tokenCache = new Map();
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read the bearer token from an Authorization header
+ * @param {string|undefined} header - Authorization header value
+ * @returns {string|null} The token, or null if missing
+ */
+function getBearerToken(header) {
+  if (!header || typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Verify a Supabase access token and return its user
+ * @param {string} token - Supabase JWT
+ * @returns {Promise<Object>} Supabase user ({ id, is_anonymous, ... })
+ * @throws {AuthError} If the token is missing, invalid or expired
+ */
+async function verifyAccessToken(token) {
+  if (!token) {
+    throw new AuthError('Authentication required');
+  }
+
+  const now = Date.now();
+  const cached = tokenCache.get(token);
+  if (cached && cached.expiresAt > now) {
+    return cached.user;
+  }
+
+  // getUser checks the signature and expiry with Supabase Auth
+  const { data, error } = await db.client.auth.getUser(token);
+  if (error || !data?.user) {
+    tokenCache.delete(token);
+    throw new AuthError('Invalid or expired token');
+  }
+
+  if (tokenCache.size >= TOKEN_CACHE_MAX_ENTRIES) {
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+  tokenCache.set(token, { user: data.user, expiresAt: now + TOKEN_CACHE_TTL });
+
+  return data.user;
+}
+
+/**
+ * Express middleware: verify the bearer token, set req.uid/req.user, and reject requests
+ * whose :uid path parameter or body uid belongs to someone else.
+ * Must be attached per route (not with app.use) so req.params is populated.
+ */
+async function requireUser(req, res, next) {
+  try {
+    const user = await verifyAccessToken(getBearerToken(req.headers.authorization));
+    req.user = user;
+    req.uid = user.id;
+  } catch (error) {
+    if (error instanceof AuthError) {
+      console.log('🔒 Rejected request:', error.message);
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error verifying access token:', error);
+    return res.status(500).json({ error: 'Failed to verify access token' });
+  }
+
+  const claimedUids = [req.params?.uid, req.body?.uid].filter(Boolean);
+  if (claimedUids.some(uid => uid !== req.uid)) {
+    console.log('🔒 UID mismatch for user:', req.uid, 'claimed:', claimedUids);
+    return res.status(403).json({ error: 'UID does not match the authenticated user' });
+  }
+
+  // Routes keep reading req.body.uid, so fill it in from the token when omitted
+  if (req.body && typeof req.body === 'object' && !req.body.uid) {
+    req.body.uid = req.uid;
+  }
+
+  next();
+}
+
+/**
+ * Express middleware for routes addressed by a storage key (uid/chatId/file):
+ * the first key segment must be the authenticated user.
+ * @param {Function} getKey - Reads the key from the request
+ */
+function requireOwnKey(getKey) {
+  return (req, res, next) => {
+    const key = getKey(req) || '';
+    if (key.split('/')[0] !== req.uid) {
+      console.log('🔒 Key does not belong to user:', req.uid, key);
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware for operator routes: the authenticated user (see requireUser) must be
+ * listed in ADMIN_USER_IDS (comma-separated Supabase user ids).
+ */
+function requireAdmin(req, res, next) {
+  const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (!adminIds.includes(req.uid)) {
+    console.log('🔒 Admin route refused for user:', req.uid);
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+module.exports = {
+  AuthError,
+  getBearerToken,
+  verifyAccessToken,
+  requireUser,
+  requireOwnKey,
+  requireAdmin,
+};
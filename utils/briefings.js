@@ -0,0 +1,300 @@
+// Scheduled news briefings
+// Users pick a time of day, a timezone and their locations. Every minute the scheduler looks for
+// schedules whose next_run_at has passed, claims each one by moving next_run_at to the next day
+// with a conditional update (only one server wins), and queues a 'briefing' job. The job writes
+// one segment per location in the user's persona, voices it, and saves the episode as a chat of
+// type 'briefing', which the chat list shows first, and as an MP3 for the podcast feed.
+
+const { randomUUID } = require('node:crypto');
+const db = require('./db');
+const mediaService = require('./media');
+const jobQueue = require('./jobQueue');
+const podcastFeeds = require('./podcast');
+const ai = require('./generate');
+const newsSources = require('./news');
+const { bytesToMs } = require('./episodes');
+const { formatLocationName } = require('./helpers');
+
+const BRIEFING_JOB_TYPE = 'briefing';
+const CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_LATE_MS = 3 * 60 * 60 * 1000; // after downtime, briefings older than this are skipped
+const MAX_LOCATIONS = 5;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::00)?$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock date and time of an instant in a timezone
+function localParts(timeZone, at) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(at);
+
+  return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+}
+
+// How far a timezone's wall clock is ahead of UTC at an instant, in ms
+function timezoneOffset(timeZone, at) {
+  const local = localParts(timeZone, at);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return asUtc - Math.floor(at.getTime() / 1000) * 1000;
+}
+
+/**
+ * Find the next time a wall-clock time comes around in a timezone
+ * @param {string} timeOfDay - HH:MM
+ * @param {string} timeZone - IANA timezone, e.g. America/Toronto
+ * @param {Date} after - Only instants later than this are returned
+ * @returns {Date} The next occurrence
+ */
+function nextRunAt(timeOfDay, timeZone, after = new Date()) {
+  const [hour, minute] = timeOfDay.split(':').map(Number);
+  const today = localParts(timeZone, after);
+
+  for (let days = 0; days <= 2; days++) {
+    const wallClock = Date.UTC(today.year, today.month - 1, today.day + days, hour, minute);
+    // A second pass settles the offset when a DST change falls between the guesses
+    let instant = wallClock - timezoneOffset(timeZone, new Date(wallClock));
+    instant = wallClock - timezoneOffset(timeZone, new Date(instant));
+    if (instant > after.getTime()) return new Date(instant);
+  }
+  throw new Error(`Could not schedule ${timeOfDay} in ${timeZone}`);
+}
+
+class BriefingScheduler {
+  constructor() {
+    this.timer = null;
+    this.checking = null;
+  }
+
+  /**
+   * Get a user's briefing schedule
+   * @param {string} uid - User ID
+   * @returns {Promise<Object|null>} The briefing_schedules row, or null if the user has none
+   */
+  async getSchedule(uid) {
+    const { data, error } = await db.client
+      .from('briefing_schedules')
+      .select('*')
+      .eq('user_id', uid)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Check briefing settings from a client
+   * @param {Object} settings - { enabled, time, timezone, locations, personaId }
+   * @returns {Promise<Array<string>>} Problems; empty when the settings can be saved
+   */
+  async validateSettings({ enabled = true, time, timezone, locations, personaId } = {}) {
+    const problems = [];
+
+    if (typeof enabled !== 'boolean') {
+      problems.push('enabled must be true or false');
+    }
+    if (typeof time !== 'string' || !TIME_PATTERN.test(time)) {
+      problems.push('time must be HH:MM');
+    }
+    if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+      problems.push(`Unknown timezone: ${timezone}`);
+    }
+
+    if (!Array.isArray(locations) || !locations.every(location => typeof location === 'string')) {
+      problems.push('locations must be an array of strings');
+    } else {
+      const unsupported = locations.filter(location => !newsSources.isLocationSupported(location));
+      if (unsupported.length > 0) {
+        problems.push(`Unsupported locations: ${unsupported.join(', ')}`);
+      }
+      if (enabled && locations.length === 0) {
+        problems.push('Pick at least one location for the briefing');
+      }
+      if (locations.length > MAX_LOCATIONS) {
+        problems.push(`A briefing covers at most ${MAX_LOCATIONS} locations`);
+      }
+    }
+
+    if (personaId && !(await db.getPersonaById(personaId))) {
+      problems.push('Invalid persona ID');
+    }
+
+    return problems;
+  }
+
+  /**
+   * Save a user's briefing schedule and work out when it next runs
+   * @param {string} uid - User ID
+   * @param {Object} settings - Settings that passed validateSettings
+   * @returns {Promise<Object>} The stored briefing_schedules row
+   */
+  async saveSchedule(uid, { enabled = true, time, timezone, locations, personaId = null }) {
+    const timeOfDay = time.slice(0, 5);
+
+    const { data, error } = await db.client
+      .from('briefing_schedules')
+      .upsert({
+        user_id: uid,
+        enabled,
+        time_of_day: timeOfDay,
+        timezone,
+        locations: [...new Set(locations.map(location => location.toLowerCase()))],
+        persona_id: personaId,
+        next_run_at: enabled ? nextRunAt(timeOfDay, timezone).toISOString() : null
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    console.log(`📅 Briefing for ${uid} ${enabled ? `scheduled at ${data.next_run_at}` : 'turned off'}`);
+    return data;
+  }
+
+  /**
+   * Queue the briefings whose time has come. Called on a timer.
+   * @returns {Promise<Array<Object>>} The queued jobs
+   */
+  async runDue() {
+    const now = new Date();
+    const { data: due, error } = await db.client
+      .from('briefing_schedules')
+      .select('*')
+      .eq('enabled', true)
+      .lte('next_run_at', now.toISOString());
+
+    if (error) throw error;
+
+    const jobs = [];
+    for (const schedule of due || []) {
+      if (!(await this.claim(schedule, now))) continue;
+
+      if (now - Date.parse(schedule.next_run_at) > MAX_LATE_MS) {
+        console.warn(`⚠️ Skipping briefing for ${schedule.user_id}, it was due at ${schedule.next_run_at}`);
+        continue;
+      }
+
+      jobs.push(await jobQueue.enqueue(BRIEFING_JOB_TYPE, {
+        userId: schedule.user_id,
+        payload: {
+          chatId: randomUUID(),
+          locations: schedule.locations,
+          personaId: schedule.persona_id,
+          timezone: schedule.timezone
+        }
+      }));
+      console.log(`📅 Queued briefing for ${schedule.user_id}: ${schedule.locations.join(', ')}`);
+    }
+    return jobs;
+  }
+
+  // Move next_run_at on, unless another server already did
+  async claim(schedule, now) {
+    const { data, error } = await db.client
+      .from('briefing_schedules')
+      .update({
+        next_run_at: nextRunAt(schedule.time_of_day, schedule.timezone, now).toISOString(),
+        last_run_at: now.toISOString()
+      })
+      .eq('user_id', schedule.user_id)
+      .eq('next_run_at', schedule.next_run_at)
+      .select();
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Start checking for due briefings
+   */
+  start() {
+    if (this.timer) return;
+    console.log('📅 Briefing scheduler started');
+    this.timer = setInterval(() => {
+      if (this.checking) return;
+      this.checking = this.runDue()
+        .catch(error => console.error('❌ Error queueing briefings:', error))
+        .finally(() => { this.checking = null; });
+    }, CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop checking; queued briefings still run on the job queue
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Write, voice and save one briefing
+ * @param {Object} options - Handler options from the job queue
+ * @param {Object} options.job - Job row; payload is { chatId, locations, personaId, timezone }
+ * @param {AbortSignal} options.signal - Aborted when the job times out or is cancelled
+ * @param {Function} options.reportProgress - Stores the job's progress
+ * @returns {Promise<Object>} { chatId, segments }
+ */
+async function runBriefingJob({ job, signal, reportProgress = () => {} }) {
+  const { chatId, locations, personaId, timezone } = job.payload;
+
+  const persona = (personaId && await db.getPersonaById(personaId)) || (await db.getPersonas())[0];
+  if (!persona) {
+    throw new Error('No persona available for the briefing');
+  }
+
+  const segments = [];
+  for (const [index, location] of locations.entries()) {
+    signal?.throwIfAborted();
+    reportProgress({ stage: 'segment', value: index, max: locations.length, location });
+
+    const prompt = `Give me this morning's top news for ${formatLocationName(location)}.`;
+    const content = await ai.generateAIResponse(prompt, persona, [], [location]);
+    const { audioData } = await ai.generateAudio(content, persona);
+    const audio = Buffer.from(audioData, 'base64');
+    const audioUrl = await mediaService.uploadAudioFile(audio, job.user_id, chatId);
+
+    // The stories the segment was written from, cited in the podcast feed's show notes
+    const sources = (await ai.getTopStories([location], prompt)).map(({ headline, source, url }) => ({ headline, source, url }));
+
+    segments.push({ location, content, audioUrl, durationMs: bytesToMs(audio.length), sources });
+  }
+
+  const date = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'long', month: 'long', day: 'numeric' }).format(new Date());
+  const chat = await db.saveBriefing(job.user_id, chatId, persona, `Briefing for ${date}`, segments);
+
+  // The briefing is saved either way; a missing podcast episode is made when the feed is next read
+  try {
+    await podcastFeeds.ensureEpisodeAudio(chat);
+  } catch (error) {
+    console.error(`❌ Error storing podcast episode for briefing ${chatId}:`, error);
+  }
+
+  console.log(`✅ Briefing ready for ${job.user_id}: ${segments.length} segments`);
+  return { chatId, segments: segments.length };
+}
+
+jobQueue.register(BRIEFING_JOB_TYPE, runBriefingJob, {
+  concurrency: Number(process.env.BRIEFING_JOB_CONCURRENCY) || 2,
+  timeoutMs: Number(process.env.BRIEFING_JOB_TIMEOUT_MS) || 10 * 60 * 1000,
+  maxAttempts: 2
+});
+
+// Create and export singleton instance
+const briefingScheduler = new BriefingScheduler();
+
+module.exports = briefingScheduler;
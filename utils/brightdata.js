@@ -621,24 +621,16 @@ function getLocationVariations(location) {
 }
 
 /**
- * Generate news context from Reddit articles for AI consumption
- * @param {Array} articles - Processed Reddit articles
- * @param {string} location - The location(s)
- * @returns {string} News summary for AI context
+ * Pick the most relevant articles and summarize each as a news segment
+ * @param {Array} articles - Normalized articles from the news sources
+ * @param {number} count - How many segments to return
+ * @returns {Array<Object>} Segments ({ headline, content, source, url, timeAgo, engagementLevel, community, topComments, ... }), most relevant first
  */
-function generateNewsContext(articles, location) {
-  if (!articles || articles.length === 0) {
-    return `No current community discussions found for ${location}. You may want to discuss general topics or ask the user for more specific interests.`;
-  }
-  
+function getTopNewsSegments(articles, count = 5) {
   // Sort articles by relevance score (highest first)
-  const sortedArticles = articles.sort((a, b) => b.relevanceScore - a.relevanceScore);
-  
-  // Group articles by topic/theme for better coherence
-  const topArticles = sortedArticles.slice(0, 5); // Focus on top 5 most relevant
-  
-  // Create coherent news segments
-  const newsSegments = topArticles.map((article, index) => {
+  const sortedArticles = [...articles].sort((a, b) => b.relevanceScore - a.relevanceScore);
+
+  return sortedArticles.slice(0, count).map((article) => {
     const timeAgo = article.publishDate ? getTimeAgo(new Date(article.publishDate)) : 'recently';
     
     // Extract key topics and sentiment
@@ -649,13 +641,30 @@ function generateNewsContext(articles, location) {
       headline: article.headline,
       content: article.content,
       source: article.source,
+      url: article.url || null,
       timeAgo: timeAgo,
       engagement: engagement,
       engagementLevel: engagementLevel,
       relevanceScore: article.relevanceScore,
+      community: Boolean(article.community),
       topComments: article.topComments || []
     };
   });
+}
+
+/**
+ * Generate news context from articles for AI consumption
+ * @param {Array} articles - Normalized articles from the news sources (community ones are Reddit discussions)
+ * @param {string} location - The location(s)
+ * @returns {string} News summary for AI context
+ */
+function generateNewsContext(articles, location) {
+  if (!articles || articles.length === 0) {
+    return `No current news or community discussions found for ${location}. You may want to discuss general topics or ask the user for more specific interests.`;
+  }
+  
+  // Create coherent news segments from the top 5 most relevant articles
+  const newsSegments = getTopNewsSegments(articles, 5);
   
   // Create a coherent narrative for news anchor
   const topStory = newsSegments[0];
@@ -665,8 +674,8 @@ function generateNewsContext(articles, location) {
   
   // Lead story
   newsScript += `**TOP STORY:** ${topStory.headline}\n`;
-  newsScript += `Community Discussion: ${topStory.content}\n`;
-  newsScript += `Source: ${topStory.source} | Posted: ${topStory.timeAgo} | Community Engagement: ${topStory.engagementLevel}\n`;
+  newsScript += `${topStory.community ? 'Community Discussion' : 'Summary'}: ${topStory.content}\n`;
+  newsScript += `Source: ${topStory.source} | Posted: ${topStory.timeAgo}${topStory.community ? ` | Community Engagement: ${topStory.engagementLevel}` : ''}\n`;
   
   // Add top comments for context
   if (topStory.topComments && topStory.topComments.length > 0) {
@@ -683,7 +692,7 @@ function generateNewsContext(articles, location) {
     otherStories.forEach((story, index) => {
       newsScript += `${index + 2}. ${story.headline}\n`;
       if (story.content) {
-        newsScript += `   Community says: ${story.content.substring(0, 200)}${story.content.length > 200 ? '...' : ''}\n`;
+        newsScript += `   ${story.community ? 'Community says' : 'Summary'}: ${story.content.substring(0, 200)}${story.content.length > 200 ? '...' : ''}\n`;
       }
       newsScript += `   Source: ${story.source} | ${story.timeAgo}\n`;
       
@@ -697,14 +706,24 @@ function generateNewsContext(articles, location) {
   }
   
   // Add context for news anchor persona
+  const hasCommunity = newsSegments.some(segment => segment.community);
+  const hasReported = newsSegments.some(segment => !segment.community);
+
   newsScript += `**NEWS ANCHOR GUIDANCE:**\n`;
-  newsScript += `- These are current community discussions from Reddit, not traditional news sources\n`;
-  newsScript += `- Present information conversationally, acknowledging it's from community discussions\n`;
-  newsScript += `- Focus on community sentiment and local perspectives\n`;
-  newsScript += `- Use phrases like "the community is discussing...", "locals are talking about...", "people are saying..."\n`;
-  newsScript += `- Include community reactions and comments to show public sentiment\n`;
-  newsScript += `- Reference specific community feedback when relevant (e.g., "One resident commented...", "The community is responding...")\n`;
-  newsScript += `- ${topStory.engagementLevel === 'high' ? 'The top story has significant community interest' : 'These are emerging community conversations'}\n`;
+  if (hasReported) {
+    newsScript += `- Stories from news outlets are reported news; attribute them to their source (e.g., "CBC is reporting...")\n`;
+  }
+  if (hasCommunity) {
+    newsScript += `- Stories from r/ sources are community discussions from Reddit, not traditional news sources\n`;
+    newsScript += `- Present those conversationally, acknowledging they're from community discussions\n`;
+    newsScript += `- Focus on community sentiment and local perspectives\n`;
+    newsScript += `- Use phrases like "the community is discussing...", "locals are talking about...", "people are saying..."\n`;
+    newsScript += `- Include community reactions and comments to show public sentiment\n`;
+    newsScript += `- Reference specific community feedback when relevant (e.g., "One resident commented...", "The community is responding...")\n`;
+  }
+  if (topStory.community) {
+    newsScript += `- ${topStory.engagementLevel === 'high' ? 'The top story has significant community interest' : 'These are emerging community conversations'}\n`;
+  }
   
   return newsScript;
 }
@@ -756,6 +775,7 @@ function getSubredditsForLocation(location) {
 module.exports = {
   crawlRedditNews,
   generateNewsContext,
+  getTopNewsSegments,
   getSupportedLocations,
   isLocationSupported,
   getSubredditsForLocation,
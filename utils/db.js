@@ -3,6 +3,21 @@ require('dotenv').config({ path: path.resolve(__dirname, '..', '.env.development
 
 const { createClient } = require('@supabase/supabase-js');
 
+// Message fields stored in their own messages columns; any other field (e.g. episode chapters,
+// a briefing segment's location) is kept in the details jsonb column
+const MESSAGE_COLUMNS = {
+  role: 'role',
+  content: 'content',
+  timestamp: 'created_at',
+  persona: 'persona_name',
+  personaId: 'persona_id',
+  audioUrl: 'audio_key',
+  videoUrl: 'video_key',
+  videoJobId: 'video_job_id',
+  videoStatus: 'video_status',
+  videoError: 'video_error',
+};
+
 class DatabaseService {
   constructor() {
     this.PERSONAS_CACHE_TTL = 1000 * 60 * 60 * 24; // 24 hours
@@ -73,23 +88,83 @@ class DatabaseService {
     return { id: uid };
   }
 
+  // Helper function to turn a message ({ role, content, timestamp, persona, audioUrl, ... }) into a messages row
+  toMessageRow(uid, chatId, message) {
+    const row = { chat_id: chatId, user_id: uid, details: {} };
+    for (const [field, value] of Object.entries(message)) {
+      if (value === undefined) continue;
+      if (MESSAGE_COLUMNS[field]) {
+        row[MESSAGE_COLUMNS[field]] = value;
+      } else {
+        row.details[field] = value;
+      }
+    }
+    if (row.content === null || row.content === undefined) row.content = '';
+    return row;
+  }
+
+  // Helper function to turn a messages row back into the message shape the server and client use
+  fromMessageRow(row) {
+    const message = { id: row.id };
+    for (const [field, column] of Object.entries(MESSAGE_COLUMNS)) {
+      message[field] = row[column] ?? null;
+    }
+    return { ...message, ...(row.details || {}) };
+  }
+
+  // Helper function to get a chat's messages in order (storage keys, not signed URLs)
+  async getChatMessages(uid, chatId) {
+    const { data: rows, error } = await this.supabase
+      .from('messages')
+      .select('*')
+      .eq('chat_id', chatId)
+      .eq('user_id', uid)
+      .order('seq');
+
+    if (error) throw error;
+    return (rows || []).map(row => this.fromMessageRow(row));
+  }
+
+  // Helper function to get the messages of several chats at once, as a Map of chat id -> messages
+  async getMessagesByChat(uid, chatIds) {
+    const messagesByChat = new Map(chatIds.map(chatId => [chatId, []]));
+    if (chatIds.length === 0) return messagesByChat;
+
+    const { data: rows, error } = await this.supabase
+      .from('messages')
+      .select('*')
+      .eq('user_id', uid)
+      .in('chat_id', chatIds)
+      .order('seq');
+
+    if (error) throw error;
+    for (const row of rows || []) {
+      messagesByChat.get(row.chat_id)?.push(this.fromMessageRow(row));
+    }
+    return messagesByChat;
+  }
+
+  // Helper function to get a single message of a chat, or null
+  async getChatMessage(uid, chatId, messageId) {
+    const { data: row, error } = await this.supabase
+      .from('messages')
+      .select('*')
+      .eq('id', messageId)
+      .eq('chat_id', chatId)
+      .eq('user_id', uid)
+      .maybeSingle();
+
+    if (error) throw error;
+    return row ? this.fromMessageRow(row) : null;
+  }
+
   // Helper function to get chat history for context (returns raw messages for AI processing)
   async getChatHistory(uid, chatId = null) {
     try {
       if (chatId) {
-        // Get specific chat messages
-        const { data: chat, error } = await this.supabase
-          .from('chats')
-          .select('messages')
-          .eq('user_id', uid)
-          .eq('id', chatId)
-          .single();
-
-        if (error) throw error;
-        
-        // Return the raw messages array from the specific chat, or empty array if no messages
+        // Return the raw messages of the specific chat, or empty array if no messages
         // NOTE: This method is used for AI context, so we don't sign URLs here
-        return chat?.messages || [];
+        return await this.getChatMessages(uid, chatId);
       } else {
         // This case is for when we need all chats (like for chat list), not for conversation context
         const { data: chats, error } = await this.supabase
@@ -107,7 +182,7 @@ class DatabaseService {
     }
   }
 
-  // Helper function to get specific chat (returns S3 keys, client will request signed URLs as needed)
+  // Helper function to get specific chat (returns storage keys, client will request signed URLs as needed)
   async getChat(uid, chatId) {
     try {
       const { data: chat, error } = await this.supabase
@@ -125,6 +200,7 @@ class DatabaseService {
         .single();
 
       if (error) throw error;
+      chat.messages = await this.getChatMessages(uid, chatId);
       return chat;
     } catch (error) {
       console.error('Error getting chat:', error);
@@ -132,10 +208,45 @@ class DatabaseService {
     }
   }
 
-
+  // Helper function to get the user's chat, creating it for the persona if it doesn't exist yet
+  async getOrCreateChat(uid, chatId, selectedPersona) {
+    const selectChat = () => this.supabase
+      .from('chats')
+      .select('*')
+      .eq('id', chatId)
+      .eq('user_id', uid)
+      .maybeSingle(); // Use maybeSingle to avoid error when no rows found
+
+    const { data: existingChat, error: selectError } = await selectChat();
+    if (selectError) throw selectError;
+    if (existingChat) return existingChat;
+
+    // Create new chat with specific chatId
+    const { data: newChat, error: insertError } = await this.supabase
+      .from('chats')
+      .insert({
+        id: chatId, // Use the provided UUID as the chat ID
+        user_id: uid,
+        persona_id: selectedPersona.id, // Store the persona ID
+        title: `Chat with ${selectedPersona.name}`
+      })
+      .select()
+      .single();
+
+    if (!insertError) return newChat;
+    if (insertError.code !== '23505') throw insertError;
+
+    // Another request created the chat first
+    const { data: createdChat, error: reselectError } = await selectChat();
+    if (reselectError) throw reselectError;
+    if (!createdChat) throw new Error(`Chat ${chatId} belongs to another user`);
+    return createdChat;
+  }
 
   // Helper function to save conversation to database
-  async saveConversation(uid, chatId, userMessage, responseText, selectedPersona, audioUrl = null, userAudioUrl = null, videoUrl = null) {
+  // assistantFields are extra fields for the assistant message (e.g. episode chapters)
+  // Returns the chat with savedMessages, the two stored messages (with their ids)
+  async saveConversation(uid, chatId, userMessage, responseText, selectedPersona, audioUrl = null, userAudioUrl = null, videoUrl = null, videoJobId = null, assistantFields = {}) {
     try {
       const newMessage = {
         role: 'user',
@@ -151,57 +262,42 @@ class DatabaseService {
         persona: selectedPersona.name,
         personaId: selectedPersona.id,
         audioUrl: audioUrl,
-        videoUrl: videoUrl
+        videoUrl: videoUrl,
+        ...assistantFields
       };
 
-      // Check if chat exists first
-      const { data: existingChat, error: selectError } = await this.supabase
-        .from('chats')
-        .select('messages, persona_id')
-        .eq('id', chatId)
-        .eq('user_id', uid)
-        .maybeSingle(); // Use maybeSingle to avoid error when no rows found
+      // Videos rendered by the job queue are attached to the message when they finish
+      if (videoJobId) {
+        assistantMessage.videoJobId = videoJobId;
+        assistantMessage.videoStatus = 'pending';
+      }
 
-      if (selectError) throw selectError;
+      await this.getOrCreateChat(uid, chatId, selectedPersona);
 
-      if (existingChat) {
-        // Update existing chat
-        const updatedMessages = [
-          ...(existingChat.messages || []),
-          newMessage,
-          assistantMessage
-        ];
+      // Each message is its own row, so concurrent saves to the same chat can't overwrite each other
+      const { data: savedRows, error: insertError } = await this.supabase
+        .from('messages')
+        .insert([
+          this.toMessageRow(uid, chatId, newMessage),
+          this.toMessageRow(uid, chatId, assistantMessage)
+        ])
+        .select();
 
-        const { data: updatedChat, error: updateError } = await this.supabase
-          .from('chats')
-          .update({ 
-            messages: updatedMessages,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', chatId)
-          .eq('user_id', uid)
-          .select()
-          .single();
+      if (insertError) throw insertError;
 
-        if (updateError) throw updateError;
-        return updatedChat;
-      } else {
-        // Create new chat with specific chatId
-        const { data: newChat, error: insertError } = await this.supabase
-          .from('chats')
-          .insert({
-            id: chatId, // Use the provided UUID as the chat ID
-            user_id: uid,
-            persona_id: selectedPersona.id, // Store the persona ID
-            title: `Chat with ${selectedPersona.name}`,
-            messages: [newMessage, assistantMessage]
-          })
-          .select()
-          .single();
+      const { data: updatedChat, error: updateError } = await this.supabase
+        .from('chats')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', chatId)
+        .eq('user_id', uid)
+        .select()
+        .single();
 
-        if (insertError) throw insertError;
-        return newChat;
-      }
+      if (updateError) throw updateError;
+      return {
+        ...updatedChat,
+        savedMessages: savedRows.map(row => this.fromMessageRow(row))
+      };
     } catch (dbError) {
       console.error('Error saving to database:', dbError);
       // Continue with response even if DB save fails
@@ -211,7 +307,95 @@ class DatabaseService {
 
 
 
+  // Helper function to save a scheduled briefing as its own chat, one assistant message per location
+  async saveBriefing(uid, chatId, selectedPersona, title, segments) {
+    const messages = segments.map(segment => ({
+      role: 'assistant',
+      content: segment.content,
+      timestamp: new Date().toISOString(),
+      persona: selectedPersona.name,
+      personaId: selectedPersona.id,
+      audioUrl: segment.audioUrl,
+      location: segment.location,
+      durationMs: segment.durationMs,
+      sources: segment.sources || []
+    }));
+
+    const { data: chat, error } = await this.supabase
+      .from('chats')
+      .insert({
+        id: chatId,
+        user_id: uid,
+        type: 'briefing',
+        persona_id: selectedPersona.id,
+        title
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { data: savedRows, error: messagesError } = await this.supabase
+      .from('messages')
+      .insert(messages.map(message => this.toMessageRow(uid, chatId, message)))
+      .select();
+
+    if (messagesError) {
+      // Don't leave an empty briefing behind
+      await this.supabase.from('chats').delete().eq('id', chatId).eq('user_id', uid);
+      throw messagesError;
+    }
+    return { ...chat, messages: savedRows.map(row => this.fromMessageRow(row)) };
+  }
+
+  // Helper function to update the assistant message waiting for a video job (videoUrl, videoStatus, videoError)
+  // Returns the updated message, or null if no message is waiting for the job
+  async updateMessageVideo(uid, chatId, videoJobId, updates) {
+    const columns = {};
+    for (const [field, value] of Object.entries(updates)) {
+      columns[MESSAGE_COLUMNS[field]] = value;
+    }
+
+    const { data: rows, error } = await this.supabase
+      .from('messages')
+      .update(columns)
+      .eq('chat_id', chatId)
+      .eq('user_id', uid)
+      .eq('video_job_id', videoJobId)
+      .select();
+
+    if (error) throw error;
+    return rows?.length ? this.fromMessageRow(rows[0]) : null;
+  }
 
+  // Helper function to repoint media in a chat's messages; replacements maps audioUrl/videoUrl
+  // values to their new value (null drops the media; a dropped video is marked expired).
+  // Returns how many messages changed.
+  async replaceMessageMedia(uid, chatId, replacements) {
+    const changed = new Set();
+
+    for (const [value, replacement] of replacements) {
+      const updates = [
+        ['audio_key', { audio_key: replacement }],
+        ['video_key', replacement === null ? { video_key: null, video_status: 'expired' } : { video_key: replacement }]
+      ];
+
+      for (const [column, columns] of updates) {
+        const { data: rows, error } = await this.supabase
+          .from('messages')
+          .update(columns)
+          .eq('chat_id', chatId)
+          .eq('user_id', uid)
+          .eq(column, value)
+          .select('id');
+
+        if (error) throw error;
+        (rows || []).forEach(row => changed.add(row.id));
+      }
+    }
+
+    return changed.size;
+  }
 
   // Helper function to save profile to database
   async saveProfile(uid, displayName, email, personaId) {
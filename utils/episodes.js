@@ -0,0 +1,63 @@
+// News episodes
+// An episode is a newscast written as separate parts (intro, one segment per story, outro).
+// Each part is synthesized on its own and the PCM clips are joined into one audio file with
+// a short pause between them. Chapter markers (start and end in ms) are stored on the message
+// next to the audio, so players can skip between segments of the raw PCM file.
+
+const SAMPLE_RATE = 24000; // Gemini TTS: 24kHz mono 16-bit PCM
+const BYTES_PER_SAMPLE = 2;
+const GAP_MS = 600;
+
+const DEFAULT_STORY_COUNT = 4;
+const MAX_STORY_COUNT = 8;
+
+const bytesToMs = (bytes) => Math.round((bytes / BYTES_PER_SAMPLE / SAMPLE_RATE) * 1000);
+
+/**
+ * Join PCM clips into one file and record where each one starts and ends
+ * @param {Array<Object>} clips - { pcm: Buffer, kind, title, source?, url? } in play order
+ * @param {Object} options - Stitching options
+ * @param {number} options.gapMs - Silence between clips
+ * @returns {{ audio: Buffer, chapters: Array<Object> }} The joined PCM and one chapter per clip
+ */
+function stitchAudio(clips, { gapMs = GAP_MS } = {}) {
+  const gap = Buffer.alloc(Math.round((gapMs / 1000) * SAMPLE_RATE) * BYTES_PER_SAMPLE);
+  const buffers = [];
+  const chapters = [];
+  let offset = 0;
+
+  clips.forEach(({ pcm, ...chapter }, index) => {
+    if (index > 0) {
+      buffers.push(gap);
+      offset += gap.length;
+    }
+
+    // Keep clips sample-aligned so later chapters don't start mid-sample
+    const clip = pcm.length % BYTES_PER_SAMPLE ? pcm.subarray(0, pcm.length - 1) : pcm;
+    chapters.push({ ...chapter, startMs: bytesToMs(offset), endMs: bytesToMs(offset + clip.length) });
+    buffers.push(clip);
+    offset += clip.length;
+  });
+
+  return { audio: Buffer.concat(buffers, offset), chapters };
+}
+
+/**
+ * Clamp a requested story count to what an episode supports
+ * @param {*} storyCount - Count from the request (may be missing or invalid)
+ * @returns {number} Story count between 1 and MAX_STORY_COUNT
+ */
+function normalizeStoryCount(storyCount) {
+  const count = Math.floor(Number(storyCount));
+  if (!Number.isFinite(count) || count < 1) return DEFAULT_STORY_COUNT;
+  return Math.min(count, MAX_STORY_COUNT);
+}
+
+module.exports = {
+  DEFAULT_STORY_COUNT,
+  MAX_STORY_COUNT,
+  GAP_MS,
+  bytesToMs,
+  stitchAudio,
+  normalizeStoryCount,
+};
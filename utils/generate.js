@@ -1,42 +1,52 @@
 const path = require('node:path');
 require('dotenv').config({ path: path.resolve(__dirname, '..', '.env.development') });
 
-const { GoogleGenAI } = require('@google/genai');
+const { createProvider } = require('./providers');
 const brightdataService = require('./brightdata');
+const newsCache = require('./news/cache');
 
 class AIService {
   constructor() {
-    this.genAI = new GoogleGenAI({
-      apiKey: process.env.GOOGLE_AI_API_KEY,
-    });
+    this.provider = createProvider();
+    console.log(`🤖 AI provider: ${this.provider.name}`);
   }
 
   // Helper function to generate AI response using chat API
   async generateAIResponse(userMessage, selectedPersona, chatHistory, locations = []) {
+    const prompt = await this.buildNewsPrompt(userMessage, selectedPersona, chatHistory, locations);
+
+    return this.provider.generateText({ ...prompt, message: userMessage });
+  }
+
+  // Helper function to generate AI response as a token stream, calling onToken for every chunk
+  // Stops early when signal is aborted (e.g. the client disconnected); returns the text so far.
+  async generateAIResponseStream(userMessage, selectedPersona, chatHistory, locations = [], onToken = null, signal = null) {
+    const prompt = await this.buildNewsPrompt(userMessage, selectedPersona, chatHistory, locations);
+
+    return this.provider.generateTextStream({ ...prompt, message: userMessage, onToken, signal });
+  }
+
+  // Helper function to build the news anchor prompt (news context, system instruction, history)
+  async buildNewsPrompt(userMessage, selectedPersona, chatHistory, locations = []) {
     // Validate selectedPersona
     if (!selectedPersona || !selectedPersona.name) {
       throw new Error(`selectedPersona is required and must have a name property. Received: ${JSON.stringify(selectedPersona)}`);
     }
 
-    // Crawl Reddit news for specified locations if provided
+    // Read news for the specified locations from the cache (refreshed from their news sources)
     let newsContext = '';
-    if (locations && locations.length > 0) {
-      console.log('📰 Crawling Reddit discussions for locations:', locations);
-      
-      const newsResults = await Promise.allSettled(
-        locations.map(location => brightdataService.crawlRedditNews(location, userMessage))
-      );
-      
-      const successfulCrawls = newsResults
-        .filter(result => result.status === 'fulfilled' && result.value.success)
-        .map(result => result.value);
-      
-      if (successfulCrawls.length > 0) {
-        const allArticles = successfulCrawls.flatMap(crawl => crawl.articles);
-        newsContext = brightdataService.generateNewsContext(allArticles, locations.join(', '));
-        console.log('✅ Reddit news context generated:', newsContext.length, 'characters');
+    if (locations && locations.length > 0 && this.provider.offline) {
+      console.log('📴 Offline AI provider, skipping news crawl for:', locations);
+    } else if (locations && locations.length > 0) {
+      console.log('📰 Reading cached news for locations:', locations);
+
+      const articles = await newsCache.getArticles(locations, userMessage);
+
+      if (articles.length > 0) {
+        newsContext = brightdataService.generateNewsContext(articles, locations.join(', '));
+        console.log('✅ News context generated from', articles.length, 'articles:', newsContext.length, 'characters');
       } else {
-        console.log('⚠️ No successful Reddit crawls found');
+        console.log('⚠️ No news articles found');
       }
     }
 
@@ -46,7 +56,7 @@ class AIService {
 - Character Name: ${selectedPersona.name}
 - Character Description: ${selectedPersona.description || 'A character in a story.'}
 - Character Tone: ${selectedPersona.tone}
-${newsContext ? `\n**CURRENT NEWS BRIEFING:**\n${newsContext}\n\n**NEWS ANCHOR INSTRUCTIONS:** You have access to current community discussions and local news from Reddit, including community reactions and comments. Present this information as a knowledgeable news anchor would - with authority, clarity, and engagement. Transform community discussions into coherent news segments. Use phrases like "According to community discussions...", "Local residents are reporting...", "The community is buzzing about...", "One resident commented...", "Community members are responding...". When relevant, reference specific community feedback to show public sentiment. Maintain journalistic integrity while acknowledging these are community-sourced insights, not traditional news reports. Focus on the most newsworthy and relevant information for your audience.` : ''}
+${newsContext ? `\n**CURRENT NEWS BRIEFING:**\n${newsContext}\n\n**NEWS ANCHOR INSTRUCTIONS:** You have access to current local news reports and community discussions from Reddit, including community reactions and comments. Present this information as a knowledgeable news anchor would - with authority, clarity, and engagement. Transform community discussions into coherent news segments. Use phrases like "According to community discussions...", "Local residents are reporting...", "The community is buzzing about...", "One resident commented...", "Community members are responding...". When relevant, reference specific community feedback to show public sentiment. Maintain journalistic integrity: attribute reported stories to their outlet and acknowledge when insights are community-sourced rather than traditional news reports. Focus on the most newsworthy and relevant information for your audience.` : ''}
 
 **RULES:**
 -- Include distinct expression tags in your responses to match the conversation, written in square brackets.
@@ -152,145 +162,172 @@ Vocal Nuances & Pauses
 [dreamy sigh]
 */
 
-    // Format chat history
-    const formattedHistory = chatHistory.map(msg => ({
-      role: msg.role === 'user' ? 'user' : 'model',
-      parts: [{ text: msg.content }]
-    }));
-
     console.log('\nSystem instruction:', systemInstruction);
-    console.log('\nChat history length:', formattedHistory.length);
-
-    // Create chat with history and system instruction
-    const chat = this.genAI.chats.create({
-      model: "gemini-2.5-flash",
-      history: formattedHistory,
-      config: {
-        systemInstruction,
-      }
-    });
+    console.log('\nChat history length:', chatHistory.length);
+
+    return {
+      systemInstruction,
+      history: chatHistory.map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'assistant',
+        content: msg.content
+      }))
+    };
+  }
 
-    // Send the user message
-    const response = await chat.sendMessage({
-      message: userMessage
-    });
+  /**
+   * Pick the top cached stories for locations, the same ones a news prompt is built from
+   * @param {Array<string>} locations - Supported locations
+   * @param {string} userMessage - What the user asked for (used to rank stories)
+   * @param {number} count - How many stories to return
+   * @returns {Promise<Array<Object>>} News segments with headline, source and url (none when offline)
+   */
+  async getTopStories(locations, userMessage, count = 5) {
+    if (this.provider.offline) {
+      console.log('📴 Offline AI provider, skipping news crawl for:', locations);
+      return [];
+    }
 
-    return response.text;
+    const articles = await newsCache.getArticles(locations, userMessage);
+    return brightdataService.getTopNewsSegments(articles, count);
   }
 
-  // Helper function to generate audio from text
-  async generateAudio(responseText, selectedPersona) {
-    // Create enhanced TTS prompt with natural language instructions for speech control
-    const ttsPrompt = `Say this in the style, ${selectedPersona.tone}: ${responseText}`;
-    console.log('TTS prompt:', ttsPrompt);
-
-    // Convert to speech with enhanced prompting for better voice control
-    const audioResponse = await this.genAI.models.generateContent({
-      model: "gemini-2.5-pro-preview-tts",
-      contents: [{ parts: [{ text: ttsPrompt }] }],
-      config: {
-        responseModalities: ['AUDIO'],
-        speechConfig: {
-          voiceConfig: {
-            prebuiltVoiceConfig: { 
-              voiceName: selectedPersona.voice_name || selectedPersona.voiceName // Handle both database and legacy format
-            }
-          }
-        }
-      }
+  /**
+   * Write a full newscast: an intro, one segment per top story and an outro.
+   * Each part is written separately so it can be voiced and skipped to on its own.
+   * @param {string} userMessage - What the user asked for (used to rank stories)
+   * @param {Object} selectedPersona - Anchor persona
+   * @param {Array<string>} locations - Supported locations to cover
+   * @param {Object} options - Episode options
+   * @param {number} options.storyCount - How many top stories get a segment
+   * @param {Function} options.onSegment - Called with each segment as soon as it is written
+   * @returns {Promise<Array<Object>>} Segments: { kind: 'intro'|'story'|'outro', title, text, source?, url? }
+   */
+  async generateEpisodeScript(userMessage, selectedPersona, locations = [], { storyCount = 4, onSegment = null } = {}) {
+    if (!selectedPersona || !selectedPersona.name) {
+      throw new Error(`selectedPersona is required and must have a name property. Received: ${JSON.stringify(selectedPersona)}`);
+    }
+    if (locations.length === 0) {
+      throw new Error('Episodes need at least one news location');
+    }
+
+    const stories = await this.getTopStories(locations, userMessage, storyCount);
+    if (stories.length === 0) {
+      throw new Error(`No news found for ${locations.join(', ')}`);
+    }
+
+    const place = locations.join(', ');
+    const systemInstruction = `
+**YOUR ROLE:**
+- Character Name: ${selectedPersona.name}
+- Character Description: ${selectedPersona.description || 'A character in a story.'}
+- Character Tone: ${selectedPersona.tone}
+
+You are presenting a newscast for ${place} with ${stories.length} ${stories.length === 1 ? 'story' : 'stories'}. You write it one part at a time; each part is spoken aloud on its own by an audio method actor.
+
+**RULES:**
+-- Write only the words for the part you are asked for, 2-4 sentences, with no headings or stage directions.
+-- Include distinct expression tags written in square brackets, for vocalized audible emotions only.
+-- Attribute reported stories to their outlet; present stories from r/ sources as community discussions from Reddit.
+-- Lead into each story with a short transition from the one before it.
+`;
+
+    const lineup = stories.map((story, index) => `${index + 1}. ${story.headline} (${story.source})`).join('\n');
+    const parts = [
+      { kind: 'intro', title: 'Intro', message: `Write the intro. Welcome the listener and tease the lineup:\n${lineup}` },
+      ...stories.map((story, index) => ({
+        kind: 'story',
+        title: story.headline,
+        source: story.source,
+        url: story.url,
+        message: [
+          `Write the segment for story ${index + 1} of ${stories.length}${index > 0 ? `, following "${stories[index - 1].headline}"` : ''}.`,
+          `Headline: ${story.headline}`,
+          `${story.community ? 'Community Discussion' : 'Summary'}: ${story.content}`,
+          `Source: ${story.source} | Posted: ${story.timeAgo}`,
+          ...story.topComments.slice(0, 2).map(comment => `Community reaction: "${comment.text}"`)
+        ].join('\n')
+      })),
+      { kind: 'outro', title: 'Outro', message: `Write the outro. Wrap up the newscast for ${place} and sign off.` }
+    ];
+
+    const segments = [];
+    for (const { message, ...segment } of parts) {
+      const text = await this.provider.generateText({ systemInstruction, history: [], message });
+      segments.push({ ...segment, text });
+      if (onSegment) onSegment(segments[segments.length - 1]);
+    }
+
+    console.log(`📺 Episode script written: ${segments.length} segments for ${place}`);
+    return segments;
+  }
+
+  // Voice name from a persona (handles both database and legacy format)
+  getVoiceName(persona) {
+    return persona.voice_name || persona.voiceName;
+  }
+
+  // Helper function to generate audio from text; an aborted signal cancels the request
+  async generateAudio(responseText, selectedPersona, signal = null) {
+    const { audioData, responseMimeType } = await this.provider.synthesizeSpeech({
+      text: responseText,
+      style: selectedPersona.tone,
+      voiceName: this.getVoiceName(selectedPersona),
+      signal
     });
 
-    // Extract L16 PCM audio data from GenAI response
-    const audioInlineData = audioResponse.candidates[0].content.parts[0].inlineData;
-    const audioData = audioInlineData.data;
-    const responseMimeType = audioInlineData.mimeType;
-    
-    console.log('🎵 GenAI returned audio with MIME type:', responseMimeType);
+    console.log('🎵 TTS returned audio with MIME type:', responseMimeType);
     console.log('📏 PCM audio data size (base64):', audioData.length);
 
     return { audioData, responseMimeType };
   }
 
+  // Streaming variant of generateAudio: onChunk receives each PCM Buffer as it arrives.
+  // Stops early when signal is aborted (used for barge-in on live voice sessions).
+  async generateAudioStream(responseText, selectedPersona, onChunk, signal = null) {
+    const result = await this.provider.synthesizeSpeechStream({
+      text: responseText,
+      style: selectedPersona.tone,
+      voiceName: this.getVoiceName(selectedPersona),
+      onChunk,
+      signal
+    });
+
+    console.log('🎵 Streamed audio with MIME type:', result.responseMimeType);
+    console.log('📏 PCM audio data size (base64):', result.audioData.length);
+
+    return result;
+  }
+
   // Helper function to generate multi-speaker audio for conversations
   async generateMultiSpeakerAudio(userMessage, assistantResponse, userPersona, assistantPersona) {
-    // Create conversation prompt for multi-speaker TTS
-    const conversationPrompt = `TTS the following conversation between ${userPersona.name} and ${assistantPersona.name}:
-${userPersona.name}: ${userMessage}
-${assistantPersona.name}: ${assistantResponse}`;
-    
-    console.log('Multi-speaker TTS prompt:', conversationPrompt);
-
-    // Convert to speech with multi-speaker configuration
-    const audioResponse = await this.genAI.models.generateContent({
-      model: "gemini-2.5-flash-preview-tts",
-      contents: [{ parts: [{ text: conversationPrompt }] }],
-      config: {
-        responseModalities: ['AUDIO'],
-        speechConfig: {
-          multiSpeakerVoiceConfig: {
-            speakerVoiceConfigs: [
-              {
-                speaker: userPersona.name,
-                voiceConfig: {
-                  prebuiltVoiceConfig: { 
-                    voiceName: userPersona.voice_name || userPersona.voiceName 
-                  }
-                }
-              },
-              {
-                speaker: assistantPersona.name,
-                voiceConfig: {
-                  prebuiltVoiceConfig: { 
-                    voiceName: assistantPersona.voice_name || assistantPersona.voiceName 
-                  }
-                }
-              }
-            ]
-          }
-        }
-      }
+    const { audioData, responseMimeType } = await this.provider.synthesizeConversation({
+      turns: [
+        { speaker: userPersona.name, voiceName: this.getVoiceName(userPersona), text: userMessage },
+        { speaker: assistantPersona.name, voiceName: this.getVoiceName(assistantPersona), text: assistantResponse }
+      ]
     });
 
-    // Extract L16 PCM audio data from GenAI response
-    const audioInlineData = audioResponse.candidates[0].content.parts[0].inlineData;
-    const audioData = audioInlineData.data;
-    const responseMimeType = audioInlineData.mimeType;
-    
-    console.log('🎵 Multi-speaker GenAI returned audio with MIME type:', responseMimeType);
+    console.log('🎵 Multi-speaker TTS returned audio with MIME type:', responseMimeType);
     console.log('📏 Multi-speaker PCM audio data size (base64):', audioData.length);
 
     return { audioData, responseMimeType };
   }
 
-  // Helper function to transcribe audio to text using Gemini's audio understanding
+  // Helper function to transcribe audio to text
   async transcribeAudio(audioData, mimeType = "audio/wav") {
-    const sttResponse = await this.genAI.models.generateContent({
-      model: "gemini-2.0-flash",
-      contents: [{
-        parts: [{
-          inlineData: {
-            data: audioData,
-            mimeType: mimeType
-          }
-        }, {
-          text: "Please transcribe this audio. Transcribed text:"
-        }]
-      }]
-    });
-
-    const transcribedText = sttResponse.candidates[0].content.parts[0].text;
+    const transcribedText = await this.provider.transcribe({ audioData, mimeType });
     console.log('Transcribed text:', transcribedText);
-    
+
     return transcribedText;
   }
 
-  // Getter for accessing the GenAI client directly if needed
+  // Getter for accessing the provider's underlying client directly if needed (null for the fake provider)
   get client() {
-    return this.genAI;
+    return this.provider.client;
   }
 }
 
 // Create and export a singleton instance
 const aiService = new AIService();
 
-module.exports = aiService;
\ No newline at end of file
+module.exports = aiService;
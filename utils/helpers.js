@@ -1,134 +1,92 @@
 const path = require('node:path');
 require('dotenv').config({ path: path.resolve(__dirname, '..', '.env.development') });
 
-const { randomUUID } = require('node:crypto');
-const fs = require('node:fs');
-const s3Service = require('./s3');
+const mediaService = require('./media');
 
-// Ensure audio_files directory exists
-const audioFilesDir = path.resolve(__dirname, '..', 'audio_files');
-if (!fs.existsSync(audioFilesDir)) {
-  fs.mkdirSync(audioFilesDir, { recursive: true });
+// Utility function to remove square brackets and their content from text
+function cleanResponseText(text) {
+  if (!text) return text;
+  // Remove square brackets and everything inside them, including any leading/trailing spaces
+  return text.replace(/\s*\[[^\]]*\]\s*/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Display name for a location slug: "british-columbia" -> "British Columbia"
+function formatLocationName(location) {
+  return location.replace(/-/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Wrap raw 16-bit mono PCM in a WAV header
+ * @param {Buffer} pcmBuffer - PCM audio data
+ * @param {number} sampleRate - Sample rate in Hz (Gemini TTS returns 24kHz)
+ * @returns {Buffer} WAV audio data
+ */
+function createWAVBuffer(pcmBuffer, sampleRate = 24000) {
+  const numChannels = 1;
+  const bitsPerSample = 16;
+  const byteRate = sampleRate * numChannels * bitsPerSample / 8;
+  const blockAlign = numChannels * bitsPerSample / 8;
+  const dataSize = pcmBuffer.length;
+  const fileSize = 36 + dataSize;
+
+  const wavHeader = Buffer.alloc(44);
+
+  // RIFF header
+  wavHeader.write('RIFF', 0);
+  wavHeader.writeUInt32LE(fileSize, 4);
+  wavHeader.write('WAVE', 8);
+
+  // fmt chunk
+  wavHeader.write('fmt ', 12);
+  wavHeader.writeUInt32LE(16, 16); // chunk size
+  wavHeader.writeUInt16LE(1, 20);  // audio format (PCM)
+  wavHeader.writeUInt16LE(numChannels, 22);
+  wavHeader.writeUInt32LE(sampleRate, 24);
+  wavHeader.writeUInt32LE(byteRate, 28);
+  wavHeader.writeUInt16LE(blockAlign, 32);
+  wavHeader.writeUInt16LE(bitsPerSample, 34);
+
+  // data chunk
+  wavHeader.write('data', 36);
+  wavHeader.writeUInt32LE(dataSize, 40);
+
+  return Buffer.concat([wavHeader, pcmBuffer]);
 }
 
 // Note: Bulk URL signing functions removed - we now use on-demand signing via /api/audio/sign endpoint
 
-// Helper function to save audio file to S3 and return S3 key (for database storage)
-async function saveAudioFile(audioData, audioMimeType, uid, chatId, req) {
+// Helper function to store TTS audio and return its storage key (for database storage)
+async function saveAudioFile(audioData, audioMimeType, uid, chatId) {
   try {
     // Convert base64 audio data to buffer
     const audioBuffer = Buffer.from(audioData, 'base64');
-    
-    console.log(`🔧 Attempting to upload ${audioBuffer.length} bytes to S3 for chat ${chatId}`);
-    
-    // Upload to S3 with format: uid/chatid/uuid.pcm
-    const s3Key = await s3Service.uploadAudioFile(audioBuffer, uid, chatId);
-    
-    console.log('✅ Audio file uploaded to S3:', s3Key);
-    
-    // Verify the upload by testing if we can generate a signed URL
-    try {
-      await s3Service.getSignedUrl(s3Key, 60); // Test with 1-minute expiry
-      console.log('✅ S3 upload verified - signed URL generation successful');
-    } catch (verifyError) {
-      console.error('❌ S3 upload verification failed:', verifyError);
-      throw new Error(`S3 upload verification failed: ${verifyError.message}`);
-    }
-    
-    // Return S3 key for database storage (will be signed when needed)
-    return s3Key;
-  } catch (error) {
-    console.error('❌ Error saving audio file to S3:', error);
-    console.error('❌ S3 Error details:', error.message, error.stack);
-    
-    // Fallback to local storage if S3 fails
-    console.warn('⚠️ Falling back to local storage...');
-    return await saveAudioFileLocal(audioData, audioMimeType, uid, chatId, req);
-  }
-}
 
-// Fallback function for local storage (kept for migration and backup)
-async function saveAudioFileLocal(audioData, audioMimeType, uid, chatId, req) {
-  try {
-    // Generate UUID for filename - Google always returns PCM
-    const audioUuid = randomUUID();
-    const filename = `${audioUuid}.pcm`;
-    
-    // Ensure user and chat directory exists
-    const chatAudioDir = path.join(audioFilesDir, uid, chatId);
-    if (!fs.existsSync(chatAudioDir)) {
-      fs.mkdirSync(chatAudioDir, { recursive: true });
-    }
-    
-    // Save audio file
-    const filePath = path.join(chatAudioDir, filename);
-    const audioBuffer = Buffer.from(audioData, 'base64');
-    fs.writeFileSync(filePath, audioBuffer);
-    
-    // Generate full URL with proper protocol detection for cloud environments
-    // Check for forwarded protocol headers (common in cloud environments)
-    const forwardedProto = req.get('x-forwarded-proto') || req.get('x-forwarded-protocol');
-    const isSecure = forwardedProto === 'https' || req.secure || req.connection.encrypted;
-    
-    // Default to HTTPS for production environments (.replit.dev domains)
-    const host = req.get('host') || `localhost:${process.env.PORT || 3000}`;
-    const isReplitDomain = host.includes('.replit.dev');
-    const protocol = isSecure || isReplitDomain ? 'https' : 'http';
-    
-    const audioUrl = `${protocol}://${host}/api/audio/${uid}/${chatId}/${filename}`;
-    
-    console.log('Audio file saved locally:', filePath);
-    console.log('Local audio URL:', audioUrl);
-    
-    return audioUrl;
+    // Stored as uid/chatid/uuid.pcm; signed when a response needs a URL
+    return await mediaService.uploadAudioFile(audioBuffer, uid, chatId);
   } catch (error) {
-    console.error('Error saving audio file locally:', error);
-    return null;
+    console.error('❌ Error saving audio file:', error);
+    throw new Error(`Failed to store audio: ${error.message}`);
   }
 }
 
-// Helper function to save multi-speaker audio and return S3 keys for both user and assistant
-async function saveMultiSpeakerAudio(conversationAudioData, audioMimeType, uid, chatId, req) {
+// Helper function to store multi-speaker audio and return storage keys for both user and assistant
+async function saveMultiSpeakerAudio(conversationAudioData, audioMimeType, uid, chatId) {
   try {
     // Convert base64 audio data to buffer
     const audioBuffer = Buffer.from(conversationAudioData, 'base64');
-    
-    console.log(`🔧 Attempting to upload ${audioBuffer.length} bytes (multi-speaker) to S3 for chat ${chatId}`);
-    
-    // Upload both user and assistant audio to S3
-    const { userKey, assistantKey } = await s3Service.uploadMultiSpeakerAudio(audioBuffer, uid, chatId);
-    
-    console.log('✅ Multi-speaker audio files uploaded to S3:', { userKey, assistantKey });
-    
-    // Verify both uploads by testing signed URL generation
-    try {
-      await Promise.all([
-        s3Service.getSignedUrl(userKey, 60),
-        s3Service.getSignedUrl(assistantKey, 60)
-      ]);
-      console.log('✅ Multi-speaker S3 uploads verified - both signed URLs generated successfully');
-    } catch (verifyError) {
-      console.error('❌ Multi-speaker S3 upload verification failed:', verifyError);
-      throw new Error(`Multi-speaker S3 upload verification failed: ${verifyError.message}`);
-    }
-    
-    // Return S3 keys for database storage (will be signed when needed)
+
+    const { userKey, assistantKey } = await mediaService.uploadMultiSpeakerAudio(audioBuffer, uid, chatId);
     return { userAudioUrl: userKey, assistantAudioUrl: assistantKey };
   } catch (error) {
-    console.error('❌ Error saving multi-speaker audio files to S3:', error);
-    console.error('❌ Multi-speaker S3 Error details:', error.message, error.stack);
-    
-    // Fallback to local storage
-    console.warn('⚠️ Falling back to local multi-speaker storage...');
-    const userAudioUrl = await saveAudioFileLocal(conversationAudioData, audioMimeType, uid, chatId, req);
-    const assistantAudioUrl = await saveAudioFileLocal(conversationAudioData, audioMimeType, uid, chatId, req);
-    
-    return { userAudioUrl, assistantAudioUrl };
+    console.error('❌ Error saving multi-speaker audio files:', error);
+    throw new Error(`Failed to store multi-speaker audio: ${error.message}`);
   }
 }
 
 module.exports = {
+  cleanResponseText,
+  formatLocationName,
+  createWAVBuffer,
   saveAudioFile,
   saveMultiSpeakerAudio,
-  saveAudioFileLocal, // Export for migration script
 };
\ No newline at end of file
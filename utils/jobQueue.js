@@ -0,0 +1,453 @@
+// Persistent background job queue
+// Jobs are rows in the Supabase `jobs` table, so queued work survives a restart. Each server
+// polls for due jobs of the types it has handlers for, claims one by flipping its status from
+// 'pending' to 'running' with a conditional update (only one worker can win), and puts failed
+// jobs back to 'pending' with a later run_at until they run out of attempts.
+// Cancelling sets the status to 'cancelled'; the worker running the job aborts its signal,
+// right away when the cancel came through this server, otherwise on its next poll. An aborted
+// job (cancelled or timed out) keeps its slot until its handler returns.
+
+const os = require('node:os');
+const { randomUUID } = require('node:crypto');
+const db = require('./db');
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+const PROGRESS_INTERVAL_MS = 1000;
+
+class JobQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.pollIntervalMs = Number(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    this.handlers = new Map(); // type -> { run, concurrency, timeoutMs, maxAttempts, onFailed, onCancelled }
+    this.active = new Map(); // job id -> { type, promise, controller, progressAt, progressStage }
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type, stored in jobs.type
+   * @param {Function} run - async ({ job, signal, reportProgress }) => result; the result is stored in jobs.result.
+   *   reportProgress(progress) stores a { stage, ... } object in jobs.progress for clients to poll
+   * @param {Object} options - Handler options
+   * @param {number} options.concurrency - Jobs of this type run at once by this process
+   * @param {number} options.timeoutMs - Attempts running longer than this fail (and may be retried)
+   * @param {number} options.maxAttempts - Default attempts for new jobs of this type
+   * @param {Function} options.onFailed - async (job, error) => void, called once a job has no attempts left
+   * @param {Function} options.onCancelled - async (job) => void, called when a user cancels a job
+   */
+  register(type, run, { concurrency = 1, timeoutMs = DEFAULT_TIMEOUT_MS, maxAttempts = DEFAULT_MAX_ATTEMPTS, onFailed, onCancelled } = {}) {
+    if (this.handlers.has(type)) {
+      throw new Error(`Job handler already registered: ${type}`);
+    }
+    this.handlers.set(type, { run, concurrency, timeoutMs, maxAttempts, onFailed, onCancelled });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Registered job type
+   * @param {Object} job - Job fields
+   * @param {string} job.userId - Owner of the job
+   * @param {string} job.chatId - Chat the job belongs to (optional)
+   * @param {Object} job.payload - Handler input
+   * @param {string} job.id - Job ID (generated when omitted)
+   * @returns {Promise<Object>} The stored job row
+   */
+  async enqueue(type, { userId, chatId = null, payload = {}, id = randomUUID() }) {
+    const handler = this.handlers.get(type);
+    if (!handler) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const { data: job, error } = await db.client
+      .from('jobs')
+      .insert({
+        id,
+        user_id: userId,
+        chat_id: chatId,
+        type,
+        status: 'pending',
+        payload,
+        result: null,
+        error: null,
+        progress: null,
+        attempts: 0,
+        max_attempts: handler.maxAttempts,
+        run_at: now,
+        locked_by: null,
+        locked_at: null,
+        finished_at: null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    console.log(`📥 Queued ${type} job:`, job.id);
+
+    // Pick it up right away instead of waiting for the next poll
+    if (this.timer) this.poll();
+    return job;
+  }
+
+  /**
+   * Get a job, scoped to its owner
+   * @param {string} jobId - Job ID
+   * @param {string} userId - Owner's user ID
+   * @returns {Promise<Object|null>} Job row, or null if not found
+   */
+  async getJob(jobId, userId) {
+    const { data: job, error } = await db.client
+      .from('jobs')
+      .select('*')
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return job;
+  }
+
+  /**
+   * Number of jobs of the same type that will run before a pending job, in claim order
+   * @param {Object} job - Pending job row
+   * @returns {Promise<number>} Jobs ahead (0 means it runs next)
+   */
+  async getQueuePosition(job) {
+    const { data: queued, error } = await db.client
+      .from('jobs')
+      .select('id, status, run_at')
+      .eq('type', job.type)
+      .in('status', ['pending', 'running']);
+
+    if (error) throw error;
+
+    const now = new Date().toISOString();
+    return queued.filter(other => other.id !== job.id && (
+      other.status === 'running' || (other.run_at < job.run_at && other.run_at <= now)
+    )).length;
+  }
+
+  /**
+   * Cancel a pending or running job
+   * @param {string} jobId - Job ID
+   * @param {string} userId - Owner's user ID
+   * @returns {Promise<Object|null>} The cancelled job, or null if not found or already finished
+   */
+  async cancel(jobId, userId) {
+    const now = new Date().toISOString();
+    const { data: job, error } = await db.client
+      .from('jobs')
+      .update({ status: 'cancelled', locked_by: null, locked_at: null, finished_at: now, updated_at: now })
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .in('status', ['pending', 'running'])
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!job) return null;
+    console.log(`🛑 Cancelled ${job.type} job ${job.id}`);
+
+    // Running here: stop it now. Running elsewhere: that worker notices on its next poll.
+    this.active.get(job.id)?.controller.abort(new Error('Job was cancelled'));
+
+    const handler = this.handlers.get(job.type);
+    if (handler?.onCancelled) await handler.onCancelled(job);
+    return job;
+  }
+
+  /**
+   * Start polling for jobs. Running jobs left behind by a crashed or restarted
+   * server are returned to the queue first.
+   */
+  start() {
+    if (this.timer) return;
+    console.log(`⚙️ Job queue started (worker ${this.workerId}, polling every ${this.pollIntervalMs}ms)`);
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    this.poll();
+  }
+
+  /**
+   * Stop polling; jobs that are already running finish in the background
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and start due jobs for every registered type, up to each type's concurrency
+   * @returns {Promise<void>}
+   */
+  poll() {
+    // Overlapping polls would claim more jobs than there are free slots
+    if (!this.polling) {
+      this.polling = this.claimDueJobs()
+        .catch(error => console.error('❌ Error polling job queue:', error))
+        .finally(() => { this.polling = null; });
+    }
+    return this.polling;
+  }
+
+  async claimDueJobs() {
+    await this.recoverStaleJobs();
+    await this.abortCancelledJobs();
+
+    for (const [type, handler] of this.handlers) {
+      const free = handler.concurrency - [...this.active.values()].filter(active => active.type === type).length;
+      if (free <= 0) continue;
+
+      const { data: due, error } = await db.client
+        .from('jobs')
+        .select('*')
+        .eq('type', type)
+        .eq('status', 'pending')
+        .lte('run_at', new Date().toISOString())
+        .order('run_at', { ascending: true })
+        .limit(free);
+
+      if (error) throw error;
+
+      for (const job of due || []) {
+        const claimed = await this.claim(job);
+        if (claimed) this.execute(claimed, handler);
+      }
+    }
+  }
+
+  /**
+   * Claim a pending job for this worker
+   * @param {Object} job - Pending job row
+   * @returns {Promise<Object|null>} The claimed row, or null if another worker got it first
+   */
+  async claim(job) {
+    const now = new Date().toISOString();
+    const { data: claimed, error } = await db.client
+      .from('jobs')
+      .update({
+        status: 'running',
+        attempts: job.attempts + 1,
+        locked_by: this.workerId,
+        locked_at: now,
+        updated_at: now
+      })
+      .eq('id', job.id)
+      .eq('status', 'pending')
+      .eq('attempts', job.attempts)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return claimed;
+  }
+
+  execute(job, handler) {
+    // Registered before the handler starts, so it can report progress right away
+    const active = { type: job.type, controller: new AbortController(), progressAt: 0, progressStage: null };
+    this.active.set(job.id, active);
+
+    active.promise = this.runWithTimeout(job, handler, active.controller)
+      .then(result => this.complete(job, result), error => this.fail(job, error, handler))
+      .catch(error => console.error(`❌ Error recording result of job ${job.id}:`, error))
+      .finally(() => {
+        this.active.delete(job.id);
+        // A slot just opened up
+        if (this.timer) this.poll();
+      });
+
+    return active.promise;
+  }
+
+  async runWithTimeout(job, handler, controller) {
+    // Timeouts and cancellation both abort the signal; the job fails with the abort reason
+    // even if the handler ignores the signal
+    const { signal } = controller;
+    const timeout = setTimeout(() => {
+      controller.abort(new Error(`Job timed out after ${handler.timeoutMs}ms`));
+    }, handler.timeoutMs);
+    const onAbort = () => console.warn(`⏳ ${job.type} job ${job.id} aborted (${signal.reason.message}), waiting for its handler to stop`);
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    console.log(`🏃 Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+    const reportProgress = (progress) => this.reportProgress(job, progress);
+    try {
+      // The job keeps its slot and lock until the handler returns, so a handler that ignores
+      // the signal can't run alongside its own retry or past the type's concurrency
+      const result = await handler.run({ job, signal, reportProgress });
+      if (signal.aborted) throw signal.reason;
+      return result;
+    } catch (error) {
+      throw signal.aborted ? signal.reason : error;
+    } finally {
+      clearTimeout(timeout);
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Store a running job's progress. Writes are throttled to one per second unless the stage changes.
+   * @param {Object} job - Running job row
+   * @param {Object} progress - { stage, ... }
+   * @returns {Promise<void>|undefined} The write, or undefined when throttled
+   */
+  reportProgress(job, progress) {
+    const active = this.active.get(job.id);
+    if (!active) return undefined;
+
+    const now = Date.now();
+    if (progress.stage === active.progressStage && now - active.progressAt < PROGRESS_INTERVAL_MS) {
+      return undefined;
+    }
+    active.progressAt = now;
+    active.progressStage = progress.stage;
+
+    return db.client
+      .from('jobs')
+      .update({ progress, updated_at: new Date(now).toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .then(({ error }) => {
+        if (error) console.error(`❌ Error storing progress of job ${job.id}:`, error);
+      });
+  }
+
+  // Conditional on our lock, so a job that was cancelled (or taken over) meanwhile keeps its status
+  async finish(job, update) {
+    const { data: finished, error } = await db.client
+      .from('jobs')
+      .update({ ...update, locked_by: null, locked_at: null, updated_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('locked_by', this.workerId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!finished) {
+      console.log(`🛑 ${job.type} job ${job.id} was cancelled while running`);
+    }
+    return finished;
+  }
+
+  async complete(job, result = null) {
+    const finished = await this.finish(job, { status: 'completed', result, error: null, finished_at: new Date().toISOString() });
+    if (finished) console.log(`✅ ${job.type} job ${job.id} completed`);
+  }
+
+  async fail(job, jobError, handler) {
+    const now = new Date();
+    const retry = job.attempts < job.max_attempts;
+    console.error(`❌ ${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, jobError.message);
+
+    const update = retry
+      ? { status: 'pending', run_at: new Date(now.getTime() + this.retryDelay(job.attempts)).toISOString() }
+      : { status: 'failed', finished_at: now.toISOString() };
+
+    const finished = await this.finish(job, { ...update, error: jobError.message });
+    if (!finished) return;
+
+    if (retry) {
+      console.log(`🔁 Retrying ${job.type} job ${job.id} at ${update.run_at}`);
+    } else if (handler.onFailed) {
+      await handler.onFailed(job, jobError);
+    }
+  }
+
+  // Exponential backoff: 5s, 10s, 20s, ... capped at 5 minutes
+  retryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+  }
+
+  // Abort jobs running here that were cancelled through another server
+  async abortCancelledJobs() {
+    if (this.active.size === 0) return;
+
+    const { data: cancelled, error } = await db.client
+      .from('jobs')
+      .select('id')
+      .in('id', [...this.active.keys()])
+      .eq('status', 'cancelled');
+
+    if (error) throw error;
+
+    for (const { id } of cancelled) {
+      this.active.get(id)?.controller.abort(new Error('Job was cancelled'));
+    }
+  }
+
+  /**
+   * Return jobs whose worker went away (crash or restart mid-job) to the queue.
+   * A lock older than the handler's timeout can only belong to a worker that is gone.
+   */
+  async recoverStaleJobs() {
+    for (const [type, handler] of this.handlers) {
+      const staleBefore = new Date(Date.now() - handler.timeoutMs - this.pollIntervalMs).toISOString();
+      const { data: stale, error } = await db.client
+        .from('jobs')
+        .select('*')
+        .eq('type', type)
+        .eq('status', 'running')
+        .lt('locked_at', staleBefore);
+
+      if (error) throw error;
+
+      for (const job of stale || []) {
+        // Still running here, waiting for a handler that ignored its timeout
+        if (this.active.has(job.id)) continue;
+
+        // Take the lock over first so two servers don't recover the same job
+        const { data: released, error: releaseError } = await db.client
+          .from('jobs')
+          .update({ status: 'running', locked_by: this.workerId, locked_at: new Date().toISOString() })
+          .eq('id', job.id)
+          .eq('status', 'running')
+          .eq('locked_by', job.locked_by)
+          .select()
+          .maybeSingle();
+
+        if (releaseError) throw releaseError;
+        if (released) {
+          console.warn(`⚠️ Recovering ${type} job ${job.id} abandoned by ${job.locked_by}`);
+          await this.fail(released, new Error('Worker stopped while the job was running'), handler);
+        }
+      }
+    }
+  }
+
+  /**
+   * Run every due job to completion, including retries that become due meanwhile.
+   * Used by tests and scripts that process the queue without starting the poller.
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    do {
+      await this.poll();
+      await Promise.all([...this.active.values()].map(active => active.promise));
+    } while (await this.hasDueJobs());
+  }
+
+  async hasDueJobs() {
+    const { data: due, error } = await db.client
+      .from('jobs')
+      .select('id')
+      .in('type', [...this.handlers.keys()])
+      .eq('status', 'pending')
+      .lte('run_at', new Date().toISOString())
+      .limit(1);
+
+    if (error) throw error;
+    return due.length > 0;
+  }
+}
+
+// Create and export singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
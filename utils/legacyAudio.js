@@ -0,0 +1,146 @@
+// Legacy local audio
+// Before media storage (see ./media), TTS audio was written to audio_files/uid/chatId/uuid.pcm and
+// messages kept its full URL, http(s)://host/api/audio/uid/chatId/uuid.pcm, served by the legacy
+// route in server.js. migrateLegacyAudio uploads those files to media storage and points the
+// messages at the storage keys. Once no message references a file, the media sweep deletes it;
+// when none are left, the legacy route can go.
+
+const path = require('node:path');
+const db = require('./db');
+const mediaService = require('./media');
+const LocalStorage = require('./storage/local');
+
+const AUDIO_FILES_DIR = path.join(__dirname, '..', 'audio_files');
+const LEGACY_AUDIO_PATH = /^\/api\/audio\/([^/]+)\/([^/]+)\/([^/]+)$/;
+const CHAT_PAGE_SIZE = 100;
+
+/**
+ * Read a legacy audio URL
+ * @param {string} value - A message's audioUrl
+ * @returns {{uid: string, chatId: string, filename: string, path: string}|null} The file under
+ *   audio_files/ (path is uid/chatId/filename), or null if the value is not a legacy audio URL
+ */
+function parseLegacyAudioUrl(value) {
+  if (typeof value !== 'string' || !/^https?:\/\//.test(value)) return null;
+
+  try {
+    const match = new URL(value).pathname.match(LEGACY_AUDIO_PATH);
+    if (!match) return null;
+    const [uid, chatId, filename] = match.slice(1).map(decodeURIComponent);
+    return { uid, chatId, filename, path: `${uid}/${chatId}/${filename}` };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Upload audio unless an identical copy is already stored, then read it back to check it
+ * @param {Buffer} audio - File contents
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>} True if it was uploaded, false if an earlier run already stored it
+ * @throws {Error} If the stored object doesn't match the file
+ */
+async function uploadVerified(audio, key) {
+  const existing = await mediaService.getObject(key);
+  if (existing && existing.equals(audio)) return false;
+
+  await mediaService.uploadMigratedAudio(audio, key);
+
+  const stored = await mediaService.getObject(key);
+  if (!stored || !stored.equals(audio)) {
+    throw new Error(`Stored copy of ${key} does not match the local file`);
+  }
+  return true;
+}
+
+/**
+ * Move one chat's legacy audio into media storage
+ * @param {Object} chat - { id, user_id }
+ * @param {LocalStorage} legacy - audio_files/ directory
+ * @param {boolean} dryRun - Only report
+ * @param {Object} report - Report to add to
+ */
+async function migrateChat(chat, legacy, dryRun, report) {
+  const replacements = new Map();
+  const migrated = [];
+
+  for (const message of await db.getChatMessages(chat.user_id, chat.id)) {
+    const source = parseLegacyAudioUrl(message.audioUrl);
+    if (!source || replacements.has(message.audioUrl)) continue;
+
+    // An encoded slash (%2F) would make a key deeper than uid/chatId/file, which the media
+    // sweep and the storage routes don't treat as chat media
+    if (source.filename.includes('/')) {
+      report.failed.push({ chatId: chat.id, url: message.audioUrl, key: null, error: 'Filename contains a slash' });
+      continue;
+    }
+
+    // New keys live under the chat's own prefix, like audio stored by the pipeline
+    const entry = { chatId: chat.id, url: message.audioUrl, key: `${chat.user_id}/${chat.id}/${source.filename}` };
+    try {
+      const audio = await legacy.get(source.path);
+      if (!audio) {
+        report.missing.push(entry);
+        continue;
+      }
+
+      const uploaded = dryRun ? true : await uploadVerified(audio, entry.key);
+      replacements.set(message.audioUrl, entry.key);
+      migrated.push({ ...entry, size: audio.length, uploaded });
+    } catch (error) {
+      report.failed.push({ ...entry, error: error.message });
+    }
+  }
+
+  if (replacements.size === 0) return;
+
+  try {
+    if (!dryRun) report.messagesUpdated += await db.replaceMessageMedia(chat.user_id, chat.id, replacements);
+    report.migrated.push(...migrated);
+  } catch (error) {
+    // The uploads are unreferenced; a rerun finds them in place, the sweep removes them otherwise
+    report.failed.push(...migrated.map(({ chatId, url, key }) => ({ chatId, url, key, error: `Could not update chat: ${error.message}` })));
+  }
+}
+
+/**
+ * Upload the local files legacy audio URLs point at and rewrite the messages to storage keys
+ * Chats are processed in id order. Each upload is read back and compared before its message is
+ * changed, and files already stored are not uploaded again, so an interrupted run can simply be
+ * repeated, or resumed after the last chat it finished.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what would be migrated without uploading or changing anything
+ * @param {string} [options.after] - Resume after this chat id
+ * @param {string} [options.audioFilesDir] - Legacy audio directory (default: audio_files/)
+ * @param {Function} [options.onChat] - Called with each chat id once the chat is done
+ * @returns {Promise<Object>} { dryRun, chats, migrated, missing, failed, messagesUpdated, lastChatId }
+ */
+async function migrateLegacyAudio({ dryRun = false, after = null, audioFilesDir = AUDIO_FILES_DIR, onChat = () => {} } = {}) {
+  const legacy = new LocalStorage({ root: audioFilesDir });
+  const report = { dryRun, chats: 0, migrated: [], missing: [], failed: [], messagesUpdated: 0, lastChatId: after };
+
+  for (;;) {
+    let query = db.client
+      .from('chats')
+      .select('id, user_id');
+    if (report.lastChatId) query = query.gt('id', report.lastChatId);
+
+    const { data: chats, error } = await query.order('id').limit(CHAT_PAGE_SIZE);
+    if (error) throw error;
+
+    for (const chat of chats || []) {
+      await migrateChat(chat, legacy, dryRun, report);
+      report.chats++;
+      report.lastChatId = chat.id;
+      await onChat(chat.id);
+    }
+
+    if (!chats || chats.length < CHAT_PAGE_SIZE) return report;
+  }
+}
+
+module.exports = {
+  AUDIO_FILES_DIR,
+  parseLegacyAudioUrl,
+  migrateLegacyAudio,
+};
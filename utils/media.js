@@ -0,0 +1,243 @@
+const { randomUUID } = require('node:crypto');
+const { createStorage } = require('./storage');
+const { signMediaPath, VIDEO_PROXY_ROUTE } = require('./storage/signing');
+
+// Stored media and its key layout:
+//   uid/chatId/uuid.pcm         TTS audio (24kHz 16-bit mono PCM), plus transcoded uuid.mp3 etc. next to it
+//   uid/chatId/uuid.mp4         generated videos
+//   personas/name-uuid.webp     persona images
+// The backend comes from STORAGE_BACKEND (see ./storage).
+
+class MediaService {
+  constructor() {
+    this.storage = createStorage();
+    console.log(`🗄️ Media storage backend: ${this.storage.name}`);
+  }
+
+  /**
+   * Store TTS audio as uid/chatid/uuid.pcm
+   * @param {Buffer} audioBuffer - PCM audio data
+   * @param {string} uid - User ID
+   * @param {string} chatId - Chat ID
+   * @param {string} [prefix] - Filename prefix, e.g. 'user_' (uid/chatid/user_uuid.pcm)
+   * @returns {Promise<string>} Storage key of the audio
+   */
+  async uploadAudioFile(audioBuffer, uid, chatId, prefix = '') {
+    const key = `${uid}/${chatId}/${prefix}${randomUUID()}.pcm`;
+
+    console.log(`📤 Uploading audio: ${key} (${audioBuffer.length} bytes)`);
+    await this.storage.put(key, audioBuffer, {
+      contentType: 'audio/L16',
+      metadata: {
+        'original-format': 'pcm',
+        'sample-rate': '24000',
+        'channels': '1',
+        'bits-per-sample': '16'
+      }
+    });
+    console.log(`✅ Upload completed: ${key}`);
+
+    return key;
+  }
+
+  /**
+   * Store multi-speaker conversation audio once for each side of the turn (user_uuid.pcm, assistant_uuid.pcm)
+   * @param {Buffer} audioBuffer - PCM audio data
+   * @param {string} uid - User ID
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<{userKey: string, assistantKey: string}>} Storage keys for both messages
+   */
+  async uploadMultiSpeakerAudio(audioBuffer, uid, chatId) {
+    const userKey = await this.uploadAudioFile(audioBuffer, uid, chatId, 'user_');
+    const assistantKey = await this.uploadAudioFile(audioBuffer, uid, chatId, 'assistant_');
+
+    return { userKey, assistantKey };
+  }
+
+  /**
+   * Store another format of a stored audio file (e.g. uid/chatid/uuid.mp3 next to uuid.pcm)
+   * @param {Buffer} audioBuffer - Encoded audio
+   * @param {string} key - Storage key for the variant
+   * @param {string} contentType - MIME type of the variant
+   * @returns {Promise<string>} Storage key of the variant
+   */
+  async uploadAudioVariant(audioBuffer, key, contentType) {
+    console.log(`📤 Uploading audio variant: ${key} (${audioBuffer.length} bytes)`);
+    await this.storage.put(key, audioBuffer, {
+      contentType,
+      metadata: { 'transcoded-at': new Date().toISOString() }
+    });
+    console.log(`✅ Upload completed: ${key}`);
+
+    return key;
+  }
+
+  /**
+   * Store PCM audio from the legacy audio_files/ directory under its storage key
+   * @param {Buffer} audioBuffer - PCM audio data
+   * @param {string} key - Storage key (uid/chatid/filename.pcm)
+   * @returns {Promise<string>} Storage key of the audio
+   */
+  async uploadMigratedAudio(audioBuffer, key) {
+    console.log(`📤 Uploading migrated audio: ${key} (${audioBuffer.length} bytes)`);
+    await this.storage.put(key, audioBuffer, {
+      contentType: 'audio/L16',
+      metadata: {
+        'original-format': 'pcm',
+        'migrated-at': new Date().toISOString()
+      }
+    });
+    console.log(`✅ Upload completed: ${key}`);
+
+    return key;
+  }
+
+  /**
+   * Store a generated video as uid/chatid/uuid.mp4
+   * @param {Buffer} videoBuffer - Video data
+   * @param {string} uid - User ID
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<string>} Storage key of the video
+   */
+  async uploadVideoFile(videoBuffer, uid, chatId) {
+    const key = `${uid}/${chatId}/${randomUUID()}.mp4`;
+
+    console.log(`📤 Uploading video: ${key} (${videoBuffer.length} bytes)`);
+    await this.storage.put(key, videoBuffer, {
+      contentType: 'video/mp4',
+      metadata: {
+        'original-format': 'mp4',
+        'uploaded-at': new Date().toISOString()
+      }
+    });
+    console.log(`✅ Video upload completed: ${key}`);
+
+    return key;
+  }
+
+  /**
+   * Store a persona image as personas/filename
+   * @param {Buffer} imageBuffer - Image data
+   * @param {string} filename - Filename for the image
+   * @param {string} contentType - MIME type of the image (default: 'image/webp')
+   * @returns {Promise<string>} Storage key of the image
+   */
+  async uploadImageFile(imageBuffer, filename, contentType = 'image/webp') {
+    const key = `personas/${filename}`;
+
+    console.log(`📤 Uploading image: ${key} (${imageBuffer.length} bytes)`);
+    await this.storage.put(key, imageBuffer, {
+      contentType,
+      metadata: { 'uploaded-at': new Date().toISOString() }
+    });
+    console.log(`✅ Upload completed: ${key}`);
+
+    return key;
+  }
+
+  /**
+   * Read a stored object
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} Object data, or null if there is no such key
+   */
+  async getObject(key) {
+    return this.storage.get(key);
+  }
+
+  /**
+   * Read a stored object's size, type and version without downloading it
+   * @param {string} key - Storage key
+   * @returns {Promise<{size: number, contentType: string, etag: string, lastModified: Date}|null>} Metadata, or null if there is no such key
+   */
+  async statObject(key) {
+    return this.storage.stat(key);
+  }
+
+  /**
+   * Open a stored object for streaming
+   * @param {string} key - Storage key
+   * @param {{start: number, end: number}} [range] - Byte range to read (inclusive)
+   * @returns {Promise<{body: Readable, contentType: string, contentLength: number}|null>} Stream, or null if there is no such key
+   */
+  async streamObject(key, range) {
+    return this.storage.stream(key, range);
+  }
+
+  /**
+   * Generate a URL that serves a stored object without a session
+   * @param {string} key - Storage key
+   * @param {number} expiresIn - URL expiration time in seconds (default: 1 hour)
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(key, expiresIn = 3600) {
+    try {
+      const signedUrl = await this.storage.sign(key, expiresIn);
+      console.log(`🔗 Generated signed URL for: ${key}`);
+      return signedUrl;
+    } catch (error) {
+      console.error(`❌ Failed to generate signed URL for: ${key}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Signed URL of a video on the app's video proxy, which supports seeking with range requests
+   * @param {string} key - Storage key of the video
+   * @param {number} expiresIn - URL expiration time in seconds (default: 1 hour)
+   * @returns {string} Path relative to the API server (/api/video/uid/chatId/uuid.mp4?expires=...&signature=...)
+   */
+  getVideoUrl(key, expiresIn = 3600) {
+    return signMediaPath(key, expiresIn, VIDEO_PROXY_ROUTE);
+  }
+
+  /**
+   * List stored objects under a prefix
+   * @param {string} prefix - Key prefix (e.g., 'uid/chatId/')
+   * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>} Stored objects
+   */
+  async listObjects(prefix) {
+    return this.storage.list(prefix);
+  }
+
+  /**
+   * Delete a stored object
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async deleteObject(key) {
+    await this.storage.delete(key);
+    console.log(`🗑️ Deleted: ${key}`);
+  }
+
+  /**
+   * Storage key of a media reference. Persona images used to be saved as full S3 URLs
+   * (https://audio-chat-bymarco.s3.us-east-1.amazonaws.com/personas/filename.webp); newer
+   * rows store the key itself.
+   * @param {string} reference - Storage key or legacy S3 URL
+   * @returns {string} Storage key
+   */
+  keyFromUrl(reference) {
+    if (!/^https?:\/\//.test(reference)) return reference;
+    return decodeURIComponent(new URL(reference).pathname.substring(1));
+  }
+
+  /**
+   * Check that the storage backend is reachable
+   * @returns {Promise<boolean>} True if listing objects works
+   */
+  async testConnection() {
+    try {
+      await this.storage.list('personas/');
+      console.log(`✅ ${this.storage.name} storage connection test successful`);
+      return true;
+    } catch (error) {
+      console.error(`❌ ${this.storage.name} storage connection test failed:`, error);
+      return false;
+    }
+  }
+}
+
+// Create singleton instance
+const mediaService = new MediaService();
+
+module.exports = mediaService;
@@ -0,0 +1,347 @@
+// Media cleanup
+// Chat media is stored under uid/chatId/ (see ./media), and older audio under audio_files/ in the
+// same layout. Deleting a chat deletes both. A periodic sweep deletes files that no chat message
+// references (once they are a day old, so media whose message is still being saved survives) and
+// applies each user's retention: audio or video older than the limit is cleared from its message,
+// then deleted. Transcoded copies and podcast episodes count as the audio they were made from.
+// Every run returns a report; with dryRun nothing is deleted or changed.
+//
+// Nothing is deleted unless it is switched on:
+//   MEDIA_SWEEP_INTERVAL_HOURS    sweep every N hours (unset or 0: only the admin cleanup route sweeps)
+//   MEDIA_RETENTION_AUDIO_DAYS    default audio retention for users without their own (unset or 0: keep)
+//   MEDIA_RETENTION_VIDEO_DAYS    default video retention, likewise
+
+const db = require('./db');
+const mediaService = require('./media');
+const podcastFeeds = require('./podcast');
+const LocalStorage = require('./storage/local');
+const { AUDIO_FORMATS, variantKey } = require('./transcode');
+const { AUDIO_FILES_DIR, parseLegacyAudioUrl } = require('./legacyAudio');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ORPHAN_GRACE_MS = DAY_MS;
+const FIRST_SWEEP_DELAY_MS = 5 * 60 * 1000;
+const MAX_RETENTION_DAYS = 3650;
+const MESSAGE_PAGE_SIZE = 1000;
+
+// messages columns that reference media, by kind of media
+const MEDIA_COLUMNS = { audio_key: 'audio', video_key: 'video' };
+
+/**
+ * Where a message's media reference points
+ * @param {string} value - A message's audio_key or video_key
+ * @returns {{location: string, key: string}|null} Storage key or audio_files path, or null for other URLs
+ */
+function parseReference(value) {
+  if (typeof value !== 'string' || !value) return null;
+  if (!/^https?:\/\//.test(value)) return { location: 'storage', key: value };
+
+  const legacy = parseLegacyAudioUrl(value);
+  return legacy && { location: 'legacy', key: legacy.path };
+}
+
+/**
+ * Server-wide retention for a kind of media
+ * @param {string} kind - 'audio' or 'video'
+ * @returns {number|null} Days, or null to keep media forever (MEDIA_RETENTION_<KIND>_DAYS unset or 0)
+ */
+function defaultRetentionDays(kind) {
+  const days = Number(process.env[`MEDIA_RETENTION_${kind.toUpperCase()}_DAYS`]);
+  return days > 0 ? days : null;
+}
+
+class MediaCleanupService {
+  constructor() {
+    this.legacy = new LocalStorage({ root: AUDIO_FILES_DIR });
+    this.locations = {
+      storage: {
+        list: (prefix) => mediaService.listObjects(prefix),
+        remove: (key) => mediaService.deleteObject(key),
+      },
+      legacy: {
+        list: (prefix) => this.legacy.list(prefix),
+        remove: (key) => this.legacy.delete(key),
+      },
+    };
+    this.timer = null;
+    this.firstSweep = null;
+    this.sweeping = null;
+  }
+
+  /**
+   * Get a user's retention settings
+   * @param {string} uid - User ID
+   * @returns {Promise<Object|null>} The media_retention row, or null if the user uses the defaults
+   */
+  async getRetention(uid) {
+    const { data, error } = await db.client
+      .from('media_retention')
+      .select('*')
+      .eq('user_id', uid)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Server-wide retention, used when a user hasn't chosen their own
+   * @returns {{audioDays: number|null, videoDays: number|null}}
+   */
+  getDefaultRetention() {
+    return { audioDays: defaultRetentionDays('audio'), videoDays: defaultRetentionDays('video') };
+  }
+
+  /**
+   * Check retention settings from a client
+   * @param {Object} settings - { audioDays, videoDays }; null means the server default
+   * @returns {Array<string>} Problems; empty when the settings can be saved
+   */
+  validateRetention({ audioDays = null, videoDays = null } = {}) {
+    return Object.entries({ audioDays, videoDays })
+      .filter(([, days]) => days !== null && !(Number.isInteger(days) && days > 0 && days <= MAX_RETENTION_DAYS))
+      .map(([name]) => `${name} must be null or a whole number of days between 1 and ${MAX_RETENTION_DAYS}`);
+  }
+
+  /**
+   * Save a user's retention settings
+   * @param {string} uid - User ID
+   * @param {Object} settings - Settings that passed validateRetention
+   * @returns {Promise<Object>} The stored media_retention row
+   */
+  async saveRetention(uid, { audioDays = null, videoDays = null }) {
+    const { data, error } = await db.client
+      .from('media_retention')
+      .upsert({
+        user_id: uid,
+        audio_days: audioDays,
+        video_days: videoDays
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Delete all media of a chat, after the chat itself has been deleted
+   * @param {string} uid - User ID
+   * @param {string} chatId - Chat ID
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would be deleted
+   * @returns {Promise<Object>} Report (see sweep)
+   */
+  async deleteChatMedia(uid, chatId, { dryRun = false } = {}) {
+    if (!uid || !chatId || `${uid}${chatId}`.includes('/')) {
+      throw new Error(`Invalid chat: ${uid}/${chatId}`);
+    }
+
+    const prefix = `${uid}/${chatId}/`;
+    const removals = [];
+    for (const [location, store] of Object.entries(this.locations)) {
+      for (const object of await store.list(prefix)) {
+        removals.push({ location, key: object.key, size: object.size, reason: 'chat-deleted' });
+      }
+    }
+
+    return this.remove(removals, { dryRun });
+  }
+
+  /**
+   * Delete unreferenced media and media past its owner's retention
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would be deleted
+   * @param {number} [options.now] - Current time in ms (for tests)
+   * @returns {Promise<Object>} { dryRun, objects: [{ location, key, size, reason }], bytes, messagesUpdated, failed }
+   */
+  async sweep({ dryRun = false, now = Date.now() } = {}) {
+    const [messages, retention] = await Promise.all([this.loadMessages(), this.loadRetention()]);
+    const references = this.collectReferences(messages);
+
+    const removals = [];
+    for (const [location, store] of Object.entries(this.locations)) {
+      for (const object of await store.list('')) {
+        // Persona images and anything else outside uid/chatId/file are not chat media
+        if (object.key.split('/').length !== 3) continue;
+
+        const reference = references[location].get(object.key);
+        if (!reference) {
+          if (now - (object.lastModified?.getTime() ?? 0) >= ORPHAN_GRACE_MS) {
+            removals.push({ location, key: object.key, size: object.size, reason: 'orphaned' });
+          }
+          continue;
+        }
+
+        const days = retention.get(reference.uid)?.[`${reference.kind}Days`] ?? defaultRetentionDays(reference.kind);
+        const createdAt = reference.createdAt ?? object.lastModified?.getTime() ?? now;
+        if (days && now - createdAt >= days * DAY_MS) {
+          removals.push({ location, key: object.key, size: object.size, reason: 'expired', reference });
+        }
+      }
+    }
+
+    return this.remove(removals, { dryRun });
+  }
+
+  /**
+   * Clear expired media from messages, then delete the files
+   * Messages go first: if a delete fails, the file is unreferenced and the next sweep removes it.
+   * @param {Array<Object>} removals - { location, key, size, reason, reference? }
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} Report
+   */
+  async remove(removals, { dryRun }) {
+    const report = { dryRun, objects: [], bytes: 0, messagesUpdated: 0, failed: [] };
+
+    // Expired media by chat
+    const chats = new Map();
+    for (const { reference } of removals) {
+      if (!reference) continue;
+      const chat = chats.get(reference.chatId) || { uid: reference.uid, cleared: new Map() };
+      chat.cleared.set(reference.value, null);
+      chats.set(reference.chatId, chat);
+    }
+
+    const failedChats = new Set();
+    if (!dryRun) {
+      for (const [chatId, { uid, cleared }] of chats) {
+        try {
+          report.messagesUpdated += await db.replaceMessageMedia(uid, chatId, cleared);
+        } catch (error) {
+          console.error(`❌ Error clearing expired media from chat ${chatId}:`, error);
+          failedChats.add(chatId);
+        }
+      }
+    }
+
+    for (const { location, key, size, reason, reference } of removals) {
+      if (reference && failedChats.has(reference.chatId)) {
+        report.failed.push({ location, key, error: 'Could not update the chat that references it' });
+        continue;
+      }
+
+      try {
+        if (!dryRun) await this.locations[location].remove(key);
+        report.objects.push({ location, key, size, reason });
+        report.bytes += size || 0;
+      } catch (error) {
+        console.error(`❌ Error deleting ${location} media ${key}:`, error);
+        report.failed.push({ location, key, error: error.message });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Load the media columns of every message
+   * @returns {Promise<Array<Object>>} { chat_id, user_id, audio_key, video_key, created_at } rows
+   */
+  async loadMessages() {
+    const messages = [];
+    for (let from = 0; ; from += MESSAGE_PAGE_SIZE) {
+      const { data, error } = await db.client
+        .from('messages')
+        .select('chat_id, user_id, audio_key, video_key, created_at')
+        .order('seq')
+        .range(from, from + MESSAGE_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      messages.push(...(data || []));
+      if (!data || data.length < MESSAGE_PAGE_SIZE) return messages;
+    }
+  }
+
+  /**
+   * Load every user's retention settings
+   * @returns {Promise<Map<string, Object>>} uid -> { audioDays, videoDays }
+   */
+  async loadRetention() {
+    const { data, error } = await db.client
+      .from('media_retention')
+      .select('user_id, audio_days, video_days');
+
+    if (error) throw error;
+    return new Map((data || []).map(row => [row.user_id, { audioDays: row.audio_days, videoDays: row.video_days }]));
+  }
+
+  /**
+   * Index the media that chat messages reference
+   * Transcoded copies of a referenced PCM file, and the podcast episode stitched from it,
+   * count as referenced too.
+   * @param {Array<Object>} messages - Message rows
+   * @returns {{storage: Map, legacy: Map}} Key -> { uid, chatId, kind, value, createdAt }
+   */
+  collectReferences(messages) {
+    const references = { storage: new Map(), legacy: new Map() };
+
+    for (const message of messages) {
+      const timestamp = Date.parse(message.created_at);
+
+      for (const [column, kind] of Object.entries(MEDIA_COLUMNS)) {
+        const parsed = parseReference(message[column]);
+        if (!parsed) continue;
+
+        const reference = {
+          uid: message.user_id,
+          chatId: message.chat_id,
+          kind,
+          value: message[column],
+          createdAt: Number.isNaN(timestamp) ? null : timestamp,
+        };
+        const keys = parsed.location === 'storage' && parsed.key.endsWith('.pcm')
+          ? [
+            ...Object.keys(AUDIO_FORMATS).map(format => variantKey(parsed.key, format)),
+            podcastFeeds.episodeKey(message.user_id, message.chat_id)
+          ]
+          : [parsed.key];
+        keys.forEach(key => references[parsed.location].set(key, reference));
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Sweep periodically, if MEDIA_SWEEP_INTERVAL_HOURS is set
+   */
+  start() {
+    if (this.timer) return;
+
+    const hours = Number(process.env.MEDIA_SWEEP_INTERVAL_HOURS);
+    if (!(hours > 0)) {
+      console.log('🧹 Media sweep is off; set MEDIA_SWEEP_INTERVAL_HOURS to sweep periodically');
+      return;
+    }
+
+    const run = () => {
+      if (this.sweeping) return;
+      this.sweeping = this.sweep()
+        .then(report => console.log(`🧹 Media sweep deleted ${report.objects.length} files (${report.bytes} bytes), ${report.failed.length} failed`))
+        .catch(error => console.error('❌ Error sweeping media:', error))
+        .finally(() => { this.sweeping = null; });
+    };
+
+    console.log(`🧹 Media sweep runs every ${hours} hours`);
+    this.firstSweep = setTimeout(run, FIRST_SWEEP_DELAY_MS);
+    this.firstSweep.unref();
+    this.timer = setInterval(run, hours * 60 * 60 * 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    clearTimeout(this.firstSweep);
+    clearInterval(this.timer);
+    this.firstSweep = null;
+    this.timer = null;
+  }
+}
+
+// Create and export singleton instance
+const mediaCleanup = new MediaCleanupService();
+
+module.exports = mediaCleanup;
@@ -0,0 +1,110 @@
+// Serving stored media through the API
+// Audio and video routes stream objects from media storage instead of redirecting to signed
+// URLs. Players seek with range requests, so a single byte range is answered with 206 Partial
+// Content; the object's ETag and Last-Modified are passed through for If-Range, If-None-Match
+// and browser caching.
+
+const { pipeline } = require('node:stream');
+const mediaService = require('./media');
+
+/**
+ * Whether an If-None-Match header matches an ETag (weak comparison)
+ * @param {string|undefined} header - If-None-Match value
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+function matchesIfNoneMatch(header, etag) {
+  if (!header) return false;
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+/**
+ * Whether a Range header should be honoured under If-Range: only if the validator still matches,
+ * otherwise the client's partial copy is stale and gets the whole object
+ * @param {string|undefined} header - If-Range value (an ETag or an HTTP date)
+ * @param {Object} object - { etag, lastModified } from statObject
+ * @returns {boolean}
+ */
+function ifRangeMatches(header, object) {
+  if (!header) return true;
+
+  // Entity tags need a strong match
+  if (header.startsWith('"') || header.startsWith('W/')) {
+    return !header.startsWith('W/') && header === object.etag;
+  }
+
+  const date = Date.parse(header);
+  return Boolean(object.lastModified) && !Number.isNaN(date) && Math.floor(object.lastModified.getTime() / 1000) * 1000 <= date;
+}
+
+/**
+ * Send a stored object, honouring Range, If-Range and If-None-Match
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} key - Storage key
+ * @param {Object} [options]
+ * @param {string} [options.contentType] - Content-Type (default: the stored type)
+ * @param {string} [options.cacheControl] - Cache-Control (default: one day)
+ * @param {string} [options.filename] - Sent as an inline Content-Disposition
+ * @returns {Promise<boolean>} False if there is no such object (nothing has been sent)
+ */
+async function sendStoredObject(req, res, key, { contentType, cacheControl = 'public, max-age=86400', filename } = {}) {
+  const object = await mediaService.statObject(key);
+  if (!object) return false;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Type', contentType || object.contentType || 'application/octet-stream');
+  res.setHeader('Cache-Control', cacheControl);
+  if (object.etag) res.setHeader('ETag', object.etag);
+  if (object.lastModified) res.setHeader('Last-Modified', object.lastModified.toUTCString());
+  if (filename) res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+
+  if (object.etag && matchesIfNoneMatch(req.headers['if-none-match'], object.etag)) {
+    res.status(304).end();
+    return true;
+  }
+
+  let range = null;
+  if (req.headers.range && ifRangeMatches(req.headers['if-range'], object)) {
+    const ranges = req.range(object.size, { combine: true });
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${object.size}`);
+      res.status(416).end();
+      return true;
+    }
+    // Malformed headers and multiple ranges are answered with the whole object
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+    }
+  }
+
+  const stored = await mediaService.streamObject(key, range || undefined);
+  if (!stored) return false;
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${object.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', object.size);
+  }
+
+  if (req.method === 'HEAD') {
+    stored.body.destroy();
+    res.end();
+    return true;
+  }
+
+  pipeline(stored.body, res, (error) => {
+    // Players routinely drop a request when they seek
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`❌ Stream of ${key} interrupted:`, error.message);
+    }
+  });
+  return true;
+}
+
+module.exports = {
+  sendStoredObject,
+};
@@ -0,0 +1,221 @@
+// News cache
+// Normalized articles are stored per location in the Supabase `news_cache` table with a
+// fetched_at and an expires_at, so a chat turn reads news in one query instead of crawling.
+// Expired entries are still served while a background refresh replaces them, and locations
+// read recently are refreshed ahead of expiry. Only a location that was never cached is
+// crawled while the caller waits.
+
+const db = require('../db');
+const newsSources = require('./index');
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const RETRY_DELAY_MS = 5 * 60 * 1000; // after a failed refresh
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const REFRESH_AHEAD_MS = 2 * 60 * 1000; // refresh active locations this long before they expire
+const ACTIVE_WINDOW_MS = 2 * 60 * 60 * 1000; // locations read within this window are kept warm
+
+// Extra ranking for articles that mention the words of the user's message
+function queryScore(article, query) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(word => word.length > 2);
+  const headline = article.headline.toLowerCase();
+  const content = (article.content || '').toLowerCase();
+
+  return words.reduce((score, word) => score + (headline.includes(word) ? 25 : 0) + (content.includes(word) ? 18 : 0), 0);
+}
+
+class NewsCache {
+  constructor() {
+    this.ttlMs = Number(process.env.NEWS_CACHE_TTL_MINUTES) * 60 * 1000 || DEFAULT_TTL_MS;
+    this.refreshing = new Map(); // location -> refresh promise
+    this.requested = new Map(); // location -> last read (ms), for refreshing ahead of expiry
+    this.timer = null;
+  }
+
+  /**
+   * Get cached news for several locations, ranked for a message
+   * @param {Array<string>} locations - Supported locations
+   * @param {string} query - The user's message
+   * @returns {Promise<Array<Object>>} Merged articles, most relevant first
+   */
+  async getArticles(locations, query = '') {
+    const keys = [...new Set(locations.map(location => String(location).toLowerCase()))];
+    keys.forEach(location => this.requested.set(location, Date.now()));
+
+    let entries;
+    try {
+      entries = await this.getEntries(keys);
+    } catch (error) {
+      console.error('❌ Error reading news cache:', error);
+      entries = new Map();
+    }
+
+    const perLocation = await Promise.all(keys.map(async (location) => {
+      const entry = entries.get(location);
+      if (!entry) {
+        console.log(`🧊 No cached news for ${location}, fetching it now`);
+        const refreshed = await this.refresh(location).catch(() => null);
+        return refreshed?.articles || [];
+      }
+
+      if (Date.parse(entry.expires_at) <= Date.now()) {
+        this.refreshInBackground(location);
+      }
+      return entry.articles;
+    }));
+
+    return newsSources
+      .merge(perLocation.flat())
+      .map(article => ({ ...article, relevanceScore: article.relevanceScore + queryScore(article, query) }))
+      .sort((a, b) => b.relevanceScore - a.relevanceScore);
+  }
+
+  /**
+   * Read cache rows
+   * @param {Array<string>} locations - Locations (lowercase)
+   * @returns {Promise<Map<string, Object>>} location -> row
+   */
+  async getEntries(locations) {
+    const { data, error } = await db.client
+      .from('news_cache')
+      .select('*')
+      .in('location', locations);
+
+    if (error) throw error;
+    return new Map((data || []).map(row => [row.location, row]));
+  }
+
+  /**
+   * List the locations that have a cache row
+   * @returns {Promise<Array<string>>} Locations
+   */
+  async getCachedLocations() {
+    const { data, error } = await db.client
+      .from('news_cache')
+      .select('location')
+      .order('location');
+
+    if (error) throw error;
+    return (data || []).map(row => row.location);
+  }
+
+  /**
+   * Fetch a location from its news sources and store the result. Concurrent calls for the
+   * same location share one fetch.
+   * @param {string} location - Supported location
+   * @returns {Promise<Object>} The stored row
+   * @throws {Error} If the location is unknown, or every source failed (the error is also stored)
+   */
+  refresh(location) {
+    const key = String(location).toLowerCase();
+    if (!newsSources.isLocationSupported(key)) {
+      return Promise.reject(new Error(`Unsupported location: ${location}`));
+    }
+
+    if (!this.refreshing.has(key)) {
+      const promise = this.fetchAndStore(key).finally(() => this.refreshing.delete(key));
+      this.refreshing.set(key, promise);
+    }
+    return this.refreshing.get(key);
+  }
+
+  refreshInBackground(location) {
+    if (this.refreshing.has(location)) return;
+    console.log(`🔄 Refreshing news for ${location} in the background`);
+    this.refresh(location).catch(() => {
+      // Already logged and recorded on the row; the stale articles keep being served
+    });
+  }
+
+  async fetchAndStore(location) {
+    const startedAt = Date.now();
+    try {
+      const articles = await newsSources.fetchLocation(location);
+      const now = new Date();
+      const row = await this.store({
+        location,
+        articles,
+        fetched_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + this.ttlMs).toISOString(),
+        error: null,
+      });
+      console.log(`✅ Cached ${articles.length} articles for ${location} in ${Date.now() - startedAt}ms`);
+      return row;
+    } catch (error) {
+      console.error(`❌ Error refreshing news for ${location}:`, error.message);
+      await this.recordFailure(location, error).catch(storeError => {
+        console.error('❌ Error recording news refresh failure:', storeError);
+      });
+      throw error;
+    }
+  }
+
+  async store(row) {
+    const { data, error } = await db.client
+      .from('news_cache')
+      .upsert(row, { onConflict: 'location' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Keep the previous articles, but retry sooner than a full TTL
+  async recordFailure(location, failure) {
+    const retryAt = new Date(Date.now() + RETRY_DELAY_MS).toISOString();
+    const { data: updated, error } = await db.client
+      .from('news_cache')
+      .update({ expires_at: retryAt, error: failure.message })
+      .eq('location', location)
+      .select();
+
+    if (error) throw error;
+    if (updated.length === 0) {
+      await this.store({ location, articles: [], fetched_at: new Date().toISOString(), expires_at: retryAt, error: failure.message });
+    }
+  }
+
+  /**
+   * Refresh locations read within the active window that expire soon. Called on a timer.
+   */
+  async refreshActive() {
+    const now = Date.now();
+    for (const [location, requestedAt] of this.requested) {
+      if (now - requestedAt > ACTIVE_WINDOW_MS) this.requested.delete(location);
+    }
+    if (this.requested.size === 0) return;
+
+    const entries = await this.getEntries([...this.requested.keys()]);
+    for (const location of this.requested.keys()) {
+      const entry = entries.get(location);
+      if (!entry || Date.parse(entry.expires_at) - REFRESH_AHEAD_MS <= now) {
+        this.refreshInBackground(location);
+      }
+    }
+  }
+
+  /**
+   * Start refreshing active locations ahead of expiry
+   */
+  start() {
+    if (this.timer) return;
+    console.log(`📰 News cache started (TTL ${Math.round(this.ttlMs / 60000)} min)`);
+    this.timer = setInterval(() => {
+      this.refreshActive().catch(error => console.error('❌ Error refreshing news cache:', error));
+    }, REFRESH_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the refresh timer; refreshes in flight finish on their own
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Create and export singleton instance
+const newsCache = new NewsCache();
+
+module.exports = newsCache;
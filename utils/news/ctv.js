@@ -0,0 +1,41 @@
+// CTV News articles, crawled through Tavily
+
+const tavilyService = require('../tavily');
+
+class CtvSource {
+  constructor() {
+    this.name = 'ctv';
+  }
+
+  supports(location) {
+    return tavilyService.isLocationSupported(location);
+  }
+
+  isConfigured() {
+    return Boolean(process.env.TAVILY_API_KEY);
+  }
+
+  /**
+   * Crawl the location's CTV News pages
+   * @param {string} location - Location to crawl
+   * @param {string} query - Optional query to focus the search
+   * @returns {Promise<Array<Object>>} Articles; relevance is scored during normalization
+   */
+  async fetchArticles(location, query = '') {
+    const crawl = await tavilyService.crawlCTVNews(location, query);
+    if (!crawl.success) {
+      throw new Error(crawl.error);
+    }
+
+    // Tavily's score is search relevance, not engagement, so it is not carried over
+    return crawl.articles.map(article => ({
+      headline: article.headline,
+      content: article.content,
+      url: article.url,
+      source: article.source,
+      publishDate: article.publishDate,
+    }));
+  }
+}
+
+module.exports = CtvSource;
@@ -0,0 +1,192 @@
+// RSS 2.0 and Atom feed reader
+// Feeds are fetched with conditional GET (If-None-Match / If-Modified-Since) and never more
+// often than their polling interval; in between, and on a 304, the last parsed items are reused.
+// Item text is HTML converted to plain text, since descriptions are usually escaped markup.
+
+const FETCH_TIMEOUT_MS = 10000;
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const USER_AGENT = 'anchor-agent/1.0 (+news feed reader)';
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  ndash: '–', mdash: '—', hellip: '…', laquo: '«', raquo: '»',
+  eacute: 'é', egrave: 'è', agrave: 'à', ccedil: 'ç', ecirc: 'ê',
+};
+
+const BLOCK_TAGS = 'p|div|br|li|ul|ol|h[1-6]|blockquote|tr|section|article|figure|figcaption';
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convert an HTML fragment to readable plain text
+ * @param {string} html - HTML, e.g. an item description
+ * @returns {string} Text with block elements on their own lines and whitespace collapsed
+ */
+function htmlToText(html) {
+  const text = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|iframe|noscript)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(new RegExp(`</?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Raw contents of the first <tag>: CDATA is kept verbatim, anything else is XML-decoded once
+function readElement(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'i'));
+  if (!match) return null;
+
+  const attributes = match[1] || '';
+  const body = match[2] || '';
+  const cdata = body.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  const value = cdata ? cdata[1] : decodeEntities(body);
+
+  // Atom type="xhtml" content is inline markup, not escaped HTML
+  return { attributes, value: /type=["']xhtml["']/i.test(attributes) ? body : value };
+}
+
+function readText(xml, ...tags) {
+  for (const tag of tags) {
+    const element = readElement(xml, tag);
+    if (element && element.value.trim()) {
+      return htmlToText(element.value);
+    }
+  }
+  return '';
+}
+
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}=["']([^"']*)["']`, 'i'));
+  return match ? decodeEntities(match[1]) : null;
+}
+
+// RSS links are element text; Atom links are <link href> and the article is rel="alternate"
+function readLink(xml) {
+  const links = [...xml.matchAll(/<link\b([^>]*?)\/?>/gi)]
+    .map(match => ({ rel: readAttribute(match[1], 'rel') || 'alternate', href: readAttribute(match[1], 'href') }))
+    .filter(link => link.href);
+
+  const alternate = links.find(link => link.rel === 'alternate');
+  if (alternate) return alternate.href;
+
+  return readText(xml, 'link') || readText(xml, 'guid') || null;
+}
+
+function readDate(xml) {
+  const value = readText(xml, 'pubDate', 'published', 'dc:date', 'updated');
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document
+ * @param {string} xml - Feed document
+ * @returns {{ title: string, items: Array<{ title, link, description, published }> }} Feed title and items
+ */
+function parseFeed(xml) {
+  if (!/<(rss|feed|rdf:RDF)\b/i.test(xml)) {
+    throw new Error('Not an RSS or Atom feed');
+  }
+
+  const blocks = xml.match(/<item\b[\s\S]*?<\/item>|<entry\b[\s\S]*?<\/entry>/gi) || [];
+  const header = xml.split(/<item\b|<entry\b/i)[0];
+
+  return {
+    title: readText(header, 'title'),
+    items: blocks
+      .map(block => ({
+        title: readText(block, 'title').replace(/\n/g, ' '),
+        link: readLink(block),
+        description: readText(block, 'content:encoded', 'description', 'content', 'summary'),
+        published: readDate(block),
+      }))
+      .filter(item => item.title),
+  };
+}
+
+class FeedReader {
+  constructor() {
+    this.feeds = new Map(); // url -> { etag, lastModified, checkedAt, title, items }
+  }
+
+  /**
+   * Get a feed's items, fetching it only when its polling interval has passed
+   * @param {Object} feed - { url, intervalMs }
+   * @returns {Promise<{ title: string, items: Array<Object>, fresh: boolean }>} Items; fresh is false when cached ones were reused
+   */
+  async read({ url, intervalMs = DEFAULT_INTERVAL_MS }) {
+    const cached = this.feeds.get(url);
+    if (cached && Date.now() - cached.checkedAt < intervalMs) {
+      return { title: cached.title, items: cached.items, fresh: false };
+    }
+
+    const headers = { 'User-Agent': USER_AGENT, Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    let response;
+    try {
+      response = await fetch(url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      if (response.status !== 304 && !response.ok) {
+        throw new Error(`Feed ${url} responded with ${response.status} ${response.statusText}`);
+      }
+    } catch (error) {
+      if (!cached) throw error;
+      // Serve the last good copy; checkedAt is left alone so the next read retries
+      console.warn(`⚠️ Feed ${url} unavailable, reusing ${cached.items.length} cached items:`, error.message);
+      return { title: cached.title, items: cached.items, fresh: false };
+    }
+
+    if (response.status === 304) {
+      cached.checkedAt = Date.now();
+      console.log(`📡 Feed not modified: ${url}`);
+      return { title: cached.title, items: cached.items, fresh: false };
+    }
+
+    const { title, items } = parseFeed(await response.text());
+    this.feeds.set(url, {
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      checkedAt: Date.now(),
+      title,
+      items,
+    });
+    console.log(`📡 Fetched ${items.length} items from ${url}`);
+    return { title, items, fresh: true };
+  }
+
+  /**
+   * Parse an RSS 2.0 or Atom document without fetching it
+   * @param {string} xml - Feed document
+   * @returns {{ title: string, items: Array<Object> }} Feed title and items
+   */
+  parse(xml) {
+    return parseFeed(xml);
+  }
+
+  /**
+   * Forget every feed's cached items and validators
+   */
+  reset() {
+    this.feeds.clear();
+  }
+}
+
+// Create and export singleton instance, shared across registry reloads
+const feedReader = new FeedReader();
+
+module.exports = feedReader;
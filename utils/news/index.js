@@ -0,0 +1,234 @@
+// News source registry
+// configs/news-sources.json lists, for every location, the sources its news comes from:
+//
+//   { "locations": { "ottawa": ["reddit", "ctv", { "type": "rss", "feeds": ["https://..."] }] } }
+//
+// A source is created per entry (a bare string is a type with no options) and implements:
+//
+//   name                            -> label used in logs
+//   supports(location)              -> boolean, checked when the config is loaded
+//   isConfigured()                  -> false when credentials are missing; the source is skipped
+//   fetchArticles(location, query)  -> [article]
+//
+// Articles from every source are normalized to the shape processRedditResults produces
+// (headline, content, url, source, score, numComments, publishDate, relevanceScore,
+// topComments) plus location and community, then merged and ranked as one list.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { calculateRelevanceScore } = require('../brightdata');
+const RedditSource = require('./reddit');
+const CtvSource = require('./ctv');
+const RssSource = require('./rss');
+
+const CONFIG_PATH = path.join(__dirname, '..', '..', 'configs', 'news-sources.json');
+const MAX_CONTENT_LENGTH = 500;
+
+const SOURCES = {
+  reddit: RedditSource,
+  ctv: CtvSource,
+  rss: RssSource,
+};
+
+/**
+ * Bring an article from any source into the common article model
+ * @param {Object} article - Article as returned by a source
+ * @param {string} location - Location it was fetched for
+ * @param {string} query - Query it was fetched for, used to rank articles without a score
+ * @returns {Object|null} Normalized article, or null if it has no headline
+ */
+function normalizeArticle(article, location, query = '') {
+  const headline = String(article.headline || '').replace(/\s+/g, ' ').trim();
+  if (!headline) return null;
+
+  const content = String(article.content || '').replace(/\s+/g, ' ').trim().substring(0, MAX_CONTENT_LENGTH);
+  const score = Number(article.score) || 0;
+  const numComments = Number(article.numComments) || 0;
+  const date = article.publishDate ? new Date(article.publishDate) : null;
+  const publishDate = date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+
+  const relevanceScore = Number.isFinite(article.relevanceScore)
+    ? article.relevanceScore
+    : calculateRelevanceScore({ title: headline, content, upvotes: score, comments: numComments, date_posted: publishDate }, location, query);
+
+  return {
+    headline,
+    content,
+    url: article.url || null,
+    source: article.source || 'Unknown',
+    score,
+    numComments,
+    publishDate,
+    relevanceScore,
+    topComments: article.topComments || [],
+    location,
+    community: Boolean(article.community),
+  };
+}
+
+// Key two copies of a story share: the URL without query or fragment, else the headline
+function articleKey(article) {
+  if (article.url) {
+    try {
+      const url = new URL(article.url);
+      return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch {
+      // Not a URL, fall back to the headline
+    }
+  }
+  return article.headline.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Merge normalized articles from several sources, keeping the best ranked copy of each story
+ * @param {Array<Object>} articles - Normalized articles
+ * @returns {Array<Object>} Deduplicated articles, most relevant first
+ */
+function mergeArticles(articles) {
+  const merged = new Map();
+  for (const article of articles) {
+    const key = articleKey(article);
+    const existing = merged.get(key);
+    if (!existing || article.relevanceScore > existing.relevanceScore) {
+      merged.set(key, article);
+    }
+  }
+  return [...merged.values()].sort((a, b) => b.relevanceScore - a.relevanceScore);
+}
+
+class NewsSourceRegistry {
+  constructor() {
+    this.types = { ...SOURCES };
+    this.locations = new Map(); // location -> [source]
+  }
+
+  /**
+   * Add a source type that config entries can refer to
+   * @param {string} type - Type name used in the config
+   * @param {Function} Source - Class constructed with the entry's options
+   */
+  register(type, Source) {
+    this.types[type] = Source;
+  }
+
+  /**
+   * Create the sources for every location. Nothing is replaced unless the whole config is valid.
+   * @param {Object} [config] - { locations: { [location]: [type | { type, ...options }] } } (default configs/news-sources.json)
+   * @returns {NewsSourceRegistry} this
+   */
+  load(config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'))) {
+    const locations = new Map();
+    const problems = [];
+
+    for (const [location, entries] of Object.entries(config.locations || {})) {
+      const sources = [];
+      for (const entry of [].concat(entries)) {
+        const { type, ...options } = typeof entry === 'string' ? { type: entry } : entry;
+        const Source = this.types[type];
+        if (!Source) {
+          problems.push(`${location}: unknown source "${type}" (expected one of ${Object.keys(this.types).join(', ')})`);
+          continue;
+        }
+
+        try {
+          const source = new Source(options);
+          if (!source.supports(location)) {
+            throw new Error('does not cover this location');
+          }
+          sources.push(source);
+        } catch (error) {
+          problems.push(`${location}: ${type} ${error.message}`);
+        }
+      }
+      if ([].concat(entries).length === 0) {
+        problems.push(`${location}: no sources listed`);
+      }
+      locations.set(location.toLowerCase(), sources);
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid news sources config:\n  ${problems.join('\n  ')}`);
+    }
+
+    this.locations = locations;
+    console.log(`📰 Loaded news sources for ${locations.size} locations`);
+    return this;
+  }
+
+  /**
+   * Get list of supported locations
+   * @returns {Array<string>} Locations with at least one source
+   */
+  getSupportedLocations() {
+    return [...this.locations.keys()];
+  }
+
+  /**
+   * Validate if a location is supported
+   * @param {string} location - Location to validate
+   * @returns {boolean} True if location has a source
+   */
+  isLocationSupported(location) {
+    return this.locations.has(String(location).toLowerCase());
+  }
+
+  /**
+   * Fetch one location's articles from all of its configured sources
+   * @param {string} location - Location to fetch news for
+   * @param {string} query - Optional query to focus the search
+   * @returns {Promise<Array<Object>>} Normalized articles; sources that fail are logged and skipped
+   * @throws {Error} If every configured source failed
+   */
+  async fetchLocation(location, query = '') {
+    const sources = (this.locations.get(String(location).toLowerCase()) || []).filter(source => {
+      if (source.isConfigured()) return true;
+      console.warn(`⚠️ News source ${source.name} is not configured, skipping it for ${location}`);
+      return false;
+    });
+
+    const results = await Promise.allSettled(sources.map(source => source.fetchArticles(location, query)));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0 && failed.length === results.length) {
+      const reasons = results.map((result, index) => `${sources[index].name}: ${result.reason?.message || result.reason}`);
+      throw new Error(`Every news source failed for ${location} (${reasons.join('; ')})`);
+    }
+
+    return results.flatMap((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`❌ News source ${sources[index].name} failed for ${location}:`, result.reason?.message || result.reason);
+        return [];
+      }
+      console.log(`📰 ${sources[index].name}: ${result.value.length} articles for ${location}`);
+      return result.value.map(article => normalizeArticle(article, location, query)).filter(Boolean);
+    });
+  }
+
+  /**
+   * Fetch and merge news for several locations
+   * @param {Array<string>} locations - Locations to fetch news for
+   * @param {string} query - Optional query to focus the search
+   * @returns {Promise<Array<Object>>} Merged articles, most relevant first
+   */
+  async fetchArticles(locations, query = '') {
+    const perLocation = await Promise.all(locations.map(location => this.fetchLocation(location, query).catch((error) => {
+      console.error('❌', error.message);
+      return [];
+    })));
+    return mergeArticles(perLocation.flat());
+  }
+
+  /**
+   * Merge normalized articles, e.g. cached ones from several locations
+   * @param {Array<Object>} articles - Normalized articles
+   * @returns {Array<Object>} Deduplicated articles, most relevant first
+   */
+  merge(articles) {
+    return mergeArticles(articles);
+  }
+}
+
+// Create, load and export singleton instance
+const newsSources = new NewsSourceRegistry().load();
+
+module.exports = newsSources;
@@ -0,0 +1,33 @@
+// Reddit community discussions, crawled through BrightData
+
+const brightdataService = require('../brightdata');
+
+class RedditSource {
+  constructor() {
+    this.name = 'reddit';
+  }
+
+  supports(location) {
+    return brightdataService.isLocationSupported(location);
+  }
+
+  isConfigured() {
+    return Boolean(process.env.BRIGHT_DATA_KEY);
+  }
+
+  /**
+   * Crawl the location's subreddits
+   * @param {string} location - Location to crawl
+   * @param {string} query - Optional query to focus the search
+   * @returns {Promise<Array<Object>>} Articles as produced by processRedditResults
+   */
+  async fetchArticles(location, query = '') {
+    const crawl = await brightdataService.crawlRedditNews(location, query);
+    if (!crawl.success) {
+      throw new Error(crawl.error);
+    }
+    return crawl.articles.map(article => ({ ...article, community: true }));
+  }
+}
+
+module.exports = RedditSource;
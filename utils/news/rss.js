@@ -0,0 +1,85 @@
+// Articles from RSS 2.0 and Atom feeds, e.g. CBC's regional feeds and local papers
+// Config entry: { "type": "rss", "feeds": ["https://...", { "url": "https://...", "name": "Ottawa Citizen", "intervalMinutes": 30 }] }
+// Feeds are polled no more often than intervalMinutes (default 15); see feeds.js.
+
+const feedReader = require('./feeds');
+const { calculateRelevanceScore } = require('../brightdata');
+
+const MAX_ARTICLES = 8;
+const MAX_CONTENT_LENGTH = 500;
+
+// Accept a bare URL or { url, name, intervalMinutes }
+function normalizeFeed(feed) {
+  const { url, name = null, intervalMinutes } = typeof feed === 'string' ? { url: feed } : feed || {};
+
+  if (typeof url !== 'string' || !URL.canParse(url)) {
+    throw new Error(`has an invalid feed URL "${url}"`);
+  }
+  if (intervalMinutes !== undefined && !(intervalMinutes > 0)) {
+    throw new Error(`feed ${url} needs a positive "intervalMinutes"`);
+  }
+
+  return { url, name, intervalMs: intervalMinutes ? intervalMinutes * 60 * 1000 : undefined };
+}
+
+class RssSource {
+  constructor({ feeds } = {}) {
+    if (!Array.isArray(feeds) || feeds.length === 0) {
+      throw new Error('needs a "feeds" list');
+    }
+    this.name = 'rss';
+    this.feeds = feeds.map(normalizeFeed);
+  }
+
+  supports() {
+    return true;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Read every feed; one unreachable feed does not drop the others
+   * @param {string} location - Location the feeds belong to
+   * @param {string} query - Optional query, used to rank the items
+   * @returns {Promise<Array<Object>>} Articles in the shape processRedditResults produces
+   */
+  async fetchArticles(location, query = '') {
+    const results = await Promise.allSettled(this.feeds.map(feed => feedReader.read(feed)));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length === results.length) {
+      throw failed[0].reason;
+    }
+    failed.forEach(result => console.warn(`⚠️ Feed failed for ${location}:`, result.reason.message));
+
+    return results
+      .flatMap((result, index) => {
+        if (result.status === 'rejected') return [];
+        const feed = this.feeds[index];
+        const source = feed.name || result.value.title || new URL(feed.url).hostname;
+        return result.value.items.map(item => this.toArticle(item, source, location, query));
+      })
+      .sort((a, b) => b.relevanceScore - a.relevanceScore)
+      .slice(0, MAX_ARTICLES);
+  }
+
+  toArticle(item, source, location, query) {
+    const content = item.description.replace(/\n+/g, ' ').substring(0, MAX_CONTENT_LENGTH);
+
+    return {
+      headline: item.title,
+      content,
+      url: item.link,
+      source,
+      score: 0,
+      numComments: 0,
+      publishDate: item.published,
+      relevanceScore: calculateRelevanceScore({ title: item.title, content, date_posted: item.published }, location, query),
+      topComments: [],
+    };
+  }
+}
+
+module.exports = RssSource;
@@ -0,0 +1,571 @@
+// Conversation pipeline shared by the chat endpoints
+// Every chat turn runs through the same named stages (persona, history, response, audio, ...).
+// Input types only differ in their first stage, so new inputs register an input stage
+// instead of copying the whole handler.
+
+const { randomUUID } = require('node:crypto');
+const db = require('./db');
+const ai = require('./generate');
+const mediaService = require('./media');
+const newsSources = require('./news');
+const { enqueueVideoJob, markVideoFailed } = require('./videoJobs');
+const { stitchAudio, normalizeStoryCount } = require('./episodes');
+const {
+  saveAudioFile,
+  saveMultiSpeakerAudio,
+  cleanResponseText,
+} = require('./helpers');
+
+class ConversationPipeline {
+  /**
+   * @param {Array<Object>} stages - Stage definitions: { name, run(ctx), degradable?, when?(ctx) }
+   */
+  constructor(stages = []) {
+    this.stages = [];
+    stages.forEach(stage => this.use(stage));
+  }
+
+  /**
+   * Append a stage to the end of the pipeline
+   * @param {Object} stage - Stage definition
+   * @returns {ConversationPipeline} The pipeline, for chaining
+   */
+  use(stage) {
+    if (!stage || !stage.name || typeof stage.run !== 'function') {
+      throw new Error('Pipeline stages need a name and a run(ctx) function');
+    }
+    if (this.stages.some(existing => existing.name === stage.name)) {
+      throw new Error(`Pipeline stage already registered: ${stage.name}`);
+    }
+    this.stages.push(stage);
+    return this;
+  }
+
+  /**
+   * Replace a stage with the same name (e.g. to swap the audio stage for a streaming one)
+   * @param {Object} stage - Stage definition
+   * @returns {ConversationPipeline} The pipeline, for chaining
+   */
+  replace(stage) {
+    const index = this.stages.findIndex(existing => existing.name === stage.name);
+    if (index === -1) {
+      throw new Error(`Unknown pipeline stage: ${stage.name}`);
+    }
+    this.stages[index] = stage;
+    return this;
+  }
+
+  /**
+   * Run every stage in order. Degradable stages record their failure and let the
+   * turn continue; any other failure stops the pipeline and is rethrown.
+   * Once ctx.signal is aborted (e.g. barge-in), the remaining stages are skipped.
+   * @param {Object} ctx - Pipeline context (see createPipelineContext)
+   * @returns {Promise<Object>} The same context, with a `stages` report attached
+   */
+  async run(ctx) {
+    ctx.stages = [];
+
+    for (const stage of this.stages) {
+      const report = { name: stage.name, durationMs: 0, degraded: false, skipped: false };
+      ctx.stages.push(report);
+
+      if (ctx.signal?.aborted) {
+        report.skipped = true;
+        report.reason = 'Aborted';
+        continue;
+      }
+
+      if (stage.when && !stage.when(ctx)) {
+        report.skipped = true;
+        continue;
+      }
+
+      const startTime = Date.now();
+      try {
+        const result = await stage.run(ctx);
+
+        // Stages can report a soft failure without throwing
+        if (result && result.degraded) {
+          report.degraded = true;
+          report.reason = result.reason || null;
+          console.warn(`⚠️ Stage "${stage.name}" degraded:`, report.reason);
+        }
+      } catch (error) {
+        report.durationMs = Date.now() - startTime;
+
+        if (!stage.degradable) {
+          report.error = error.message;
+          error.stage = stage.name;
+          throw error;
+        }
+
+        report.degraded = true;
+        report.reason = error.message;
+        console.warn(`⚠️ Stage "${stage.name}" failed, continuing without it:`, error.message);
+        if (ctx.onStage) await ctx.onStage(report, ctx);
+        continue;
+      }
+
+      report.durationMs = Date.now() - startTime;
+      console.log(`⏱️ Stage "${stage.name}" finished in ${report.durationMs}ms`);
+      if (ctx.onStage) await ctx.onStage(report, ctx);
+    }
+
+    return ctx;
+  }
+}
+
+// Input stages: turn the raw request payload into ctx.userMessage
+
+const textInputStage = {
+  name: 'input',
+  run: async (ctx) => {
+    if (typeof ctx.message !== 'string' || !ctx.message.trim()) {
+      throw new Error('Message is required');
+    }
+    console.log('📨 Received text message:', ctx.message.substring(0, 100) + (ctx.message.length > 100 ? '...' : ''));
+    ctx.userMessage = ctx.message;
+  }
+};
+
+const transcriptionStage = {
+  name: 'transcription',
+  run: async (ctx) => {
+    if (typeof ctx.message !== 'string' || !ctx.message) {
+      throw new Error('Audio data is required');
+    }
+    console.log('🎵 Received audio data, length:', ctx.message.length);
+
+    // Convert speech to text using Gemini's audio understanding
+    console.log('🎧 Transcribing audio to text...');
+    ctx.userMessage = await ai.transcribeAudio(ctx.message, ctx.audioMimeType || 'audio/wav');
+    console.log('✅ Transcribed text:', ctx.userMessage.substring(0, 100) + (ctx.userMessage.length > 100 ? '...' : ''));
+  }
+};
+
+const INPUT_STAGES = {
+  text: textInputStage,
+  audio: transcriptionStage,
+};
+
+/**
+ * Register the first stage for a new input type (uploaded files, socket streams, ...)
+ * @param {string} inputType - Input type name used by createConversationPipeline
+ * @param {Object} stage - Stage that sets ctx.userMessage
+ */
+function registerInputType(inputType, stage) {
+  INPUT_STAGES[inputType] = stage;
+}
+
+// Shared stages
+
+const personaStage = {
+  name: 'persona',
+  run: async (ctx) => {
+    const { personaId, personaName, chatId, uid } = ctx;
+    console.log('🎭 Selected persona:', personaName || personaId);
+
+    // Find the selected persona by ID or name, or use default
+    let selectedPersona = null;
+    if (personaId) {
+      selectedPersona = await db.getPersonaById(personaId);
+    } else if (personaName) {
+      selectedPersona = await db.getPersonaByName(personaName);
+    }
+
+    // If no persona found or if chatId exists, try to get from chat's default persona
+    if (!selectedPersona && chatId) {
+      const { data: chat, error } = await db.client
+        .from('chats')
+        .select('persona_id, personas(id, name, tone, voice_name)')
+        .eq('id', chatId)
+        .eq('user_id', uid)
+        .single();
+
+      if (!error && chat?.personas) {
+        selectedPersona = chat.personas;
+      }
+    }
+
+    // Fallback to first available persona if none found
+    if (!selectedPersona) {
+      const personas = await db.getPersonas();
+      selectedPersona = personas[0];
+    }
+
+    if (!selectedPersona) {
+      throw new Error('No personas available. Please run persona sync first.');
+    }
+
+    console.log('🎤 Using voice:', selectedPersona.voice_name);
+    ctx.persona = selectedPersona;
+
+    // Check if user selected their own persona for multi-user mode
+    ctx.isMultiUserMode = selectedPersona.name === 'User';
+  }
+};
+
+const historyStage = {
+  name: 'history',
+  run: async (ctx) => {
+    // Get chat history for context - only if continuing an existing chat
+    ctx.chatHistory = ctx.chatId ? await db.getChatHistory(ctx.uid, ctx.chatId) : [];
+    console.log('📚 Chat history context:', ctx.chatHistory.length, 'previous messages');
+  }
+};
+
+const locationsStage = {
+  name: 'locations',
+  run: async (ctx) => {
+    // Validate locations if provided
+    ctx.validLocations = [];
+    if (ctx.locations && Array.isArray(ctx.locations)) {
+      for (const location of ctx.locations) {
+        if (newsSources.isLocationSupported(location)) {
+          ctx.validLocations.push(location);
+        } else {
+          console.warn(`⚠️ Unsupported location: ${location}`);
+        }
+      }
+    }
+    console.log('📍 News locations:', ctx.validLocations);
+  }
+};
+
+const responseStage = {
+  name: 'response',
+  run: async (ctx) => {
+    // Generate AI response with news context
+    console.log('🤖 Generating AI response...');
+    ctx.rawResponseText = await ai.generateAIResponse(ctx.userMessage, ctx.persona, ctx.chatHistory, ctx.validLocations);
+    console.log('✅ Generated response length:', ctx.rawResponseText.length);
+  }
+};
+
+// Same as responseStage, but hands each token to ctx.onToken as it arrives
+const streamingResponseStage = {
+  name: 'response',
+  run: async (ctx) => {
+    console.log('🤖 Streaming AI response...');
+    ctx.rawResponseText = await ai.generateAIResponseStream(
+      ctx.userMessage,
+      ctx.persona,
+      ctx.chatHistory,
+      ctx.validLocations,
+      ctx.onToken,
+      ctx.signal
+    );
+    console.log('✅ Streamed response length:', ctx.rawResponseText.length);
+  }
+};
+
+// Episode mode: an intro, a segment per top story and an outro instead of a 1-2 sentence reply.
+// Streamed turns get each segment through ctx.onToken as soon as it is written.
+const episodeScriptStage = {
+  name: 'response',
+  run: async (ctx) => {
+    console.log('📺 Writing news episode...');
+    ctx.episodeSegments = await ai.generateEpisodeScript(ctx.userMessage, ctx.persona, ctx.validLocations, {
+      storyCount: ctx.storyCount,
+      onSegment: ctx.onToken ? (segment) => ctx.onToken(`${segment.text}\n\n`) : null
+    });
+    ctx.rawResponseText = ctx.episodeSegments.map(segment => segment.text).join('\n\n');
+  }
+};
+
+const audioStage = {
+  name: 'audio',
+  degradable: true,
+  run: async (ctx) => {
+    console.log('🔊 Attempting to generate audio...');
+
+    if (ctx.isMultiUserMode) {
+      console.log('🎭 Multi-user mode detected, generating multi-speaker audio');
+
+      // Find a default assistant persona for the conversation
+      const personas = await db.getPersonas();
+      const assistantPersona = personas.find(p => p.name !== 'User') || personas[0];
+
+      const { audioData, responseMimeType } = await ai.generateMultiSpeakerAudio(
+        ctx.userMessage,
+        ctx.rawResponseText,
+        ctx.persona,
+        assistantPersona
+      );
+
+      // Save multi-speaker audio as separate files
+      const { userAudioUrl, assistantAudioUrl } = await saveMultiSpeakerAudio(
+        audioData,
+        responseMimeType,
+        ctx.uid,
+        ctx.currentChatId
+      );
+
+      ctx.userAudioUrl = userAudioUrl;
+      ctx.audioUrl = assistantAudioUrl;
+      console.log('✅ Multi-speaker audio generation successful');
+    } else {
+      // Standard single-speaker mode (assistant only)
+      const { audioData, responseMimeType } = await ai.generateAudio(ctx.rawResponseText, ctx.persona);
+      ctx.audioUrl = await saveAudioFile(audioData, responseMimeType, ctx.uid, ctx.currentChatId);
+      console.log('✅ Single-speaker audio generation successful');
+    }
+
+    if (!ctx.audioUrl) {
+      return { degraded: true, reason: 'Audio could not be stored' };
+    }
+  }
+};
+
+// Same as audioStage, but hands each PCM chunk to ctx.onAudioChunk while TTS is still running.
+// Stops early when ctx.signal is aborted; an interrupted response is not stored.
+const streamingAudioStage = {
+  name: 'audio',
+  degradable: true,
+  run: async (ctx) => {
+    // Multi-speaker TTS has no streaming variant, so fall back to the regular stage
+    if (ctx.isMultiUserMode) {
+      return audioStage.run(ctx);
+    }
+
+    console.log('🔊 Streaming audio...');
+    const { audioData, responseMimeType, aborted } = await ai.generateAudioStream(
+      ctx.rawResponseText,
+      ctx.persona,
+      ctx.onAudioChunk,
+      ctx.signal
+    );
+
+    if (aborted) {
+      return { degraded: true, reason: 'Interrupted' };
+    }
+
+    ctx.audioUrl = await saveAudioFile(audioData, responseMimeType, ctx.uid, ctx.currentChatId);
+    if (!ctx.audioUrl) {
+      return { degraded: true, reason: 'Audio could not be stored' };
+    }
+    console.log('✅ Streamed audio stored');
+  }
+};
+
+// Synthesizes every episode segment on its own and stitches them into one file with chapters.
+// Segments go one at a time, so a cancelled turn stops paying for TTS at the next segment.
+const episodeAudioStage = {
+  name: 'audio',
+  degradable: true,
+  run: async (ctx) => {
+    console.log(`🔊 Synthesizing ${ctx.episodeSegments.length} episode segments...`);
+    const clips = [];
+    for (const { text, ...chapter } of ctx.episodeSegments) {
+      ctx.signal?.throwIfAborted();
+      const { audioData } = await ai.generateAudio(text, ctx.persona, ctx.signal);
+      clips.push({ ...chapter, pcm: Buffer.from(audioData, 'base64') });
+    }
+    ctx.signal?.throwIfAborted();
+
+    const { audio, chapters } = stitchAudio(clips);
+    ctx.audioUrl = await saveAudioFile(audio.toString('base64'), 'audio/L16', ctx.uid, ctx.currentChatId);
+    if (!ctx.audioUrl) {
+      return { degraded: true, reason: 'Audio could not be stored' };
+    }
+    ctx.chapters = chapters;
+    console.log('✅ Episode audio stitched:', chapters.length, 'chapters');
+  }
+};
+
+// Decides whether this turn gets a video and reserves the job ID that saveStage stores on the
+// message; the render itself is queued by videoJobStage once the chat exists
+const videoStage = {
+  name: 'video',
+  degradable: true,
+  // Generate video if enabled and audio was successfully generated
+  when: (ctx) => Boolean(ctx.videoEnabled && ctx.audioUrl),
+  run: async (ctx) => {
+    if (!ctx.persona.image_url) {
+      // TODO: Add default image handling
+      return { degraded: true, reason: 'No persona image available' };
+    }
+
+    ctx.videoJobId = randomUUID();
+    console.log('🎬 Video generation enabled, reserved video job:', ctx.videoJobId);
+  }
+};
+
+const saveStage = {
+  name: 'save',
+  run: async (ctx) => {
+    // Save conversation to database with audio and video URLs (null if generation failed)
+    console.log('💾 Saving conversation to database...');
+    ctx.savedChat = await db.saveConversation(
+      ctx.uid,
+      ctx.currentChatId,
+      ctx.userMessage,
+      ctx.rawResponseText,
+      ctx.persona,
+      ctx.audioUrl,
+      ctx.userAudioUrl,
+      ctx.videoUrl,
+      ctx.videoJobId,
+      ctx.chapters ? { chapters: ctx.chapters } : {}
+    );
+
+    // saveConversation swallows database errors so the user still gets a reply
+    if (!ctx.savedChat) {
+      return { degraded: true, reason: 'Conversation was not saved' };
+    }
+    console.log('✅ Chat saved successfully:', ctx.savedChat.id);
+  }
+};
+
+const videoJobStage = {
+  name: 'videoJob',
+  degradable: true,
+  when: (ctx) => Boolean(ctx.videoJobId && ctx.savedChat),
+  run: async (ctx) => {
+    try {
+      await enqueueVideoJob({
+        jobId: ctx.videoJobId,
+        uid: ctx.uid,
+        chatId: ctx.savedChat.id,
+        audioKey: ctx.audioUrl,
+        persona: ctx.persona
+      });
+    } catch (error) {
+      // The message was saved as pending; don't leave it waiting for a job that doesn't exist
+      await markVideoFailed({ id: ctx.videoJobId, user_id: ctx.uid, chat_id: ctx.savedChat.id }, error)
+        .catch(markError => console.error('❌ Error marking video as failed:', markError));
+      ctx.videoJobId = null;
+      throw error;
+    }
+  }
+};
+
+const signStage = {
+  name: 'sign',
+  degradable: true,
+  run: async (ctx) => {
+    // Generate signed URLs for frontend access
+    const sign = (key) => (key ? mediaService.getSignedUrl(key, 3600) : null);
+
+    const [audioUrl, userAudioUrl] = await Promise.all([
+      sign(ctx.audioUrl),
+      sign(ctx.userAudioUrl),
+    ]);
+    // Videos are played through the app's video proxy, which supports seeking
+    const videoUrl = ctx.videoUrl ? mediaService.getVideoUrl(ctx.videoUrl, 3600) : null;
+
+    ctx.signed = { audioUrl, userAudioUrl, videoUrl };
+  }
+};
+
+/**
+ * Build the context for one chat turn from a request body
+ * @param {Object} body - Chat request body ({ message, personaName, personaId, uid, chatId, locations, videoEnabled, mode, storyCount })
+ * @param {Object} req - Express request (used to build local audio URLs)
+ * @returns {Object} Pipeline context
+ */
+function createPipelineContext(body, req) {
+  const { message, personaName, personaId, uid, chatId, locations, videoEnabled = false, mode, storyCount } = body;
+
+  return {
+    req,
+    message,
+    personaName,
+    personaId,
+    uid,
+    chatId: chatId || null,
+    locations,
+    videoEnabled,
+    // 'episode' writes a full newscast (see episodeScriptStage); anything else is a regular reply
+    mode: mode === 'episode' ? 'episode' : 'chat',
+    storyCount: normalizeStoryCount(storyCount),
+    // Generate chatId if not provided (new chat)
+    currentChatId: chatId || randomUUID(),
+    audioUrl: null,
+    userAudioUrl: null,
+    videoUrl: null,
+    videoJobId: null,
+    chapters: null,
+    signed: { audioUrl: null, userAudioUrl: null, videoUrl: null },
+  };
+}
+
+/**
+ * Create the pipeline for an input type
+ * @param {string} inputType - 'text', 'audio' or a type added with registerInputType
+ * @param {Object} options - Pipeline options
+ * @param {boolean} options.stream - Stream response tokens through ctx.onToken
+ * @param {boolean} options.episode - Write and voice a multi-segment episode (ctx.mode === 'episode')
+ * @returns {ConversationPipeline} A fresh pipeline instance
+ */
+function createConversationPipeline(inputType, { stream = false, episode = false } = {}) {
+  const inputStage = INPUT_STAGES[inputType];
+  if (!inputStage) {
+    throw new Error(`Unsupported input type: ${inputType}`);
+  }
+
+  return new ConversationPipeline([
+    inputStage,
+    personaStage,
+    historyStage,
+    locationsStage,
+    episode ? episodeScriptStage : stream ? streamingResponseStage : responseStage,
+    episode ? episodeAudioStage : audioStage,
+    videoStage,
+    saveStage,
+    videoJobStage,
+    signStage,
+  ]);
+}
+
+/**
+ * Shape a finished pipeline context into the JSON returned by every chat endpoint
+ * @param {Object} ctx - Context returned by ConversationPipeline.run
+ * @returns {Object} Chat response
+ */
+function buildChatResponse(ctx) {
+  return {
+    transcribedText: ctx.userMessage,
+    // FOR UI: clean the response text of square brackets and their content
+    responseText: cleanResponseText(ctx.rawResponseText),
+    audioUrl: ctx.signed.audioUrl, // Signed URL to fetch assistant audio file
+    userAudioUrl: ctx.signed.userAudioUrl, // Signed URL to fetch user audio file (null for single-speaker mode)
+    videoUrl: ctx.signed.videoUrl, // Signed URL to fetch video file (null if video not enabled or failed)
+    videoJobId: ctx.videoJobId, // Queued video job; the message's videoUrl is filled in when it finishes
+    mode: ctx.mode,
+    chapters: ctx.chapters, // Episode segments in the audio ({ kind, title, startMs, endMs }), null for regular replies
+    timestamp: new Date().toISOString(),
+    chatId: ctx.savedChat?.id || ctx.currentChatId,
+    // Ids of the stored messages, so clients can match them to realtime inserts (null if not saved)
+    messageIds: ctx.savedChat?.savedMessages
+      ? { user: ctx.savedChat.savedMessages[0].id, assistant: ctx.savedChat.savedMessages[1].id }
+      : null,
+    isMultiUserMode: ctx.isMultiUserMode, // Flag to indicate multi-user mode
+    stages: ctx.stages // Per-stage timing and degradation report
+  };
+}
+
+module.exports = {
+  ConversationPipeline,
+  createConversationPipeline,
+  createPipelineContext,
+  buildChatResponse,
+  registerInputType,
+  stages: {
+    textInputStage,
+    transcriptionStage,
+    personaStage,
+    historyStage,
+    locationsStage,
+    responseStage,
+    streamingResponseStage,
+    episodeScriptStage,
+    audioStage,
+    streamingAudioStage,
+    episodeAudioStage,
+    videoStage,
+    saveStage,
+    videoJobStage,
+    signStage,
+  },
+};
@@ -0,0 +1,285 @@
+// Podcast feeds
+// Each user gets a private RSS feed of their briefings, so they can follow them in any podcast
+// app. Podcast apps can't sign in, so the feed URL carries a random per-user token instead; the
+// token is stored in podcast_feeds and rotating it revokes the old URL. A briefing is one
+// episode: its location segments (stored as raw PCM) are joined and encoded as MP3, the format
+// podcast directories accept, when the briefing is saved, stored next to them
+// (uid/chatId/episode.mp3) and served from storage. The feed only lists episodes whose file
+// exists; files missing for older briefings are made in the background, one at a time.
+
+const { randomBytes } = require('node:crypto');
+const db = require('./db');
+const mediaService = require('./media');
+const { cleanResponseText, formatLocationName } = require('./helpers');
+const { stitchAudio } = require('./episodes');
+const { AUDIO_FORMATS, transcodePcm } = require('./transcode');
+
+const FEED_TITLE = 'Anchor Agent Briefings';
+const MAX_EPISODES = 50;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+const ARTWORK_URL_TTL = 7 * 24 * 60 * 60; // longest S3 allows; podcast apps re-read the feed well before
+const EPISODE_FORMAT = 'mp3';
+const EPISODE_FILENAME = `episode.${AUDIO_FORMATS[EPISODE_FORMAT].extension}`;
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const escapeXml = (text) => String(text ?? '').replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+// 24 random bytes -> 32 URL-safe characters
+const newToken = () => randomBytes(24).toString('base64url');
+
+// Episodes being stitched by storage key, so concurrent requests share one upload
+const inFlight = new Map();
+
+/**
+ * Show notes for a briefing: each location's segment and the articles it cites
+ * @param {Array<Object>} segments - Briefing messages
+ * @returns {string} HTML
+ */
+function showNotes(segments) {
+  return segments.map(segment => {
+    const citations = (segment.sources || [])
+      .map(source => source.url
+        ? `<li><a href="${escapeXml(source.url)}">${escapeXml(source.headline)}</a> (${escapeXml(source.source)})</li>`
+        : `<li>${escapeXml(source.headline)} (${escapeXml(source.source)})</li>`)
+      .join('');
+
+    return [
+      segment.location ? `<h3>${escapeXml(formatLocationName(segment.location))}</h3>` : '',
+      `<p>${escapeXml(cleanResponseText(segment.content))}</p>`,
+      citations ? `<ul>${citations}</ul>` : ''
+    ].join('');
+  }).join('');
+}
+
+class PodcastFeedService {
+  constructor() {
+    this.backfill = Promise.resolve(); // episode files being made for the feed, one after another
+    this.backfillKeys = new Set();
+  }
+
+  /**
+   * Get a user's feed token, creating one the first time
+   * @param {string} uid - User ID
+   * @returns {Promise<string>} Feed token
+   */
+  async getToken(uid) {
+    const { data: feed, error } = await db.client
+      .from('podcast_feeds')
+      .select('token')
+      .eq('user_id', uid)
+      .maybeSingle();
+
+    if (error) throw error;
+    return feed ? feed.token : this.rotateToken(uid);
+  }
+
+  /**
+   * Give a user a new feed token; the old feed URL stops working
+   * @param {string} uid - User ID
+   * @returns {Promise<string>} New feed token
+   */
+  async rotateToken(uid) {
+    const { data: feed, error } = await db.client
+      .from('podcast_feeds')
+      .upsert({ user_id: uid, token: newToken() }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    console.log(`🎙️ New podcast feed token for ${uid}`);
+    return feed.token;
+  }
+
+  /**
+   * Find the user a feed token belongs to
+   * @param {string} token - Token from the feed URL
+   * @returns {Promise<string|null>} User ID, or null for an unknown token
+   */
+  async findUserId(token) {
+    if (!TOKEN_PATTERN.test(token || '')) return null;
+
+    const { data: feed, error } = await db.client
+      .from('podcast_feeds')
+      .select('user_id')
+      .eq('token', token)
+      .maybeSingle();
+
+    if (error) throw error;
+    return feed ? feed.user_id : null;
+  }
+
+  /**
+   * Get a user's briefings, newest first
+   * @param {string} uid - User ID
+   * @returns {Promise<Array<Object>>} Briefing chats with their messages
+   */
+  async listEpisodes(uid) {
+    const { data: chats, error } = await db.client
+      .from('chats')
+      .select('*')
+      .eq('user_id', uid)
+      .eq('type', 'briefing')
+      .order('created_at', { ascending: false })
+      .limit(MAX_EPISODES);
+
+    if (error) throw error;
+
+    const messagesByChat = await db.getMessagesByChat(uid, (chats || []).map(chat => chat.id));
+    return (chats || []).map(chat => ({ ...chat, messages: messagesByChat.get(chat.id) }));
+  }
+
+  /**
+   * Get one of a user's briefings
+   * @param {string} uid - User ID
+   * @param {string} chatId - Briefing chat ID
+   * @returns {Promise<Object|null>} Briefing chat with its messages, or null if the user has no such briefing
+   */
+  async getEpisode(uid, chatId) {
+    const { data: chat, error } = await db.client
+      .from('chats')
+      .select('*')
+      .eq('user_id', uid)
+      .eq('id', chatId)
+      .eq('type', 'briefing')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!chat) return null;
+    return { ...chat, messages: await db.getChatMessages(uid, chatId) };
+  }
+
+  /**
+   * Storage key of a briefing's episode file
+   * @param {string} uid - User ID
+   * @param {string} chatId - Briefing chat ID
+   * @returns {string} uid/chatId/episode.mp3
+   */
+  episodeKey(uid, chatId) {
+    return `${uid}/${chatId}/${EPISODE_FILENAME}`;
+  }
+
+  /**
+   * Make sure a briefing's segments are stored as one MP3 file, joining and encoding them the first time
+   * @param {Object} chat - Briefing chat with its messages
+   * @returns {Promise<string>} Storage key of the MP3 file
+   */
+  async ensureEpisodeAudio(chat) {
+    const key = this.episodeKey(chat.user_id, chat.id);
+
+    if (!inFlight.has(key)) {
+      const work = (async () => {
+        if (await mediaService.statObject(key)) return key;
+
+        const segments = (chat.messages || []).filter(message => message.audioUrl);
+        const clips = await Promise.all(segments.map(async (segment) => {
+          const pcm = await mediaService.getObject(segment.audioUrl);
+          if (!pcm) {
+            throw new Error(`Briefing audio not found: ${segment.audioUrl}`);
+          }
+          return { pcm };
+        }));
+
+        const audio = await transcodePcm(stitchAudio(clips).audio, EPISODE_FORMAT);
+        await mediaService.uploadAudioVariant(audio, key, AUDIO_FORMATS[EPISODE_FORMAT].contentType);
+        return key;
+      })().finally(() => inFlight.delete(key));
+
+      inFlight.set(key, work);
+    }
+
+    return inFlight.get(key);
+  }
+
+  /**
+   * Make a briefing's episode file in the background, after any others already waiting
+   * @param {Object} chat - Briefing chat with its messages
+   */
+  backfillEpisodeAudio(chat) {
+    const key = this.episodeKey(chat.user_id, chat.id);
+    if (this.backfillKeys.has(key)) return;
+
+    this.backfillKeys.add(key);
+    this.backfill = this.backfill
+      .then(() => this.ensureEpisodeAudio(chat))
+      .then(() => console.log(`🎙️ Stored podcast episode ${key}`))
+      .catch(error => console.error(`❌ Error storing podcast episode ${key}:`, error))
+      .finally(() => this.backfillKeys.delete(key));
+  }
+
+  /**
+   * Signed URL for a persona's image, for feed artwork
+   * @param {Object|null} persona - Persona with image_url
+   * @returns {Promise<string|null>} Artwork URL, or null if the persona has no image
+   */
+  async getArtworkUrl(persona) {
+    if (!persona?.image_url) return null;
+
+    try {
+      return await mediaService.getSignedUrl(mediaService.keyFromUrl(persona.image_url), ARTWORK_URL_TTL);
+    } catch (error) {
+      console.error(`❌ Error signing artwork for persona ${persona.name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the RSS feed for a user's briefings
+   * @param {string} uid - User ID
+   * @param {string} feedUrl - Public URL of the feed; episode audio is served below it
+   * @returns {Promise<string>} RSS 2.0 XML with iTunes podcast tags
+   */
+  async buildFeed(uid, feedUrl) {
+    const chats = await this.listEpisodes(uid);
+
+    const items = await Promise.all(chats.map(async (chat) => {
+      const persona = await db.getPersonaById(chat.persona_id);
+      const segments = (chat.messages || []).filter(message => message.audioUrl);
+      const durationMs = segments.reduce((total, segment) => total + (segment.durationMs || 0), 0);
+      const artworkUrl = await this.getArtworkUrl(persona);
+      const summary = segments.map(segment => formatLocationName(segment.location || 'news')).join(', ');
+      const episode = await mediaService.statObject(this.episodeKey(uid, chat.id));
+      if (!episode) this.backfillEpisodeAudio(chat);
+
+      return { chat, persona, segments, durationMs, artworkUrl, summary, length: episode?.size ?? null };
+    }));
+
+    // The channel uses the artwork of whoever read the latest briefing
+    const channelArtwork = items.find(item => item.artworkUrl)?.artworkUrl;
+
+    // Episodes join the feed once their file is stored
+    const xmlItems = items.filter(item => item.length !== null).map(({ chat, persona, segments, durationMs, artworkUrl, summary, length }) => [
+      '<item>',
+      `<title>${escapeXml(chat.title)}</title>`,
+      `<guid isPermaLink="false">${escapeXml(chat.id)}</guid>`,
+      `<pubDate>${new Date(chat.created_at).toUTCString()}</pubDate>`,
+      `<description>${escapeXml(`${persona?.name || 'Your anchor'} on ${summary}`)}</description>`,
+      `<content:encoded>${escapeXml(showNotes(segments))}</content:encoded>`,
+      `<enclosure url="${escapeXml(`${feedUrl}/episodes/${chat.id}.${AUDIO_FORMATS[EPISODE_FORMAT].extension}`)}" length="${length}" type="${AUDIO_FORMATS[EPISODE_FORMAT].contentType}"/>`,
+      durationMs ? `<itunes:duration>${Math.round(durationMs / 1000)}</itunes:duration>` : '',
+      persona ? `<itunes:author>${escapeXml(persona.name)}</itunes:author>` : '',
+      artworkUrl ? `<itunes:image href="${escapeXml(artworkUrl)}"/>` : '',
+      '</item>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+      '<channel>',
+      `<title>${FEED_TITLE}</title>`,
+      `<link>${escapeXml(feedUrl)}</link>`,
+      '<description>Your daily news briefings, read by your anchor.</description>',
+      '<language>en</language>',
+      '<itunes:explicit>false</itunes:explicit>',
+      '<itunes:block>Yes</itunes:block>',
+      channelArtwork ? `<itunes:image href="${escapeXml(channelArtwork)}"/>` : '',
+      ...xmlItems,
+      '</channel>',
+      '</rss>'
+    ].filter(Boolean).join('\n') + '\n';
+  }
+}
+
+// Create and export singleton instance
+const podcastFeedService = new PodcastFeedService();
+
+module.exports = podcastFeedService;
@@ -0,0 +1,138 @@
+// Deterministic offline provider: canned replies and generated PCM tones instead of Gemini.
+// Select it with AI_PROVIDER=fake to run the server and frontend without network access.
+// The same input always produces the same text and audio.
+
+const SAMPLE_RATE = 24000; // Matches Gemini TTS output
+const PCM_MIME_TYPE = `audio/L16;codec=pcm;rate=${SAMPLE_RATE}`;
+const STREAM_CHUNK_MS = 100;
+
+const MS_PER_WORD = 250;
+const MIN_SPEECH_MS = 500;
+const MAX_SPEECH_MS = 10000;
+const FADE_MS = 10;
+const AMPLITUDE = 0.2;
+
+const FAKE_TRANSCRIPTION = "What's the latest news?";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Small stable hash so each voice gets its own pitch
+function hashString(value) {
+  let hash = 0;
+  for (const char of String(value || '')) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return hash;
+}
+
+function toneFrequency(voiceName) {
+  return 180 + (hashString(voiceName) % 16) * 20;
+}
+
+function speechDurationMs(text) {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  return Math.min(MAX_SPEECH_MS, Math.max(MIN_SPEECH_MS, words * MS_PER_WORD));
+}
+
+/**
+ * Generate a 16-bit mono sine tone with short fades so segments don't click
+ * @param {number} frequency - Tone frequency in Hz
+ * @param {number} durationMs - Tone length
+ * @returns {Buffer} Little-endian PCM at 24kHz
+ */
+function generateTone(frequency, durationMs) {
+  const sampleCount = Math.round((durationMs / 1000) * SAMPLE_RATE);
+  const fadeSamples = Math.round((FADE_MS / 1000) * SAMPLE_RATE);
+  const buffer = Buffer.alloc(sampleCount * 2);
+
+  for (let i = 0; i < sampleCount; i++) {
+    const fade = Math.min(1, i / fadeSamples, (sampleCount - 1 - i) / fadeSamples);
+    const sample = Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) * AMPLITUDE * fade;
+    buffer.writeInt16LE(Math.round(sample * 32767), i * 2);
+  }
+
+  return buffer;
+}
+
+class FakeProvider {
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.offline = true;
+    // Optional pacing so streamed tokens and audio look like a real provider in the UI
+    this.delayMs = Number(options.delayMs ?? process.env.FAKE_AI_DELAY_MS ?? 0);
+  }
+
+  buildReply(message) {
+    const topic = String(message || '').replace(/\s+/g, ' ').trim();
+    const shortTopic = topic.length > 80 ? `${topic.slice(0, 77)}...` : topic;
+    return shortTopic
+      ? `[chuckles] This is the offline news desk with an update on "${shortTopic}". That's all we have for now, stay tuned.`
+      : `[chuckles] This is the offline news desk. That's all we have for now, stay tuned.`;
+  }
+
+  async generateText({ message }) {
+    return this.buildReply(message);
+  }
+
+  async generateTextStream({ message, onToken, signal = null }) {
+    const reply = this.buildReply(message);
+    const tokens = reply.match(/\S+\s*/g) || [];
+    const sent = [];
+
+    // Like a real stream, an aborted reply ends with the tokens sent so far
+    for (const token of tokens) {
+      if (this.delayMs) await wait(this.delayMs);
+      if (signal?.aborted) break;
+
+      sent.push(token);
+      if (onToken) onToken(token);
+    }
+
+    return sent.join('');
+  }
+
+  async synthesizeSpeech({ text, voiceName, signal = null }) {
+    signal?.throwIfAborted();
+    const pcm = generateTone(toneFrequency(voiceName), speechDurationMs(text));
+    return { audioData: pcm.toString('base64'), responseMimeType: PCM_MIME_TYPE };
+  }
+
+  async synthesizeSpeechStream({ text, voiceName, onChunk, signal = null }) {
+    const pcm = generateTone(toneFrequency(voiceName), speechDurationMs(text));
+    const chunkBytes = Math.round((STREAM_CHUNK_MS / 1000) * SAMPLE_RATE) * 2;
+    const sent = [];
+
+    for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+      if (signal?.aborted) break;
+      if (this.delayMs) await wait(this.delayMs);
+
+      const chunk = pcm.subarray(offset, offset + chunkBytes);
+      sent.push(chunk);
+      if (onChunk) await onChunk(chunk);
+    }
+
+    return {
+      audioData: Buffer.concat(sent).toString('base64'),
+      responseMimeType: PCM_MIME_TYPE,
+      aborted: Boolean(signal?.aborted),
+    };
+  }
+
+  // One tone per turn, pitched by the speaker's voice
+  async synthesizeConversation({ turns }) {
+    const pcm = Buffer.concat(
+      turns.map(turn => generateTone(toneFrequency(turn.voiceName), speechDurationMs(turn.text)))
+    );
+    return { audioData: pcm.toString('base64'), responseMimeType: PCM_MIME_TYPE };
+  }
+
+  async transcribe() {
+    return FAKE_TRANSCRIPTION;
+  }
+
+  get client() {
+    return null;
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,233 @@
+const { GoogleGenAI } = require('@google/genai');
+
+// Model names can be overridden per environment; the defaults are the ones we ship with
+const DEFAULT_MODELS = {
+  text: 'gemini-2.5-flash',
+  tts: 'gemini-2.5-pro-preview-tts',
+  multiSpeakerTts: 'gemini-2.5-flash-preview-tts',
+  transcription: 'gemini-2.0-flash',
+};
+
+/**
+ * Find the first inline data part (audio) in a GenAI response or stream chunk
+ * @param {Object} response - generateContent response or stream chunk
+ * @returns {Object|null} { data, mimeType } or null if the response has no inline data
+ */
+function findInlineData(response) {
+  const parts = response?.candidates?.[0]?.content?.parts || [];
+  const part = parts.find(p => p.inlineData?.data);
+  return part ? part.inlineData : null;
+}
+
+/**
+ * Join the text parts of a GenAI response
+ * @param {Object} response - generateContent response
+ * @returns {string} Response text ('' if there is none)
+ */
+function findText(response) {
+  const parts = response?.candidates?.[0]?.content?.parts || [];
+  return parts.map(p => p.text || '').join('');
+}
+
+// Gemini speaks best when the style is part of the prompt
+function buildSpeechPrompt(text, style) {
+  return style ? `Say this in the style, ${style}: ${text}` : text;
+}
+
+function buildVoiceConfig(voiceName) {
+  return { prebuiltVoiceConfig: { voiceName } };
+}
+
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.offline = false;
+    this.genAI = new GoogleGenAI({
+      apiKey: options.apiKey || process.env.GOOGLE_AI_API_KEY,
+    });
+    this.models = {
+      text: process.env.GEMINI_TEXT_MODEL || DEFAULT_MODELS.text,
+      tts: process.env.GEMINI_TTS_MODEL || DEFAULT_MODELS.tts,
+      multiSpeakerTts: process.env.GEMINI_MULTI_SPEAKER_TTS_MODEL || DEFAULT_MODELS.multiSpeakerTts,
+      transcription: process.env.GEMINI_TRANSCRIPTION_MODEL || DEFAULT_MODELS.transcription,
+      ...options.models,
+    };
+  }
+
+  createChat({ systemInstruction, history = [] }) {
+    return this.genAI.chats.create({
+      model: this.models.text,
+      history: history.map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'model',
+        parts: [{ text: msg.content }]
+      })),
+      config: {
+        systemInstruction,
+      }
+    });
+  }
+
+  /**
+   * Generate a chat reply
+   * @param {Object} request - { systemInstruction, history: [{ role, content }], message }
+   * @returns {Promise<string>} Reply text
+   */
+  async generateText({ systemInstruction, history, message }) {
+    const chat = this.createChat({ systemInstruction, history });
+    const response = await chat.sendMessage({ message });
+    return response.text || '';
+  }
+
+  /**
+   * Generate a chat reply as a token stream
+   * @param {Object} request - { systemInstruction, history, message, onToken, signal }
+   * @returns {Promise<string>} Full reply text, or the text so far if the signal aborted
+   */
+  async generateTextStream({ systemInstruction, history, message, onToken, signal = null }) {
+    const chat = this.createChat({ systemInstruction, history });
+    const stream = await chat.sendMessageStream({ message });
+
+    let responseText = '';
+    for await (const chunk of stream) {
+      if (signal?.aborted) break;
+      const text = chunk.text;
+      if (!text) continue;
+
+      responseText += text;
+      if (onToken) onToken(text);
+    }
+
+    return responseText;
+  }
+
+  /**
+   * Synthesize speech for a single voice
+   * @param {Object} request - { text, style, voiceName, signal }; aborting the signal cancels the request
+   * @returns {Promise<Object>} { audioData (base64 PCM), responseMimeType }
+   */
+  async synthesizeSpeech({ text, style, voiceName, signal = null }) {
+    const response = await this.genAI.models.generateContent({
+      model: this.models.tts,
+      contents: [{ parts: [{ text: buildSpeechPrompt(text, style) }] }],
+      config: {
+        abortSignal: signal ?? undefined,
+        responseModalities: ['AUDIO'],
+        speechConfig: {
+          voiceConfig: buildVoiceConfig(voiceName)
+        }
+      }
+    });
+
+    const inlineData = findInlineData(response);
+    if (!inlineData) {
+      throw new Error(`${this.models.tts} returned no audio`);
+    }
+
+    return { audioData: inlineData.data, responseMimeType: inlineData.mimeType };
+  }
+
+  /**
+   * Synthesize speech, passing each PCM chunk to onChunk as it arrives
+   * @param {Object} request - { text, style, voiceName, onChunk, signal }
+   * @returns {Promise<Object>} { audioData (base64 PCM), responseMimeType, aborted }
+   */
+  async synthesizeSpeechStream({ text, style, voiceName, onChunk, signal = null }) {
+    const stream = await this.genAI.models.generateContentStream({
+      model: this.models.tts,
+      contents: [{ parts: [{ text: buildSpeechPrompt(text, style) }] }],
+      config: {
+        responseModalities: ['AUDIO'],
+        speechConfig: {
+          voiceConfig: buildVoiceConfig(voiceName)
+        }
+      }
+    });
+
+    const pcmChunks = [];
+    let responseMimeType = null;
+
+    for await (const chunk of stream) {
+      if (signal?.aborted) break;
+
+      const inlineData = findInlineData(chunk);
+      if (!inlineData) continue;
+
+      responseMimeType = responseMimeType || inlineData.mimeType;
+      const pcmChunk = Buffer.from(inlineData.data, 'base64');
+      pcmChunks.push(pcmChunk);
+      if (onChunk) await onChunk(pcmChunk);
+    }
+
+    return {
+      audioData: Buffer.concat(pcmChunks).toString('base64'),
+      responseMimeType,
+      aborted: Boolean(signal?.aborted),
+    };
+  }
+
+  /**
+   * Synthesize a conversation between several voices
+   * @param {Object} request - { turns: [{ speaker, voiceName, text }] }
+   * @returns {Promise<Object>} { audioData (base64 PCM), responseMimeType }
+   */
+  async synthesizeConversation({ turns }) {
+    const speakers = [...new Map(turns.map(turn => [turn.speaker, turn.voiceName])).entries()];
+    const prompt = `TTS the following conversation between ${speakers.map(([speaker]) => speaker).join(' and ')}:
+${turns.map(turn => `${turn.speaker}: ${turn.text}`).join('\n')}`;
+
+    console.log('Multi-speaker TTS prompt:', prompt);
+
+    const response = await this.genAI.models.generateContent({
+      model: this.models.multiSpeakerTts,
+      contents: [{ parts: [{ text: prompt }] }],
+      config: {
+        responseModalities: ['AUDIO'],
+        speechConfig: {
+          multiSpeakerVoiceConfig: {
+            speakerVoiceConfigs: speakers.map(([speaker, voiceName]) => ({
+              speaker,
+              voiceConfig: buildVoiceConfig(voiceName)
+            }))
+          }
+        }
+      }
+    });
+
+    const inlineData = findInlineData(response);
+    if (!inlineData) {
+      throw new Error(`${this.models.multiSpeakerTts} returned no audio`);
+    }
+
+    return { audioData: inlineData.data, responseMimeType: inlineData.mimeType };
+  }
+
+  /**
+   * Transcribe speech to text
+   * @param {Object} request - { audioData (base64), mimeType }
+   * @returns {Promise<string>} Transcribed text
+   */
+  async transcribe({ audioData, mimeType }) {
+    const response = await this.genAI.models.generateContent({
+      model: this.models.transcription,
+      contents: [{
+        parts: [{
+          inlineData: {
+            data: audioData,
+            mimeType
+          }
+        }, {
+          text: "Please transcribe this audio. Transcribed text:"
+        }]
+      }]
+    });
+
+    return findText(response);
+  }
+
+  // The underlying GenAI client, for callers that need Gemini-specific features
+  get client() {
+    return this.genAI;
+  }
+}
+
+module.exports = GeminiProvider;
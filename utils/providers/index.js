@@ -0,0 +1,42 @@
+// AI provider registry
+// A provider implements text generation, speech synthesis and transcription:
+//
+//   generateText({ systemInstruction, history, message })            -> string
+//   generateTextStream({ systemInstruction, history, message, onToken, signal }) -> string
+//   synthesizeSpeech({ text, style, voiceName, signal })              -> { audioData, responseMimeType }
+//   synthesizeSpeechStream({ text, style, voiceName, onChunk, signal }) -> { audioData, responseMimeType, aborted }
+//   synthesizeConversation({ turns: [{ speaker, voiceName, text }] }) -> { audioData, responseMimeType }
+//   transcribe({ audioData, mimeType })                                -> string
+//
+// history is [{ role: 'user' | 'assistant', content }]; audioData is base64 16-bit PCM at 24kHz.
+// `offline` providers make no network calls, so callers skip anything else that would (news crawling).
+
+const GeminiProvider = require('./gemini');
+const FakeProvider = require('./fake');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  fake: FakeProvider,
+};
+
+const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * Create the provider named by AI_PROVIDER (default: gemini)
+ * @param {string} [name] - Provider name, overrides AI_PROVIDER
+ * @param {Object} [options] - Provider-specific options
+ * @returns {GeminiProvider|FakeProvider} Provider instance
+ */
+function createProvider(name = process.env.AI_PROVIDER || DEFAULT_PROVIDER, options = {}) {
+  const Provider = PROVIDERS[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createProvider,
+  GeminiProvider,
+  FakeProvider,
+};
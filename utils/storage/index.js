@@ -0,0 +1,49 @@
+// Media storage backends
+// A backend stores audio, video and images under slash-separated keys (uid/chatId/uuid.pcm,
+// personas/anna.webp):
+//
+//   put(key, body, { contentType, metadata }) -> key
+//   get(key)                                  -> Buffer, or null if there is no such object
+//   stat(key)                                 -> { size, contentType, etag, lastModified }, or null
+//   stream(key, { start, end })               -> { body: Readable, contentType, contentLength }, or null;
+//                                                start/end (inclusive) read one byte range
+//   sign(key, expiresIn)                      -> URL that serves the object without a session until it expires
+//   list(prefix)                              -> [{ key, size, lastModified }]
+//   delete(key)                               -> nothing; deleting a missing key is not an error
+//
+// The database only ever stores keys; URLs are signed when a response needs them. The local and
+// memory backends sign URLs to the app's own /api/storage route (see ./signing), so offline
+// development works without AWS.
+
+const S3Storage = require('./s3');
+const LocalStorage = require('./local');
+const MemoryStorage = require('./memory');
+
+const BACKENDS = {
+  s3: S3Storage,
+  local: LocalStorage,
+  memory: MemoryStorage,
+};
+
+const DEFAULT_BACKEND = 's3';
+
+/**
+ * Create the backend named by STORAGE_BACKEND (default: s3)
+ * @param {string} [name] - Backend name, overrides STORAGE_BACKEND
+ * @param {Object} [options] - Backend-specific options
+ * @returns {S3Storage|LocalStorage|MemoryStorage} Storage backend
+ */
+function createStorage(name = process.env.STORAGE_BACKEND || DEFAULT_BACKEND, options = {}) {
+  const Backend = BACKENDS[name.toLowerCase()];
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${name}". Available backends: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return new Backend(options);
+}
+
+module.exports = {
+  createStorage,
+  S3Storage,
+  LocalStorage,
+  MemoryStorage,
+};
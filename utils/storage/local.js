@@ -0,0 +1,129 @@
+// Local disk storage backend
+// Objects are files under STORAGE_DIR (default: media_files/ in the project), one per key, so
+// media survives restarts in offline development. Content types come from the file extension.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+const { signStorageUrl } = require('./signing');
+
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'media_files');
+
+const CONTENT_TYPES = {
+  '.pcm': 'audio/L16',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.opus': 'audio/ogg; codecs=opus',
+  '.mp4': 'video/mp4',
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+class LocalStorage {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.root] - Directory to store objects in (default: STORAGE_DIR or media_files/)
+   */
+  constructor({ root = process.env.STORAGE_DIR || DEFAULT_ROOT } = {}) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * File path of a key; rejects keys that would escape the storage directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  pathFor(key) {
+    const segments = String(key).split('/');
+    if (segments.some(segment => !segment || segment === '.' || segment === '..' || segment.includes('\\'))) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.root, ...segments);
+  }
+
+  async put(key, body) {
+    const filePath = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+    return key;
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.pathFor(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.pathFor(key));
+      if (!stats.isFile()) return null;
+      return {
+        size: stats.size,
+        contentType: contentTypeFor(key),
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+        lastModified: stats.mtime,
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async stream(key, { start = 0, end } = {}) {
+    const object = await this.stat(key);
+    if (!object) return null;
+
+    const last = end === undefined ? object.size - 1 : Math.min(end, object.size - 1);
+    const contentLength = Math.max(0, last - start + 1);
+    return {
+      body: contentLength ? fs.createReadStream(this.pathFor(key), { start, end: last }) : Readable.from([]),
+      contentType: object.contentType,
+      contentLength,
+    };
+  }
+
+  async sign(key, expiresIn = 3600) {
+    this.pathFor(key);
+    return signStorageUrl(key, expiresIn);
+  }
+
+  async list(prefix = '') {
+    // Only walk the directory the prefix points into
+    const directory = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const start = directory ? this.pathFor(directory) : this.root;
+
+    let files;
+    try {
+      files = await fs.promises.readdir(start, { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const objects = await Promise.all(files
+      .filter(file => file.isFile())
+      .map(file => path.relative(this.root, path.join(file.parentPath ?? file.path, file.name)).split(path.sep).join('/'))
+      .filter(key => key.startsWith(prefix))
+      .map(async (key) => {
+        const stats = await fs.promises.stat(this.pathFor(key));
+        return { key, size: stats.size, lastModified: stats.mtime };
+      }));
+
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.pathFor(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,56 @@
+// In-memory storage backend
+// Objects live in a Map and are gone on restart; for tests and throwaway offline sessions.
+
+const { createHash } = require('node:crypto');
+const { Readable } = require('node:stream');
+const { signStorageUrl } = require('./signing');
+
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.objects = new Map(); // key -> { body: Buffer, contentType, lastModified }
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+    this.objects.set(key, { body: Buffer.from(body), contentType, lastModified: new Date() });
+    return key;
+  }
+
+  async get(key) {
+    return this.objects.get(key)?.body || null;
+  }
+
+  async stat(key) {
+    const object = this.objects.get(key);
+    if (!object) return null;
+    return {
+      size: object.body.length,
+      contentType: object.contentType,
+      etag: `"${createHash('md5').update(object.body).digest('hex')}"`,
+      lastModified: object.lastModified || null,
+    };
+  }
+
+  async stream(key, { start = 0, end } = {}) {
+    const object = this.objects.get(key);
+    if (!object) return null;
+    const body = object.body.subarray(start, end === undefined ? undefined : end + 1);
+    return { body: Readable.from([body]), contentType: object.contentType, contentLength: body.length };
+  }
+
+  async sign(key, expiresIn = 3600) {
+    return signStorageUrl(key, expiresIn);
+  }
+
+  async list(prefix = '') {
+    return [...this.objects.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, object]) => ({ key, size: object.body.length, lastModified: object.lastModified || null }));
+  }
+
+  async delete(key) {
+    this.objects.delete(key);
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,117 @@
+// S3 storage backend (the default)
+// Objects are stored in the audio-chat-bymarco bucket (S3_BUCKET overrides it); signed URLs are
+// S3 presigned GET URLs.
+
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, ListObjectsV2Command, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const DEFAULT_BUCKET = 'audio-chat-bymarco';
+const DEFAULT_REGION = 'us-east-1';
+
+class S3Storage {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.bucket] - Bucket name (default: S3_BUCKET or audio-chat-bymarco)
+   * @param {string} [options.region] - Bucket region (default: AWS_REGION or us-east-1)
+   */
+  constructor({ bucket = process.env.S3_BUCKET || DEFAULT_BUCKET, region = process.env.AWS_REGION || DEFAULT_REGION } = {}) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.client = new S3Client({
+      region,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    });
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream', metadata } = {}) {
+    try {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        Metadata: metadata,
+      }));
+      return key;
+    } catch (error) {
+      throw new Error(`Failed to upload to S3: ${error.message}`);
+    }
+  }
+
+  async get(key) {
+    const object = await this.stream(key);
+    return object && Buffer.from(await object.body.transformToByteArray());
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        etag: response.ETag,
+        lastModified: response.LastModified,
+      };
+    } catch (error) {
+      // HEAD responses have no body, so a missing key is reported as NotFound
+      if (error.name === 'NotFound' || error.name === 'NoSuchKey') return null;
+      throw new Error(`Failed to read S3 object metadata: ${error.message}`);
+    }
+  }
+
+  async stream(key, { start, end } = {}) {
+    const range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key, Range: range }));
+      return { body: response.Body, contentType: response.ContentType, contentLength: response.ContentLength };
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw new Error(`Failed to download from S3: ${error.message}`);
+    }
+  }
+
+  async sign(key, expiresIn = 3600) {
+    try {
+      return await getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn });
+    } catch (error) {
+      throw new Error(`Failed to generate signed URL: ${error.message}`);
+    }
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken;
+
+    try {
+      do {
+        const response = await this.client.send(new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }));
+        for (const object of response.Contents || []) {
+          objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+    } catch (error) {
+      throw new Error(`Failed to list S3 objects: ${error.message}`);
+    }
+
+    return objects;
+  }
+
+  async delete(key) {
+    try {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    } catch (error) {
+      throw new Error(`Failed to delete from S3: ${error.message}`);
+    }
+  }
+}
+
+module.exports = S3Storage;
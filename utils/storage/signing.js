@@ -0,0 +1,67 @@
+// Signed URLs for objects the app serves itself
+// The local and memory backends can't sign their own URLs, so their objects are served at
+// /api/storage/<key>; videos of every backend are proxied at /api/video/<key>. Like an S3
+// presigned URL, the URL carries an expiry and an HMAC of route, key and expiry, so it works
+// without a session (video and audio elements, podcast apps). Set STORAGE_SIGNING_SECRET to keep
+// URLs valid across restarts.
+
+const { createHmac, randomBytes, timingSafeEqual } = require('node:crypto');
+
+const STORAGE_ROUTE = '/api/storage';
+const VIDEO_PROXY_ROUTE = '/api/video';
+
+let secret = null;
+const getSecret = () => {
+  secret = secret || process.env.STORAGE_SIGNING_SECRET || randomBytes(32).toString('hex');
+  return secret;
+};
+
+const hmac = (route, key, expires) => createHmac('sha256', getSecret()).update(`${route}\n${key}\n${expires}`).digest('base64url');
+
+/**
+ * Sign the path of an object served by the app
+ * @param {string} key - Storage key
+ * @param {number} expiresIn - Seconds the URL stays valid
+ * @param {string} route - STORAGE_ROUTE or VIDEO_PROXY_ROUTE
+ * @returns {string} Path and query, e.g. /api/video/uid/chatId/uuid.mp4?expires=...&signature=...
+ */
+function signMediaPath(key, expiresIn = 3600, route = STORAGE_ROUTE) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const path = key.split('/').map(encodeURIComponent).join('/');
+  return `${route}/${path}?expires=${expires}&signature=${hmac(route, key, expires)}`;
+}
+
+/**
+ * Sign a URL for an object of the local or memory backend
+ * @param {string} key - Storage key
+ * @param {number} expiresIn - Seconds the URL stays valid
+ * @returns {string} Absolute URL (PUBLIC_BASE_URL, or localhost:PORT)
+ */
+function signStorageUrl(key, expiresIn = 3600) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}${signMediaPath(key, expiresIn, STORAGE_ROUTE)}`;
+}
+
+/**
+ * Check the expiry and signature of a signed media URL
+ * @param {string} key - Storage key from the URL path
+ * @param {string} expires - expires query parameter (Unix seconds)
+ * @param {string} signature - signature query parameter
+ * @param {string} route - Route the URL was signed for
+ * @returns {boolean} True if the URL was signed by this server and has not expired
+ */
+function verifyStorageSignature(key, expires, signature, route = STORAGE_ROUTE) {
+  if (!/^\d+$/.test(expires || '') || Number(expires) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(hmac(route, key, expires));
+  const actual = Buffer.from(String(signature || ''));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  STORAGE_ROUTE,
+  VIDEO_PROXY_ROUTE,
+  signMediaPath,
+  signStorageUrl,
+  verifyStorageSignature,
+};
@@ -0,0 +1,135 @@
+// Audio transcoding
+// TTS audio is stored as bare 24kHz 16-bit mono PCM (uid/chatid/uuid.pcm), which the web
+// player streams as-is but browsers, downloads and podcast apps can't play. Other formats are
+// made on first request and stored next to the original (uuid.wav, uuid.mp3, uuid.opus), so each
+// file is only transcoded once. WAV is a header on the PCM; MP3 and Opus are encoded by ffmpeg
+// (FFMPEG_PATH, or ffmpeg on the PATH).
+
+const { spawn } = require('node:child_process');
+const mediaService = require('./media');
+const { createWAVBuffer } = require('./helpers');
+
+const SAMPLE_RATE = 24000;
+
+// Formats served by the audio routes' ?format= parameter
+const AUDIO_FORMATS = {
+  pcm: { contentType: 'audio/L16', extension: 'pcm' },
+  wav: { contentType: 'audio/wav', extension: 'wav' },
+  mp3: { contentType: 'audio/mpeg', extension: 'mp3', ffmpegArgs: ['-codec:a', 'libmp3lame', '-b:a', '64k', '-f', 'mp3'] },
+  opus: { contentType: 'audio/ogg; codecs=opus', extension: 'opus', ffmpegArgs: ['-codec:a', 'libopus', '-b:a', '32k', '-f', 'ogg'] },
+};
+
+// Transcodes in progress by variant key, so concurrent requests share one ffmpeg run
+const inFlight = new Map();
+
+/**
+ * Read the ?format= query parameter
+ * @param {string|undefined} value - Requested format (missing means the stored PCM)
+ * @returns {string|null} Format name, or null if unsupported
+ */
+function parseAudioFormat(value) {
+  if (value === undefined || value === '') return 'pcm';
+  const format = String(value).toLowerCase();
+  return Object.hasOwn(AUDIO_FORMATS, format) ? format : null;
+}
+
+/**
+ * Storage key of a stored PCM file in another format
+ * @param {string} pcmKey - uid/chatid/uuid.pcm
+ * @param {string} format - Format name
+ * @returns {string} uid/chatid/uuid.<extension>
+ */
+function variantKey(pcmKey, format) {
+  return pcmKey.replace(/\.pcm$/, `.${AUDIO_FORMATS[format].extension}`);
+}
+
+/**
+ * Encode PCM with ffmpeg
+ * @param {Buffer} pcm - 24kHz 16-bit mono PCM
+ * @param {Array<string>} outputArgs - Codec and container arguments
+ * @returns {Promise<Buffer>} Encoded audio
+ */
+function runFfmpeg(pcm, outputArgs) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-hide_banner', '-loglevel', 'error',
+      '-f', 's16le', '-ar', String(SAMPLE_RATE), '-ac', '1', '-i', 'pipe:0',
+      ...outputArgs,
+      'pipe:1'
+    ]);
+
+    const output = [];
+    const errors = [];
+    ffmpeg.stdout.on('data', chunk => output.push(chunk));
+    ffmpeg.stderr.on('data', chunk => errors.push(chunk));
+
+    ffmpeg.on('error', (error) => {
+      reject(error.code === 'ENOENT'
+        ? new Error('ffmpeg is not installed; set FFMPEG_PATH to transcode audio')
+        : error);
+    });
+    ffmpeg.on('close', (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(output));
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}: ${Buffer.concat(errors).toString().trim()}`));
+      }
+    });
+
+    // ffmpeg may exit before reading all input (e.g. bad arguments); the close handler reports it
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.end(pcm);
+  });
+}
+
+/**
+ * Convert raw PCM to another format
+ * @param {Buffer} pcm - 24kHz 16-bit mono PCM
+ * @param {string} format - Format name from AUDIO_FORMATS
+ * @returns {Promise<Buffer>} Audio in the requested format
+ */
+async function transcodePcm(pcm, format) {
+  if (format === 'pcm') return pcm;
+  if (format === 'wav') return createWAVBuffer(pcm, SAMPLE_RATE);
+
+  const startedAt = Date.now();
+  const audio = await runFfmpeg(pcm, AUDIO_FORMATS[format].ffmpegArgs);
+  console.log(`🎚️ Transcoded ${pcm.length} bytes of PCM to ${format} (${audio.length} bytes) in ${Date.now() - startedAt}ms`);
+  return audio;
+}
+
+/**
+ * Make sure a stored PCM file exists in a format, transcoding and storing it the first time
+ * @param {string} pcmKey - uid/chatid/uuid.pcm
+ * @param {string} format - Format name from AUDIO_FORMATS
+ * @returns {Promise<string|null>} Storage key of the file in that format, or null if the PCM is missing
+ */
+async function ensureAudioVariant(pcmKey, format) {
+  const key = format === 'pcm' ? pcmKey : variantKey(pcmKey, format);
+
+  if (!inFlight.has(key)) {
+    const work = (async () => {
+      if (await mediaService.statObject(key)) return key;
+      if (format === 'pcm') return null;
+
+      const pcm = await mediaService.getObject(pcmKey);
+      if (!pcm) return null;
+
+      const audio = await transcodePcm(pcm, format);
+      await mediaService.uploadAudioVariant(audio, key, AUDIO_FORMATS[format].contentType);
+      return key;
+    })().finally(() => inFlight.delete(key));
+
+    inFlight.set(key, work);
+  }
+
+  return inFlight.get(key);
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  parseAudioFormat,
+  variantKey,
+  transcodePcm,
+  ensureAudioVariant,
+};
@@ -2,15 +2,17 @@
 const path = require('node:path');
 require('dotenv').config({ path: path.resolve(__dirname, '..', '.env.development') });
 
-const fs = require('node:fs');
 const { randomUUID } = require('node:crypto');
 const ComfyUI = require('./ComfyUI');
-const s3Service = require('./s3');
+const mediaService = require('./media');
+const workflowRegistry = require('./workflows');
+const { createWAVBuffer } = require('./helpers');
 
 class VideoGenerationService {
   constructor() {
     this.comfyUIServerURL = process.env.COMFY_UI_SERVER_URL || 'http://localhost:8188';
-    this.workflowPath = path.join(__dirname, '..', 'workflows', 'i2v-wan-api.json');
+    // Any registered workflow with audio and image parameters and a video output
+    this.workflowName = process.env.VIDEO_WORKFLOW || 'i2v-wan';
   }
 
   /**
@@ -19,144 +21,115 @@ class VideoGenerationService {
    * @param {Buffer} imageBuffer - Image data as buffer (persona image)
    * @param {string} uid - User ID
    * @param {string} chatId - Chat ID
-   * @returns {Promise<string>} S3 key for the generated video
+   * @param {Object} options - Optional callbacks
+   * @param {Function} options.onProgress - Called as the render advances with { stage: 'uploading' },
+   *   { stage: 'queued', queuePosition }, { stage: 'rendering', value, max, node } and { stage: 'saving' }
+   * @param {AbortSignal} options.signal - Cancels the ComfyUI prompt when aborted
+   * @returns {Promise<string>} Storage key for the generated video
    */
-  async generateVideo(audioBuffer, imageBuffer, uid, chatId) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        console.log('🎬 Starting video generation process...');
-
-        // Load the ComfyUI workflow
-        const workflowData = JSON.parse(fs.readFileSync(this.workflowPath, 'utf8'));
-        console.log('📋 Loaded ComfyUI workflow from:', this.workflowPath);
-
-        // Generate unique filenames for uploads
-        const audioFilename = `audio_${randomUUID()}.wav`;
-        const imageFilename = `image_${randomUUID()}.png`;
-
-        // Set up ComfyUI connection with callbacks
-        const comfyUI = new ComfyUI({
-          comfyUIServerURL: this.comfyUIServerURL,
-          nodes: {
-            api_save: ['131'] // VHS_VideoCombine node ID from workflow
-          },
-          onSaveCallback: async ({ message }) => {
-            try {
-              console.log('💾 ComfyUI save callback triggered');
-              
-              // Get the generated video file
-              const videoData = await this.downloadGeneratedVideo(comfyUI, message);
-              
-              // Upload video to S3
-              const videoKey = await s3Service.uploadVideoFile(videoData, uid, chatId);
-              console.log('✅ Video uploaded to S3:', videoKey);
-              
-              // Clean up ComfyUI connection
-              comfyUI.disconnect();
-              
-              resolve(videoKey);
-            } catch (error) {
-              console.error('❌ Error in save callback:', error);
-              comfyUI.disconnect();
-              reject(error);
-            }
-          },
-          onMessageCallback: ({ message }) => {
-            if (message.type === 'execution_error') {
-              console.error('❌ ComfyUI execution error:', message);
-              comfyUI.disconnect();
-              reject(new Error('ComfyUI execution failed'));
-            }
-          }
-        });
-
-        // Wait for ComfyUI connection to be established
-        await this.waitForConnection(comfyUI);
-
-        // Upload audio file to ComfyUI
-        console.log('📤 Uploading audio to ComfyUI...');
-        await comfyUI.uploadAudio({
-          audioBuffer: audioBuffer,
-          filename: audioFilename
-        });
-
-        // Upload image file to ComfyUI
-        console.log('📤 Uploading image to ComfyUI...');
-        await comfyUI.uploadImage({
-          imageBuffer: imageBuffer,
-          filename: imageFilename
-        });
-
-        // Update workflow with uploaded filenames
-        this.updateWorkflowWithFiles(workflowData, audioFilename, imageFilename);
-
-        // Queue the workflow
-        console.log('🚀 Queuing ComfyUI workflow...');
-        await comfyUI.queue({ workflowDataAPI: workflowData });
+  async generateVideo(audioBuffer, imageBuffer, uid, chatId, { onProgress = () => {}, signal } = {}) {
+    console.log('🎬 Starting video generation process...');
 
-      } catch (error) {
-        console.error('❌ Video generation failed:', error);
-        reject(error);
+    // Generate unique filenames for uploads
+    const audioFilename = `audio_${randomUUID()}.wav`;
+    const imageFilename = `image_${randomUUID()}.png`;
+
+    const comfyUI = new ComfyUI({
+      comfyUIServerURL: this.comfyUIServerURL,
+      nodes: {
+        api_save: workflowRegistry.outputNodes(this.workflowName)
       }
     });
-  }
 
-  /**
-   * Wait for ComfyUI connection to be established
-   * @param {ComfyUI} comfyUI - ComfyUI instance
-   * @returns {Promise<void>}
-   */
-  waitForConnection(comfyUI) {
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('ComfyUI connection timeout'));
-      }, 30000); // 30 second timeout
-
-      comfyUI.onOpenCallback = () => {
-        clearTimeout(timeout);
-        console.log('✅ ComfyUI connection established');
-        resolve();
-      };
+    // ComfyUI broadcasts a status message whenever its queue changes; report where our prompt stands
+    let rendering = false;
+    let promptId = null;
+    const reportQueuePosition = async () => {
+      if (rendering || !promptId) return;
+      try {
+        const queuePosition = await comfyUI.getQueuePosition(promptId);
+        if (queuePosition !== null && !rendering) onProgress({ stage: 'queued', queuePosition });
+      } catch (error) {
+        console.warn('⚠️ Could not read the ComfyUI queue:', error.message);
+      }
+    };
+    comfyUI.on('queued', (queued) => {
+      promptId = queued.promptId;
+      reportQueuePosition();
     });
-  }
+    comfyUI.on('status', reportQueuePosition);
 
-  /**
-   * Update the workflow with uploaded file names
-   * @param {Object} workflowData - The workflow JSON data
-   * @param {string} audioFilename - Name of uploaded audio file
-   * @param {string} imageFilename - Name of uploaded image file
-   */
-  updateWorkflowWithFiles(workflowData, audioFilename, imageFilename) {
-    // Update audio input node (LoadAudio - node 125)
-    if (workflowData['125'] && workflowData['125'].inputs) {
-      workflowData['125'].inputs.audio = audioFilename;
-      console.log('🎵 Updated audio input:', audioFilename);
-    }
+    try {
+      // Wait for ComfyUI connection to be established
+      await comfyUI.waitForOpen(30000);
+      console.log('✅ ComfyUI connection established');
+      onProgress({ stage: 'uploading' });
+
+      // Upload audio file to ComfyUI
+      console.log('📤 Uploading audio to ComfyUI...');
+      const audioUpload = await comfyUI.uploadAudio({
+        audioBuffer: audioBuffer,
+        filename: audioFilename
+      });
+
+      // Upload image file to ComfyUI
+      console.log('📤 Uploading image to ComfyUI...');
+      const imageUpload = await comfyUI.uploadImage({
+        imageBuffer: imageBuffer,
+        filename: imageFilename
+      });
+
+      // Point the workflow at the uploaded files (ComfyUI may have renamed them)
+      const workflowData = workflowRegistry.build(this.workflowName, {
+        audio: audioUpload.name || audioFilename,
+        image: imageUpload.name || imageFilename
+      });
+      console.log('📋 Built ComfyUI workflow:', this.workflowName);
+
+      // Queue the workflow and wait for the save node's output
+      console.log('🚀 Queuing ComfyUI workflow...');
+      const { outputs } = await comfyUI.run({
+        workflowDataAPI: workflowData,
+        onProgress: ({ value, max, node }) => {
+          rendering = true;
+          onProgress({ stage: 'rendering', value, max, node });
+        },
+        signal
+      });
+
+      // Get the generated video file
+      onProgress({ stage: 'saving' });
+      const [videoInfo] = workflowRegistry.outputFiles(this.workflowName, 'video', outputs);
+      const videoData = await this.downloadGeneratedVideo(comfyUI, videoInfo);
 
-    // Update image input node (LoadImage - node 133)
-    if (workflowData['133'] && workflowData['133'].inputs) {
-      workflowData['133'].inputs.image = imageFilename;
-      console.log('🖼️ Updated image input:', imageFilename);
+      // Store the video
+      const videoKey = await mediaService.uploadVideoFile(videoData, uid, chatId);
+      console.log('✅ Video stored:', videoKey);
+
+      return videoKey;
+    } catch (error) {
+      console.error('❌ Video generation failed:', error);
+      throw error;
+    } finally {
+      // Clean up ComfyUI connection
+      comfyUI.disconnect();
     }
   }
 
   /**
    * Download the generated video from ComfyUI
    * @param {ComfyUI} comfyUI - ComfyUI instance
-   * @param {Object} message - Save callback message
+   * @param {Object} videoInfo - First file of the workflow's video output ({ filename, subfolder, type })
    * @returns {Promise<Buffer>} Video data as buffer
    */
-  async downloadGeneratedVideo(comfyUI, message) {
+  async downloadGeneratedVideo(comfyUI, videoInfo) {
     try {
       console.log('📥 Downloading generated video from ComfyUI...');
       
-      // Extract file information from the message
-      const outputs = message.data.output;
-      if (!outputs || !outputs.gifs || outputs.gifs.length === 0) {
+      if (!videoInfo) {
         throw new Error('No video output found in ComfyUI response');
       }
 
-      const videoInfo = outputs.gifs[0];
       const filename = videoInfo.filename;
       const subfolder = videoInfo.subfolder || '';
       const type = videoInfo.type || 'output';
@@ -190,43 +163,37 @@ class VideoGenerationService {
     }
   }
 
+  /**
+   * Fetch the persona image used as the first frame of generated videos
+   * @param {Object} persona - Persona with an image_url (storage key or legacy S3 URL)
+   * @returns {Promise<Buffer>} Image data
+   */
+  async fetchPersonaImage(persona) {
+    const imageKey = mediaService.keyFromUrl(persona.image_url);
+    console.log('🔑 Persona image key:', imageKey);
+
+    const imageBuffer = await mediaService.getObject(imageKey);
+    if (!imageBuffer) {
+      throw new Error(`Persona image not found: ${imageKey}`);
+    }
+    console.log('📏 Image buffer size:', imageBuffer.length, 'bytes');
+
+    // Validate that we have a reasonable image size
+    if (imageBuffer.length < 1000) {
+      throw new Error('Image buffer too small, likely corrupted');
+    }
+
+    return imageBuffer;
+  }
+
   /**
    * Convert PCM audio to WAV format for ComfyUI
    * @param {Buffer} pcmBuffer - PCM audio data
    * @returns {Buffer} WAV audio data
    */
   convertPCMToWAV(pcmBuffer) {
-    // Simple WAV header for 16-bit PCM at 24kHz mono
-    const sampleRate = 24000;
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * bitsPerSample / 8;
-    const blockAlign = numChannels * bitsPerSample / 8;
-    const dataSize = pcmBuffer.length;
-    const fileSize = 36 + dataSize;
-
-    const wavHeader = Buffer.alloc(44);
-    
-    // RIFF header
-    wavHeader.write('RIFF', 0);
-    wavHeader.writeUInt32LE(fileSize, 4);
-    wavHeader.write('WAVE', 8);
-    
-    // fmt chunk
-    wavHeader.write('fmt ', 12);
-    wavHeader.writeUInt32LE(16, 16); // chunk size
-    wavHeader.writeUInt16LE(1, 20);  // audio format (PCM)
-    wavHeader.writeUInt16LE(numChannels, 22);
-    wavHeader.writeUInt32LE(sampleRate, 24);
-    wavHeader.writeUInt32LE(byteRate, 28);
-    wavHeader.writeUInt16LE(blockAlign, 32);
-    wavHeader.writeUInt16LE(bitsPerSample, 34);
-    
-    // data chunk
-    wavHeader.write('data', 36);
-    wavHeader.writeUInt32LE(dataSize, 40);
-
-    return Buffer.concat([wavHeader, pcmBuffer]);
+    // 16-bit PCM at 24kHz mono, as returned by Gemini TTS
+    return createWAVBuffer(pcmBuffer, 24000);
   }
 }
 
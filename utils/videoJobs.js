@@ -0,0 +1,138 @@
+// Video generation jobs
+// A Wan i2v render takes minutes, so chat turns queue a 'video' job instead of waiting for it.
+// The job renders the clip through ComfyUI, stores it and patches the assistant message
+// (matched by videoJobId); browsers pick the new videoUrl up through their realtime chat subscription.
+// While it runs, the job's progress (stage, sampler step, ETA) is stored for GET /api/jobs/:jobId.
+
+const db = require('./db');
+const mediaService = require('./media');
+const jobQueue = require('./jobQueue');
+const videoGenerationService = require('./videoGeneration');
+
+const VIDEO_JOB_TYPE = 'video';
+
+/**
+ * Add an ETA to sampler progress. Steps take about the same time, so the time per step
+ * since the first one we saw predicts the rest.
+ * @param {Function} reportProgress - Job queue progress reporter
+ * @returns {Function} onProgress for generateVideo
+ */
+function trackRenderProgress(reportProgress) {
+  let first = null; // { node, value, at } for the progress bar being tracked
+
+  return (progress) => {
+    if (progress.stage !== 'rendering') {
+      first = null;
+      return reportProgress(progress);
+    }
+
+    const now = Date.now();
+    // A new node, or a bar that started over, needs a new estimate
+    if (!first || first.node !== progress.node || progress.value <= first.value) {
+      first = { node: progress.node, value: progress.value, at: now };
+    }
+
+    const steps = progress.value - first.value;
+    const etaSeconds = steps > 0
+      ? Math.round(((now - first.at) / steps) * (progress.max - progress.value) / 1000)
+      : null;
+
+    return reportProgress({ stage: 'rendering', value: progress.value, max: progress.max, etaSeconds });
+  };
+}
+
+/**
+ * Render the video for one assistant message
+ * @param {Object} options - Handler options from the job queue
+ * @param {Object} options.job - Job row; payload is { audioKey, personaId }
+ * @param {AbortSignal} options.signal - Aborted when the job times out or is cancelled; cancels the ComfyUI prompt
+ * @param {Function} options.reportProgress - Stores the job's progress
+ * @returns {Promise<Object>} { videoKey }
+ */
+async function runVideoJob({ job, signal, reportProgress = () => {} }) {
+  const { audioKey, personaId } = job.payload;
+
+  const persona = await db.getPersonaById(personaId);
+  if (!persona?.image_url) {
+    throw new Error('No persona image available');
+  }
+
+  // Get the stored audio for video generation
+  const audioBuffer = await mediaService.getObject(audioKey);
+  if (!audioBuffer) {
+    throw new Error(`Audio not found: ${audioKey}`);
+  }
+
+  const personaImageBuffer = await videoGenerationService.fetchPersonaImage(persona);
+
+  // Convert PCM audio to WAV for ComfyUI
+  const wavAudioBuffer = videoGenerationService.convertPCMToWAV(audioBuffer);
+
+  const videoKey = await videoGenerationService.generateVideo(
+    wavAudioBuffer,
+    personaImageBuffer,
+    job.user_id,
+    job.chat_id,
+    { signal, onProgress: trackRenderProgress(reportProgress) }
+  );
+
+  const updatedMessage = await db.updateMessageVideo(job.user_id, job.chat_id, job.id, {
+    videoUrl: videoKey,
+    videoStatus: 'ready'
+  });
+  if (!updatedMessage) {
+    // The chat was deleted while the video rendered
+    console.warn('⚠️ No message waiting for video job:', job.id);
+  }
+
+  console.log('✅ Video generation successful:', videoKey);
+  return { videoKey };
+}
+
+// Once retries are exhausted, stop showing the message as pending
+async function markVideoFailed(job, error) {
+  await db.updateMessageVideo(job.user_id, job.chat_id, job.id, {
+    videoStatus: 'failed',
+    videoError: error.message
+  });
+}
+
+// The user stopped the render; the message keeps its audio
+async function markVideoCancelled(job) {
+  await db.updateMessageVideo(job.user_id, job.chat_id, job.id, { videoStatus: 'cancelled' });
+}
+
+/**
+ * Queue the video for a saved assistant message
+ * @param {Object} options - Job details
+ * @param {string} options.jobId - ID stored on the message as videoJobId
+ * @param {string} options.uid - User ID
+ * @param {string} options.chatId - Chat ID
+ * @param {string} options.audioKey - Storage key of the assistant audio
+ * @param {Object} options.persona - Persona whose image anchors the video
+ * @returns {Promise<Object>} The stored job row
+ */
+function enqueueVideoJob({ jobId, uid, chatId, audioKey, persona }) {
+  return jobQueue.enqueue(VIDEO_JOB_TYPE, {
+    id: jobId,
+    userId: uid,
+    chatId,
+    payload: { audioKey, personaId: persona.id }
+  });
+}
+
+jobQueue.register(VIDEO_JOB_TYPE, runVideoJob, {
+  // One render at a time per GPU is the safe default
+  concurrency: Number(process.env.VIDEO_JOB_CONCURRENCY) || 1,
+  timeoutMs: Number(process.env.VIDEO_JOB_TIMEOUT_MS) || 15 * 60 * 1000,
+  maxAttempts: Number(process.env.VIDEO_JOB_MAX_ATTEMPTS) || 3,
+  onFailed: markVideoFailed,
+  onCancelled: markVideoCancelled
+});
+
+module.exports = {
+  VIDEO_JOB_TYPE,
+  enqueueVideoJob,
+  markVideoFailed,
+  trackRenderProgress,
+};
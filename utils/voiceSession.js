@@ -0,0 +1,354 @@
+// Realtime voice sessions over WebSocket (/ws/voice)
+// The browser streams 16-bit mono microphone PCM as binary frames plus JSON control messages.
+// The server answers with JSON events and binary 24kHz PCM chunks straight from TTS.
+//
+// Client -> server:
+//   { type: 'start', token, chatId?, personaId?, personaName?, locations?, sampleRate? }
+//   { type: 'end_turn' }   force the end of the current utterance
+//   { type: 'interrupt' }  stop the anchor mid-sentence
+//   { type: 'stop' }       close the session
+//   <binary>               Int16 PCM microphone frames
+//
+// Server -> client:
+//   ready, listening, thinking, transcription, token, response,
+//   audio_start, <binary PCM>, audio_end, interrupted, saved, error
+
+const WebSocket = require('ws');
+const { createWAVBuffer, cleanResponseText } = require('./helpers');
+const { verifyAccessToken, AuthError } = require('./auth');
+const {
+  createConversationPipeline,
+  createPipelineContext,
+  buildChatResponse,
+  stages,
+} = require('./pipeline');
+
+const VOICE_PATH = '/ws/voice';
+const DEFAULT_INPUT_SAMPLE_RATE = 16000;
+const MIN_INPUT_SAMPLE_RATE = 8000;
+const MAX_INPUT_SAMPLE_RATE = 48000;
+const OUTPUT_SAMPLE_RATE = 24000; // Gemini TTS output
+
+// Simple energy-based voice activity detection
+const SPEECH_RMS_THRESHOLD = 0.02;
+const END_OF_TURN_SILENCE_MS = 800;
+const MIN_TURN_SPEECH_MS = 250;
+const BARGE_IN_SPEECH_MS = 300;
+const MAX_TURN_MS = 60000;
+
+class VoiceSession {
+  /**
+   * @param {WebSocket} ws - Accepted client socket
+   * @param {http.IncomingMessage} request - Upgrade request (used to build local audio URLs)
+   */
+  constructor(ws, request) {
+    this.ws = ws;
+    this.request = request;
+    this.config = null;
+    this.chatId = null;
+    this.state = 'idle'; // idle | listening | thinking | speaking
+    this.turn = null; // AbortController of the running turn
+    this.resetUtterance();
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        this.handleAudio(data);
+      } else {
+        this.handleControl(data.toString());
+      }
+    });
+
+    ws.on('close', () => {
+      console.log('🔌 Voice session closed');
+      if (this.turn) this.turn.abort();
+      this.turn = null;
+    });
+
+    ws.on('error', (error) => {
+      console.error('❌ Voice session socket error:', error.message);
+    });
+  }
+
+  resetUtterance() {
+    this.frames = [];
+    this.bufferedMs = 0;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+    this.bargeInMs = 0;
+  }
+
+  send(payload) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(payload));
+    }
+  }
+
+  sendAudio(chunk) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(chunk, { binary: true });
+    }
+  }
+
+  setState(state) {
+    this.state = state;
+    if (state === 'listening' || state === 'thinking') {
+      this.send({ type: state });
+    }
+  }
+
+  handleControl(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      this.send({ type: 'error', error: 'Invalid control message' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'start':
+        this.start(message).catch((error) => {
+          console.error('❌ Failed to start voice session:', error);
+          this.send({ type: 'error', error: 'Failed to start voice session' });
+          this.ws.close(1011, 'Failed to start voice session');
+        });
+        break;
+      case 'end_turn':
+        this.finishUtterance();
+        break;
+      case 'interrupt':
+        this.interrupt('client');
+        break;
+      case 'stop':
+        this.ws.close(1000, 'Session stopped');
+        break;
+      default:
+        this.send({ type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  async start(message) {
+    // The user id comes from the verified Supabase token, never from the message
+    let user;
+    try {
+      user = await verifyAccessToken(message.token);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      this.send({ type: 'error', error: error.message });
+      this.ws.close(1008, error.message);
+      return;
+    }
+
+    if (message.uid && message.uid !== user.id) {
+      this.send({ type: 'error', error: 'UID does not match the authenticated user' });
+      this.ws.close(1008, 'UID mismatch');
+      return;
+    }
+
+    // The rate times every VAD decision and goes into the WAV header sent for transcription
+    const sampleRate = message.sampleRate ?? DEFAULT_INPUT_SAMPLE_RATE;
+    if (!Number.isInteger(sampleRate) || sampleRate < MIN_INPUT_SAMPLE_RATE || sampleRate > MAX_INPUT_SAMPLE_RATE) {
+      const error = `sampleRate must be an integer from ${MIN_INPUT_SAMPLE_RATE} to ${MAX_INPUT_SAMPLE_RATE}`;
+      this.send({ type: 'error', error });
+      this.ws.close(1008, 'Invalid sampleRate');
+      return;
+    }
+
+    this.config = {
+      uid: user.id,
+      personaId: message.personaId,
+      personaName: message.personaName,
+      locations: message.locations || [],
+      sampleRate,
+    };
+    this.chatId = message.chatId || null;
+    console.log('🎙️ Voice session started for user:', this.config.uid, 'chat:', this.chatId || '(new)');
+    this.send({
+      type: 'ready',
+      inputSampleRate: this.config.sampleRate,
+      outputSampleRate: OUTPUT_SAMPLE_RATE,
+    });
+    this.resetUtterance();
+    this.setState('listening');
+  }
+
+  handleAudio(frame) {
+    if (!this.config || frame.length < 2) return;
+
+    const sampleCount = Math.floor(frame.length / 2);
+    const frameMs = (sampleCount / this.config.sampleRate) * 1000;
+    const isSpeech = measureRMS(frame, sampleCount) >= SPEECH_RMS_THRESHOLD;
+
+    // While the anchor is thinking or talking, sustained speech means the user is barging in.
+    // Keep those frames so the start of the new utterance isn't lost.
+    if (this.state === 'thinking' || this.state === 'speaking') {
+      if (!isSpeech) {
+        this.resetUtterance();
+        return;
+      }
+      this.frames.push(frame);
+      this.bufferedMs += frameMs;
+      this.speechMs += frameMs;
+      this.bargeInMs += frameMs;
+      if (this.bargeInMs >= BARGE_IN_SPEECH_MS) {
+        this.interrupt('barge-in');
+      }
+      return;
+    }
+
+    if (this.state !== 'listening') return;
+
+    // Drop leading silence
+    if (!isSpeech && this.speechMs === 0) return;
+
+    this.frames.push(frame);
+    this.bufferedMs += frameMs;
+    if (isSpeech) {
+      this.speechMs += frameMs;
+      this.silenceMs = 0;
+    } else {
+      this.silenceMs += frameMs;
+    }
+
+    if (this.silenceMs >= END_OF_TURN_SILENCE_MS || this.bufferedMs >= MAX_TURN_MS) {
+      this.finishUtterance();
+    }
+  }
+
+  interrupt(reason) {
+    if (!this.turn) return;
+
+    console.log('✋ Voice turn interrupted:', reason);
+    this.turn.abort();
+    this.turn = null;
+    this.bargeInMs = 0;
+    this.send({ type: 'interrupted', reason });
+    this.setState('listening');
+  }
+
+  finishUtterance() {
+    if (this.state !== 'listening') return;
+
+    if (this.speechMs < MIN_TURN_SPEECH_MS) {
+      this.resetUtterance();
+      return;
+    }
+
+    const pcm = Buffer.concat(this.frames);
+    this.resetUtterance();
+    this.runTurn(pcm);
+  }
+
+  async runTurn(pcm) {
+    const controller = new AbortController();
+    this.turn = controller;
+    this.setState('thinking');
+
+    const ctx = createPipelineContext({
+      message: createWAVBuffer(pcm, this.config.sampleRate).toString('base64'),
+      personaId: this.config.personaId,
+      personaName: this.config.personaName,
+      uid: this.config.uid,
+      chatId: this.chatId,
+      locations: this.config.locations,
+      videoEnabled: false,
+    }, this.request);
+
+    ctx.audioMimeType = 'audio/wav';
+    ctx.signal = controller.signal;
+    ctx.onToken = (text) => {
+      if (!controller.signal.aborted) this.send({ type: 'token', text });
+    };
+    ctx.onAudioChunk = (chunk) => {
+      if (controller.signal.aborted) return;
+      if (this.state !== 'speaking') {
+        this.setState('speaking');
+        this.send({ type: 'audio_start', sampleRate: OUTPUT_SAMPLE_RATE });
+      }
+      this.sendAudio(chunk);
+    };
+    ctx.onStage = (report) => {
+      if (controller.signal.aborted) return;
+
+      if (report.name === 'transcription') {
+        // Background noise that passed the VAD transcribes to nothing: drop the turn quietly
+        if (!ctx.userMessage || !ctx.userMessage.trim()) {
+          controller.abort();
+          return;
+        }
+        this.send({ type: 'transcription', text: ctx.userMessage });
+      } else if (report.name === 'response') {
+        this.send({ type: 'response', text: cleanResponseText(ctx.rawResponseText) });
+      }
+    };
+
+    try {
+      await createConversationPipeline('audio', { stream: true })
+        .replace(stages.streamingAudioStage)
+        .run(ctx);
+
+      if (controller.signal.aborted) return;
+
+      if (this.state === 'speaking') {
+        this.send({ type: 'audio_end' });
+      }
+
+      // Later turns continue the same chat
+      this.chatId = ctx.savedChat?.id || ctx.currentChatId;
+      this.send({ type: 'saved', chat: buildChatResponse(ctx) });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('❌ Voice turn failed:', error);
+      this.send({ type: 'error', error: 'Failed to process voice turn', stage: error.stage || null });
+    } finally {
+      if (this.turn === controller) {
+        this.turn = null;
+        this.setState('listening');
+      }
+    }
+  }
+}
+
+// Root mean square of a 16-bit PCM frame, normalized to 0..1
+function measureRMS(frame, sampleCount) {
+  let sum = 0;
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = frame.readInt16LE(i * 2) / 32768;
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / sampleCount);
+}
+
+/**
+ * Accept voice sessions on /ws/voice for an existing HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {WebSocket.WebSocketServer} The voice socket server
+ */
+function attachVoiceServer(server) {
+  const wss = new WebSocket.WebSocketServer({ noServer: true, maxPayload: 1024 * 1024 });
+
+  server.on('upgrade', (request, socket, head) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname !== VOICE_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request);
+    });
+  });
+
+  wss.on('connection', (ws, request) => {
+    console.log('🎙️ Voice session connected');
+    new VoiceSession(ws, request);
+  });
+
+  console.log(`🎙️ Voice sessions available at ${VOICE_PATH}`);
+  return wss;
+}
+
+module.exports = {
+  VoiceSession,
+  attachVoiceServer,
+};
@@ -0,0 +1,218 @@
+// ComfyUI workflow registry
+// Each API-format workflow in workflows/ is paired with a <name>.manifest.json that maps
+// semantic parameters to node inputs and names the output nodes:
+//
+//   {
+//     "name": "i2v-wan",
+//     "workflow": "i2v-wan-api.json",
+//     "parameters": { "audio": { "node": "125", "input": "audio" }, "width": [{ ... }, { ... }] },
+//     "outputs": { "video": { "node": "131", "type": "gifs" } }
+//   }
+//
+// A parameter may target several inputs (e.g. a latent and a resize node that must agree).
+// Manifests are checked against their workflow when loaded, so a new ComfyUI graph only
+// needs a new manifest, never code changes.
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const WORKFLOWS_DIR = path.join(__dirname, '..', 'workflows');
+const MANIFEST_SUFFIX = '.manifest.json';
+
+// Parameter name -> type of value it accepts
+const PARAMETERS = {
+  audio: 'string', // uploaded input filename
+  image: 'string', // uploaded input filename
+  prompt: 'string',
+  seed: 'integer',
+  width: 'integer',
+  height: 'integer',
+  frames: 'integer',
+};
+
+// Keys of a node's output that hold files
+const OUTPUT_TYPES = ['images', 'gifs', 'audio'];
+
+class WorkflowRegistry {
+  constructor() {
+    this.directory = WORKFLOWS_DIR;
+    this.workflows = new Map(); // name -> { name, description, workflow, parameters, outputs }
+  }
+
+  /**
+   * Load and validate every manifest in a directory. Nothing is replaced unless all are valid.
+   * @param {string} directory - Directory holding manifests and workflows (default workflows/)
+   * @returns {WorkflowRegistry} this
+   */
+  load(directory = this.directory) {
+    const workflows = new Map();
+    const problems = [];
+
+    const manifests = fs.readdirSync(directory).filter(file => file.endsWith(MANIFEST_SUFFIX)).sort();
+    for (const file of manifests) {
+      try {
+        const entry = this.loadManifest(directory, file);
+        if (workflows.has(entry.name)) {
+          throw new Error(`duplicate workflow name "${entry.name}"`);
+        }
+        workflows.set(entry.name, entry);
+      } catch (error) {
+        problems.push(`${file}: ${error.message}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid workflow manifests:\n  ${problems.join('\n  ')}`);
+    }
+
+    this.directory = directory;
+    this.workflows = workflows;
+    console.log(`📋 Loaded ${workflows.size} ComfyUI workflows: ${[...workflows.keys()].join(', ')}`);
+    return this;
+  }
+
+  loadManifest(directory, file) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    const problems = [];
+
+    if (typeof manifest.name !== 'string' || !manifest.name) {
+      throw new Error('missing "name"');
+    }
+    if (typeof manifest.workflow !== 'string' || !manifest.workflow) {
+      throw new Error('missing "workflow"');
+    }
+
+    const workflow = JSON.parse(fs.readFileSync(path.join(directory, manifest.workflow), 'utf8'));
+
+    // Normalize every parameter to a list of targets
+    const parameters = {};
+    for (const [parameter, target] of Object.entries(manifest.parameters || {})) {
+      if (!PARAMETERS[parameter]) {
+        problems.push(`unknown parameter "${parameter}" (expected one of ${Object.keys(PARAMETERS).join(', ')})`);
+        continue;
+      }
+
+      parameters[parameter] = [].concat(target);
+      for (const { node, input } of parameters[parameter]) {
+        const inputs = workflow[node]?.inputs;
+        if (!inputs) {
+          problems.push(`parameter "${parameter}" targets missing node ${node}`);
+        } else if (!(input in inputs)) {
+          problems.push(`parameter "${parameter}" targets missing input ${node}.${input}`);
+        } else if (Array.isArray(inputs[input])) {
+          // [nodeId, outputIndex] is a link to another node, not a value
+          problems.push(`parameter "${parameter}" targets ${node}.${input}, which is linked to another node`);
+        }
+      }
+    }
+
+    const outputs = manifest.outputs || {};
+    if (Object.keys(outputs).length === 0) {
+      problems.push('no outputs declared');
+    }
+    for (const [output, { node, type }] of Object.entries(outputs)) {
+      if (!workflow[node]) {
+        problems.push(`output "${output}" refers to missing node ${node}`);
+      }
+      if (!OUTPUT_TYPES.includes(type)) {
+        problems.push(`output "${output}" has unknown type "${type}" (expected one of ${OUTPUT_TYPES.join(', ')})`);
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+
+    return {
+      name: manifest.name,
+      description: manifest.description || '',
+      workflow,
+      parameters,
+      outputs,
+    };
+  }
+
+  /**
+   * Get a loaded workflow
+   * @param {string} name - Workflow name from its manifest
+   * @returns {Object} { name, description, workflow, parameters, outputs }
+   */
+  get(name) {
+    const entry = this.workflows.get(name);
+    if (!entry) {
+      throw new Error(`Unknown workflow "${name}". Available workflows: ${[...this.workflows.keys()].join(', ')}`);
+    }
+    return entry;
+  }
+
+  /**
+   * List loaded workflows
+   * @returns {Array<Object>} [{ name, description, parameters: [name], outputs: [name] }]
+   */
+  list() {
+    return [...this.workflows.values()].map(({ name, description, parameters, outputs }) => ({
+      name,
+      description,
+      parameters: Object.keys(parameters),
+      outputs: Object.keys(outputs),
+    }));
+  }
+
+  /**
+   * Fill in a copy of a workflow, ready to queue
+   * @param {string} name - Workflow name
+   * @param {Object} params - Parameter values; undefined values keep the workflow's default
+   * @returns {Object} Workflow in API format
+   */
+  build(name, params = {}) {
+    const entry = this.get(name);
+    const workflow = structuredClone(entry.workflow);
+
+    for (const [parameter, value] of Object.entries(params)) {
+      if (value === undefined) continue;
+
+      const targets = entry.parameters[parameter];
+      if (!targets) {
+        throw new Error(`Workflow "${name}" has no "${parameter}" parameter`);
+      }
+      if (PARAMETERS[parameter] === 'integer' ? !Number.isInteger(value) : typeof value !== 'string') {
+        throw new Error(`Workflow parameter "${parameter}" must be ${PARAMETERS[parameter] === 'integer' ? 'an integer' : 'a string'}`);
+      }
+
+      for (const { node, input } of targets) {
+        workflow[node].inputs[input] = value;
+      }
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Node IDs of a workflow's outputs, for the ComfyUI client's api_save list
+   * @param {string} name - Workflow name
+   * @returns {Array<string>} Node IDs
+   */
+  outputNodes(name) {
+    return Object.values(this.get(name).outputs).map(output => output.node);
+  }
+
+  /**
+   * Pick the files of one declared output out of a finished prompt's outputs
+   * @param {string} name - Workflow name
+   * @param {string} output - Output name from the manifest
+   * @param {Object} outputs - { [nodeId]: output } as resolved by ComfyUI.run
+   * @returns {Array<Object>} [{ filename, subfolder, type }]
+   */
+  outputFiles(name, output, outputs) {
+    const declared = this.get(name).outputs[output];
+    if (!declared) {
+      throw new Error(`Workflow "${name}" has no "${output}" output`);
+    }
+    return outputs?.[declared.node]?.[declared.type] || [];
+  }
+}
+
+// Create, load and export singleton instance
+const workflowRegistry = new WorkflowRegistry().load();
+
+module.exports = workflowRegistry;